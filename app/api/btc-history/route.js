@@ -0,0 +1,45 @@
+import { NextResponse } from 'next/server';
+import { CACHE_TTL_SECONDS } from '@/lib/btc-prices';
+import { HISTORY_WINDOWS, getBtcHistory } from '@/lib/btc-history';
+
+function okJson(payload, cacheStatus) {
+  const res = NextResponse.json(payload, { status: 200 });
+  res.headers.set(
+    'Cache-Control',
+    `public, s-maxage=${CACHE_TTL_SECONDS}, stale-while-revalidate=86400`
+  );
+  res.headers.set('x-cache', cacheStatus);
+  return res;
+}
+
+function errJson(message, status = 502, cacheStatus = 'MISS') {
+  const res = NextResponse.json({ error: message }, { status });
+  // Cache errors briefly to reduce retry storms if Coinbase is down/rate-limiting.
+  res.headers.set('Cache-Control', 'public, s-maxage=30, stale-while-revalidate=300');
+  res.headers.set('x-cache', cacheStatus);
+  return res;
+}
+
+// GET /api/btc-history?window=1y|2y|4y|max (default 2y)
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const window = searchParams.get('window') || '2y';
+  if (!Object.prototype.hasOwnProperty.call(HISTORY_WINDOWS, window)) {
+    const res = NextResponse.json(
+      {
+        error: 'Invalid history window',
+        details: [{ field: 'window', message: `must be one of ${Object.keys(HISTORY_WINDOWS).join(', ')}` }],
+      },
+      { status: 400 }
+    );
+    res.headers.set('Cache-Control', 'no-store');
+    return res;
+  }
+
+  try {
+    const { payload, cacheStatus } = await getBtcHistory(window);
+    return okJson(payload, cacheStatus);
+  } catch (e) {
+    return errJson(e?.message || `Server error fetching BTC history: ${String(e)}`, 502);
+  }
+}
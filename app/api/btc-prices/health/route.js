@@ -0,0 +1,20 @@
+import { NextResponse } from 'next/server';
+import { providerHealth, spotProviderOrder, historicalProviderOrder, fxProviderOrder } from '@/lib/price-providers';
+
+// Provider status is per-instance state, so never cache it.
+export const dynamic = 'force-dynamic';
+
+export async function GET() {
+  const res = NextResponse.json(
+    {
+      spotOrder: spotProviderOrder(),
+      historicalOrder: historicalProviderOrder(),
+      fxOrder: fxProviderOrder(),
+      providers: providerHealth(),
+      checkedAt: new Date().toISOString(),
+    },
+    { status: 200 }
+  );
+  res.headers.set('Cache-Control', 'no-store');
+  return res;
+}
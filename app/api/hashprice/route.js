@@ -0,0 +1,52 @@
+import { NextResponse } from 'next/server';
+import { CACHE_TTL_SECONDS } from '@/lib/btc-prices';
+import { getLiveHashprice } from '@/lib/hashprice';
+import { CURRENCY_CODES, DEFAULT_CURRENCY, fxRateFor, normalizeCurrency } from '@/lib/currency';
+
+function okJson(payload, cacheStatus) {
+  const res = NextResponse.json(payload, { status: 200 });
+  res.headers.set(
+    'Cache-Control',
+    `public, s-maxage=${CACHE_TTL_SECONDS}, stale-while-revalidate=86400`
+  );
+  res.headers.set('x-cache', cacheStatus);
+  return res;
+}
+
+function errJson(message, status = 502, cacheStatus = 'MISS') {
+  const res = NextResponse.json({ error: message }, { status });
+  // Cache errors briefly to reduce retry storms if the mempool API is down/rate-limiting.
+  res.headers.set('Cache-Control', 'public, s-maxage=30, stale-while-revalidate=300');
+  res.headers.set('x-cache', cacheStatus);
+  return res;
+}
+
+// GET /api/hashprice?currency=USD|EUR|GBP|AUD (default USD)
+// hashpriceUsd is always present; hashprice is per TH/day in the requested currency.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const rawCurrency = searchParams.get('currency');
+  const currency = rawCurrency ? normalizeCurrency(rawCurrency) : DEFAULT_CURRENCY;
+  if (!currency) {
+    const res = NextResponse.json(
+      {
+        error: 'Invalid currency',
+        details: [{ field: 'currency', message: `must be one of ${CURRENCY_CODES.join(', ')}` }],
+      },
+      { status: 400 }
+    );
+    res.headers.set('Cache-Control', 'no-store');
+    return res;
+  }
+
+  try {
+    const { payload, cacheStatus } = await getLiveHashprice();
+    const fxRate = fxRateFor(payload.fxRates, currency);
+    if (fxRate === null) {
+      return errJson(`No ${currency} exchange rate available from the FX providers`, 502, cacheStatus);
+    }
+    return okJson({ ...payload, currency, fxRate, hashprice: payload.hashpriceUsd * fxRate }, cacheStatus);
+  } catch (e) {
+    return errJson(e?.message || `Server error fetching network stats: ${String(e)}`, 502);
+  }
+}
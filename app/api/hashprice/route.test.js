@@ -0,0 +1,36 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getLiveHashprice } from '@/lib/hashprice';
+import { GET } from './route';
+
+vi.mock('@/lib/btc-prices', () => ({ CACHE_TTL_SECONDS: 900 }));
+vi.mock('@/lib/hashprice', () => ({ getLiveHashprice: vi.fn() }));
+
+const get = (query = '') => GET(new Request(`http://localhost/api/hashprice${query}`));
+
+beforeEach(() => {
+  getLiveHashprice.mockReset();
+});
+
+describe('/api/hashprice', () => {
+  it('converts the live hashprice to the requested currency', async () => {
+    getLiveHashprice.mockResolvedValue({ payload: { hashpriceUsd: 50, fxRates: { USD: 1, EUR: 0.9 } }, cacheStatus: 'HIT' });
+    const res = await get('?currency=eur');
+    expect(res.status).toBe(200);
+    expect(res.headers.get('x-cache')).toBe('HIT');
+    expect(await res.json()).toMatchObject({ currency: 'EUR', fxRate: 0.9, hashpriceUsd: 50, hashprice: 45 });
+  });
+
+  it('answers 502 with a briefly cached error when an upstream fails', async () => {
+    getLiveHashprice.mockRejectedValue(new Error('mempool tip height error: 503 Service Unavailable'));
+    const res = await get();
+    expect(res.status).toBe(502);
+    expect(await res.json()).toEqual({ error: 'mempool tip height error: 503 Service Unavailable' });
+    expect(res.headers.get('Cache-Control')).toBe('public, s-maxage=30, stale-while-revalidate=300');
+  });
+
+  it('rejects an unsupported currency before fetching anything', async () => {
+    const res = await get('?currency=JPY');
+    expect(res.status).toBe(400);
+    expect(getLiveHashprice).not.toHaveBeenCalled();
+  });
+});
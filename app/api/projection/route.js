@@ -0,0 +1,212 @@
+import { NextResponse } from 'next/server';
+import { getBtcPrices } from '@/lib/btc-prices';
+import { PROJECTION_DEFAULTS, parseProjectionInput } from '@/lib/projection-input';
+import { getNetworkStats } from '@/lib/network-stats';
+import { deriveHashprice } from '@/lib/hashprice';
+import {
+  buildBaseMultipliers,
+  scaleGrowthScenarios,
+  projectMonthly,
+  summarizeProjection,
+} from '@/lib/projection';
+import { analyzeBreakeven } from '@/lib/breakeven';
+import { hodlBenchmark, hodlThreshold } from '@/lib/benchmark';
+import { describeDifficultyModel } from '@/lib/difficulty';
+import { DEFAULT_CURRENCY, fxRateFor } from '@/lib/currency';
+import { localizeTier } from '@/lib/tiers';
+import { getTierCatalog } from '@/lib/tier-catalog';
+import { buildHardwareTier } from '@/lib/hardware';
+import { computeTax, describeTaxSettings } from '@/lib/tax';
+
+function errJson(message, status, details) {
+  const body = { error: message };
+  if (details) body.details = details;
+  const res = NextResponse.json(body, { status });
+  res.headers.set('Cache-Control', 'no-store');
+  return res;
+}
+
+async function runProjection(raw) {
+  const { value: input, errors } = parseProjectionInput(raw, await getTierCatalog());
+  if (errors.length > 0) {
+    return errJson('Invalid projection input', 400, errors);
+  }
+
+  // Fall back to the cached live prices when the caller doesn't pin a BTC price.
+  // The historical scenario always needs live data for its multiplier, and other
+  // currencies need the FX rate that comes with it.
+  let prices = null;
+  if (input.currentBtcPrice === undefined || input.scenario === 'historical' || input.currency !== DEFAULT_CURRENCY) {
+    try {
+      ({ payload: prices } = await getBtcPrices());
+    } catch (e) {
+      return errJson(e?.message || `Server error fetching BTC prices: ${String(e)}`, 502);
+    }
+  }
+
+  const fxRate = prices ? fxRateFor(prices.fxRates, input.currency) : 1;
+  if (fxRate === null) {
+    return errJson(`No ${input.currency} exchange rate available from the FX providers`, 502);
+  }
+  const currentBtcPrice = input.currentBtcPrice ?? Math.round(prices.currentPriceUsd * fxRate);
+  let tier;
+  if (input.hardware) {
+    // Shipping is already in the request currency; only the USD list price needs converting.
+    const { model, unitPrice } = input.hardware;
+    tier = buildHardwareTier(model, { ...input.hardware, unitPrice: unitPrice ?? Math.round(model.listPrice * fxRate) });
+  } else {
+    const localized = localizeTier(input.tier, input.currency, fxRate);
+    tier = input.tierPriceExplicit ? { ...localized, price: input.tier.price } : localized;
+  }
+  const btcPriceSource = input.currentBtcPrice === undefined ? 'live' : 'override';
+
+  // Without an explicit hashprice, derive it from live network stats at the BTC price
+  // used here (so the BTC yield matches the network). Falls back to the placeholder
+  // default rather than failing when the network API is unavailable.
+  let hashpriceUsd = input.hashpriceUsd;
+  let hashpriceSource = 'override';
+  if (hashpriceUsd === undefined) {
+    hashpriceUsd = PROJECTION_DEFAULTS.hashpriceUsd * fxRate;
+    hashpriceSource = 'default';
+    if (input.revenueModel === 'hashprice') {
+      try {
+        const { payload: stats } = await getNetworkStats();
+        const live = deriveHashprice(stats, currentBtcPrice).hashpriceUsd;
+        if (Number.isFinite(live) && live > 0) {
+          hashpriceUsd = live;
+          hashpriceSource = 'live';
+        }
+      } catch {
+        // Keep the default; inputs.hashpriceSource tells the caller.
+      }
+    }
+  }
+
+  let scenario;
+  if (input.scenario === 'custom') {
+    scenario = scaleGrowthScenarios(
+      { custom: { label: 'Custom', base24m: input.scenarioMultiplier } },
+      input.contractMonths
+    ).custom;
+  } else {
+    const historicalMultiplier = prices ? currentBtcPrice / (prices.historicalPriceUsd * fxRate) : null;
+    scenario = scaleGrowthScenarios(buildBaseMultipliers(historicalMultiplier), input.contractMonths)[input.scenario];
+  }
+  if (!Number.isFinite(scenario?.finalMultiplier)) {
+    return errJson('Scenario multiplier unavailable', 400, [
+      { field: 'scenario', message: 'could not derive a growth multiplier for this scenario' },
+    ]);
+  }
+
+  const projectionInput = {
+    tier,
+    hashpriceUsd,
+    currentBtcPrice,
+    difficultyModel: input.difficultyModel,
+    electricityCostKwh: input.electricityCostKwh,
+    wattsPerTh: input.wattsPerTh,
+    contractMonths: input.contractMonths,
+    finalMultiplier: scenario.finalMultiplier,
+    revenueModel: input.revenueModel,
+    network: input.network,
+    poolFee: input.poolFee,
+    uptime: input.uptime,
+    hostingFeePerThDay: input.hostingFeePerThDay,
+    hostingFeeMonthly: input.hostingFeeMonthly,
+    stopWhenUnprofitable: input.stopWhenUnprofitable,
+    sellStrategy: input.sellStrategy,
+  };
+  const rows = projectMonthly(projectionInput);
+  const { breakevenBtcPrice, breakevenHashprice, breakevenBtcPriceAmbiguous, breakevenHashpriceAmbiguous } = analyzeBreakeven(projectionInput);
+  const hodlRows = hodlBenchmark(rows, { upfront: tier.price, currentBtcPrice, mode: input.benchmark });
+  const tax = input.tax ? computeTax(rows, input.tax, { startDate: new Date() }) : null;
+  const projections = rows.map((row, i) => ({
+    ...row,
+    hodlBtc: hodlRows[i].hodlBtc,
+    hodlValue: hodlRows[i].hodlValue,
+    ...(tax
+      ? {
+        cumulativeTax: tax.rows[i].cumulativeTax,
+        liquidationTax: tax.rows[i].liquidationTax,
+        afterTaxValue: tax.rows[i].afterTaxValue,
+        afterTaxRoi: tax.rows[i].afterTaxRoi,
+      }
+      : {}),
+  }));
+  const finalHodl = hodlRows[hodlRows.length - 1];
+
+  const res = NextResponse.json({
+    inputs: {
+      currency: input.currency,
+      fxRate,
+      tier: {
+        name: tier.name,
+        price: tier.price,
+        hashrate: tier.hashrate,
+        maintenanceFeeMonthly: tier.maintenanceFeeMonthly,
+        ...(tier.custom ? { pricePerTh: tier.pricePerTh, volumeDiscount: tier.volumeDiscount } : {}),
+        ...(tier.hardware ? { hardware: tier.hardware } : {}),
+      },
+      hashpriceUsd,
+      hashpriceSource,
+      electricityCostKwh: input.electricityCostKwh,
+      wattsPerTh: input.wattsPerTh,
+      contractMonths: input.contractMonths,
+      difficultyModel: input.difficultyModel,
+      difficultyModelDescription: describeDifficultyModel(input.difficultyModel),
+      revenueModel: input.revenueModel,
+      network: input.network,
+      poolFee: input.poolFee,
+      uptime: input.uptime,
+      hostingFeePerThDay: input.hostingFeePerThDay,
+      hostingFeeMonthly: input.hostingFeeMonthly,
+      stopWhenUnprofitable: input.stopWhenUnprofitable,
+      benchmark: input.benchmark,
+      sellStrategy: input.sellStrategy,
+      tax: input.tax,
+      taxDescription: describeTaxSettings(input.tax),
+      scenario: input.scenario,
+      scenarioFinalMultiplier: scenario.finalMultiplier,
+      currentBtcPrice,
+      btcPriceSource,
+      btcPriceStale: btcPriceSource === 'live' && Boolean(prices?.stale),
+    },
+    summary: {
+      ...summarizeProjection(projections),
+      breakevenBtcPrice,
+      breakevenHashprice,
+      breakevenBtcPriceAmbiguous,
+      breakevenHashpriceAmbiguous,
+      hodl: finalHodl
+        ? {
+          btc: finalHodl.hodlBtc,
+          value: finalHodl.hodlValue,
+          deltaBtc: finalHodl.deltaBtc,
+          deltaValue: finalHodl.deltaValue,
+          ...hodlThreshold(projectionInput, input.benchmark),
+        }
+        : null,
+      tax: tax?.summary ? { ...tax.summary, openLots: tax.openLots } : null,
+    },
+    projections,
+    // Acquisitions and disposals per lot; only with a tax jurisdiction.
+    ...(tax ? { taxLedger: tax.ledger } : {}),
+  });
+  res.headers.set('Cache-Control', 'no-store');
+  return res;
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return errJson('Invalid JSON body', 400, [{ field: null, message: 'request body must be valid JSON' }]);
+  }
+  return runProjection(body);
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  return runProjection(Object.fromEntries(searchParams.entries()));
+}
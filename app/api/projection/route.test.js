@@ -0,0 +1,92 @@
+import { describe, expect, it, vi } from 'vitest';
+import { PROJECTION_DEFAULTS } from '@/lib/projection-input';
+import { projectMonthly, scaleGrowthScenarios } from '@/lib/projection';
+import { GET, POST } from './route';
+
+const TIER = { name: 'Test', price: 1000, hashrate: 100, wattsPerTh: 20 };
+
+vi.mock('@/lib/tier-catalog', () => ({
+  getTierCatalog: async () => ({ defaultTier: 'Test', tiers: [TIER], custom: null }),
+}));
+
+// A pinned BTC price and a custom scenario never need live prices or network stats.
+vi.mock('@/lib/btc-prices', () => ({
+  getBtcPrices: async () => {
+    throw new Error('live prices should not be fetched');
+  },
+}));
+
+vi.mock('@/lib/network-stats', () => ({
+  getNetworkStats: async () => {
+    throw new Error('mempool tip height error: 503 Service Unavailable');
+  },
+}));
+
+function post(body) {
+  return POST(new Request('http://localhost/api/projection', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+  }));
+}
+
+describe('/api/projection', () => {
+  it('rejects a malformed body with field errors', async () => {
+    const bad = await post({ electricityCostKwh: -1, contractMonths: 1.5, scenario: 'moon' });
+    expect(bad.status).toBe(400);
+    const body = await bad.json();
+    expect(body.error).toBe('Invalid projection input');
+    expect(body.details.map((e) => e.field)).toEqual(['electricityCostKwh', 'contractMonths', 'scenario']);
+
+    const notJson = await post('{ "tier": ');
+    expect(notJson.status).toBe(400);
+    expect((await notJson.json()).details).toEqual([{ field: null, message: 'request body must be valid JSON' }]);
+  });
+
+  it('returns the rows projectMonthly() gives for a valid body', async () => {
+    const res = await post({
+      hashpriceUsd: 0.05,
+      btcPrice: 50000,
+      electricityCostKwh: 0.1,
+      contractMonths: 12,
+      difficultyGrowthMonthly: 0,
+      scenario: 'custom',
+      scenarioMultiplier: 4,
+    });
+    expect(res.status).toBe(200);
+    const { inputs, summary, projections } = await res.json();
+    expect(inputs).toMatchObject({ tier: { name: 'Test' }, currentBtcPrice: 50000, btcPriceSource: 'override', hashpriceSource: 'override' });
+
+    const finalMultiplier = scaleGrowthScenarios({ custom: { label: 'Custom', base24m: 4 } }, 12).custom.finalMultiplier;
+    const rows = projectMonthly({
+      tier: TIER,
+      hashpriceUsd: 0.05,
+      currentBtcPrice: 50000,
+      difficultyModel: { type: 'flat', rate: 0 },
+      electricityCostKwh: 0.1,
+      wattsPerTh: 20,
+      contractMonths: 12,
+      finalMultiplier,
+    });
+    expect(projections).toHaveLength(12);
+    projections.forEach((row, i) => {
+      expect(row.monthlyBtcNet).toBeCloseTo(rows[i].monthlyBtcNet, 12);
+      expect(row.portfolioValue).toBeCloseTo(rows[i].portfolioValue, 6);
+      expect(row.totalCost).toBeCloseTo(rows[i].totalCost, 6);
+    });
+    expect(summary.cumulativeBtc).toBeCloseTo(0.036, 12);
+  });
+
+  it('falls back to the default hashprice when network stats are unavailable', async () => {
+    const res = await post({ btcPrice: 50000, scenario: 'custom', scenarioMultiplier: 1 });
+    expect(res.status).toBe(200);
+    const { inputs } = await res.json();
+    expect(inputs).toMatchObject({ hashpriceUsd: PROJECTION_DEFAULTS.hashpriceUsd, hashpriceSource: 'default' });
+  });
+
+  it('reads the same input from query parameters', async () => {
+    const res = await GET(new Request('http://localhost/api/projection?hashpriceUsd=0.05&btcPrice=50000&scenario=custom&scenarioMultiplier=1&contractMonths=6'));
+    expect(res.status).toBe(200);
+    expect((await res.json()).projections).toHaveLength(6);
+  });
+});
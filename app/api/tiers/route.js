@@ -0,0 +1,36 @@
+import { NextResponse } from 'next/server';
+import { getTierCatalog } from '@/lib/tier-catalog';
+import { availableTiers, isTierAvailable } from '@/lib/tiers';
+
+// The catalog file is read at request time so edits apply without a rebuild.
+export const dynamic = 'force-dynamic';
+const CATALOG_MAX_AGE_SECONDS = 60;
+
+// GET /api/tiers[?all=1]
+// Tiers on sale today (catalog prices in USD); all=1 also returns unavailable tiers,
+// each flagged with `available`. `error` is set when the catalog file couldn't be
+// loaded and the last good catalog is being served instead. `custom` is the custom
+// hashrate pricing (USD per TH/s and volume-discount brackets), or null if not offered.
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const includeAll = ['1', 'true'].includes(searchParams.get('all'));
+  const catalog = await getTierCatalog();
+  const now = new Date();
+
+  const tiers = includeAll
+    ? catalog.tiers.map((t) => ({ ...t, available: isTierAvailable(t, now) }))
+    : availableTiers(catalog.tiers, now);
+  const res = NextResponse.json(
+    {
+      defaultTier: catalog.defaultTier,
+      tiers,
+      custom: catalog.custom,
+      source: catalog.source,
+      updatedAt: catalog.updatedAt,
+      error: catalog.error,
+    },
+    { status: 200 }
+  );
+  res.headers.set('Cache-Control', `public, s-maxage=${CATALOG_MAX_AGE_SECONDS}, stale-while-revalidate=300`);
+  return res;
+}
@@ -1,40 +1,305 @@
 'use client';
 
 import React, { useState, useMemo, useEffect } from 'react';
+import {
+  DAYS_PER_MONTH,
+  DEFAULT_OPERATING_COSTS,
+  buildBaseMultipliers,
+  scaleGrowthScenarios,
+  monthlyElecCost as computeMonthlyElecCost,
+  projectMonthly,
+} from '@/lib/projection';
+import {
+  CUSTOM_PRICING,
+  CUSTOM_TIER_NAME,
+  DEFAULT_TIER_NAME,
+  DEFAULT_WATTS_PER_TH,
+  TIERS,
+  availableTiers,
+  buildCustomTier,
+  clampContractMonths,
+  customHashrateAllowed,
+  localizeCustomPricing,
+  localizeTier,
+  resolveWattsPerTh,
+} from '@/lib/tiers';
+import {
+  ASIC_MODELS,
+  DEFAULT_ASIC_MODEL,
+  DEFAULT_DEPRECIATION,
+  HARDWARE_COLOR,
+  HARDWARE_MAX_MONTHS,
+  buildHardwareTier,
+  describeDepreciation,
+  findAsicModel,
+} from '@/lib/hardware';
+import { compareTiersAndScenarios } from '@/lib/comparison';
+import { analyzeBreakeven } from '@/lib/breakeven';
+import { BENCHMARK_MODES, hodlBenchmark, hodlThreshold } from '@/lib/benchmark';
+import { DEFAULT_SELL_STRATEGIES, describeSellStrategy } from '@/lib/sell-strategy';
+import { DEFAULT_TAX_SETTINGS, computeTax, describeTaxSettings, isTaxEnabled } from '@/lib/tax';
+import { encodeCalculatorState, decodeCalculatorState } from '@/lib/share-state';
+import { dropEmptyColumns, projectionColumns } from '@/lib/export';
+import { GROWTH_METHODS, HISTORY_WINDOW_LABELS, historicalGrowthMultiplier } from '@/lib/growth-estimates';
+import { formatCurrency, formatBtc, formatPercent, formatAge } from '@/lib/format';
+import { CURRENCIES, CURRENCY_CODES, DEFAULT_CURRENCY, currencySymbol, fxRateFor } from '@/lib/currency';
+import { DEFAULT_DIFFICULTY_MODELS, describeDifficultyModel } from '@/lib/difficulty';
+import { DEFAULT_NETWORK, estimateBlockHeight } from '@/lib/halving';
+import { PROJECTION_DEFAULTS } from '@/lib/projection-input';
+import DifficultyModelPanel from '@/components/DifficultyModelPanel';
+import RevenueModelPanel from '@/components/RevenueModelPanel';
+import OperatingCostsPanel from '@/components/OperatingCostsPanel';
+import SellStrategyPanel from '@/components/SellStrategyPanel';
+import TaxPanel from '@/components/TaxPanel';
+import HardwarePanel from '@/components/HardwarePanel';
+import MonteCarloPanel from '@/components/MonteCarloPanel';
+import PurchasePlanPanel from '@/components/PurchasePlanPanel';
+import ComparisonMatrix from '@/components/ComparisonMatrix';
+import SensitivityPanel from '@/components/SensitivityPanel';
+import ProjectionTable from '@/components/ProjectionTable';
+import ProjectionChart from '@/components/ProjectionChart';
 
-export default function MiningCalculator() {
-  // Tier definitions
-  const tiers = [
-    { name: 'Starter', price: 49, hashrate: 2.0, color: '#10b981' },
-    { name: 'Professional', price: 99, hashrate: 4.0, color: '#3b82f6' },
-    { name: 'Enterprise', price: 249, hashrate: 10.0, color: '#8b5cf6' },
-    { name: 'Premium', price: 499, hashrate: 20.0, color: '#f59e0b' },
-  ];
+// Bundled catalog shown until /api/tiers responds.
+function bundledTierCatalog() {
+  const offered = availableTiers(TIERS);
+  return { defaultTier: DEFAULT_TIER_NAME, tiers: offered.length > 0 ? offered : TIERS, custom: CUSTOM_PRICING };
+}
 
+export default function MiningCalculator() {
   // State
-  const [selectedTier, setSelectedTier] = useState(2);
-  const [currentBtcPrice, setCurrentBtcPrice] = useState(null);
-  const [historicalBtcPrice, setHistoricalBtcPrice] = useState(null);
-  // Hashprice is not sourced from CoinGecko; use a reasonable default but persist user edits locally.
-  const [hashpriceUsd, setHashpriceUsd] = useState(0.063);
+  const [tierCatalog, setTierCatalog] = useState(bundledTierCatalog);
+  // null selects the catalog's default tier; names are matched case-insensitively.
+  const [selectedTierName, setSelectedTierName] = useState(null);
+  // 'tier' (catalog), 'custom' (custom hashrate purchase) or 'hardware' (ASICs bought outright).
+  const [purchaseMode, setPurchaseMode] = useState('tier');
+  const [customHashrate, setCustomHashrate] = useState(7);
+  const [customPriceMode, setCustomPriceMode] = useState('perTh'); // 'perTh' | 'total'
+  // User-entered prices (selected currency); null uses the catalog's custom pricing.
+  const [customPricePerTh, setCustomPricePerTh] = useState(null);
+  const [customTotalPrice, setCustomTotalPrice] = useState(null);
+  // Hardware purchase; money in the selected currency, a null unitPrice uses the model's list price.
+  const [hardwareSpec, setHardwareSpec] = useState({
+    modelId: DEFAULT_ASIC_MODEL,
+    units: 1,
+    unitPrice: null,
+    shippingCost: 0,
+    depreciation: DEFAULT_DEPRECIATION,
+  });
+  // Every money input and result is in this currency; live prices arrive in USD and are converted.
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+  const [fxRates, setFxRates] = useState({ [DEFAULT_CURRENCY]: 1 }); // per 1 USD
+  const [liveBtcPriceUsd, setLiveBtcPriceUsd] = useState(null);
+  // User-entered BTC price (selected currency); takes precedence over the live price until cleared.
+  const [btcPriceOverride, setBtcPriceOverride] = useState(null);
+  const [historicalBtcPriceUsd, setHistoricalBtcPriceUsd] = useState(null);
+  // Live BTC/TH/day from /api/hashprice (network difficulty, subsidy and fees); hashprice = this × BTC price.
+  const [liveDailyBtcPerTh, setLiveDailyBtcPerTh] = useState(null);
+  // User-entered hashprice (selected currency); takes precedence over the live value until cleared.
+  const [hashpriceOverride, setHashpriceOverride] = useState(null);
+  // { monthlyRate, months } observed from recent difficulty adjustments.
+  const [difficultyTrend, setDifficultyTrend] = useState(null);
+  const [hashpriceError, setHashpriceError] = useState(null);
   const [electricityCostKwh, setElectricityCostKwh] = useState(0.05);
-  const [wattsPerTh, setWattsPerTh] = useState(29.5);
+  // User-entered efficiency (W/TH); takes precedence over the tier's own until cleared.
+  const [wattsPerThOverride, setWattsPerThOverride] = useState(null);
   const [contractMonths, setContractMonths] = useState(24);
   const [btcGrowthScenario, setBtcGrowthScenario] = useState('historical');
+  const [difficultyModelType, setDifficultyModelType] = useState('flat');
+  // Parameters for every model are kept so switching models doesn't lose edits.
+  const [difficultyModels, setDifficultyModels] = useState(DEFAULT_DIFFICULTY_MODELS);
+  const [revenueModel, setRevenueModel] = useState('hashprice');
+  const [network, setNetwork] = useState(() => ({ blockHeight: estimateBlockHeight(), ...DEFAULT_NETWORK }));
+  // Pool fee, uptime, hosting fees and the early-termination rule (fees in the selected currency).
+  const [operatingCosts, setOperatingCosts] = useState(DEFAULT_OPERATING_COSTS);
+  // Parameters for every sell strategy are kept so switching doesn't lose edits (target price in the selected currency).
+  const [sellStrategyType, setSellStrategyType] = useState('hold');
+  const [sellStrategies, setSellStrategies] = useState(DEFAULT_SELL_STRATEGIES);
+  // How the "buy BTC instead" benchmark spends the same money (see lib/benchmark.js).
+  const [benchmarkMode, setBenchmarkMode] = useState('dca');
+  // Jurisdiction rates, lot method and deductions (lib/tax.js); no tax by default.
+  const [taxSettings, setTaxSettings] = useState(DEFAULT_TAX_SETTINGS);
+  const [historyWindow, setHistoryWindow] = useState('2y');
+  const [historyMethod, setHistoryMethod] = useState('window');
+  const [historySeries, setHistorySeries] = useState(null); // [{ date, close }]
+  const [historyError, setHistoryError] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
+  // Server-side fetch time of the live prices (may be older than lastUpdated when served from cache).
+  const [priceFetchedAt, setPriceFetchedAt] = useState(null);
+  // Which upstream provider served each live price ({ currentPrice, historicalPrice }).
+  const [priceSources, setPriceSources] = useState(null);
+  // Age in seconds of a stale fallback price served after an upstream failure; null when fresh.
+  const [priceStaleAge, setPriceStaleAge] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [priceError, setPriceError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  // Live price recorded in a shared link that was opened with a live price.
+  const [sharedLivePrice, setSharedLivePrice] = useState(null);
+
+  const fxRate = fxRateFor(fxRates, currency);
+  const toLocal = (usd) => (usd !== null && fxRate !== null ? Math.round(usd * fxRate) : null);
+  const liveBtcPrice = toLocal(liveBtcPriceUsd);
+  const historicalBtcPrice = toLocal(historicalBtcPriceUsd);
+  const currentBtcPrice = btcPriceOverride ?? liveBtcPrice;
+  const money = (val, decimals) => formatCurrency(val, currency, decimals);
+  const symbol = currencySymbol(currency);
+  const btcPriceSource = btcPriceOverride !== null ? 'override' : 'live';
+  // Live hashprice follows the BTC price in use, so the BTC yield stays the network's.
+  const liveHashprice = liveDailyBtcPerTh !== null && currentBtcPrice ? liveDailyBtcPerTh * currentBtcPrice : null;
+  const hashpriceUsd = hashpriceOverride ?? liveHashprice ?? PROJECTION_DEFAULTS.hashpriceUsd * (fxRate ?? 1);
+  const hashpriceSource = hashpriceOverride !== null ? 'override' : liveHashprice !== null ? 'live' : 'default';
 
   // Intentionally no persistence: a browser refresh should reset inputs to defaults.
+  // The only exception is an explicitly shared link (see "Copy link"), restored once on load.
+  useEffect(() => {
+    const shared = decodeCalculatorState(window.location.search);
+    // Shared money values are already in the link's currency, so no conversion here.
+    if (shared.currency) setCurrency(shared.currency);
+    if (shared.tierName) setSelectedTierName(shared.tierName);
+    if (shared.hardware) {
+      setPurchaseMode('hardware');
+      setHardwareSpec((prev) => ({ ...prev, ...shared.hardware }));
+    }
+    if (shared.custom) {
+      setPurchaseMode('custom');
+      setCustomHashrate(shared.custom.hashrate);
+      if (shared.custom.totalPrice !== undefined) {
+        setCustomPriceMode('total');
+        setCustomTotalPrice(shared.custom.totalPrice);
+      }
+      if (shared.custom.pricePerTh !== undefined) setCustomPricePerTh(shared.custom.pricePerTh);
+    }
+    if (shared.hashpriceSource === 'override') setHashpriceOverride(shared.hashpriceUsd ?? null);
+    if (shared.electricityCostKwh !== undefined) setElectricityCostKwh(shared.electricityCostKwh);
+    if (shared.wattsPerTh !== undefined) setWattsPerThOverride(shared.wattsPerTh);
+    if (shared.contractMonths !== undefined) setContractMonths(shared.contractMonths);
+    if (shared.scenario) setBtcGrowthScenario(shared.scenario);
+    if (shared.historyWindow) setHistoryWindow(shared.historyWindow);
+    if (shared.historyMethod) setHistoryMethod(shared.historyMethod);
+    if (shared.btcPriceSource === 'override') {
+      setBtcPriceOverride(shared.currentBtcPrice ?? null);
+    } else if (shared.currentBtcPrice !== undefined) {
+      setSharedLivePrice(shared.currentBtcPrice);
+    }
+    if (shared.difficultyModel) {
+      setDifficultyModelType(shared.difficultyModel.type);
+      setDifficultyModels((prev) => ({ ...prev, [shared.difficultyModel.type]: shared.difficultyModel }));
+    }
+    if (shared.revenueModel) setRevenueModel(shared.revenueModel);
+    if (shared.network) setNetwork((prev) => ({ ...prev, ...shared.network }));
+    if (shared.operatingCosts) setOperatingCosts((prev) => ({ ...prev, ...shared.operatingCosts }));
+    if (shared.benchmark) setBenchmarkMode(shared.benchmark);
+    if (shared.sellStrategy) {
+      setSellStrategyType(shared.sellStrategy.type);
+      setSellStrategies((prev) => ({ ...prev, [shared.sellStrategy.type]: shared.sellStrategy }));
+    }
+    if (shared.tax) setTaxSettings(shared.tax);
+  }, []);
 
-  // Calculate historical growth multiplier
-  const historicalMultiplier = useMemo(() => {
+  // Calculate 2-year point-to-point growth multiplier (comparison banner)
+  const twoYearMultiplier = useMemo(() => {
     if (historicalBtcPrice && historicalBtcPrice > 0 && currentBtcPrice && currentBtcPrice > 0) {
       return currentBtcPrice / historicalBtcPrice;
     }
     return null;
   }, [currentBtcPrice, historicalBtcPrice]);
 
+  // Historical scenario multiplier: derived from the daily series for the selected
+  // window/method, falling back to the 2-year point-to-point ratio until it loads.
+  const historicalMultiplier = useMemo(() => {
+    if (historySeries?.length > 1) {
+      const m = historicalGrowthMultiplier(historySeries, historyMethod);
+      if (Number.isFinite(m) && m > 0) return m;
+    }
+    return twoYearMultiplier;
+  }, [historySeries, historyMethod, twoYearMultiplier]);
+
+  // Price history available for estimating Monte Carlo drift/volatility.
+  const historicalPriceSeries = useMemo(() => {
+    if (historySeries?.length > 2) {
+      return { prices: historySeries.map((p) => p.close), intervalYears: 1 / 365 };
+    }
+    if (!(historicalBtcPrice > 0) || !(currentBtcPrice > 0)) return null;
+    return { prices: [historicalBtcPrice, currentBtcPrice], intervalYears: 2 };
+  }, [historySeries, currentBtcPrice, historicalBtcPrice]);
+
+  // Fetch the daily close series whenever the lookback window changes
+  useEffect(() => {
+    let cancelled = false;
+    const fetchHistory = async () => {
+      setHistoryError(null);
+      try {
+        const res = await fetch(`/api/btc-history?window=${encodeURIComponent(historyWindow)}`);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data?.error || `History API error: ${res.status} ${res.statusText}`);
+        }
+        if (!Array.isArray(data?.prices)) {
+          throw new Error('Invalid price history from history API');
+        }
+        if (!cancelled) setHistorySeries(data.prices);
+      } catch (error) {
+        console.error('Error fetching price history:', error);
+        if (!cancelled) {
+          setHistorySeries(null);
+          setHistoryError(`History API Error: ${error.message}`);
+        }
+      }
+    };
+
+    fetchHistory();
+    return () => {
+      cancelled = true;
+    };
+  }, [historyWindow]);
+
+  // Fetch the tier catalog once on mount; the bundled copy stays in place if this fails
+  useEffect(() => {
+    const fetchTiers = async () => {
+      try {
+        const res = await fetch('/api/tiers');
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data?.error || `Tiers API error: ${res.status} ${res.statusText}`);
+        }
+        if (!Array.isArray(data?.tiers) || data.tiers.length === 0) {
+          throw new Error('No tiers available from tiers API');
+        }
+        if (data.error) console.error('Tier catalog:', data.error);
+        setTierCatalog({ defaultTier: data.defaultTier, tiers: data.tiers, custom: data.custom ?? null });
+      } catch (error) {
+        console.error('Error fetching tiers:', error);
+      }
+    };
+
+    fetchTiers();
+  }, []);
+
+  // Fetch live network stats (hashprice, difficulty trend) on mount and refresh with the prices
+  useEffect(() => {
+    const fetchHashprice = async () => {
+      try {
+        const res = await fetch('/api/hashprice');
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data?.error || `Hashprice API error: ${res.status} ${res.statusText}`);
+        }
+        if (typeof data?.dailyBtcPerTh !== 'number' || data.dailyBtcPerTh <= 0) {
+          throw new Error('Invalid hashprice from hashprice API');
+        }
+        setLiveDailyBtcPerTh(data.dailyBtcPerTh);
+        setDifficultyTrend(Number.isFinite(data.difficultyTrend?.monthlyRate) ? data.difficultyTrend : null);
+        setHashpriceError(null);
+      } catch (error) {
+        console.error('Error fetching hashprice:', error);
+        setHashpriceError(`Hashprice API Error: ${error.message}`);
+      }
+    };
+
+    fetchHashprice();
+    const interval = setInterval(fetchHashprice, 12 * 60 * 60 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
   // Fetch BTC prices on mount and set up refresh
   useEffect(() => {
     const fetchPrices = async () => {
@@ -56,10 +321,14 @@ export default function MiningCalculator() {
           throw new Error('Invalid historical price from price API');
         }
 
-        setCurrentBtcPrice(data.currentPriceUsd);
-        setHistoricalBtcPrice(data.historicalPriceUsd);
+        setLiveBtcPriceUsd(data.currentPriceUsd);
+        setHistoricalBtcPriceUsd(data.historicalPriceUsd);
+        setFxRates(data.fxRates ?? { [DEFAULT_CURRENCY]: 1 });
         
         setLastUpdated(new Date());
+        setPriceFetchedAt(typeof data.fetchedAt === 'string' ? data.fetchedAt : null);
+        setPriceSources(data.sources ?? null);
+        setPriceStaleAge(data.stale ? data.ageSeconds ?? 0 : null);
         setPriceError(null);
       } catch (error) {
         console.error('Error fetching prices:', error);
@@ -79,147 +348,343 @@ export default function MiningCalculator() {
   }, []);
 
   // Base multipliers (defined for 24-month period)
-  const baseMultipliers = useMemo(() => ({
-    bear: { label: 'Bear', base24m: 0.7, color: '#ef4444' },
-    flat: { label: 'Flat', base24m: 1.0, color: '#6b7280' },
-    base: { label: 'Base', base24m: 2.0, color: '#3b82f6' },
-    historical: { 
-      label: 'Historical 2yr', 
-      base24m: historicalMultiplier, 
-      color: '#f7931a',
-      isLive: true,
-    },
-    mega: { label: 'Mega', base24m: 10.0, color: '#a855f7' },
-  }), [historicalMultiplier]);
+  const baseMultipliers = useMemo(
+    () => buildBaseMultipliers(historicalMultiplier, `Historical ${HISTORY_WINDOW_LABELS[historyWindow]}`),
+    [historicalMultiplier, historyWindow]
+  );
 
   // Scale multipliers based on contract length (all scenarios defined as 24-month base)
-  const growthScenarios = useMemo(() => {
-    const scaled = {};
-    Object.entries(baseMultipliers).forEach(([key, val]) => {
-      const base24m = val.base24m;
-
-      // If we don't have valid live data yet (e.g. historicalMultiplier is null),
-      // mark the scenario unavailable rather than coercing to 0 / NaN.
-      if (!Number.isFinite(base24m) || base24m <= 0 || contractMonths <= 0) {
-        scaled[key] = {
-          ...val,
-          finalMultiplier: null,
-          label: `${val.label} (unavailable)`,
-        };
-        return;
-      }
+  const growthScenarios = useMemo(
+    () => scaleGrowthScenarios(baseMultipliers, contractMonths),
+    [baseMultipliers, contractMonths]
+  );
 
-      // Scale: adjusted = base ^ (contractMonths / 24)
-      const scaledMultiplier = Math.pow(base24m, contractMonths / 24);
-      const percentChange = ((scaledMultiplier - 1) * 100).toFixed(0);
-      const sign = scaledMultiplier >= 1 ? '+' : '';
+  // Difficulty growth assumptions
+  const difficultyModel = difficultyModels[difficultyModelType];
+  const difficultyDescription = describeDifficultyModel(difficultyModel);
+  const sellStrategy = sellStrategies[sellStrategyType];
 
-      scaled[key] = {
-        ...val,
-        finalMultiplier: scaledMultiplier,
-        label: `${val.label} (${scaledMultiplier.toFixed(2)}x / ${sign}${percentChange}%)`,
-      };
+  // Catalog tiers priced in the selected currency.
+  const tiers = useMemo(
+    () => tierCatalog.tiers.map((t) => localizeTier(t, currency, fxRate)),
+    [tierCatalog, currency, fxRate]
+  );
+  const selectedTier = useMemo(() => {
+    const indexOf = (name) => tiers.findIndex((t) => t.name.toLowerCase() === name?.toLowerCase());
+    const idx = indexOf(selectedTierName);
+    return idx >= 0 ? idx : Math.max(0, indexOf(tierCatalog.defaultTier));
+  }, [tiers, selectedTierName, tierCatalog.defaultTier]);
+  // Custom purchase priced by the user's total or per-TH price, else the catalog's list price less volume discount.
+  const customPricing = useMemo(
+    () => localizeCustomPricing(tierCatalog.custom, currency, fxRate),
+    [tierCatalog.custom, currency, fxRate]
+  );
+  const customTier = useMemo(() => {
+    const built = buildCustomTier(customPricing, {
+      hashrate: customHashrate,
+      pricePerTh: customPriceMode === 'perTh' ? customPricePerTh ?? undefined : undefined,
+      totalPrice: customPriceMode === 'total' ? customTotalPrice ?? undefined : undefined,
     });
-    return scaled;
-  }, [baseMultipliers, contractMonths]);
+    return built ?? { name: CUSTOM_TIER_NAME, custom: true, price: null, hashrate: customHashrate, color: '#14b8a6' };
+  }, [customPricing, customHashrate, customPriceMode, customPricePerTh, customTotalPrice]);
+  const customHashrateValid = customHashrate > 0 && customHashrateAllowed(customPricing, customHashrate);
+  // ASIC list prices are USD, like the tier catalog.
+  const hardwareListPrices = useMemo(
+    () => Object.fromEntries(ASIC_MODELS.map((m) => [m.id, fxRate !== null ? Math.round(m.listPrice * fxRate) : m.listPrice])),
+    [fxRate]
+  );
+  const hardwareTier = useMemo(() => {
+    const model = findAsicModel(hardwareSpec.modelId) ?? findAsicModel(DEFAULT_ASIC_MODEL);
+    return buildHardwareTier(model, { ...hardwareSpec, unitPrice: hardwareSpec.unitPrice ?? hardwareListPrices[model.id] });
+  }, [hardwareSpec, hardwareListPrices]);
+  const customMode = purchaseMode === 'custom';
+  const hardwareMode = purchaseMode === 'hardware';
+  const tier = customMode ? customTier : hardwareMode ? hardwareTier : tiers[selectedTier];
+  const scenario = growthScenarios[btcGrowthScenario];
+  // Same precedence as /api/projection: the user's efficiency, then the tier's, then the default.
+  const tierWattsPerTh = resolveWattsPerTh(tier, wattsPerThOverride);
+  const maintenanceFeeMonthly = tier.maintenanceFeeMonthly ?? 0;
+  const contractMin = tier.minContractMonths ?? 6;
+  // Owned hardware has no contract, so the horizon can run longer.
+  const contractMax = tier.maxContractMonths ?? (hardwareMode ? HARDWARE_MAX_MONTHS : Math.max(36, contractMin));
 
-  // Difficulty growth assumptions (monthly)
-  const difficultyGrowthMonthly = 0.04;
+  // Keep the contract length within what the selected tier is sold for.
+  useEffect(() => {
+    setContractMonths((m) => clampContractMonths(tier, m));
+  }, [tier]);
 
-  const tier = tiers[selectedTier];
-  const scenario = growthScenarios[btcGrowthScenario];
+  // Power is only drawn while the hardware is up.
+  const monthlyElecCost = useMemo(
+    () => computeMonthlyElecCost({ wattsPerTh: tierWattsPerTh, electricityCostKwh, hashrate: tier.hashrate }) * operatingCosts.uptime,
+    [tierWattsPerTh, electricityCostKwh, tier.hashrate, operatingCosts.uptime]
+  );
+  // Tier's included maintenance plus the hosting fee.
+  const monthlyHostingCost = maintenanceFeeMonthly + operatingCosts.hostingFeeMonthly
+    + operatingCosts.hostingFeePerThDay * tier.hashrate * DAYS_PER_MONTH;
 
-  // Calculate electricity cost per TH per day
-  const elecCostPerThPerDay = useMemo(() => {
-    const kwhPerThPerDay = (wattsPerTh * 24) / 1000;
-    return kwhPerThPerDay * electricityCostKwh;
-  }, [wattsPerTh, electricityCostKwh]);
+  // Projection inputs shared by every tier / scenario
+  const baseProjectionInput = useMemo(() => ({
+    hashpriceUsd,
+    currentBtcPrice,
+    difficultyModel,
+    electricityCostKwh,
+    // Only the override: the comparison and purchase plans resolve it per tier.
+    wattsPerTh: wattsPerThOverride,
+    contractMonths,
+    revenueModel,
+    network,
+    ...operatingCosts,
+    sellStrategy,
+  }), [hashpriceUsd, currentBtcPrice, difficultyModel, electricityCostKwh, wattsPerThOverride, contractMonths, revenueModel, network, operatingCosts, sellStrategy]);
 
-  const monthlyElecCost = elecCostPerThPerDay * tier.hashrate * 30;
+  const projectionInput = useMemo(() => ({
+    ...baseProjectionInput,
+    tier,
+    wattsPerTh: tierWattsPerTh,
+    finalMultiplier: scenario?.finalMultiplier,
+  }), [baseProjectionInput, tier, tierWattsPerTh, scenario]);
 
   // Calculate monthly projections
-  const monthlyProjections = useMemo(() => {
-    const projections = [];
-    let cumulativeBtc = 0;
-    let cumulativeElecCost = 0;
+  const monthlyProjections = useMemo(() => projectMonthly(projectionInput), [projectionInput]);
 
-    if (!currentBtcPrice || !Number.isFinite(currentBtcPrice) || currentBtcPrice <= 0) {
-      return projections;
-    }
-    if (!scenario || !Number.isFinite(scenario.finalMultiplier) || scenario.finalMultiplier <= 0) {
-      return projections;
-    }
-    if (!contractMonths || contractMonths <= 0) {
-      return projections;
-    }
+  const breakeven = useMemo(() => analyzeBreakeven(projectionInput), [projectionInput]);
 
-    const monthlyBtcGrowthRate = Math.pow(scenario.finalMultiplier, 1 / contractMonths) - 1;
+  // The same projection under every available scenario, for the chart's overlays.
+  const scenarioProjections = useMemo(
+    () => Object.entries(growthScenarios)
+      .filter(([, s]) => Number.isFinite(s.finalMultiplier))
+      .map(([key, s]) => ({
+        key,
+        label: s.shortLabel,
+        color: s.color,
+        rows: projectMonthly({ ...projectionInput, finalMultiplier: s.finalMultiplier }),
+      })),
+    [growthScenarios, projectionInput]
+  );
 
-    for (let month = 1; month <= contractMonths; month++) {
-      // Difficulty adjustment reduces BTC earned over time
-      // If difficulty grows by 4%, your BTC earnings decrease by 1/1.04 = 3.85%
-      // More accurate than (1-0.04) which would be 4% decay
-      const difficultyMultiplier = Math.pow(1 / (1 + difficultyGrowthMonthly), month - 1);
-      
-      // Calculate gross BTC earned this month
-      // hashpriceUsd / currentBtcPrice = BTC per TH per day at current difficulty
-      const dailyBtcPerTh = (hashpriceUsd / currentBtcPrice) * difficultyMultiplier;
-      const monthlyBtcGross = dailyBtcPerTh * tier.hashrate * 30;
-      
-      // Customer receives GROSS BTC - electricity is paid separately in USD
-      // (Not deducted from BTC to avoid double-counting)
-      cumulativeBtc += monthlyBtcGross;
-      cumulativeElecCost += monthlyElecCost;
+  // Same money spent on spot BTC instead, along the same price path.
+  const hodlRows = useMemo(
+    () => hodlBenchmark(monthlyProjections, { upfront: tier.price, currentBtcPrice, mode: benchmarkMode }),
+    [monthlyProjections, tier.price, currentBtcPrice, benchmarkMode]
+  );
+  const hodl = useMemo(() => hodlThreshold(projectionInput, benchmarkMode), [projectionInput, benchmarkMode]);
+  const finalHodl = hodlRows[hodlRows.length - 1];
 
-      // BTC price appreciation over time
-      const btcPriceAtMonth = currentBtcPrice * Math.pow(1 + monthlyBtcGrowthRate, month);
-      
-      // Portfolio value = accumulated BTC × BTC price at that month
-      const portfolioValue = cumulativeBtc * btcPriceAtMonth;
-      
-      // Total cost = upfront payment + cumulative electricity (both in USD)
-      const totalCost = tier.price + cumulativeElecCost;
-      
-      // ROI = (value - cost) / cost
-      const roi = ((portfolioValue - totalCost) / totalCost) * 100;
-
-      projections.push({
-        month,
-        monthlyBtcGross,
-        cumulativeBtc,
-        btcPrice: btcPriceAtMonth,
-        portfolioValue,
-        cumulativeElecCost,
-        totalCost,
-        roi,
-      });
-    }
+  // Income tax on mined BTC and gains on sales, lot by lot; ledger periods count from today.
+  const taxEnabled = isTaxEnabled(taxSettings);
+  const taxResult = useMemo(
+    () => computeTax(monthlyProjections, taxSettings, { startDate: new Date() }),
+    [monthlyProjections, taxSettings]
+  );
+  const finalTax = taxEnabled ? taxResult.summary : null;
+
+  // A custom or hardware purchase joins the matrix as an extra row, next to the contract tiers.
+  const matrixTiers = useMemo(() => (purchaseMode !== 'tier' ? [...tiers, tier] : tiers), [purchaseMode, tiers, tier]);
+  const comparisonMatrix = useMemo(
+    () => compareTiersAndScenarios({ tiers: matrixTiers, scenarios: growthScenarios, baseInput: baseProjectionInput }),
+    [matrixTiers, growthScenarios, baseProjectionInput]
+  );
 
-    return projections;
-  }, [tier, hashpriceUsd, currentBtcPrice, contractMonths, scenario, monthlyElecCost, difficultyGrowthMonthly]);
+  const halvingMonth = monthlyProjections.find((p) => p.halvingHeight)?.month ?? null;
+  const terminatedMonth = monthlyProjections.find((p) => !p.active)?.month ?? null;
 
   const finalProjection = monthlyProjections[monthlyProjections.length - 1];
 
-  // Format helpers
-  const formatUsd = (val) => {
-    const n = typeof val === 'number' ? val : Number(val);
-    if (!Number.isFinite(n)) return '—';
-    return n.toLocaleString('en-US', {
-      style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0,
+  // Everything needed to audit an exported projection.
+  const exportAssumptions = useMemo(() => ({
+    Currency: currency,
+    'FX rate (per USD)': fxRate ?? '',
+    'BTC price timestamp': priceFetchedAt ?? (lastUpdated ? lastUpdated.toISOString() : ''),
+    'BTC price source': btcPriceSource,
+    'BTC price stale (age, s)': priceStaleAge ?? '',
+    'BTC price providers': priceSources ? `spot: ${priceSources.currentPrice}, historical: ${priceSources.historicalPrice}` : '',
+    [`Current BTC price (${currency})`]: currentBtcPrice,
+    [`Historical BTC price (${currency}, 2y ago)`]: historicalBtcPrice,
+    'Historical window': historyWindow,
+    'Historical growth method': GROWTH_METHODS[historyMethod],
+    Tier: tier.name,
+    [`Upfront price (${currency})`]: tier.price,
+    'Hashrate (TH/s)': tier.hashrate,
+    [`Price per TH (${currency})`]: tier.custom ? tier.pricePerTh ?? '' : '',
+    'Volume discount': tier.custom ? tier.volumeDiscount ?? '' : '',
+    'Hardware units': tier.hardware?.units ?? '',
+    [`Hardware price per unit (${currency})`]: tier.hardware?.unitPrice ?? '',
+    [`Shipping / setup (${currency})`]: tier.hardware?.shippingCost ?? '',
+    Depreciation: tier.hardware ? describeDepreciation(tier.hardware.depreciation) : '',
+    [`Hardware resale value (${currency}, end)`]: tier.hardware ? finalProjection?.hardwareValue ?? '' : '',
+    [`Maintenance fee (${currency}/month)`]: maintenanceFeeMonthly,
+    'Revenue model': revenueModel,
+    [`Hashprice (${currency}/TH/day)`]: revenueModel === 'hashprice' ? hashpriceUsd : '',
+    'Hashprice source': revenueModel === 'hashprice' ? hashpriceSource : '',
+    'Block height': revenueModel === 'halving' ? network.blockHeight : '',
+    'Network hashrate (EH/s)': revenueModel === 'halving' ? network.networkHashrateEh : '',
+    'Fee share of block reward': revenueModel === 'halving' ? network.feeShare : '',
+    [`Electricity (${currency}/kWh)`]: electricityCostKwh,
+    'Efficiency (W/TH)': tierWattsPerTh,
+    'Pool fee': operatingCosts.poolFee,
+    Uptime: operatingCosts.uptime,
+    [`Hosting fee (${currency}/TH/day)`]: operatingCosts.hostingFeePerThDay,
+    [`Hosting fee (${currency}/month)`]: operatingCosts.hostingFeeMonthly,
+    'Stop when unprofitable': operatingCosts.stopWhenUnprofitable ? 'yes' : 'no',
+    'Sell strategy': describeSellStrategy(sellStrategy),
+    Tax: describeTaxSettings(taxSettings),
+    'Deduct electricity + hosting from income': taxEnabled ? (taxSettings.deductCosts ? 'yes' : 'no') : '',
+    [`After-tax value (${currency}, end)`]: finalTax?.afterTaxValue ?? '',
+    'Contract stopped (month)': terminatedMonth ?? '',
+    'Buy-BTC benchmark': BENCHMARK_MODES[benchmarkMode],
+    'Contract length (months)': contractMonths,
+    'Growth scenario': scenario?.label ?? btcGrowthScenario,
+    'Final BTC price multiplier': scenario?.finalMultiplier ?? '',
+    'Difficulty growth': difficultyDescription,
+  }), [currency, fxRate, priceFetchedAt, lastUpdated, btcPriceSource, priceSources, priceStaleAge, currentBtcPrice, historicalBtcPrice, historyWindow, historyMethod, tier, maintenanceFeeMonthly, revenueModel, hashpriceUsd, hashpriceSource, network, electricityCostKwh, tierWattsPerTh, operatingCosts, sellStrategy, taxSettings, taxEnabled, finalTax, terminatedMonth, benchmarkMode, contractMonths, scenario, btcGrowthScenario, difficultyDescription, finalProjection]);
+
+  // Totals follow the projection (which stops costs after an early termination); the
+  // monthly figures are what an active month costs.
+  const costBreakdown = [
+    {
+      label: 'Upfront (One-time)',
+      value: money(tier.price),
+      color: tier.color,
+      hint: tier.hardware?.shippingCost > 0 ? `incl. ${money(tier.hardware.shippingCost)} shipping / setup` : undefined,
+    },
+    { label: 'Monthly Electricity', value: `${money(monthlyElecCost)}/mo`, color: '#f59e0b' },
+    {
+      label: `Total ${contractMonths}mo Electricity`,
+      value: money(finalProjection?.cumulativeElecCost ?? monthlyElecCost * contractMonths),
+      color: '#f59e0b',
+    },
+    ...(monthlyHostingCost > 0 ? [
+      { label: 'Monthly Hosting / Maintenance', value: `${money(monthlyHostingCost, 2)}/mo`, color: '#f59e0b' },
+      {
+        label: `Total ${contractMonths}mo Hosting / Maintenance`,
+        value: money(finalProjection?.cumulativeMaintenanceCost ?? monthlyHostingCost * contractMonths),
+        color: '#f59e0b',
+      },
+    ] : []),
+    ...(operatingCosts.poolFee > 0 ? [{
+      label: `Pool Fee (${formatPercent(operatingCosts.poolFee * 100).replace('+', '')})`,
+      value: money(finalProjection?.cumulativePoolFeeValue),
+      color: '#a855f7',
+      hint: 'BTC kept by the pool, valued at each month’s price',
+    }] : []),
+    ...(operatingCosts.uptime < 1 ? [{
+      label: `Downtime (${formatPercent(operatingCosts.uptime * 100).replace('+', '')} uptime)`,
+      value: money(finalProjection?.cumulativeDowntimeValue),
+      color: '#a855f7',
+      hint: 'BTC not mined while down, valued at each month’s price',
+    }] : []),
+    ...(operatingCosts.stopWhenUnprofitable ? [{
+      label: 'Early Termination',
+      value: terminatedMonth ? `Month ${terminatedMonth}` : 'Not triggered',
+      color: terminatedMonth ? '#ef4444' : '#10b981',
+      hint: 'Stops once daily revenue < daily costs',
+    }] : []),
+    ...(sellStrategy.type !== 'hold' ? [{
+      label: `Realized from Sales (₿ ${formatBtc(finalProjection?.cumulativeBtcSold ?? 0)})`,
+      value: money(finalProjection?.realizedFiat),
+      color: '#10b981',
+      hint: 'Fiat from BTC sold, included in the portfolio value',
+    }] : []),
+    ...(tier.hardware ? [{
+      label: `Est. Hardware Resale (month ${contractMonths})`,
+      value: money(finalProjection?.hardwareValue),
+      color: '#10b981',
+      hint: 'Included in the portfolio value',
+    }] : []),
+    {
+      label: 'All-In Cost',
+      value: money(finalProjection?.totalCost ?? tier.price + (monthlyElecCost + monthlyHostingCost) * contractMonths),
+      color: '#e2e8f0',
+    },
+  ];
+
+  const tableRows = useMemo(
+    () => monthlyProjections.map((p, i) => ({
+      ...p,
+      hodlBtc: hodlRows[i]?.hodlBtc,
+      hodlValue: hodlRows[i]?.hodlValue,
+      ...(taxEnabled
+        ? {
+          cumulativeTax: taxResult.rows[i].cumulativeTax,
+          liquidationTax: taxResult.rows[i].liquidationTax,
+          afterTaxValue: taxResult.rows[i].afterTaxValue,
+          afterTaxRoi: taxResult.rows[i].afterTaxRoi,
+        }
+        : {}),
+    })),
+    [monthlyProjections, hodlRows, taxEnabled, taxResult]
+  );
+  const baseColumns = dropEmptyColumns(projectionColumns(currency), tableRows);
+  const tableColumns = revenueModel === 'halving'
+    ? [...baseColumns.slice(0, 2), { key: 'blockSubsidy', label: 'Block Subsidy (BTC)' }, ...baseColumns.slice(2)]
+    : baseColumns;
+
+  const copyShareLink = async () => {
+    const query = encodeCalculatorState({
+      currency,
+      tierName: tier.name,
+      custom: customMode
+        ? {
+          hashrate: customHashrate,
+          totalPrice: customPriceMode === 'total' ? customTotalPrice ?? undefined : undefined,
+          pricePerTh: customPriceMode === 'perTh' ? customPricePerTh ?? undefined : undefined,
+        }
+        : null,
+      hardware: hardwareMode ? hardwareSpec : null,
+      hashpriceUsd,
+      // A default placeholder is shared as live so the recipient gets today's value.
+      hashpriceSource: hashpriceSource === 'override' ? 'override' : 'live',
+      electricityCostKwh,
+      // Only a user value is shared; otherwise the recipient gets the tier's own.
+      wattsPerTh: wattsPerThOverride,
+      contractMonths,
+      scenario: btcGrowthScenario,
+      currentBtcPrice,
+      btcPriceSource,
+      historyWindow,
+      historyMethod,
+      difficultyModel,
+      revenueModel,
+      network,
+      operatingCosts,
+      benchmark: benchmarkMode,
+      sellStrategy,
+      tax: taxSettings,
     });
+    const url = `${window.location.origin}${window.location.pathname}?${query}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(true);
+      setTimeout(() => setLinkCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying link:', error);
+      window.prompt('Copy this link:', url);
+    }
   };
-  const formatBtc = (val) => {
-    const n = typeof val === 'number' ? val : Number(val);
-    if (!Number.isFinite(n)) return '—';
-    return n.toFixed(8);
-  };
-  const formatPercent = (val) => {
-    const n = typeof val === 'number' ? val : Number(val);
-    if (!Number.isFinite(n)) return '—';
-    return `${n >= 0 ? '+' : ''}${n.toFixed(1)}%`;
+
+  // Switching currency converts the money inputs so they keep describing the same amounts.
+  const changeCurrency = (next) => {
+    const nextRate = fxRateFor(fxRates, next);
+    if (fxRate !== null && nextRate !== null) {
+      const ratio = nextRate / fxRate;
+      setHashpriceOverride((v) => (v === null ? null : Number((v * ratio).toFixed(4))));
+      setElectricityCostKwh((v) => Number((v * ratio).toFixed(4)));
+      setBtcPriceOverride((v) => (v === null ? null : Math.round(v * ratio)));
+      setCustomPricePerTh((v) => (v === null ? null : Number((v * ratio).toFixed(2))));
+      setCustomTotalPrice((v) => (v === null ? null : Math.round(v * ratio)));
+      setSellStrategies((prev) => ({ ...prev, target: { ...prev.target, price: Math.round(prev.target.price * ratio) } }));
+      setHardwareSpec((s) => ({
+        ...s,
+        unitPrice: s.unitPrice === null ? null : Math.round(s.unitPrice * ratio),
+        shippingCost: Math.round(s.shippingCost * ratio),
+      }));
+      setOperatingCosts((c) => ({
+        ...c,
+        hostingFeePerThDay: Number((c.hostingFeePerThDay * ratio).toFixed(4)),
+        hostingFeeMonthly: Number((c.hostingFeeMonthly * ratio).toFixed(2)),
+      }));
+    }
+    setCurrency(next);
   };
 
   // Format date for 2 years ago display
@@ -271,17 +736,33 @@ export default function MiningCalculator() {
             width: '8px',
             height: '8px',
             borderRadius: '50%',
-            background: isLoading ? '#f59e0b' : '#10b981',
+            background: isLoading || priceStaleAge !== null ? '#f59e0b' : '#10b981',
             animation: isLoading ? 'pulse 1s infinite' : 'none',
           }} />
           <span style={{ fontSize: '12px', color: '#94a3b8' }}>
             {isLoading ? 'Fetching live prices...' : (
-              currentBtcPrice ? (
+              liveBtcPrice ? (
                 <>
-                  Live: <span style={{ color: '#f7931a', fontWeight: '600' }}>{formatUsd(currentBtcPrice)}</span>
+                  Live: <span style={{ color: '#f7931a', fontWeight: '600' }}>{money(liveBtcPrice)}</span>
                   {lastUpdated && (
                     <span style={{ marginLeft: '8px', opacity: 0.6 }}>
                       Updated {lastUpdated.toLocaleTimeString()}
+                      {priceSources?.currentPrice && ` via ${priceSources.currentPrice}`}
+                    </span>
+                  )}
+                  {priceStaleAge !== null && (
+                    <span
+                      title="Price providers are unreachable; showing the last good price while retrying."
+                      style={{
+                        marginLeft: '8px',
+                        padding: '1px 6px',
+                        borderRadius: '4px',
+                        background: 'rgba(245, 158, 11, 0.15)',
+                        color: '#f59e0b',
+                        fontWeight: '600',
+                      }}
+                    >
+                      Stale price · {formatAge(priceStaleAge)} old
                     </span>
                   )}
                 </>
@@ -294,10 +775,57 @@ export default function MiningCalculator() {
         {priceError && (
           <div style={{ fontSize: '11px', color: '#f59e0b', marginTop: '6px' }}>{priceError}</div>
         )}
+        {!isLoading && fxRate === null && (
+          <div style={{ fontSize: '11px', color: '#f59e0b', marginTop: '6px' }}>
+            No {currency} exchange rate available right now; switch to USD or try again later.
+          </div>
+        )}
+        <div style={{ marginTop: '10px', display: 'flex', justifyContent: 'center', gap: '8px' }}>
+          <select
+            value={currency}
+            onChange={(e) => changeCurrency(e.target.value)}
+            aria-label="Currency"
+            style={{
+              padding: '6px 10px',
+              borderRadius: '16px',
+              border: '1px solid rgba(255,255,255,0.15)',
+              background: 'rgba(0,0,0,0.3)',
+              color: '#94a3b8',
+              fontSize: '12px',
+              fontFamily: 'inherit',
+            }}
+          >
+            {CURRENCY_CODES.map((code) => (
+              <option key={code} value={code} disabled={code !== currency && fxRateFor(fxRates, code) === null}>
+                {code} · {CURRENCIES[code].label}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={copyShareLink}
+            style={{
+              padding: '6px 14px',
+              borderRadius: '16px',
+              border: '1px solid rgba(255,255,255,0.15)',
+              background: 'rgba(0,0,0,0.3)',
+              color: linkCopied ? '#10b981' : '#94a3b8',
+              fontSize: '12px',
+              fontFamily: 'inherit',
+              cursor: 'pointer',
+            }}
+          >
+            {linkCopied ? '✓ Link copied' : '🔗 Copy link'}
+          </button>
+        </div>
+        {sharedLivePrice && (
+          <div style={{ fontSize: '11px', color: '#64748b', marginTop: '6px' }}>
+            This link was shared with a live BTC price of {money(sharedLivePrice)}; showing today&apos;s live price instead.
+          </div>
+        )}
       </div>
 
       {/* 2-Year Price Comparison Banner */}
-      {currentBtcPrice && historicalBtcPrice && historicalMultiplier ? (
+      {currentBtcPrice && historicalBtcPrice && twoYearMultiplier ? (
         <div style={{
           maxWidth: '1200px',
           margin: '0 auto 20px',
@@ -314,7 +842,7 @@ export default function MiningCalculator() {
           <div style={{ textAlign: 'center', flex: '1', minWidth: '140px' }}>
             <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>{twoYearsAgoDate}</div>
             <div style={{ fontSize: '22px', fontWeight: '700', color: '#94a3b8' }}>
-              {formatUsd(historicalBtcPrice)}
+              {money(historicalBtcPrice)}
             </div>
           </div>
           
@@ -329,7 +857,7 @@ export default function MiningCalculator() {
               gap: '8px',
             }}>
               <span>→</span>
-              <span>{historicalMultiplier.toFixed(2)}x</span>
+              <span>{twoYearMultiplier.toFixed(2)}x</span>
               <span>→</span>
             </div>
             <div style={{ fontSize: '11px', color: '#64748b' }}>2-Year Growth</div>
@@ -338,7 +866,7 @@ export default function MiningCalculator() {
           <div style={{ textAlign: 'center', flex: '1', minWidth: '140px' }}>
             <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>{todayDate}</div>
             <div style={{ fontSize: '22px', fontWeight: '700', color: '#f7931a' }}>
-              {formatUsd(currentBtcPrice)}
+              {money(currentBtcPrice)}
             </div>
           </div>
         </div>
@@ -373,24 +901,194 @@ export default function MiningCalculator() {
             {tiers.map((t, idx) => (
               <button
                 key={t.name}
-                onClick={() => setSelectedTier(idx)}
+                onClick={() => {
+                  setSelectedTierName(t.name);
+                  setPurchaseMode('tier');
+                }}
                 style={{
                   padding: '16px 12px',
                   borderRadius: '8px',
-                  border: selectedTier === idx ? `2px solid ${t.color}` : '2px solid rgba(255,255,255,0.1)',
-                  background: selectedTier === idx ? `${t.color}15` : 'rgba(0,0,0,0.3)',
-                  color: selectedTier === idx ? t.color : '#94a3b8',
+                  border: purchaseMode === 'tier' && selectedTier === idx ? `2px solid ${t.color}` : '2px solid rgba(255,255,255,0.1)',
+                  background: purchaseMode === 'tier' && selectedTier === idx ? `${t.color}15` : 'rgba(0,0,0,0.3)',
+                  color: purchaseMode === 'tier' && selectedTier === idx ? t.color : '#94a3b8',
                   cursor: 'pointer',
                   transition: 'all 0.2s',
                   textAlign: 'left',
                 }}
               >
                 <div style={{ fontSize: '15px', fontWeight: '600', marginBottom: '4px' }}>{t.name}</div>
-                <div style={{ fontSize: '20px', fontWeight: '700' }}>${t.price}</div>
-                <div style={{ fontSize: '12px', opacity: 0.7 }}>{t.hashrate} TH/s</div>
+                <div style={{ fontSize: '20px', fontWeight: '700' }}>{money(t.price)}</div>
+                <div style={{ fontSize: '12px', opacity: 0.7 }}>
+                  {t.hashrate} TH/s{t.wattsPerTh ? ` · ${t.wattsPerTh} W/TH` : ''}
+                </div>
+                {t.maintenanceFeeMonthly > 0 && (
+                  <div style={{ fontSize: '11px', opacity: 0.6 }}>+ {money(t.maintenanceFeeMonthly, 2)}/mo maintenance</div>
+                )}
+                {(t.minContractMonths || t.maxContractMonths) && (
+                  <div style={{ fontSize: '11px', opacity: 0.6 }}>
+                    {t.minContractMonths ?? 1}–{t.maxContractMonths ?? '∞'} mo contracts
+                  </div>
+                )}
+                {t.availableUntil && (
+                  <div style={{ fontSize: '11px', opacity: 0.6 }}>Available until {t.availableUntil}</div>
+                )}
               </button>
             ))}
+            <button
+              onClick={() => setPurchaseMode('custom')}
+              style={{
+                padding: '16px 12px',
+                borderRadius: '8px',
+                border: customMode ? `2px solid ${customTier.color}` : '2px dashed rgba(255,255,255,0.15)',
+                background: customMode ? `${customTier.color}15` : 'rgba(0,0,0,0.3)',
+                color: customMode ? customTier.color : '#94a3b8',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                textAlign: 'left',
+              }}
+            >
+              <div style={{ fontSize: '15px', fontWeight: '600', marginBottom: '4px' }}>{CUSTOM_TIER_NAME}</div>
+              <div style={{ fontSize: '20px', fontWeight: '700' }}>{customMode ? money(customTier.price) : 'Any size'}</div>
+              <div style={{ fontSize: '12px', opacity: 0.7 }}>
+                {customMode ? `${customTier.hashrate} TH/s` : 'Choose your hashrate'}
+              </div>
+            </button>
+            <button
+              onClick={() => setPurchaseMode('hardware')}
+              style={{
+                padding: '16px 12px',
+                borderRadius: '8px',
+                border: hardwareMode ? `2px solid ${HARDWARE_COLOR}` : '2px dashed rgba(255,255,255,0.15)',
+                background: hardwareMode ? `${HARDWARE_COLOR}15` : 'rgba(0,0,0,0.3)',
+                color: hardwareMode ? HARDWARE_COLOR : '#94a3b8',
+                cursor: 'pointer',
+                transition: 'all 0.2s',
+                textAlign: 'left',
+              }}
+            >
+              <div style={{ fontSize: '15px', fontWeight: '600', marginBottom: '4px' }}>Own Hardware</div>
+              <div style={{ fontSize: '20px', fontWeight: '700' }}>{hardwareMode ? money(hardwareTier.price) : 'Buy ASICs'}</div>
+              <div style={{ fontSize: '12px', opacity: 0.7 }}>
+                {hardwareMode ? `${hardwareTier.hashrate} TH/s · ${hardwareTier.wattsPerTh} W/TH` : 'Resale value included'}
+              </div>
+            </button>
           </div>
+
+          {customMode && (
+            <div style={{ marginTop: '16px', display: 'grid', gap: '12px' }}>
+              <div>
+                <label style={{ display: 'block', fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
+                  Hashrate (TH/s)
+                  {(customPricing?.minHashrate || customPricing?.maxHashrate) && (
+                    <span style={{ marginLeft: '6px', fontSize: '10px' }}>
+                      {customPricing.minHashrate ?? 0}–{customPricing.maxHashrate ?? '∞'}
+                    </span>
+                  )}
+                </label>
+                <input
+                  type="number"
+                  step="0.5"
+                  min={customPricing?.minHashrate ?? 0}
+                  max={customPricing?.maxHashrate}
+                  value={customHashrate}
+                  onChange={(e) => setCustomHashrate(Number(e.target.value))}
+                  style={{
+                    width: '100%',
+                    padding: '10px 12px',
+                    borderRadius: '6px',
+                    border: `1px solid ${customHashrateValid ? 'rgba(255,255,255,0.15)' : '#ef4444'}`,
+                    background: 'rgba(0,0,0,0.4)',
+                    color: '#e2e8f0',
+                    fontSize: '16px',
+                    boxSizing: 'border-box',
+                  }}
+                />
+                {!customHashrateValid && (
+                  <div style={{ fontSize: '11px', color: '#ef4444', marginTop: '4px' }}>
+                    Outside the hashrate range offered for custom purchases.
+                  </div>
+                )}
+              </div>
+              <div>
+                <div style={{ display: 'flex', gap: '6px', marginBottom: '6px' }}>
+                  {[['perTh', `${symbol}/TH`], ['total', 'Total price']].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      onClick={() => setCustomPriceMode(mode)}
+                      style={{
+                        flex: 1,
+                        padding: '6px',
+                        borderRadius: '6px',
+                        border: customPriceMode === mode ? `1px solid ${customTier.color}` : '1px solid rgba(255,255,255,0.1)',
+                        background: customPriceMode === mode ? `${customTier.color}15` : 'rgba(0,0,0,0.3)',
+                        color: customPriceMode === mode ? customTier.color : '#94a3b8',
+                        fontSize: '11px',
+                        fontFamily: 'inherit',
+                        cursor: 'pointer',
+                      }}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <input
+                  type="number"
+                  step={customPriceMode === 'perTh' ? '0.5' : '1'}
+                  value={
+                    customPriceMode === 'perTh'
+                      ? customPricePerTh ?? customPricing?.pricePerTh ?? ''
+                      : customTotalPrice ?? (Number.isFinite(customTier.price) ? customTier.price : '')
+                  }
+                  onChange={(e) => {
+                    const raw = e.target.value;
+                    const n = raw === '' ? null : Number(raw);
+                    const value = Number.isFinite(n) && n >= 0 ? n : null;
+                    if (customPriceMode === 'perTh') setCustomPricePerTh(value);
+                    else setCustomTotalPrice(value);
+                  }}
+                  style={{
+                    width: '100%',
+                    padding: '10px 12px',
+                    borderRadius: '6px',
+                    border: '1px solid rgba(255,255,255,0.15)',
+                    background: 'rgba(0,0,0,0.4)',
+                    color: '#e2e8f0',
+                    fontSize: '16px',
+                    boxSizing: 'border-box',
+                  }}
+                />
+                <div style={{ fontSize: '11px', color: '#64748b', marginTop: '4px', lineHeight: 1.4 }}>
+                  {customPriceMode === 'perTh' ? (
+                    <>
+                      List price per TH/s{customPricePerTh === null ? ' from the catalog' : ''}
+                      {customTier.volumeDiscount > 0 && (
+                        <span style={{ color: '#10b981' }}> · {(customTier.volumeDiscount * 100).toFixed(0)}% volume discount</span>
+                      )}
+                      {' '}→ {money(customTier.price)} ({money(customTier.pricePerTh, 2)}/TH)
+                    </>
+                  ) : (
+                    <>Total upfront price, used as-is (no volume discount).</>
+                  )}
+                </div>
+                {customPricing?.volumeDiscounts?.length > 0 && customPriceMode === 'perTh' && (
+                  <div style={{ fontSize: '10px', color: '#64748b', marginTop: '4px' }}>
+                    Discounts: {customPricing.volumeDiscounts.map((b) => `${b.minHashrate}+ TH/s −${(b.discount * 100).toFixed(0)}%`).join(' · ')}
+                  </div>
+                )}
+              </div>
+            </div>
+          )}
+
+          {hardwareMode && (
+            <HardwarePanel
+              spec={hardwareSpec}
+              onChange={setHardwareSpec}
+              tier={hardwareTier}
+              listPrices={hardwareListPrices}
+              months={contractMonths}
+              currency={currency}
+            />
+          )}
         </div>
 
         {/* Market Inputs */}
@@ -406,17 +1104,31 @@ export default function MiningCalculator() {
           
           <div style={{ marginBottom: '16px' }}>
             <label style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
-              <span>Current BTC Price</span>
-              <span style={{ color: '#10b981', fontSize: '10px' }}>● LIVE</span>
+              <span>Current BTC Price ({currency})</span>
+              {btcPriceSource === 'live' ? (
+                <span style={{ color: '#10b981', fontSize: '10px' }}>● LIVE</span>
+              ) : (
+                <span style={{ fontSize: '10px' }}>
+                  <span style={{ color: '#f59e0b' }}>● OVERRIDE</span>
+                  {liveBtcPrice && (
+                    <button
+                      onClick={() => setBtcPriceOverride(null)}
+                      style={{ marginLeft: '6px', background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '10px', padding: 0, textDecoration: 'underline' }}
+                    >
+                      use live
+                    </button>
+                  )}
+                </span>
+              )}
             </label>
             <input
               type="number"
               value={currentBtcPrice ?? ''}
               onChange={(e) => {
                 const raw = e.target.value;
-                if (raw === '') return setCurrentBtcPrice(null);
+                if (raw === '') return setBtcPriceOverride(null);
                 const n = Number(raw);
-                setCurrentBtcPrice(Number.isFinite(n) ? n : null);
+                setBtcPriceOverride(Number.isFinite(n) ? n : null);
               }}
               style={{
                 width: '100%',
@@ -433,21 +1145,47 @@ export default function MiningCalculator() {
           </div>
 
           <div style={{ marginBottom: '16px' }}>
-            <label style={{ display: 'block', fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
-              Hashprice ($/TH/day)
+            <label style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
+              <span>Hashprice ({symbol}/TH/day)</span>
+              {hashpriceSource === 'override' ? (
+                <span style={{ fontSize: '10px' }}>
+                  <span style={{ color: '#f59e0b' }}>● OVERRIDE</span>
+                  {liveHashprice !== null && (
+                    <button
+                      onClick={() => setHashpriceOverride(null)}
+                      style={{ marginLeft: '6px', background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '10px', padding: 0, textDecoration: 'underline' }}
+                    >
+                      use live
+                    </button>
+                  )}
+                </span>
+              ) : hashpriceSource === 'live' ? (
+                <span style={{ color: '#10b981', fontSize: '10px' }}>● LIVE</span>
+              ) : (
+                <span style={{ color: '#64748b', fontSize: '10px' }}>● PLACEHOLDER</span>
+              )}
             </label>
             <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '6px', lineHeight: 1.4 }}>
-              Reference: hashpower marketplace pricing (e.g.{' '}
+              Live value derived from network difficulty, block subsidy and recent fees. Compare with
+              hashpower marketplace pricing (e.g.{' '}
               <a href="https://www.nicehash.com/" target="_blank" rel="noreferrer" style={{ color: '#94a3b8' }}>
                 NiceHash
               </a>
-              ). Default is a placeholder—enter your own.
+              ) and enter your own to override.
             </div>
+            {hashpriceError && (
+              <div style={{ fontSize: '11px', color: '#f59e0b', marginBottom: '6px' }}>{hashpriceError}</div>
+            )}
             <input
               type="number"
               step="0.001"
-              value={hashpriceUsd}
-              onChange={(e) => setHashpriceUsd(Number(e.target.value))}
+              value={hashpriceOverride ?? Number(hashpriceUsd.toFixed(4))}
+              onChange={(e) => {
+                const raw = e.target.value;
+                if (raw === '') return setHashpriceOverride(null);
+                const n = Number(raw);
+                setHashpriceOverride(Number.isFinite(n) ? n : null);
+              }}
               style={{
                 width: '100%',
                 padding: '10px 12px',
@@ -463,7 +1201,7 @@ export default function MiningCalculator() {
 
           <div style={{ marginBottom: '16px' }}>
             <label style={{ display: 'block', fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
-              Electricity Cost ($/kWh)
+              Electricity Cost ({symbol}/kWh)
             </label>
             <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '6px', lineHeight: 1.4 }}>
               Reference: your utility bill / contracted power rate. Default is a placeholder.
@@ -486,14 +1224,58 @@ export default function MiningCalculator() {
             />
           </div>
 
+          <div style={{ marginBottom: '16px' }}>
+            <label style={{ display: 'flex', justifyContent: 'space-between', fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
+              <span>Efficiency (W/TH)</span>
+              {wattsPerThOverride !== null && (
+                <span style={{ fontSize: '10px' }}>
+                  <span style={{ color: '#f59e0b' }}>● OVERRIDE</span>
+                  <button
+                    onClick={() => setWattsPerThOverride(null)}
+                    style={{ marginLeft: '6px', background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', fontSize: '10px', padding: 0, textDecoration: 'underline' }}
+                  >
+                    use {tier.wattsPerTh ? 'tier' : 'default'}
+                  </button>
+                </span>
+              )}
+            </label>
+            <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '6px', lineHeight: 1.4 }}>
+              {tier.wattsPerTh ? `${tier.name} is rated at ${tier.wattsPerTh} W/TH` : `Default is an S19 Pro (${DEFAULT_WATTS_PER_TH} W/TH)`};
+              enter your own figure to override it.
+            </div>
+            <input
+              type="number"
+              step="0.5"
+              min="0"
+              value={wattsPerThOverride ?? ''}
+              placeholder={String(resolveWattsPerTh(tier, null))}
+              onChange={(e) => {
+                const raw = e.target.value;
+                if (raw === '') return setWattsPerThOverride(null);
+                const n = Number(raw);
+                setWattsPerThOverride(Number.isFinite(n) && n > 0 ? n : null);
+              }}
+              style={{
+                width: '100%',
+                padding: '10px 12px',
+                borderRadius: '6px',
+                border: '1px solid rgba(255,255,255,0.15)',
+                background: 'rgba(0,0,0,0.4)',
+                color: '#e2e8f0',
+                fontSize: '16px',
+                boxSizing: 'border-box',
+              }}
+            />
+          </div>
+
           <div>
             <label style={{ display: 'block', fontSize: '12px', color: '#64748b', marginBottom: '6px' }}>
-              Contract Length (months)
+              {hardwareMode ? 'Holding Period (months)' : 'Contract Length (months)'}
             </label>
             <input
               type="range"
-              min="6"
-              max="36"
+              min={contractMin}
+              max={contractMax}
               value={contractMonths}
               onChange={(e) => setContractMonths(Number(e.target.value))}
               style={{ width: '100%', accentColor: '#f7931a' }}
@@ -502,6 +1284,38 @@ export default function MiningCalculator() {
           </div>
         </div>
 
+        <RevenueModelPanel
+          revenueModel={revenueModel}
+          onRevenueModelChange={setRevenueModel}
+          network={network}
+          onNetworkChange={setNetwork}
+          currentBtcPrice={currentBtcPrice}
+        />
+
+        <OperatingCostsPanel
+          costs={operatingCosts}
+          onChange={setOperatingCosts}
+          hashrate={tier.hashrate}
+          currency={currency}
+        />
+
+        <SellStrategyPanel
+          strategyType={sellStrategyType}
+          strategies={sellStrategies}
+          onStrategyTypeChange={setSellStrategyType}
+          onStrategyChange={(type, strategy) => setSellStrategies((prev) => ({ ...prev, [type]: strategy }))}
+          currentBtcPrice={currentBtcPrice}
+          currency={currency}
+        />
+
+        <DifficultyModelPanel
+          modelType={difficultyModelType}
+          models={difficultyModels}
+          onModelTypeChange={setDifficultyModelType}
+          onModelChange={(type, model) => setDifficultyModels((prev) => ({ ...prev, [type]: model }))}
+          observedTrend={difficultyTrend}
+        />
+
         {/* BTC Growth Scenario */}
         <div style={{
           background: 'rgba(30, 30, 50, 0.8)',
@@ -551,14 +1365,46 @@ export default function MiningCalculator() {
                 </span>
                 <span style={{ fontSize: '12px', opacity: 0.7, textAlign: 'right' }}>
                   → {(currentBtcPrice && Number.isFinite(val.finalMultiplier))
-                    ? formatUsd(currentBtcPrice * val.finalMultiplier)
+                    ? money(currentBtcPrice * val.finalMultiplier)
                     : '—'}
                 </span>
               </button>
             ))}
           </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginTop: '12px' }}>
+            <div>
+              <label style={{ display: 'block', fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Historical window</label>
+              <select
+                value={historyWindow}
+                onChange={(e) => setHistoryWindow(e.target.value)}
+                style={{ width: '100%', padding: '6px 8px', borderRadius: '6px', border: '1px solid rgba(255,255,255,0.15)', background: 'rgba(0,0,0,0.4)', color: '#e2e8f0', fontSize: '12px' }}
+              >
+                {Object.entries(HISTORY_WINDOW_LABELS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label style={{ display: 'block', fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Derived from</label>
+              <select
+                value={historyMethod}
+                onChange={(e) => setHistoryMethod(e.target.value)}
+                style={{ width: '100%', padding: '6px 8px', borderRadius: '6px', border: '1px solid rgba(255,255,255,0.15)', background: 'rgba(0,0,0,0.4)', color: '#e2e8f0', fontSize: '12px' }}
+              >
+                {Object.entries(GROWTH_METHODS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          {historyError && (
+            <div style={{ fontSize: '11px', color: '#f59e0b', marginTop: '6px' }}>{historyError}</div>
+          )}
           <p style={{ fontSize: '11px', color: '#64748b', marginTop: '12px', lineHeight: 1.5 }}>
-            All scenarios defined as 24-month base rates, scaled proportionally for {contractMonths}-month contract. Historical uses actual BTC growth from {twoYearsAgoDate} to today.
+            All scenarios defined as 24-month base rates, scaled proportionally for {contractMonths}-month contract.
+            {historySeries?.length > 1
+              ? ` Historical uses daily BTC closes from ${historySeries[0].date} to ${historySeries[historySeries.length - 1].date} (${GROWTH_METHODS[historyMethod].toLowerCase()}), normalized to 24 months.`
+              : ` Historical uses actual BTC growth from ${twoYearsAgoDate} to today.`}
           </p>
         </div>
 
@@ -575,27 +1421,32 @@ export default function MiningCalculator() {
           
           <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
             <div>
-              <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Total BTC Accumulated</div>
+              <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>
+                {sellStrategy.type === 'hold' ? 'Total BTC Accumulated' : 'BTC Still Held'}
+              </div>
               <div style={{ fontSize: '18px', fontWeight: '700', color: '#f7931a' }}>
                 ₿ {formatBtc(finalProjection?.cumulativeBtc || 0)}
               </div>
+              {sellStrategy.type !== 'hold' && (
+                <div style={{ fontSize: '11px', color: '#10b981' }}>+ {money(finalProjection?.realizedFiat || 0)} realized</div>
+              )}
             </div>
             <div>
               <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Final BTC Price</div>
               <div style={{ fontSize: '18px', fontWeight: '700', color: '#10b981' }}>
-                {formatUsd(finalProjection?.btcPrice || 0)}
+                {money(finalProjection?.btcPrice || 0)}
               </div>
             </div>
             <div>
               <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Portfolio Value</div>
               <div style={{ fontSize: '24px', fontWeight: '700', color: '#e2e8f0' }}>
-                {formatUsd(finalProjection?.portfolioValue || 0)}
+                {money(finalProjection?.portfolioValue || 0)}
               </div>
             </div>
             <div>
-              <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Total Cost (Upfront + Elec)</div>
+              <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Total Cost (All-in)</div>
               <div style={{ fontSize: '18px', fontWeight: '700', color: '#94a3b8' }}>
-                {formatUsd(finalProjection?.totalCost || 0)}
+                {money(finalProjection?.totalCost || 0)}
               </div>
             </div>
           </div>
@@ -616,6 +1467,103 @@ export default function MiningCalculator() {
             }}>
               {formatPercent(finalProjection?.roi || 0)}
             </div>
+            {finalTax && (
+              <div style={{ fontSize: '12px', color: '#94a3b8', marginTop: '4px' }}>
+                After tax: {money(finalTax.afterTaxValue)} ·{' '}
+                <span style={{ color: finalTax.afterTaxRoi >= 0 ? '#10b981' : '#ef4444', fontWeight: '700' }}>
+                  {formatPercent(finalTax.afterTaxRoi)}
+                </span>
+              </div>
+            )}
+          </div>
+
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: '8px', marginTop: '12px' }}>
+            <div style={{ padding: '10px', background: 'rgba(0,0,0,0.3)', borderRadius: '6px', textAlign: 'center' }}>
+              <div style={{ fontSize: '10px', color: '#64748b', marginBottom: '4px' }}>Breakeven Month</div>
+              <div style={{ fontSize: '14px', fontWeight: '700', color: breakeven.breakevenMonth ? '#10b981' : '#ef4444' }}>
+                {breakeven.breakevenMonth ? `Month ${breakeven.breakevenMonth}` : (finalProjection ? 'Never' : '—')}
+              </div>
+            </div>
+            <div style={{ padding: '10px', background: 'rgba(0,0,0,0.3)', borderRadius: '6px', textAlign: 'center' }}>
+              <div style={{ fontSize: '10px', color: '#64748b', marginBottom: '4px' }}>BTC Price Needed (Month {contractMonths})</div>
+              <div style={{ fontSize: '14px', fontWeight: '700', color: '#e2e8f0' }}>
+                {breakeven.breakevenBtcPriceAmbiguous ? 'Not well defined' : money(breakeven.breakevenBtcPrice)}
+              </div>
+            </div>
+            <div style={{ padding: '10px', background: 'rgba(0,0,0,0.3)', borderRadius: '6px', textAlign: 'center' }}>
+              <div style={{ fontSize: '10px', color: '#64748b', marginBottom: '4px' }}>Hashprice Needed (BTC Flat)</div>
+              <div style={{ fontSize: '14px', fontWeight: '700', color: '#e2e8f0' }}>
+                {breakeven.breakevenHashpriceAmbiguous
+                  ? 'Not well defined'
+                  : Number.isFinite(breakeven.breakevenHashprice) ? `${money(breakeven.breakevenHashprice, 3)}/TH/day` : '—'}
+              </div>
+            </div>
+          </div>
+          {(breakeven.breakevenBtcPriceAmbiguous || breakeven.breakevenHashpriceAmbiguous) && (
+            <div style={{ marginTop: '6px', fontSize: '11px', color: '#f59e0b', textAlign: 'center' }}>
+              Profit and loss alternate as the price varies (the sell strategy or early stop can do this), so there is
+              no single breakeven price.
+            </div>
+          )}
+
+          <div style={{ marginTop: '12px', padding: '12px', background: 'rgba(0,0,0,0.3)', borderRadius: '6px' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+              <div style={{ fontSize: '11px', color: '#64748b' }}>Mining vs Buying BTC</div>
+              <div style={{ display: 'flex', gap: '4px' }}>
+                {Object.entries(BENCHMARK_MODES).map(([mode, label]) => (
+                  <button
+                    key={mode}
+                    onClick={() => setBenchmarkMode(mode)}
+                    style={{
+                      padding: '4px 8px',
+                      borderRadius: '4px',
+                      border: benchmarkMode === mode ? '1px solid #3b82f6' : '1px solid rgba(255,255,255,0.1)',
+                      background: benchmarkMode === mode ? 'rgba(59, 130, 246, 0.15)' : 'transparent',
+                      color: benchmarkMode === mode ? '#3b82f6' : '#64748b',
+                      fontSize: '10px',
+                      fontFamily: 'inherit',
+                      cursor: 'pointer',
+                    }}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {finalHodl ? (
+              <>
+                <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', textAlign: 'center' }}>
+                  <div>
+                    <div style={{ fontSize: '10px', color: '#64748b' }}>Buying BTC instead</div>
+                    <div style={{ fontSize: '14px', fontWeight: '700', color: '#3b82f6' }}>
+                      {money(finalHodl.hodlValue)} · ₿ {formatBtc(finalHodl.hodlBtc)}
+                    </div>
+                  </div>
+                  <div>
+                    <div style={{ fontSize: '10px', color: '#64748b' }}>Mining {finalHodl.deltaValue >= 0 ? 'ahead' : 'behind'} by</div>
+                    <div style={{ fontSize: '14px', fontWeight: '700', color: finalHodl.deltaValue >= 0 ? '#10b981' : '#ef4444' }}>
+                      {money(Math.abs(finalHodl.deltaValue))} · ₿ {formatBtc(Math.abs(finalHodl.deltaBtc))}
+                    </div>
+                  </div>
+                </div>
+                <div style={{ marginTop: '8px', fontSize: '11px', color: '#94a3b8', textAlign: 'center' }}>
+                  {hodl.thresholdAmbiguous
+                    ? 'The lead changes hands more than once as the final BTC price varies, so there is no single threshold'
+                    : hodl.thresholdBtcPrice !== null
+                      ? `Buying wins if BTC ends ${hodl.hodlWinsAbove ? 'above' : 'below'} ${money(hodl.thresholdBtcPrice)} (month ${contractMonths})`
+                      : `${finalHodl.deltaValue >= 0 ? 'Mining' : 'Buying'} wins at any final BTC price`}
+                </div>
+              </>
+            ) : (
+              <div style={{ fontSize: '14px', color: '#64748b', textAlign: 'center' }}>—</div>
+            )}
+          </div>
+
+          <div style={{ marginTop: '12px', fontSize: '11px', color: '#64748b', textAlign: 'center' }}>
+            Difficulty growth: {difficultyDescription}
+            {revenueModel === 'halving' && (
+              <> · Halving {halvingMonth ? `in month ${halvingMonth}` : 'not within contract'}</>
+            )}
           </div>
         </div>
       </div>
@@ -633,40 +1581,15 @@ export default function MiningCalculator() {
           Monthly Accumulation & Value
         </h2>
         
-        <div style={{ display: 'flex', alignItems: 'flex-end', gap: '2px', height: '120px', marginBottom: '16px' }}>
-          {monthlyProjections.map((p, idx) => {
-            const maxVal = Math.max(...monthlyProjections.map(x => x.portfolioValue));
-            const height = (p.portfolioValue / maxVal) * 100;
-            const isBreakeven = p.portfolioValue >= p.totalCost;
-            return (
-              <div
-                key={idx}
-                style={{
-                  flex: 1,
-                  height: `${height}%`,
-                  background: isBreakeven 
-                    ? `linear-gradient(180deg, #10b981 0%, #059669 100%)`
-                    : `linear-gradient(180deg, #ef4444 0%, #b91c1c 100%)`,
-                  borderRadius: '2px 2px 0 0',
-                  minWidth: '8px',
-                  transition: 'height 0.3s',
-                }}
-                title={`Month ${p.month}: ${formatUsd(p.portfolioValue)}`}
-              />
-            );
-          })}
-        </div>
-        
-        <div style={{ display: 'flex', justifyContent: 'center', gap: '24px', fontSize: '12px' }}>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
-            <div style={{ width: '12px', height: '12px', background: '#10b981', borderRadius: '2px' }} />
-            <span style={{ color: '#94a3b8' }}>Profitable</span>
-          </div>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
-            <div style={{ width: '12px', height: '12px', background: '#ef4444', borderRadius: '2px' }} />
-            <span style={{ color: '#94a3b8' }}>Below Cost</span>
-          </div>
-        </div>
+        <ProjectionChart
+          rows={tableRows}
+          scenarios={scenarioProjections}
+          selectedScenario={btcGrowthScenario}
+          halvingMonth={halvingMonth}
+          breakevenMonth={breakeven.breakevenMonth}
+          benchmarkLabel={BENCHMARK_MODES[benchmarkMode]}
+          currency={currency}
+        />
 
         <div style={{
           marginTop: '20px',
@@ -685,7 +1608,7 @@ export default function MiningCalculator() {
                 textAlign: 'center',
               }}>
                 <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Month {m}</div>
-                <div style={{ fontSize: '14px', fontWeight: '600', color: '#e2e8f0' }}>{formatUsd(p.portfolioValue)}</div>
+                <div style={{ fontSize: '14px', fontWeight: '600', color: '#e2e8f0' }}>{money(p.portfolioValue)}</div>
                 <div style={{ 
                   fontSize: '12px', 
                   color: p.roi >= 0 ? '#10b981' : '#ef4444',
@@ -699,6 +1622,57 @@ export default function MiningCalculator() {
         </div>
       </div>
 
+      <ProjectionTable
+        rows={tableRows}
+        assumptions={exportAssumptions}
+        columns={tableColumns}
+        currency={currency}
+        filenameBase={`mining-projection-${tier.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${contractMonths}mo`}
+      />
+
+      <TaxPanel
+        settings={taxSettings}
+        onChange={setTaxSettings}
+        result={taxResult}
+        assumptions={exportAssumptions}
+        currency={currency}
+        filenameBase={`mining-tax-lots-${tier.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}-${contractMonths}mo`}
+      />
+
+      <ComparisonMatrix
+        tiers={matrixTiers}
+        currency={currency}
+        scenarios={growthScenarios}
+        matrix={comparisonMatrix}
+        selectedTier={purchaseMode !== 'tier' ? tiers.length : selectedTier}
+        selectedScenario={btcGrowthScenario}
+        onSelect={(tierIdx, scenarioKey) => {
+          if (tierIdx < tiers.length) {
+            setSelectedTierName(tiers[tierIdx].name);
+            setPurchaseMode('tier');
+          }
+          setBtcGrowthScenario(scenarioKey);
+        }}
+      />
+
+      <SensitivityPanel input={projectionInput} />
+
+      <MonteCarloPanel
+        rows={monthlyProjections}
+        input={projectionInput}
+        currentBtcPrice={currentBtcPrice}
+        historicalPrices={historicalPriceSeries}
+        currency={currency}
+      />
+
+      <PurchasePlanPanel
+        baseInput={baseProjectionInput}
+        tiers={matrixTiers}
+        baseMultipliers={baseMultipliers}
+        scenarioKey={btcGrowthScenario}
+        currency={currency}
+      />
+
       {/* Cost Breakdown */}
       <div style={{
         maxWidth: '1200px',
@@ -712,22 +1686,13 @@ export default function MiningCalculator() {
           Cost Breakdown
         </h2>
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px' }}>
-          <div style={{ padding: '16px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
-            <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '4px' }}>Upfront (One-time)</div>
-            <div style={{ fontSize: '20px', fontWeight: '700', color: tier.color }}>{formatUsd(tier.price)}</div>
-          </div>
-          <div style={{ padding: '16px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
-            <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '4px' }}>Monthly Electricity</div>
-            <div style={{ fontSize: '20px', fontWeight: '700', color: '#f59e0b' }}>{formatUsd(monthlyElecCost)}/mo</div>
-          </div>
-          <div style={{ padding: '16px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
-            <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '4px' }}>Total {contractMonths}mo Electricity</div>
-            <div style={{ fontSize: '20px', fontWeight: '700', color: '#f59e0b' }}>{formatUsd(monthlyElecCost * contractMonths)}</div>
-          </div>
-          <div style={{ padding: '16px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
-            <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '4px' }}>All-In Cost</div>
-            <div style={{ fontSize: '20px', fontWeight: '700', color: '#e2e8f0' }}>{formatUsd(tier.price + (monthlyElecCost * contractMonths))}</div>
-          </div>
+          {costBreakdown.map((line) => (
+            <div key={line.label} style={{ padding: '16px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
+              <div style={{ fontSize: '12px', color: '#64748b', marginBottom: '4px' }}>{line.label}</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: line.color }}>{line.value}</div>
+              {line.hint && <div style={{ fontSize: '11px', color: '#64748b', marginTop: '4px' }}>{line.hint}</div>}
+            </div>
+          ))}
         </div>
       </div>
 
@@ -743,7 +1708,11 @@ export default function MiningCalculator() {
         color: '#94a3b8',
         lineHeight: 1.6,
       }}>
-        <strong style={{ color: '#ef4444' }}>⚠️ Disclaimer:</strong> Projections are estimates only. Actual returns depend on Bitcoin price movements, network difficulty changes, transaction fees, and hardware uptime. Past performance (including historical BTC growth) does not guarantee future results. Mining involves significant risk including potential loss of principal. Difficulty is assumed to grow ~4% monthly on average. Prices from CoinGecko API, updated twice daily. Not financial advice.
+        <strong style={{ color: '#ef4444' }}>⚠️ Disclaimer:</strong> Projections are estimates only. Actual returns depend on Bitcoin price movements, network difficulty changes, transaction fees, and hardware uptime (modeled only as entered above). Past performance (including historical BTC growth) does not guarantee future results. Mining involves significant risk including potential loss of principal. Difficulty is assumed to grow {difficultyDescription}.{' '}
+        {priceSources
+          ? `BTC prices via ${priceSources.currentPrice} (spot) and ${priceSources.historicalPrice} (historical).`
+          : 'BTC prices from the configured price providers.'}{' '}
+        Not financial or tax advice.
       </div>
     </div>
   );
@@ -0,0 +1,90 @@
+'use client';
+
+import React from 'react';
+import { formatCurrency, formatPercent } from '@/lib/format';
+import { panelStyle, panelTitleStyle, hintStyle } from './styles';
+
+export default function ComparisonMatrix({ tiers, scenarios, matrix, selectedTier, selectedScenario, onSelect, currency = 'USD' }) {
+  const scenarioEntries = Object.entries(scenarios);
+
+  return (
+    <div style={{ ...panelStyle, maxWidth: '1200px', margin: '20px auto 0' }}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Tier × Scenario Comparison</h2>
+      <p style={{ ...hintStyle, marginBottom: '16px' }}>
+        Every tier under every growth scenario with the current inputs. ★ marks the best ROI per scenario.
+        Click a cell to load it into the calculator.
+      </p>
+
+      <div style={{ overflowX: 'auto' }}>
+        <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '6px', fontSize: '12px' }}>
+          <thead>
+            <tr>
+              <th style={{ textAlign: 'left', color: '#64748b', fontWeight: '600', padding: '4px' }}>Tier</th>
+              {scenarioEntries.map(([key, val]) => (
+                <th key={key} style={{ color: val.color, fontWeight: '600', padding: '4px', textAlign: 'left', whiteSpace: 'nowrap' }}>
+                  {val.shortLabel}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {tiers.map((t, tierIdx) => (
+              <tr key={t.name}>
+                <td style={{ color: t.color, fontWeight: '600', padding: '4px', whiteSpace: 'nowrap' }}>
+                  {t.name}
+                  <div style={{ fontSize: '11px', color: '#64748b', fontWeight: '400' }}>{t.hashrate} TH/s</div>
+                </td>
+                {scenarioEntries.map(([key, val]) => {
+                  const cell = matrix.cells[tierIdx]?.[key];
+                  const isBest = matrix.best[key] === tierIdx;
+                  const isSelected = selectedTier === tierIdx && selectedScenario === key;
+                  return (
+                    <td key={key} style={{ padding: 0, verticalAlign: 'top' }}>
+                      <button
+                        onClick={() => onSelect(tierIdx, key)}
+                        disabled={!cell}
+                        style={{
+                          width: '100%',
+                          minWidth: '130px',
+                          padding: '10px',
+                          borderRadius: '6px',
+                          border: isSelected
+                            ? `2px solid ${val.color}`
+                            : isBest
+                              ? '2px solid rgba(16, 185, 129, 0.6)'
+                              : '2px solid rgba(255,255,255,0.08)',
+                          background: isBest ? 'rgba(16, 185, 129, 0.12)' : 'rgba(0,0,0,0.3)',
+                          color: '#94a3b8',
+                          cursor: cell ? 'pointer' : 'default',
+                          textAlign: 'left',
+                          fontFamily: 'inherit',
+                          fontSize: '11px',
+                          lineHeight: 1.5,
+                        }}
+                      >
+                        {cell ? (
+                          <>
+                            <div style={{ fontSize: '14px', fontWeight: '700', color: '#e2e8f0' }}>
+                              {formatCurrency(cell.portfolioValue, currency)} {isBest && <span style={{ color: '#10b981' }}>★</span>}
+                            </div>
+                            <div style={{ fontWeight: '600', color: cell.roi >= 0 ? '#10b981' : '#ef4444' }}>
+                              {formatPercent(cell.roi)}
+                            </div>
+                            <div>Breakeven: {cell.breakevenMonth ? `month ${cell.breakevenMonth}` : 'never'}</div>
+                            <div>All-in: {formatCurrency(cell.totalCost, currency)}</div>
+                          </>
+                        ) : (
+                          <span>—</span>
+                        )}
+                      </button>
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,153 @@
+'use client';
+
+import React from 'react';
+import {
+  DIFFICULTY_MODEL_TYPES,
+  DIFFICULTY_MODEL_LABELS,
+  describeDifficultyModel,
+} from '@/lib/difficulty';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  hintStyle,
+  smallInputStyle,
+  toggleButtonStyle,
+} from './styles';
+
+// Rates are stored as fractions (0.04) but edited as percentages (4).
+function PercentInput({ value, onChange, step = '0.1' }) {
+  return (
+    <input
+      type="number"
+      step={step}
+      value={Number.isFinite(value) ? Number((value * 100).toFixed(4)) : ''}
+      onChange={(e) => onChange(Number(e.target.value) / 100)}
+      style={smallInputStyle}
+    />
+  );
+}
+
+// observedTrend = { monthlyRate, months } from recent difficulty adjustments (or null).
+export default function DifficultyModelPanel({ modelType, models, onModelTypeChange, onModelChange, observedTrend }) {
+  const model = models[modelType];
+  const update = (patch) => onModelChange(modelType, { ...model, ...patch });
+
+  const trendRate = observedTrend?.monthlyRate;
+  const usingTrend = model.type === 'flat' && Number.isFinite(trendRate) && Math.abs(model.rate - trendRate) < 1e-9;
+  const useTrend = () => {
+    onModelChange('flat', { type: 'flat', rate: trendRate });
+    onModelTypeChange('flat');
+  };
+
+  const updateSegment = (idx, patch) => {
+    const segments = model.segments.map((seg, i) => (i === idx ? { ...seg, ...patch } : seg));
+    update({ segments });
+  };
+
+  return (
+    <div style={panelStyle}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Difficulty Growth</h2>
+      <p style={{ fontSize: '11px', color: '#64748b', marginBottom: '12px' }}>
+        Network difficulty reduces BTC mined per TH as it rises.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        {DIFFICULTY_MODEL_TYPES.map((type) => (
+          <button
+            key={type}
+            onClick={() => onModelTypeChange(type)}
+            style={toggleButtonStyle(modelType === type, '#f7931a')}
+          >
+            {DIFFICULTY_MODEL_LABELS[type]}
+          </button>
+        ))}
+      </div>
+
+      {Number.isFinite(trendRate) && (
+        <button
+          onClick={useTrend}
+          style={{ ...toggleButtonStyle(usingTrend, '#10b981'), width: '100%', marginBottom: '12px' }}
+        >
+          {usingTrend ? '✓ ' : ''}Observed trend: {trendRate >= 0 ? '+' : ''}{(trendRate * 100).toFixed(2)}%/mo
+          (last {observedTrend.months} mo)
+        </button>
+      )}
+
+      {model.type === 'flat' && (
+        <div>
+          <label style={labelStyle}>Monthly growth (%)</label>
+          <PercentInput value={model.rate} onChange={(rate) => update({ rate })} />
+        </div>
+      )}
+
+      {model.type === 'decay' && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px' }}>
+          <div>
+            <label style={labelStyle}>Initial (%)</label>
+            <PercentInput value={model.initialRate} onChange={(initialRate) => update({ initialRate })} />
+          </div>
+          <div>
+            <label style={labelStyle}>Floor (%)</label>
+            <PercentInput value={model.floorRate} onChange={(floorRate) => update({ floorRate })} />
+          </div>
+          <div>
+            <label style={labelStyle}>Half-life (mo)</label>
+            <input
+              type="number"
+              min="1"
+              value={model.halfLifeMonths}
+              onChange={(e) => update({ halfLifeMonths: Number(e.target.value) })}
+              style={smallInputStyle}
+            />
+          </div>
+        </div>
+      )}
+
+      {model.type === 'piecewise' && (
+        <div>
+          <div style={hintStyle}>Growth rate for each period, in order.</div>
+          {model.segments.map((seg, idx) => (
+            <div key={idx} style={{ display: 'grid', gridTemplateColumns: '1fr 1fr auto', gap: '8px', marginBottom: '8px', alignItems: 'end' }}>
+              <div>
+                <label style={labelStyle}>Rate (%)</label>
+                <PercentInput value={seg.rate} onChange={(rate) => updateSegment(idx, { rate })} />
+              </div>
+              <div>
+                <label style={labelStyle}>For (months)</label>
+                <input
+                  type="number"
+                  min="1"
+                  value={seg.months}
+                  onChange={(e) => updateSegment(idx, { months: Math.max(1, Math.round(Number(e.target.value))) })}
+                  style={smallInputStyle}
+                />
+              </div>
+              <button
+                onClick={() => update({ segments: model.segments.filter((_, i) => i !== idx) })}
+                style={{ ...toggleButtonStyle(false, '#ef4444'), padding: '6px 10px' }}
+                aria-label="Remove period"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <button
+            onClick={() => update({ segments: [...model.segments, { months: 6, rate: model.thereafterRate }] })}
+            style={{ ...toggleButtonStyle(false, '#f7931a'), marginBottom: '12px' }}
+          >
+            + Add period
+          </button>
+          <div>
+            <label style={labelStyle}>Thereafter (%)</label>
+            <PercentInput value={model.thereafterRate} onChange={(thereafterRate) => update({ thereafterRate })} />
+          </div>
+        </div>
+      )}
+
+      <p style={{ fontSize: '11px', color: '#64748b', marginTop: '12px', lineHeight: 1.5 }}>
+        Difficulty grows {describeDifficultyModel(model)}.
+      </p>
+    </div>
+  );
+}
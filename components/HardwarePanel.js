@@ -0,0 +1,149 @@
+'use client';
+
+import React from 'react';
+import {
+  ASIC_MODELS,
+  DEPRECIATION_METHODS,
+  findAsicModel,
+  residualFraction,
+} from '@/lib/hardware';
+import { currencySymbol } from '@/lib/currency';
+import { formatCurrency } from '@/lib/format';
+import { labelStyle, hintStyle, smallInputStyle, toggleButtonStyle } from './styles';
+
+// Inputs for buying ASICs outright; shown under the tier picker in hardware mode.
+// spec = { modelId, units, unitPrice, shippingCost, depreciation } where a null unitPrice
+// uses the model's list price (listPrices: modelId → price in the selected currency).
+export default function HardwarePanel({ spec, onChange, tier, listPrices, months, currency = 'USD' }) {
+  const update = (patch) => onChange({ ...spec, ...patch });
+  const updateDepreciation = (patch) => update({ depreciation: { ...spec.depreciation, ...patch } });
+  const model = findAsicModel(spec.modelId);
+  const symbol = currencySymbol(currency);
+  const { depreciation } = spec;
+  const readNumber = (raw, fallback = 0) => Math.max(0, Number(raw) || fallback);
+  const percent = (fraction) => Number((fraction * 100).toFixed(2));
+  const resaleValue = tier.hardware ? tier.hardware.equipmentCost * residualFraction(depreciation, months) : null;
+
+  return (
+    <div style={{ marginTop: '16px', display: 'grid', gap: '12px' }}>
+      <div>
+        <label style={labelStyle}>ASIC model</label>
+        <select
+          value={spec.modelId}
+          onChange={(e) => update({ modelId: e.target.value, unitPrice: null })}
+          style={smallInputStyle}
+        >
+          {ASIC_MODELS.map((m) => (
+            <option key={m.id} value={m.id}>
+              {m.name} · {m.hashrate} TH/s · {m.wattsPerTh} W/TH
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+        <div>
+          <label style={labelStyle}>Units</label>
+          <input
+            type="number"
+            step="1"
+            min="1"
+            value={spec.units}
+            onChange={(e) => update({ units: Math.max(1, Math.round(Number(e.target.value) || 1)) })}
+            style={smallInputStyle}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Price per unit ({symbol})</label>
+          <input
+            type="number"
+            step="50"
+            min="0"
+            value={spec.unitPrice ?? listPrices[spec.modelId] ?? ''}
+            onChange={(e) => update({ unitPrice: e.target.value === '' ? null : readNumber(e.target.value) })}
+            style={smallInputStyle}
+          />
+        </div>
+      </div>
+      {spec.unitPrice === null && model && (
+        <div style={{ ...hintStyle, marginTop: '-6px', marginBottom: 0 }}>Indicative list price; enter your quote.</div>
+      )}
+
+      <div>
+        <label style={labelStyle}>Shipping, import & setup ({symbol}, one-time)</label>
+        <input
+          type="number"
+          step="10"
+          min="0"
+          value={spec.shippingCost}
+          onChange={(e) => update({ shippingCost: readNumber(e.target.value) })}
+          style={smallInputStyle}
+        />
+        <div style={{ ...hintStyle, marginTop: '4px' }}>
+          Hosting is set under Operating Costs; power uses the electricity rate above.
+        </div>
+      </div>
+
+      <div>
+        <label style={labelStyle}>Depreciation</label>
+        <div style={{ display: 'flex', gap: '8px', marginBottom: '8px', flexWrap: 'wrap' }}>
+          {Object.entries(DEPRECIATION_METHODS).map(([key, label]) => (
+            <button
+              key={key}
+              onClick={() => updateDepreciation({ method: key })}
+              style={toggleButtonStyle(depreciation.method === key, tier.color)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px' }}>
+          {depreciation.method === 'straightLine' ? (
+            <div>
+              <label style={labelStyle}>Useful life (months)</label>
+              <input
+                type="number"
+                step="6"
+                min="1"
+                value={depreciation.usefulLifeMonths}
+                onChange={(e) => updateDepreciation({ usefulLifeMonths: readNumber(e.target.value, 1) })}
+                style={smallInputStyle}
+              />
+            </div>
+          ) : (
+            <div>
+              <label style={labelStyle}>Value lost per year (%)</label>
+              <input
+                type="number"
+                step="5"
+                min="0"
+                max="99"
+                value={percent(depreciation.annualRate)}
+                onChange={(e) => updateDepreciation({ annualRate: Math.min(0.99, readNumber(e.target.value) / 100) })}
+                style={smallInputStyle}
+              />
+            </div>
+          )}
+          <div>
+            <label style={labelStyle}>Salvage floor (%)</label>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              max="100"
+              value={percent(depreciation.salvageFraction)}
+              onChange={(e) => updateDepreciation({ salvageFraction: Math.min(1, readNumber(e.target.value) / 100) })}
+              style={smallInputStyle}
+            />
+          </div>
+        </div>
+        {Number.isFinite(resaleValue) && (
+          <div style={{ ...hintStyle, marginTop: '6px' }}>
+            Estimated resale after {months} months: {formatCurrency(resaleValue, currency)} (
+            {percent(residualFraction(depreciation, months))}% of the hardware price), counted in the portfolio value.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
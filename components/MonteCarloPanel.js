@@ -0,0 +1,211 @@
+'use client';
+
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  DEFAULT_MONTE_CARLO,
+  PERCENTILES,
+  createMonteCarloRun,
+  estimateGbmParams,
+  isPathDependent,
+} from '@/lib/montecarlo';
+import { formatCurrency, formatPercent } from '@/lib/format';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  hintStyle,
+  smallInputStyle,
+  toggleButtonStyle,
+} from './styles';
+
+// Paths simulated per animation frame; keeps each chunk well under a frame budget.
+const PATHS_PER_CHUNK = 250;
+const MAX_PATHS = 20000;
+
+const cellStyle = { padding: '6px 8px', textAlign: 'right', whiteSpace: 'nowrap' };
+
+// rows come from projectMonthly(input); input lets paths with sales or early termination be re-projected.
+export default function MonteCarloPanel({ rows, input = null, currentBtcPrice, historicalPrices, currency = 'USD' }) {
+  const [paths, setPaths] = useState(DEFAULT_MONTE_CARLO.paths);
+  const [drift, setDrift] = useState(DEFAULT_MONTE_CARLO.drift);
+  const [volatility, setVolatility] = useState(DEFAULT_MONTE_CARLO.volatility);
+  const [progress, setProgress] = useState(null); // { completed, total }
+  const [result, setResult] = useState(null);
+  const cancelRef = useRef(null);
+
+  // Any input change invalidates the previous (or in-progress) result.
+  useEffect(() => {
+    cancelRef.current?.();
+    setResult(null);
+  }, [rows, input, currentBtcPrice, paths, drift, volatility]);
+
+  // Stop a running simulation on unmount.
+  useEffect(() => () => cancelRef.current?.(), []);
+
+  const canRun = rows.length > 0 && currentBtcPrice > 0 && paths > 0 && volatility >= 0;
+  const estimate = historicalPrices ? estimateGbmParams(historicalPrices.prices, historicalPrices.intervalYears) : null;
+
+  const run = () => {
+    cancelRef.current?.();
+    const sim = createMonteCarloRun({
+      rows,
+      input,
+      currentBtcPrice,
+      drift,
+      volatility,
+      paths: Math.min(MAX_PATHS, paths),
+    });
+    let cancelled = false;
+    let handle = null;
+    cancelRef.current = () => {
+      cancelled = true;
+      if (handle !== null) cancelAnimationFrame(handle);
+      setProgress(null);
+    };
+
+    // Chunk the simulation across animation frames so the page stays responsive.
+    const tick = () => {
+      if (cancelled) return;
+      sim.step(PATHS_PER_CHUNK);
+      setProgress({ completed: sim.completed, total: sim.totalPaths });
+      if (sim.done) {
+        setResult(sim.result());
+        setProgress(null);
+        cancelRef.current = null;
+        return;
+      }
+      handle = requestAnimationFrame(tick);
+    };
+    setResult(null);
+    handle = requestAnimationFrame(tick);
+  };
+
+  const final = result?.monthly[result.monthly.length - 1];
+
+  return (
+    <div style={{ ...panelStyle, maxWidth: '1200px', margin: '20px auto 0' }}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Monte Carlo Price Simulation</h2>
+      <p style={{ fontSize: '11px', color: '#64748b', marginBottom: '16px' }}>
+        Simulates random BTC price paths (geometric Brownian motion) against the same mining output and fees.
+        {isPathDependent(input) && ' Sales and the early-stop rule are re-run on each path, since they depend on its prices.'}
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))', gap: '12px', alignItems: 'end' }}>
+        <div>
+          <label style={labelStyle}>Paths</label>
+          <input
+            type="number"
+            min="100"
+            max={MAX_PATHS}
+            step="100"
+            value={paths}
+            onChange={(e) => setPaths(Math.max(0, Math.round(Number(e.target.value))))}
+            style={smallInputStyle}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Drift (%/yr)</label>
+          <input
+            type="number"
+            step="1"
+            value={Number((drift * 100).toFixed(2))}
+            onChange={(e) => setDrift(Number(e.target.value) / 100)}
+            style={smallInputStyle}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Volatility (%/yr)</label>
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={Number((volatility * 100).toFixed(2))}
+            onChange={(e) => setVolatility(Number(e.target.value) / 100)}
+            style={smallInputStyle}
+          />
+        </div>
+        <button
+          onClick={() => {
+            if (Number.isFinite(estimate?.drift)) setDrift(estimate.drift);
+            if (Number.isFinite(estimate?.volatility)) setVolatility(estimate.volatility);
+          }}
+          disabled={!Number.isFinite(estimate?.drift)}
+          style={{ ...toggleButtonStyle(false, '#f7931a'), opacity: Number.isFinite(estimate?.drift) ? 1 : 0.5 }}
+        >
+          Estimate from history
+        </button>
+        <button
+          onClick={progress ? () => cancelRef.current?.() : run}
+          disabled={!canRun}
+          style={{ ...toggleButtonStyle(true, '#f7931a'), opacity: canRun ? 1 : 0.5 }}
+        >
+          {progress ? `Cancel (${Math.round((progress.completed / progress.total) * 100)}%)` : 'Run simulation'}
+        </button>
+      </div>
+      {historicalPrices && !Number.isFinite(estimate?.volatility) && (
+        <div style={{ ...hintStyle, marginTop: '8px' }}>
+          Only drift can be estimated from the available price history; volatility stays as entered.
+        </div>
+      )}
+
+      {result && final && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '12px', marginTop: '20px' }}>
+            <div style={{ padding: '12px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
+              <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Probability of ending below cost</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: result.probabilityBelowCost > 0.5 ? '#ef4444' : '#10b981' }}>
+                {(result.probabilityBelowCost * 100).toFixed(1)}%
+              </div>
+            </div>
+            <div style={{ padding: '12px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
+              <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Median final value (P50)</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#e2e8f0' }}>{formatCurrency(final.portfolioValue.p50, currency)}</div>
+            </div>
+            <div style={{ padding: '12px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
+              <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Final ROI range (P5 – P95)</div>
+              <div style={{ fontSize: '16px', fontWeight: '700', color: '#94a3b8' }}>
+                {formatPercent(final.roi.p5)} – {formatPercent(final.roi.p95)}
+              </div>
+            </div>
+            {result.probabilityTerminated !== null && (
+              <div style={{ padding: '12px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' }}>
+                <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '4px' }}>Paths stopped early</div>
+                <div style={{ fontSize: '20px', fontWeight: '700', color: '#f59e0b' }}>
+                  {(result.probabilityTerminated * 100).toFixed(1)}%
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div style={{ overflowX: 'auto', maxHeight: '360px', overflowY: 'auto', marginTop: '16px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', color: '#94a3b8' }}>
+              <thead>
+                <tr style={{ color: '#64748b', borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Month</th>
+                  {PERCENTILES.map((p) => <th key={`v${p}`} style={cellStyle}>Value P{p}</th>)}
+                  {PERCENTILES.map((p) => <th key={`r${p}`} style={cellStyle}>ROI P{p}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {result.monthly.map((m) => (
+                  <tr key={m.month} style={{ borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{m.month}</td>
+                    {PERCENTILES.map((p) => <td key={`v${p}`} style={cellStyle}>{formatCurrency(m.portfolioValue[`p${p}`], currency)}</td>)}
+                    {PERCENTILES.map((p) => (
+                      <td key={`r${p}`} style={{ ...cellStyle, color: m.roi[`p${p}`] >= 0 ? '#10b981' : '#ef4444' }}>
+                        {formatPercent(m.roi[`p${p}`])}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ ...hintStyle, marginTop: '8px' }}>
+            {result.paths.toLocaleString('en-US')} paths, drift {(drift * 100).toFixed(1)}%/yr, volatility {(volatility * 100).toFixed(1)}%/yr.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+'use client';
+
+import React, { useState } from 'react';
+import { DAYS_PER_MONTH } from '@/lib/projection';
+import { currencySymbol } from '@/lib/currency';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  hintStyle,
+  smallInputStyle,
+  toggleButtonStyle,
+} from './styles';
+
+const FEE_BASES = [
+  { key: 'perThDay', label: 'Per TH / day' },
+  { key: 'monthly', label: 'Flat monthly' },
+];
+
+// costs = { poolFee, uptime, hostingFeePerThDay, hostingFeeMonthly, stopWhenUnprofitable }
+// (fractions for poolFee / uptime; fees in the selected currency).
+export default function OperatingCostsPanel({ costs, onChange, hashrate, currency = 'USD' }) {
+  // Only matters while both fees are zero; otherwise the fee that is set decides.
+  const [preferredBasis, setPreferredBasis] = useState('perThDay');
+  const basis = costs.hostingFeeMonthly > 0 ? 'monthly' : costs.hostingFeePerThDay > 0 ? 'perThDay' : preferredBasis;
+  const update = (patch) => onChange({ ...costs, ...patch });
+  const symbol = currencySymbol(currency);
+  const thDays = hashrate * DAYS_PER_MONTH;
+
+  // Switching basis converts the fee at the current hashrate so the monthly amount stays the same.
+  const changeBasis = (next) => {
+    if (next === basis) return;
+    if (next === 'monthly') {
+      update({ hostingFeeMonthly: Number((costs.hostingFeePerThDay * thDays).toFixed(2)), hostingFeePerThDay: 0 });
+    } else {
+      update({ hostingFeePerThDay: thDays > 0 ? Number((costs.hostingFeeMonthly / thDays).toFixed(4)) : 0, hostingFeeMonthly: 0 });
+    }
+    setPreferredBasis(next);
+  };
+  const percent = (fraction) => Number((fraction * 100).toFixed(2));
+  const readFraction = (raw, max) => Math.min(max, Math.max(0, Number(raw) / 100 || 0));
+  const readFee = (raw) => Math.max(0, Number(raw) || 0);
+
+  return (
+    <div style={panelStyle}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Operating Costs</h2>
+      <p style={{ fontSize: '11px', color: '#64748b', marginBottom: '12px' }}>
+        Pool fee, hosting and downtime on top of electricity.
+      </p>
+
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '8px', marginBottom: '12px' }}>
+        <div>
+          <label style={labelStyle}>Pool fee (%)</label>
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            max="99"
+            value={percent(costs.poolFee)}
+            onChange={(e) => update({ poolFee: readFraction(e.target.value, 0.99) })}
+            style={smallInputStyle}
+          />
+        </div>
+        <div>
+          <label style={labelStyle}>Expected uptime (%)</label>
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            max="100"
+            value={percent(costs.uptime)}
+            onChange={(e) => update({ uptime: readFraction(e.target.value, 1) })}
+            style={smallInputStyle}
+          />
+        </div>
+      </div>
+
+      <label style={labelStyle}>Hosting / maintenance fee</label>
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '8px', flexWrap: 'wrap' }}>
+        {FEE_BASES.map((b) => (
+          <button key={b.key} onClick={() => changeBasis(b.key)} style={toggleButtonStyle(basis === b.key, '#f59e0b')}>
+            {b.label}
+          </button>
+        ))}
+      </div>
+      <input
+        type="number"
+        step={basis === 'monthly' ? '1' : '0.001'}
+        min="0"
+        value={basis === 'monthly' ? costs.hostingFeeMonthly : costs.hostingFeePerThDay}
+        onChange={(e) => update(basis === 'monthly'
+          ? { hostingFeeMonthly: readFee(e.target.value) }
+          : { hostingFeePerThDay: readFee(e.target.value) })}
+        style={{ ...smallInputStyle, marginBottom: '6px' }}
+      />
+      <div style={hintStyle}>
+        {basis === 'monthly' ? `${symbol}/month, flat` : `${symbol}/TH/day`}; charged whether or not the hardware is up,
+        on top of any maintenance included with the tier.
+      </div>
+
+      <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', marginTop: '12px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={costs.stopWhenUnprofitable}
+          onChange={(e) => update({ stopWhenUnprofitable: e.target.checked })}
+          style={{ accentColor: '#f7931a' }}
+        />
+        Stop when unprofitable
+      </label>
+      <div style={hintStyle}>
+        Ends the contract once daily revenue drops below daily electricity + hosting costs, as many hosting
+        contracts do. Mined BTC is still held to the end of the horizon.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,233 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import { formatBtc, formatCurrency, formatCurrencyCompact } from '@/lib/format';
+import {
+  CHART_HEIGHT,
+  CHART_MARGIN,
+  CHART_SERIES,
+  CHART_WIDTH,
+  RIGHT_AXIS_WIDTH,
+  layoutProjectionChart,
+  monthTicks,
+} from '@/lib/projection-chart';
+
+// rows: the selected projection (table rows, so benchmark and tax fields are included).
+// scenarios: [{ key, label, color, rows }] for every available growth scenario; any of them
+// can be overlaid as a portfolio-value line. Markers come from halvingMonth / breakevenMonth.
+export default function ProjectionChart({
+  rows,
+  scenarios = [],
+  selectedScenario,
+  halvingMonth = null,
+  breakevenMonth = null,
+  benchmarkLabel,
+  currency = 'USD',
+}) {
+  const [hidden, setHidden] = useState([]);
+  const [overlays, setOverlays] = useState([]);
+  const [hoverIdx, setHoverIdx] = useState(null);
+
+  const toggle = (setter, key) => setter((list) => (list.includes(key) ? list.filter((k) => k !== key) : [...list, key]));
+  const available = useMemo(
+    () => CHART_SERIES.filter((s) => !s.optional || rows.some((r) => Number.isFinite(r[s.key]))),
+    [rows]
+  );
+  const visible = useMemo(() => available.filter((s) => !hidden.includes(s.key)), [available, hidden]);
+  const overlaid = useMemo(
+    () => scenarios.filter((s) => s.key !== selectedScenario && overlays.includes(s.key)),
+    [scenarios, selectedScenario, overlays]
+  );
+
+  const layout = useMemo(
+    () => layoutProjectionChart({ rows, series: visible, overlays: overlaid, halvingMonth, breakevenMonth }),
+    [rows, visible, overlaid, halvingMonth, breakevenMonth]
+  );
+
+  if (rows.length === 0) {
+    return <div style={{ fontSize: '12px', color: '#64748b' }}>No projection rows yet.</div>;
+  }
+
+  const { months, plotW, plotH, x, rightAxes, scales, markers, seriesPaths, overlayPaths } = layout;
+  const money = (val) => formatCurrency(val, currency);
+  const formatValue = (s, val) => (s.axis === 'btc' ? `₿ ${formatBtc(val)}` : money(val));
+  const axisLabel = { btc: (v) => Number(v.toPrecision(3)).toString(), price: (v) => formatCurrencyCompact(v, currency) };
+
+  const onPointerMove = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const vx = ((e.clientX - rect.left) / rect.width) * CHART_WIDTH;
+    const idx = months > 1 ? Math.round(((vx - CHART_MARGIN.left) / plotW) * (months - 1)) : 0;
+    setHoverIdx(Math.min(months - 1, Math.max(0, idx)));
+  };
+
+  const hoverRow = hoverIdx !== null ? rows[hoverIdx] : null;
+  const hoverX = hoverRow ? x(hoverRow.month) : 0;
+
+  return (
+    <div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginBottom: '12px' }}>
+        {available.map((s) => {
+          const on = !hidden.includes(s.key);
+          return (
+            <button
+              key={s.key}
+              onClick={() => toggle(setHidden, s.key)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '6px',
+                padding: '4px 8px',
+                borderRadius: '4px',
+                border: `1px solid ${on ? s.color : 'rgba(255,255,255,0.1)'}`,
+                background: on ? `${s.color}20` : 'transparent',
+                color: on ? '#e2e8f0' : '#64748b',
+                fontSize: '11px',
+                fontFamily: 'inherit',
+                cursor: 'pointer',
+              }}
+            >
+              <svg width="16" height="4"><line x1="0" x2="16" y1="2" y2="2" stroke={s.color} strokeWidth="2" strokeDasharray={s.dash} /></svg>
+              {s.key === 'hodlValue' && benchmarkLabel ? `${s.label} (${benchmarkLabel})` : s.label}
+            </button>
+          );
+        })}
+      </div>
+
+      <div style={{ position: 'relative' }}>
+        <svg
+          viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+          style={{ width: '100%', height: 'auto', display: 'block', touchAction: 'pan-y' }}
+          onPointerMove={onPointerMove}
+          onPointerLeave={() => setHoverIdx(null)}
+        >
+          {scales.money?.ticks.map((t) => (
+            <g key={`m${t}`}>
+              <line x1={CHART_MARGIN.left} x2={CHART_MARGIN.left + plotW} y1={scales.money.y(t)} y2={scales.money.y(t)} stroke="rgba(255,255,255,0.06)" />
+              <text x={CHART_MARGIN.left - 6} y={scales.money.y(t) + 4} fill="#64748b" fontSize="11" textAnchor="end">
+                {formatCurrencyCompact(t, currency)}
+              </text>
+            </g>
+          ))}
+          {rightAxes.map((axis, i) => {
+            const ax = CHART_MARGIN.left + plotW + 8 + i * RIGHT_AXIS_WIDTH;
+            const color = CHART_SERIES.find((s) => s.axis === axis).color;
+            return (
+              <g key={axis}>
+                {scales[axis].ticks.map((t) => (
+                  <text key={t} x={ax} y={scales[axis].y(t) + 4} fill={color} fontSize="11" opacity="0.8">{axisLabel[axis](t)}</text>
+                ))}
+                <text x={ax} y={CHART_MARGIN.top - 8} fill={color} fontSize="10">{axis === 'btc' ? '₿ held' : 'BTC price'}</text>
+              </g>
+            );
+          })}
+          {monthTicks(months).map((m) => (
+            <text key={m} x={x(m)} y={CHART_HEIGHT - CHART_MARGIN.bottom + 16} fill="#64748b" fontSize="11" textAnchor="middle">{m}</text>
+          ))}
+          <text x={CHART_MARGIN.left + plotW / 2} y={CHART_HEIGHT - 4} fill="#64748b" fontSize="11" textAnchor="middle">Month</text>
+          <line x1={CHART_MARGIN.left} x2={CHART_MARGIN.left + plotW} y1={CHART_MARGIN.top + plotH} y2={CHART_MARGIN.top + plotH} stroke="rgba(255,255,255,0.15)" />
+
+          {markers.map((m) => (
+            <g key={m.key}>
+              <line x1={m.x} x2={m.x} y1={CHART_MARGIN.top} y2={CHART_MARGIN.top + plotH} stroke={m.color} strokeWidth="1.5" strokeDasharray="4 3" />
+              <text x={m.x + 4} y={CHART_MARGIN.top + 10} fill={m.color} fontSize="11">{m.label}</text>
+            </g>
+          ))}
+
+          {overlayPaths.map((s) => (
+            <path
+              key={s.key}
+              d={s.d}
+              fill="none"
+              stroke={s.color}
+              strokeWidth="1.5"
+              strokeDasharray="8 4"
+              opacity="0.7"
+            />
+          ))}
+          {seriesPaths.map((s) => (
+            <path
+              key={s.key}
+              d={s.d}
+              fill="none"
+              stroke={s.color}
+              strokeWidth={s.key === 'portfolioValue' ? 2.5 : 1.5}
+              strokeDasharray={s.dash}
+            />
+          ))}
+
+          {hoverRow && (
+            <g pointerEvents="none">
+              <line x1={hoverX} x2={hoverX} y1={CHART_MARGIN.top} y2={CHART_MARGIN.top + plotH} stroke="rgba(255,255,255,0.35)" />
+              {visible.map((s) => scales[s.axis] && Number.isFinite(hoverRow[s.key]) && (
+                <circle key={s.key} cx={hoverX} cy={scales[s.axis].y(hoverRow[s.key])} r="3.5" fill={s.color} />
+              ))}
+            </g>
+          )}
+        </svg>
+
+        {hoverRow && (
+          <div style={{
+            position: 'absolute',
+            top: '8px',
+            ...(hoverX > CHART_MARGIN.left + plotW / 2
+              ? { right: `${((CHART_WIDTH - hoverX) / CHART_WIDTH) * 100 + 1}%` }
+              : { left: `${(hoverX / CHART_WIDTH) * 100 + 1}%` }),
+            padding: '8px 10px',
+            background: 'rgba(15, 15, 30, 0.95)',
+            border: '1px solid rgba(255,255,255,0.15)',
+            borderRadius: '6px',
+            fontSize: '11px',
+            color: '#94a3b8',
+            pointerEvents: 'none',
+            whiteSpace: 'nowrap',
+          }}>
+            <div style={{ color: '#e2e8f0', fontWeight: '600', marginBottom: '4px' }}>
+              Month {hoverRow.month}
+              {hoverRow.month === halvingMonth ? ' · halving' : ''}
+              {hoverRow.month === breakevenMonth ? ' · breakeven' : ''}
+            </div>
+            {visible.map((s) => Number.isFinite(hoverRow[s.key]) && (
+              <div key={s.key} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+                <span style={{ color: s.color }}>{s.label}</span>
+                <span style={{ color: '#e2e8f0' }}>{formatValue(s, hoverRow[s.key])}</span>
+              </div>
+            ))}
+            {overlaid.map((s) => s.rows[hoverIdx] && (
+              <div key={s.key} style={{ display: 'flex', justifyContent: 'space-between', gap: '12px' }}>
+                <span style={{ color: s.color }}>{s.label} value</span>
+                <span style={{ color: '#e2e8f0' }}>{money(s.rows[hoverIdx].portfolioValue)}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {scenarios.length > 1 && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px', marginTop: '12px' }}>
+          <span style={{ fontSize: '11px', color: '#64748b' }}>Overlay scenarios:</span>
+          {scenarios.filter((s) => s.key !== selectedScenario).map((s) => {
+            const on = overlays.includes(s.key);
+            return (
+              <button
+                key={s.key}
+                onClick={() => toggle(setOverlays, s.key)}
+                style={{
+                  padding: '4px 8px',
+                  borderRadius: '4px',
+                  border: `1px dashed ${on ? s.color : 'rgba(255,255,255,0.15)'}`,
+                  background: on ? `${s.color}20` : 'transparent',
+                  color: on ? s.color : '#64748b',
+                  fontSize: '11px',
+                  fontFamily: 'inherit',
+                  cursor: 'pointer',
+                }}
+              >
+                {s.label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
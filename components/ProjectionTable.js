@@ -0,0 +1,85 @@
+'use client';
+
+import React from 'react';
+import { PROJECTION_COLUMNS, projectionToCsv, projectionToJson, downloadFile } from '@/lib/export';
+import { formatCurrency, formatBtc, formatPercent } from '@/lib/format';
+import { panelStyle, panelTitleStyle, toggleButtonStyle } from './styles';
+
+const cellStyle = { padding: '6px 8px', textAlign: 'right', whiteSpace: 'nowrap' };
+
+const FORMATTERS = {
+  month: (v) => v,
+  monthlyBtcGross: formatBtc,
+  cumulativeBtc: formatBtc,
+  hodlBtc: formatBtc,
+  monthlyBtcSold: formatBtc,
+  roi: formatPercent,
+};
+
+// columns lets callers add model-specific columns (they fall back to plain numbers).
+export default function ProjectionTable({ rows, assumptions, columns = PROJECTION_COLUMNS, filenameBase = 'mining-projection', currency = 'USD' }) {
+  const exportAs = (format) => {
+    const header = { 'Generated at': new Date().toISOString(), ...assumptions };
+    if (format === 'csv') {
+      downloadFile(`${filenameBase}.csv`, projectionToCsv({ assumptions: header, rows, columns }), 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(`${filenameBase}.json`, projectionToJson({ assumptions: header, rows, columns }), 'application/json');
+    }
+  };
+
+  return (
+    <div style={{ ...panelStyle, maxWidth: '1200px', margin: '20px auto 0' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '16px' }}>
+        <h2 style={{ ...panelTitleStyle, marginBottom: 0 }}>Monthly Projection Table</h2>
+        <div style={{ display: 'flex', gap: '8px' }}>
+          <button onClick={() => exportAs('csv')} disabled={rows.length === 0} style={toggleButtonStyle(false, '#f7931a')}>
+            ⬇ CSV
+          </button>
+          <button onClick={() => exportAs('json')} disabled={rows.length === 0} style={toggleButtonStyle(false, '#f7931a')}>
+            ⬇ JSON
+          </button>
+        </div>
+      </div>
+
+      {rows.length === 0 ? (
+        <div style={{ fontSize: '12px', color: '#64748b' }}>No projection rows yet.</div>
+      ) : (
+        <div style={{ overflowX: 'auto', maxHeight: '420px', overflowY: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', color: '#94a3b8' }}>
+            <thead>
+              <tr style={{ color: '#64748b', borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+                {columns.map((c) => (
+                  <th key={c.key} style={{ ...cellStyle, textAlign: c.key === 'month' ? 'left' : 'right' }}>{c.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.month} style={{ borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+                  {columns.map((c) => {
+                    const value = row[c.key];
+                    const format = c.money
+                      ? (v) => formatCurrency(v, currency)
+                      : FORMATTERS[c.key] || ((v) => (Number.isFinite(v) ? v.toLocaleString('en-US') : '—'));
+                    return (
+                      <td
+                        key={c.key}
+                        style={{
+                          ...cellStyle,
+                          textAlign: c.key === 'month' ? 'left' : 'right',
+                          color: c.key === 'roi' ? (value >= 0 ? '#10b981' : '#ef4444') : undefined,
+                        }}
+                      >
+                        {format(value)}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,238 @@
+'use client';
+
+import React, { useMemo, useState } from 'react';
+import { scaleGrowthScenarios } from '@/lib/projection';
+import { MAX_PLAN_CONTRACTS, projectPurchasePlan } from '@/lib/purchase-plan';
+import { formatBtc, formatCurrency, formatPercent } from '@/lib/format';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  hintStyle,
+  smallInputStyle,
+  toggleButtonStyle,
+} from './styles';
+
+const cellStyle = { padding: '6px 8px', textAlign: 'right', whiteSpace: 'nowrap' };
+const statStyle = { padding: '12px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' };
+const statLabelStyle = { fontSize: '11px', color: '#64748b', marginBottom: '4px' };
+
+const DEFAULT_PURCHASE = { tierName: null, startMonth: 0, everyMonths: 3, times: 4, contractMonths: 24 };
+
+// null (or a tier that left the catalog) falls back to the first tier.
+function findPlanTier(tiers, name) {
+  return tiers.find((t) => t.name === name) ?? tiers[0] ?? null;
+}
+
+// Staggered purchases and auto-reinvest, projected together under the selected scenario.
+// baseInput is the page's shared projectMonthly() input; tiers are the catalog tiers plus
+// the custom / hardware purchase when one is selected. Tier choices are kept by name.
+export default function PurchasePlanPanel({ baseInput, tiers, baseMultipliers, scenarioKey, currency = 'USD' }) {
+  const [horizonMonths, setHorizonMonths] = useState(36);
+  const [purchases, setPurchases] = useState([DEFAULT_PURCHASE]);
+  const [reinvest, setReinvest] = useState({ enabled: false, tierName: null, contractMonths: 24 });
+
+  const findTier = (name) => findPlanTier(tiers, name);
+  const updatePurchase = (idx, patch) => setPurchases((list) => list.map((p, i) => (i === idx ? { ...p, ...patch } : p)));
+  const readCount = (raw, min) => Math.max(min, Math.round(Number(raw) || 0));
+
+  const scenario = useMemo(
+    () => scaleGrowthScenarios(baseMultipliers, horizonMonths)[scenarioKey],
+    [baseMultipliers, horizonMonths, scenarioKey]
+  );
+  const result = useMemo(() => projectPurchasePlan(
+    { ...baseInput, finalMultiplier: scenario?.finalMultiplier },
+    {
+      horizonMonths,
+      purchases: purchases.map((p) => ({ ...p, tier: findPlanTier(tiers, p.tierName) })),
+      reinvest: reinvest.enabled
+        ? { tier: findPlanTier(tiers, reinvest.tierName), contractMonths: reinvest.contractMonths }
+        : null,
+    }
+  ), [baseInput, scenario, horizonMonths, purchases, reinvest, tiers]);
+
+  const money = (val) => formatCurrency(val, currency);
+  const tierSelect = (value, onChange) => (
+    <select value={findTier(value)?.name ?? ''} onChange={(e) => onChange(e.target.value)} style={smallInputStyle}>
+      {tiers.map((t) => <option key={t.name} value={t.name}>{t.name} · {money(t.price)}</option>)}
+    </select>
+  );
+  const summary = result?.summary;
+
+  return (
+    <div style={{ ...panelStyle, maxWidth: '1200px', margin: '20px auto 0' }}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Purchase Plan</h2>
+      <p style={{ fontSize: '11px', color: '#64748b', marginBottom: '16px' }}>
+        Buy contracts on a schedule (dollar-cost averaging) and/or reinvest mined BTC into more hashrate. Overlapping
+        contracts share one BTC price path ({scenario?.label ?? 'scenario unavailable'}) over the horizon.
+      </p>
+
+      <div style={{ maxWidth: '200px', marginBottom: '16px' }}>
+        <label style={labelStyle}>Horizon (months)</label>
+        <input
+          type="number"
+          min="1"
+          max="120"
+          value={horizonMonths}
+          onChange={(e) => setHorizonMonths(Math.min(120, readCount(e.target.value, 1)))}
+          style={smallInputStyle}
+        />
+      </div>
+
+      <label style={labelStyle}>Scheduled purchases (paid in cash)</label>
+      {purchases.map((p, idx) => (
+        <div
+          key={idx}
+          style={{ display: 'grid', gridTemplateColumns: '2fr repeat(4, 1fr) auto', gap: '8px', alignItems: 'end', marginBottom: '8px' }}
+        >
+          <div>
+            <div style={hintStyle}>Tier</div>
+            {tierSelect(p.tierName, (name) => updatePurchase(idx, { tierName: name }))}
+          </div>
+          <div>
+            <div style={hintStyle}>First at month</div>
+            <input type="number" min="0" value={p.startMonth} onChange={(e) => updatePurchase(idx, { startMonth: readCount(e.target.value, 0) })} style={smallInputStyle} />
+          </div>
+          <div>
+            <div style={hintStyle}>Every (months)</div>
+            <input type="number" min="1" value={p.everyMonths} onChange={(e) => updatePurchase(idx, { everyMonths: readCount(e.target.value, 1) })} style={smallInputStyle} />
+          </div>
+          <div>
+            <div style={hintStyle}>Purchases</div>
+            <input type="number" min="1" value={p.times} onChange={(e) => updatePurchase(idx, { times: readCount(e.target.value, 1) })} style={smallInputStyle} />
+          </div>
+          <div>
+            <div style={hintStyle}>Contract (months)</div>
+            <input type="number" min="1" value={p.contractMonths} onChange={(e) => updatePurchase(idx, { contractMonths: readCount(e.target.value, 1) })} style={smallInputStyle} />
+          </div>
+          <button
+            onClick={() => setPurchases((list) => list.filter((_, i) => i !== idx))}
+            style={toggleButtonStyle(false, '#ef4444')}
+            title="Remove"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button onClick={() => setPurchases((list) => [...list, DEFAULT_PURCHASE])} style={toggleButtonStyle(false, '#3b82f6')}>
+        + Add purchase
+      </button>
+
+      <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '8px', marginTop: '16px', cursor: 'pointer' }}>
+        <input
+          type="checkbox"
+          checked={reinvest.enabled}
+          onChange={(e) => setReinvest((r) => ({ ...r, enabled: e.target.checked }))}
+          style={{ accentColor: '#f7931a' }}
+        />
+        Auto-reinvest mined BTC
+      </label>
+      {reinvest.enabled && (
+        <div style={{ display: 'grid', gridTemplateColumns: '2fr 1fr', gap: '8px', maxWidth: '480px' }}>
+          <div>
+            <div style={hintStyle}>Buy this tier whenever held BTC covers its price (until the horizon)</div>
+            {tierSelect(reinvest.tierName, (name) => setReinvest((r) => ({ ...r, tierName: name })))}
+          </div>
+          <div>
+            <div style={hintStyle}>Contract (months)</div>
+            <input
+              type="number"
+              min="1"
+              value={reinvest.contractMonths}
+              onChange={(e) => setReinvest((r) => ({ ...r, contractMonths: readCount(e.target.value, 1) }))}
+              style={smallInputStyle}
+            />
+          </div>
+        </div>
+      )}
+
+      {!result && (
+        <div style={{ ...hintStyle, marginTop: '16px' }}>Waiting for a BTC price and an available growth scenario.</div>
+      )}
+      {summary && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '12px', marginTop: '20px' }}>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Contracts</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#e2e8f0' }}>{summary.contracts}</div>
+              <div style={hintStyle}>{summary.cashContracts} bought · {summary.reinvestContracts} reinvested</div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Cash invested</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#94a3b8' }}>{money(summary.cashInvested)}</div>
+              <div style={hintStyle}>All-in cost {money(summary.totalCost)}</div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Combined portfolio (month {summary.months})</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#e2e8f0' }}>{money(summary.portfolioValue)}</div>
+              <div style={hintStyle}>{formatBtc(summary.cumulativeBtc)} BTC held</div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Blended ROI</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: summary.roi >= 0 ? '#10b981' : '#ef4444' }}>
+                {formatPercent(summary.roi)}
+              </div>
+              <div style={hintStyle}>
+                {summary.breakevenMonth ? `Breakeven month ${summary.breakevenMonth}` : 'No breakeven in horizon'}
+              </div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Peak hashrate</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#f7931a' }}>{summary.peakHashrate.toFixed(1)} TH/s</div>
+              <div style={hintStyle}>{formatBtc(summary.btcReinvested)} BTC reinvested</div>
+            </div>
+          </div>
+          {summary.capped && (
+            <div style={{ ...hintStyle, color: '#f59e0b', marginTop: '8px' }}>
+              Stopped at {MAX_PLAN_CONTRACTS} contracts; later purchases are not included.
+            </div>
+          )}
+
+          <div style={{ overflowX: 'auto', maxHeight: '360px', overflowY: 'auto', marginTop: '16px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', color: '#94a3b8' }}>
+              <thead>
+                <tr style={{ color: '#64748b', borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>#</th>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Tier</th>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Funding</th>
+                  <th style={cellStyle}>Months</th>
+                  <th style={cellStyle}>Price</th>
+                  <th style={cellStyle}>BTC Mined</th>
+                  <th style={cellStyle}>All-in Cost</th>
+                  <th style={cellStyle}>Value at Horizon</th>
+                  <th style={cellStyle}>ROI</th>
+                  <th style={cellStyle}>Share of Value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.contracts.map((c) => (
+                  <tr key={c.id} style={{ borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{c.id}</td>
+                    <td style={{ ...cellStyle, textAlign: 'left', color: c.color }}>{c.tierName}</td>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{c.funding === 'cash' ? 'Cash' : 'Reinvested BTC'}</td>
+                    <td style={cellStyle}>
+                      {c.startMonth + 1}–{c.endMonth}
+                      {c.endMonth - c.startMonth < c.contractMonths ? ' (cut at horizon)' : ''}
+                      {c.terminatedMonth ? ` (stopped ${c.startMonth + c.terminatedMonth})` : ''}
+                    </td>
+                    <td style={cellStyle}>{money(c.price)}</td>
+                    <td style={cellStyle}>{formatBtc(c.btcMined)}</td>
+                    <td style={cellStyle}>{money(c.cost)}</td>
+                    <td style={cellStyle}>{money(c.value)}</td>
+                    <td style={{ ...cellStyle, color: c.roi >= 0 ? '#10b981' : '#ef4444' }}>{formatPercent(c.roi)}</td>
+                    <td style={cellStyle}>{(c.valueShare * 100).toFixed(1)}%</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ ...hintStyle, marginTop: '8px' }}>
+            Per-contract value counts all BTC a contract mined at the horizon price, including BTC later spent on
+            reinvested contracts; the combined portfolio counts only BTC still held. Blended ROI compares the combined
+            portfolio with the cash invested plus all running costs.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+'use client';
+
+import React from 'react';
+import {
+  dailyBtcPerThFromNetwork,
+  estimateHeightDate,
+  nextHalvingHeight,
+  blockSubsidy,
+} from '@/lib/halving';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  hintStyle,
+  smallInputStyle,
+  toggleButtonStyle,
+} from './styles';
+
+const MODES = [
+  { key: 'hashprice', label: 'Fixed hashprice' },
+  { key: 'halving', label: 'Halving-aware' },
+];
+
+export default function RevenueModelPanel({ revenueModel, onRevenueModelChange, network, onNetworkChange, currentBtcPrice }) {
+  const update = (patch) => onNetworkChange({ ...network, ...patch });
+  const readNumber = (raw) => (raw === '' ? null : Number(raw));
+
+  const halvingHeight = Number.isFinite(network.blockHeight) ? nextHalvingHeight(network.blockHeight) : null;
+  const halvingDate = halvingHeight ? estimateHeightDate(halvingHeight, network.blockHeight) : null;
+  const dailyBtcPerTh = dailyBtcPerThFromNetwork(network);
+  const impliedHashprice = dailyBtcPerTh && currentBtcPrice ? dailyBtcPerTh * currentBtcPrice : null;
+
+  return (
+    <div style={panelStyle}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Mining Revenue</h2>
+      <p style={{ fontSize: '11px', color: '#64748b', marginBottom: '12px' }}>
+        How BTC earned per TH is derived.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '16px', flexWrap: 'wrap' }}>
+        {MODES.map((m) => (
+          <button
+            key={m.key}
+            onClick={() => onRevenueModelChange(m.key)}
+            style={toggleButtonStyle(revenueModel === m.key, '#f7931a')}
+          >
+            {m.label}
+          </button>
+        ))}
+      </div>
+
+      {revenueModel === 'hashprice' ? (
+        <p style={hintStyle}>
+          Uses Hashprice ÷ BTC price as a fixed BTC/TH/day yield, reduced only by difficulty growth.
+          Ignores the block subsidy halving.
+        </p>
+      ) : (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '8px' }}>
+            <div>
+              <label style={labelStyle}>Block height</label>
+              <input
+                type="number"
+                value={network.blockHeight ?? ''}
+                onChange={(e) => update({ blockHeight: readNumber(e.target.value) })}
+                style={smallInputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Network EH/s</label>
+              <input
+                type="number"
+                value={network.networkHashrateEh ?? ''}
+                onChange={(e) => update({ networkHashrateEh: readNumber(e.target.value) })}
+                style={smallInputStyle}
+              />
+            </div>
+            <div>
+              <label style={labelStyle}>Fee share (%)</label>
+              <input
+                type="number"
+                step="0.5"
+                value={Number.isFinite(network.feeShare) ? Number((network.feeShare * 100).toFixed(2)) : ''}
+                onChange={(e) => update({ feeShare: Number(e.target.value) / 100 })}
+                style={smallInputStyle}
+              />
+            </div>
+          </div>
+          <div style={{ ...hintStyle, marginTop: '12px' }}>
+            Subsidy now: {Number.isFinite(network.blockHeight) ? blockSubsidy(network.blockHeight) : '—'} BTC.
+            {' '}Next halving: block {halvingHeight?.toLocaleString('en-US') ?? '—'}
+            {halvingDate && ` (~${halvingDate.toLocaleDateString('en-US', { month: 'short', year: 'numeric' })})`}.
+            {' '}Implied hashprice today: {impliedHashprice ? `$${impliedHashprice.toFixed(3)}/TH/day` : '—'}.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+'use client';
+
+import React from 'react';
+import { SELL_STRATEGY_TYPES, SELL_STRATEGY_LABELS } from '@/lib/sell-strategy';
+import { currencySymbol } from '@/lib/currency';
+import { formatCurrency } from '@/lib/format';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  hintStyle,
+  smallInputStyle,
+  toggleButtonStyle,
+} from './styles';
+
+const HINTS = {
+  hold: 'Every satoshi is held to the end; electricity and hosting are paid out of pocket.',
+  coverCosts: 'Each month, enough BTC is sold at that month’s price to pay electricity and hosting (as far as the BTC held allows).',
+  percent: 'Each month, this share of the BTC mined that month is sold; the rest is held.',
+  target: 'All BTC held is sold in any month the price is at or above the target, including BTC mined after it is first hit.',
+};
+
+// Same shape as DifficultyModelPanel: parameters for every strategy are kept so switching
+// doesn't lose edits. Target prices are in the selected currency.
+export default function SellStrategyPanel({ strategyType, strategies, onStrategyTypeChange, onStrategyChange, currentBtcPrice, currency = 'USD' }) {
+  const strategy = strategies[strategyType];
+  const update = (patch) => onStrategyChange(strategyType, { ...strategy, ...patch });
+
+  return (
+    <div style={panelStyle}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Sell Strategy</h2>
+      <p style={{ fontSize: '11px', color: '#64748b', marginBottom: '12px' }}>
+        What happens to mined BTC. Sales are realized at the scenario’s price for that month.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+        {SELL_STRATEGY_TYPES.map((type) => (
+          <button
+            key={type}
+            onClick={() => onStrategyTypeChange(type)}
+            style={toggleButtonStyle(strategyType === type, '#10b981')}
+          >
+            {SELL_STRATEGY_LABELS[type]}
+          </button>
+        ))}
+      </div>
+
+      {strategy.type === 'percent' && (
+        <div style={{ marginBottom: '8px' }}>
+          <label style={labelStyle}>Share of monthly BTC sold (%)</label>
+          <input
+            type="number"
+            step="5"
+            min="0"
+            max="100"
+            value={Number((strategy.fraction * 100).toFixed(2))}
+            onChange={(e) => update({ fraction: Math.min(1, Math.max(0, Number(e.target.value) / 100 || 0)) })}
+            style={smallInputStyle}
+          />
+        </div>
+      )}
+      {strategy.type === 'target' && (
+        <div style={{ marginBottom: '8px' }}>
+          <label style={labelStyle}>Target BTC price ({currencySymbol(currency)})</label>
+          <input
+            type="number"
+            step="1000"
+            min="0"
+            value={strategy.price}
+            onChange={(e) => update({ price: Math.max(0, Number(e.target.value) || 0) })}
+            style={smallInputStyle}
+          />
+          {currentBtcPrice > 0 && (
+            <div style={{ ...hintStyle, marginTop: '4px' }}>
+              Today: {formatCurrency(currentBtcPrice, currency)} ({((strategy.price / currentBtcPrice - 1) * 100).toFixed(0)}% away)
+            </div>
+          )}
+        </div>
+      )}
+      <div style={hintStyle}>{HINTS[strategy.type]}</div>
+    </div>
+  );
+}
@@ -0,0 +1,172 @@
+'use client';
+
+import React, { useState, useMemo } from 'react';
+import { SENSITIVITY_INPUTS, tornadoAnalysis, sensitivityHeatmap } from '@/lib/sensitivity';
+import { formatPercent } from '@/lib/format';
+import { panelStyle, panelTitleStyle, labelStyle, hintStyle, smallInputStyle } from './styles';
+
+const HEATMAP_STEPS = 7;
+
+const clampPct = (raw) => Math.min(99, Math.max(0, Number(raw) || 0));
+
+// Green for gains, red for losses; saturates at ±100% ROI.
+function roiColor(roi) {
+  if (!Number.isFinite(roi)) return 'rgba(0,0,0,0.3)';
+  const alpha = 0.15 + Math.min(1, Math.abs(roi) / 100) * 0.6;
+  return roi >= 0 ? `rgba(16, 185, 129, ${alpha})` : `rgba(239, 68, 68, ${alpha})`;
+}
+
+export default function SensitivityPanel({ input }) {
+  const [downPct, setDownPct] = useState(20);
+  const [upPct, setUpPct] = useState(20);
+  const [xKey, setXKey] = useState('currentBtcPrice');
+  const [yKey, setYKey] = useState('electricityCostKwh');
+  const [rangePct, setRangePct] = useState(30);
+
+  const tornado = useMemo(() => tornadoAnalysis(input, { downPct, upPct }), [input, downPct, upPct]);
+  const heatmap = useMemo(
+    () => sensitivityHeatmap(input, xKey, yKey, { rangePct, steps: HEATMAP_STEPS }),
+    [input, xKey, yKey, rangePct]
+  );
+
+  const { baseRoi, rows } = tornado;
+  // Symmetric scale around the base ROI so bars on either side are comparable.
+  const maxDelta = Math.max(
+    1e-9,
+    ...rows.flatMap((r) => [r.lowRoi, r.highRoi].filter(Number.isFinite).map((v) => Math.abs(v - baseRoi)))
+  );
+  const labelFor = (key) => SENSITIVITY_INPUTS.find((s) => s.key === key)?.label ?? key;
+
+  return (
+    <div style={{ ...panelStyle, maxWidth: '1200px', margin: '20px auto 0' }}>
+      <h2 style={{ ...panelTitleStyle, marginBottom: '8px' }}>Sensitivity Analysis</h2>
+      <p style={{ ...hintStyle, marginBottom: '16px' }}>
+        How final ROI responds to each input, all else held constant. A BTC price change moves the hashprice
+        with it, so the BTC mined per day stays the same.
+      </p>
+
+      {baseRoi === null ? (
+        <div style={{ fontSize: '12px', color: '#64748b' }}>Waiting for a complete projection.</div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(340px, 1fr))', gap: '24px' }}>
+          {/* Tornado */}
+          <div>
+            <div style={{ display: 'flex', gap: '12px', marginBottom: '12px' }}>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Down (%)</label>
+                <input type="number" min="0" max="99" value={downPct} onChange={(e) => setDownPct(clampPct(e.target.value))} style={smallInputStyle} />
+              </div>
+              <div style={{ flex: 1 }}>
+                <label style={labelStyle}>Up (%)</label>
+                <input type="number" min="0" max="99" value={upPct} onChange={(e) => setUpPct(clampPct(e.target.value))} style={smallInputStyle} />
+              </div>
+            </div>
+            <div style={{ fontSize: '11px', color: '#64748b', marginBottom: '8px', textAlign: 'center' }}>
+              Base ROI {formatPercent(baseRoi)}
+            </div>
+            {rows.map((r) => {
+              const bar = (roi, color) => {
+                if (!Number.isFinite(roi)) return null;
+                const delta = roi - baseRoi;
+                const width = (Math.abs(delta) / maxDelta) * 50;
+                return (
+                  <div
+                    style={{
+                      position: 'absolute',
+                      top: 0,
+                      bottom: 0,
+                      left: delta >= 0 ? '50%' : `${50 - width}%`,
+                      width: `${width}%`,
+                      background: color,
+                      opacity: 0.8,
+                    }}
+                    title={formatPercent(roi)}
+                  />
+                );
+              };
+              return (
+                <div key={r.key} style={{ display: 'grid', gridTemplateColumns: '120px 1fr', gap: '8px', alignItems: 'center', marginBottom: '6px' }}>
+                  <div style={{ fontSize: '11px', color: '#94a3b8' }}>{r.label}</div>
+                  <div style={{ position: 'relative', height: '18px', background: 'rgba(0,0,0,0.3)', borderRadius: '3px' }}>
+                    {bar(r.lowRoi, '#ef4444')}
+                    {bar(r.highRoi, '#10b981')}
+                    <div style={{ position: 'absolute', top: 0, bottom: 0, left: '50%', borderLeft: '1px solid #e2e8f0' }} />
+                  </div>
+                  <div />
+                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '10px', color: '#64748b', marginTop: '-4px' }}>
+                    <span>−{downPct}%: {formatPercent(r.lowRoi)}</span>
+                    <span>+{upPct}%: {formatPercent(r.highRoi)}</span>
+                  </div>
+                </div>
+              );
+            })}
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '16px', fontSize: '11px', marginTop: '8px' }}>
+              <span style={{ color: '#ef4444' }}>■ Input decreased</span>
+              <span style={{ color: '#10b981' }}>■ Input increased</span>
+            </div>
+          </div>
+
+          {/* Heatmap */}
+          <div>
+            <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 80px', gap: '8px', marginBottom: '12px' }}>
+              <div>
+                <label style={labelStyle}>Columns</label>
+                <select value={xKey} onChange={(e) => setXKey(e.target.value)} style={smallInputStyle}>
+                  {SENSITIVITY_INPUTS.map((s) => <option key={s.key} value={s.key}>{s.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>Rows</label>
+                <select value={yKey} onChange={(e) => setYKey(e.target.value)} style={smallInputStyle}>
+                  {SENSITIVITY_INPUTS.map((s) => <option key={s.key} value={s.key}>{s.label}</option>)}
+                </select>
+              </div>
+              <div>
+                <label style={labelStyle}>± (%)</label>
+                <input type="number" min="0" max="99" value={rangePct} onChange={(e) => setRangePct(clampPct(e.target.value))} style={smallInputStyle} />
+              </div>
+            </div>
+            <div style={{ overflowX: 'auto' }}>
+              <table style={{ borderCollapse: 'separate', borderSpacing: '2px', fontSize: '10px', width: '100%' }}>
+                <thead>
+                  <tr>
+                    <th style={{ color: '#64748b', fontWeight: '400', textAlign: 'left' }}>
+                      {labelFor(yKey)} ↓ / {labelFor(xKey)} →
+                    </th>
+                    {heatmap.xSteps.map((p) => (
+                      <th key={p} style={{ color: '#64748b', fontWeight: '600' }}>{p > 0 ? '+' : ''}{p.toFixed(0)}%</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {heatmap.grid.map((row, yIdx) => (
+                    <tr key={yIdx}>
+                      <td style={{ color: '#64748b', fontWeight: '600', whiteSpace: 'nowrap' }}>
+                        {heatmap.ySteps[yIdx] > 0 ? '+' : ''}{heatmap.ySteps[yIdx].toFixed(0)}%
+                      </td>
+                      {row.map((roi, xIdx) => (
+                        <td
+                          key={xIdx}
+                          style={{
+                            background: roiColor(roi),
+                            color: '#e2e8f0',
+                            textAlign: 'center',
+                            padding: '6px 2px',
+                            borderRadius: '3px',
+                            outline: heatmap.xSteps[xIdx] === 0 && heatmap.ySteps[yIdx] === 0 ? '1px solid #e2e8f0' : 'none',
+                          }}
+                        >
+                          {formatPercent(roi)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
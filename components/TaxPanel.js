@@ -0,0 +1,213 @@
+'use client';
+
+import React from 'react';
+import { LOT_METHODS, TAX_PRESETS, applyTaxPreset, isTaxEnabled } from '@/lib/tax';
+import { ledgerColumns, projectionToCsv, projectionToJson, downloadFile } from '@/lib/export';
+import { formatBtc, formatCurrency, formatPercent } from '@/lib/format';
+import {
+  panelStyle,
+  panelTitleStyle,
+  labelStyle,
+  hintStyle,
+  smallInputStyle,
+  toggleButtonStyle,
+} from './styles';
+
+const cellStyle = { padding: '6px 8px', textAlign: 'right', whiteSpace: 'nowrap' };
+const statStyle = { padding: '12px', background: 'rgba(0,0,0,0.3)', borderRadius: '8px' };
+const statLabelStyle = { fontSize: '11px', color: '#64748b', marginBottom: '4px' };
+
+const RATE_INPUTS = [
+  { key: 'incomeRate', label: 'Income tax on mined BTC (%)' },
+  { key: 'shortTermRate', label: 'Short-term gains (%)' },
+  { key: 'longTermRate', label: 'Long-term gains (%)' },
+];
+
+// Tax settings plus the after-tax result and lot ledger for the selected projection.
+// result is computeTax() output; the page owns both so the summary and export can use them.
+export default function TaxPanel({ settings, onChange, result, assumptions, currency = 'USD', filenameBase = 'mining-tax-lots' }) {
+  const update = (patch) => onChange({ ...settings, ...patch });
+  // Editing a rate turns a preset into custom settings.
+  const updateRate = (patch) => onChange({ ...settings, ...patch, jurisdiction: 'custom' });
+  const money = (val) => formatCurrency(val, currency);
+  const enabled = isTaxEnabled(settings);
+  const summary = enabled ? result?.summary : null;
+  const ledger = result?.ledger ?? [];
+
+  const exportAs = (format) => {
+    const header = { 'Generated at': new Date().toISOString(), ...assumptions };
+    const columns = ledgerColumns(currency);
+    if (format === 'csv') {
+      downloadFile(`${filenameBase}.csv`, projectionToCsv({ assumptions: header, rows: ledger, columns }), 'text/csv;charset=utf-8');
+    } else {
+      downloadFile(`${filenameBase}.json`, projectionToJson({ assumptions: header, rows: ledger, columns, rowsKey: 'lots' }), 'application/json');
+    }
+  };
+
+  return (
+    <div style={{ ...panelStyle, maxWidth: '1200px', margin: '20px auto 0' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', flexWrap: 'wrap', gap: '12px', marginBottom: '8px' }}>
+        <h2 style={{ ...panelTitleStyle, marginBottom: 0 }}>Tax &amp; Cost Basis</h2>
+        {enabled && (
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button onClick={() => exportAs('csv')} disabled={ledger.length === 0} style={toggleButtonStyle(false, '#f7931a')}>
+              ⬇ Lot ledger CSV
+            </button>
+            <button onClick={() => exportAs('json')} disabled={ledger.length === 0} style={toggleButtonStyle(false, '#f7931a')}>
+              ⬇ JSON
+            </button>
+          </div>
+        )}
+      </div>
+      <p style={{ fontSize: '11px', color: '#64748b', marginBottom: '12px' }}>
+        Mined BTC is taxed as income at its value in the month it is received, which becomes its cost basis; sales
+        then realize a gain or loss against the lots they draw from. Single illustrative rates, not tax advice.
+      </p>
+
+      <div style={{ display: 'flex', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+        {Object.entries(TAX_PRESETS).map(([key, preset]) => (
+          <button
+            key={key}
+            onClick={() => onChange(applyTaxPreset(settings, key))}
+            style={toggleButtonStyle(settings.jurisdiction === key, '#a855f7')}
+          >
+            {preset.label}
+          </button>
+        ))}
+        {settings.jurisdiction === 'custom' && (
+          <button style={toggleButtonStyle(true, '#a855f7')}>Custom</button>
+        )}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '8px', marginBottom: '12px' }}>
+        {RATE_INPUTS.map(({ key, label }) => (
+          <div key={key}>
+            <label style={labelStyle}>{label}</label>
+            <input
+              type="number"
+              step="1"
+              min="0"
+              max="100"
+              value={Number((settings[key] * 100).toFixed(2))}
+              onChange={(e) => updateRate({ [key]: Math.min(1, Math.max(0, Number(e.target.value) / 100 || 0)) })}
+              style={smallInputStyle}
+            />
+          </div>
+        ))}
+        <div>
+          <label style={labelStyle}>Long-term after (months held)</label>
+          <input
+            type="number"
+            step="1"
+            min="0"
+            value={settings.longTermMonths}
+            onChange={(e) => updateRate({ longTermMonths: Math.max(0, Math.round(Number(e.target.value) || 0)) })}
+            style={smallInputStyle}
+          />
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '16px', flexWrap: 'wrap', marginBottom: '8px' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={hintStyle}>Lots sold first:</span>
+          {Object.entries(LOT_METHODS).map(([key, label]) => (
+            <button key={key} onClick={() => update({ lotMethod: key })} style={toggleButtonStyle(settings.lotMethod === key, '#3b82f6')}>
+              {label}
+            </button>
+          ))}
+        </div>
+        <label style={{ ...hintStyle, display: 'flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={settings.deductCosts}
+            onChange={(e) => update({ deductCosts: e.target.checked })}
+            style={{ accentColor: '#a855f7' }}
+          />
+          Deduct electricity + hosting from mining income
+        </label>
+      </div>
+
+      {!enabled && <div style={hintStyle}>Pick a jurisdiction or enter rates to see after-tax results.</div>}
+      {summary && (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '12px', marginTop: '12px' }}>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Income tax</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#ef4444' }}>{money(summary.incomeTax)}</div>
+              <div style={hintStyle}>on {money(summary.income)} mined</div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Capital gains tax</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#ef4444' }}>{money(summary.capitalGainsTax)}</div>
+              <div style={hintStyle}>
+                {money(summary.realizedGain)} realized
+                {summary.lossCarryForward > 0 ? ` · ${money(summary.lossCarryForward)} loss credit unused` : ''}
+              </div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>Tax if sold at end</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#f59e0b' }}>{money(summary.liquidationTax)}</div>
+              <div style={hintStyle}>{money(summary.unrealizedGain)} unrealized gain</div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>After-tax value</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: '#e2e8f0' }}>{money(summary.afterTaxValue)}</div>
+              <div style={hintStyle}>{money(summary.taxPaid + summary.liquidationTax)} total tax</div>
+            </div>
+            <div style={statStyle}>
+              <div style={statLabelStyle}>After-tax ROI</div>
+              <div style={{ fontSize: '20px', fontWeight: '700', color: summary.afterTaxRoi >= 0 ? '#10b981' : '#ef4444' }}>
+                {formatPercent(summary.afterTaxRoi)}
+              </div>
+              <div style={hintStyle}>{result.openLots.length} lots still held</div>
+            </div>
+          </div>
+
+          <div style={{ overflowX: 'auto', maxHeight: '320px', overflowY: 'auto', marginTop: '16px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', color: '#94a3b8' }}>
+              <thead>
+                <tr style={{ color: '#64748b', borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Month</th>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Type</th>
+                  <th style={cellStyle}>Lot</th>
+                  <th style={cellStyle}>BTC</th>
+                  <th style={cellStyle}>Price</th>
+                  <th style={cellStyle}>Cost Basis</th>
+                  <th style={cellStyle}>Proceeds</th>
+                  <th style={cellStyle}>Gain / Loss</th>
+                  <th style={cellStyle}>Term</th>
+                  <th style={cellStyle}>Tax</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ledger.map((entry, i) => (
+                  <tr key={i} style={{ borderBottom: '1px solid rgba(255,255,255,0.04)' }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{entry.period || entry.month}</td>
+                    <td style={{ ...cellStyle, textAlign: 'left', color: entry.type === 'acquire' ? '#f7931a' : '#10b981' }}>
+                      {entry.type === 'acquire' ? 'Mined (income)' : 'Sold'}
+                    </td>
+                    <td style={cellStyle}>{entry.lot}</td>
+                    <td style={cellStyle}>{formatBtc(entry.btc)}</td>
+                    <td style={cellStyle}>{money(entry.btcPrice)}</td>
+                    <td style={cellStyle}>{money(entry.costBasis)}</td>
+                    <td style={cellStyle}>{entry.proceeds === null ? '' : money(entry.proceeds)}</td>
+                    <td style={{ ...cellStyle, color: entry.gain === null ? undefined : entry.gain >= 0 ? '#10b981' : '#ef4444' }}>
+                      {entry.gain === null ? '' : money(entry.gain)}
+                    </td>
+                    <td style={cellStyle}>{entry.term ? `${entry.term} (${entry.holdingMonths}mo)` : ''}</td>
+                    <td style={cellStyle}>{money(entry.tax)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <div style={{ ...hintStyle, marginTop: '8px' }}>
+            Taxes are paid in cash as they fall due. After-tax value is the portfolio less taxes paid and the tax due if
+            every BTC still held were sold at the final price; losses offset later gains, not income. The upfront price,
+            hardware resale, brackets and allowances are not modeled.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,61 @@
+// Shared inline styles for calculator panels (matches the look of app/page.js).
+
+export const panelStyle = {
+  background: 'rgba(30, 30, 50, 0.8)',
+  borderRadius: '12px',
+  padding: '20px',
+  border: '1px solid rgba(255,255,255,0.08)',
+};
+
+export const panelTitleStyle = {
+  fontSize: '14px',
+  color: '#94a3b8',
+  marginBottom: '16px',
+  textTransform: 'uppercase',
+  letterSpacing: '1px',
+};
+
+export const labelStyle = {
+  display: 'block',
+  fontSize: '12px',
+  color: '#64748b',
+  marginBottom: '6px',
+};
+
+export const hintStyle = {
+  fontSize: '11px',
+  color: '#64748b',
+  marginBottom: '6px',
+  lineHeight: 1.4,
+};
+
+export const inputStyle = {
+  width: '100%',
+  padding: '10px 12px',
+  borderRadius: '6px',
+  border: '1px solid rgba(255,255,255,0.15)',
+  background: 'rgba(0,0,0,0.4)',
+  color: '#e2e8f0',
+  fontSize: '16px',
+  boxSizing: 'border-box',
+};
+
+export const smallInputStyle = {
+  ...inputStyle,
+  padding: '6px 8px',
+  fontSize: '13px',
+};
+
+export function toggleButtonStyle(active, color) {
+  return {
+    padding: '8px 12px',
+    borderRadius: '6px',
+    border: active ? `2px solid ${color}` : '2px solid rgba(255,255,255,0.1)',
+    background: active ? `${color}20` : 'rgba(0,0,0,0.3)',
+    color: active ? color : '#64748b',
+    cursor: 'pointer',
+    fontSize: '12px',
+    fontWeight: '600',
+    transition: 'all 0.2s',
+  };
+}
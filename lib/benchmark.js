@@ -0,0 +1,55 @@
+// "Just buy BTC" benchmark: the money spent on mining (upfront price plus running costs)
+// used to buy spot BTC instead, on the same BTC price path as the projection.
+
+import { solveRoot } from './breakeven';
+import { projectMonthly } from './projection';
+
+// dca: the upfront price at month 0, then each month's electricity + hosting at that month's price.
+// lump: everything mining ends up costing, all at month 0.
+export const BENCHMARK_MODES = {
+  dca: 'DCA',
+  lump: 'Lump sum',
+};
+
+// rows from projectMonthly(). Returns one row per month:
+// { month, hodlBtc, hodlValue, deltaBtc, deltaValue }, where the deltas are mining minus buying
+// (mining's portfolio, hardware included, counted in BTC at that month's price).
+export function hodlBenchmark(rows, { upfront, currentBtcPrice, mode = 'dca' }) {
+  const last = rows[rows.length - 1];
+  if (!last || !(currentBtcPrice > 0) || !Number.isFinite(upfront)) return [];
+
+  let hodlBtc = (mode === 'lump' ? last.totalCost : upfront) / currentBtcPrice;
+  return rows.map((row) => {
+    if (mode !== 'lump') hodlBtc += (row.monthlyElecCost + row.monthlyMaintenanceCost) / row.btcPrice;
+    const hodlValue = hodlBtc * row.btcPrice;
+    return {
+      month: row.month,
+      hodlBtc,
+      hodlValue,
+      deltaBtc: row.portfolioValue / row.btcPrice - hodlBtc,
+      deltaValue: row.portfolioValue - hodlValue,
+    };
+  });
+}
+
+// Final-month mining minus buying, in fiat, for a full projectMonthly() input.
+function finalDelta(input, mode) {
+  const rows = projectMonthly(input);
+  const benchmark = hodlBenchmark(rows, { upfront: input.tier?.price, currentBtcPrice: input.currentBtcPrice, mode });
+  return benchmark.length > 0 ? benchmark[benchmark.length - 1].deltaValue : NaN;
+}
+
+// BTC price at contract end where mining and buying finish level, found by varying the
+// scenario's final multiplier like analyzeBreakeven(). hodlWinsAbove says which side of it
+// buying wins on. Both are null when one strategy wins at every price, which is the usual
+// case for a lump sum: both then hold a fixed amount of BTC. They are also null, with
+// thresholdAmbiguous set, when the lead changes hands more than once (see solveRoot).
+export function hodlThreshold(input, mode = 'dca') {
+  const { root, ambiguous } = solveRoot((m) => finalDelta({ ...input, finalMultiplier: m }, mode), { lo: 1e-6, hi: 1 });
+  if (root === null) return { thresholdBtcPrice: null, hodlWinsAbove: null, thresholdAmbiguous: ambiguous };
+  return {
+    thresholdBtcPrice: input.currentBtcPrice * root,
+    hodlWinsAbove: finalDelta({ ...input, finalMultiplier: root * 1.01 }, mode) < 0,
+    thresholdAmbiguous: false,
+  };
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { hodlBenchmark, hodlThreshold } from './benchmark';
+import { projectMonthly } from './projection';
+
+const BASE = {
+  tier: { name: 'Test', price: 1000, hashrate: 100 },
+  hashpriceUsd: 0.05,
+  currentBtcPrice: 50000,
+  difficultyModel: { type: 'flat', rate: 0 },
+  electricityCostKwh: 0.1,
+  wattsPerTh: 20,
+  contractMonths: 12,
+  finalMultiplier: 1,
+};
+
+describe('hodlBenchmark', () => {
+  it('buys the upfront price at month 0 and each month\'s costs as they fall due (DCA)', () => {
+    const rows = projectMonthly(BASE);
+    const benchmark = hodlBenchmark(rows, { upfront: 1000, currentBtcPrice: 50000 });
+    expect(benchmark).toHaveLength(12);
+    // $1,000 + 12 × $144 at a flat $50k.
+    expect(benchmark[11].hodlBtc).toBeCloseTo(2728 / 50000, 12);
+    expect(benchmark[11].hodlValue).toBeCloseTo(2728, 6);
+    expect(benchmark[11].deltaValue).toBeCloseTo(1800 - 2728, 6);
+    expect(benchmark[11].deltaBtc).toBeCloseTo(0.036 - 2728 / 50000, 12);
+  });
+
+  it('buys everything up front for a lump sum', () => {
+    const rows = projectMonthly({ ...BASE, finalMultiplier: 2 });
+    const benchmark = hodlBenchmark(rows, { upfront: 1000, currentBtcPrice: 50000, mode: 'lump' });
+    expect(benchmark[0].hodlBtc).toBeCloseTo(2728 / 50000, 12);
+    expect(benchmark[11].hodlValue).toBeCloseTo((2728 / 50000) * 100000, 6);
+  });
+
+  it('is empty without rows or a price', () => {
+    expect(hodlBenchmark([], { upfront: 1000, currentBtcPrice: 50000 })).toEqual([]);
+    expect(hodlBenchmark(projectMonthly(BASE), { upfront: 1000, currentBtcPrice: 0 })).toEqual([]);
+  });
+});
+
+describe('hodlThreshold', () => {
+  it('finds the final price where mining and buying finish level', () => {
+    const input = { ...BASE, sellStrategy: { type: 'coverCosts' } };
+    const { thresholdBtcPrice, hodlWinsAbove, thresholdAmbiguous } = hodlThreshold(input);
+    expect(thresholdAmbiguous).toBe(false);
+    expect(thresholdBtcPrice).toBeGreaterThan(0);
+    const rows = projectMonthly({ ...input, finalMultiplier: thresholdBtcPrice / input.currentBtcPrice });
+    const benchmark = hodlBenchmark(rows, { upfront: 1000, currentBtcPrice: 50000 });
+    expect(benchmark[11].deltaValue).toBeCloseTo(0, 4);
+    expect(typeof hodlWinsAbove).toBe('boolean');
+  });
+
+  it('has no threshold when both sides hold a fixed amount of BTC', () => {
+    expect(hodlThreshold(BASE, 'lump')).toEqual({ thresholdBtcPrice: null, hodlWinsAbove: null, thresholdAmbiguous: false });
+  });
+});
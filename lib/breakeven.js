@@ -0,0 +1,112 @@
+// Breakeven / payback analysis over the projection model.
+
+import { projectMonthly, firstBreakevenMonth } from './projection';
+
+// Bisection root finder for a monotonic fn. Expands `hi` (doubling) until the
+// bracket contains a sign change; returns null if no root is found. See solveRoot()
+// for functions that may not be monotonic.
+export function findRoot(fn, options) {
+  return solveRoot(fn, options).root;
+}
+
+// Sign changes of fn over `samples` evenly spaced points in [lo, hi]; zeros and
+// non-finite values are skipped.
+function countSignChanges(fn, lo, hi, samples) {
+  let changes = 0;
+  let prev = 0;
+  for (let i = 0; i <= samples; i++) {
+    const sign = Math.sign(fn(lo + ((hi - lo) * i) / samples));
+    if (!sign) continue;
+    if (prev && sign !== prev) changes++;
+    prev = sign;
+  }
+  return changes;
+}
+
+// findRoot() that also checks the root is the only one: returns { root, ambiguous }.
+// Sell strategies and early termination can make the surplus jump around, so fn is
+// sampled over the searched range (the first four doublings when no bracket is found):
+// more than one sign change, or a pair of them between same-signed ends, means there is
+// no single root, and root is null with ambiguous = true. Crossings closer together than
+// the sample spacing can still slip by.
+export function solveRoot(fn, { lo = 0, hi = 1, tolerance = 1e-9, maxIterations = 200, maxExpansions = 60, samples = 32 } = {}) {
+  const none = { root: null, ambiguous: false };
+  const start = lo;
+  const firstHi = hi;
+  let fLo = fn(lo);
+  let fHi = fn(hi);
+  if (!Number.isFinite(fLo) || !Number.isFinite(fHi)) return none;
+
+  for (let i = 0; i < maxExpansions && fLo !== 0 && Math.sign(fLo) === Math.sign(fHi); i++) {
+    lo = hi;
+    fLo = fHi;
+    hi *= 2;
+    fHi = fn(hi);
+    if (!Number.isFinite(fHi)) return none;
+  }
+  if (fLo !== 0 && Math.sign(fLo) === Math.sign(fHi)) {
+    return countSignChanges(fn, start, Math.min(hi, firstHi * 16), samples) > 0 ? { root: null, ambiguous: true } : none;
+  }
+  if (countSignChanges(fn, start, hi, samples) > 1) return { root: null, ambiguous: true };
+  if (fLo === 0) return { root: lo, ambiguous: false };
+
+  for (let i = 0; i < maxIterations; i++) {
+    const mid = (lo + hi) / 2;
+    const fMid = fn(mid);
+    if (fMid === 0 || (hi - lo) / 2 < tolerance * Math.max(1, Math.abs(mid))) return { root: mid, ambiguous: false };
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+  return { root: (lo + hi) / 2, ambiguous: false };
+}
+
+// Final portfolio value minus total cost for a projection input.
+function finalSurplus(input) {
+  const rows = projectMonthly(input);
+  const last = rows[rows.length - 1];
+  return last ? last.portfolioValue - last.totalCost : NaN;
+}
+
+// input is a full projectMonthly() input. Returns:
+//   breakevenMonth      first month value >= cost under the selected scenario (or null)
+//   breakevenBtcPrice   BTC price needed at contract end for final value == total cost
+//   breakevenHashprice  $/TH/day needed to break even if BTC stays at today's price
+//                       (null for the halving model, which doesn't use hashprice)
+//   breakevenBtcPriceAmbiguous / breakevenHashpriceAmbiguous
+//                       true when the result changes sign more than once over the searched
+//                       prices (see solveRoot); the matching value is then null
+export function analyzeBreakeven(input) {
+  const rows = projectMonthly(input);
+  if (rows.length === 0) {
+    return {
+      breakevenMonth: null,
+      breakevenBtcPrice: null,
+      breakevenHashprice: null,
+      breakevenBtcPriceAmbiguous: false,
+      breakevenHashpriceAmbiguous: false,
+    };
+  }
+
+  const multiplier = solveRoot((m) => finalSurplus({ ...input, finalMultiplier: m }), { lo: 1e-6, hi: 1 });
+  const breakevenBtcPrice = multiplier.root !== null ? input.currentBtcPrice * multiplier.root : null;
+
+  let hashprice = { root: null, ambiguous: false };
+  if ((input.revenueModel || 'hashprice') === 'hashprice') {
+    hashprice = solveRoot(
+      (h) => finalSurplus({ ...input, hashpriceUsd: h, finalMultiplier: 1 }),
+      { lo: 0, hi: Math.max(input.hashpriceUsd, 0.01) }
+    );
+  }
+
+  return {
+    breakevenMonth: firstBreakevenMonth(rows),
+    breakevenBtcPrice,
+    breakevenHashprice: hashprice.root,
+    breakevenBtcPriceAmbiguous: multiplier.ambiguous,
+    breakevenHashpriceAmbiguous: hashprice.ambiguous,
+  };
+}
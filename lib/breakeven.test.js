@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import { analyzeBreakeven, findRoot, solveRoot } from './breakeven';
+
+// Same contract as projection.test.js: 0.036 BTC mined over the year for $2,728 all-in.
+const BASE = {
+  tier: { name: 'Test', price: 1000, hashrate: 100 },
+  hashpriceUsd: 0.05,
+  currentBtcPrice: 50000,
+  difficultyModel: { type: 'flat', rate: 0 },
+  electricityCostKwh: 0.1,
+  wattsPerTh: 20,
+  contractMonths: 12,
+  finalMultiplier: 1,
+};
+
+describe('findRoot', () => {
+  it('finds a root inside the starting bracket', () => {
+    expect(findRoot((x) => x * x - 0.25)).toBeCloseTo(0.5, 8);
+  });
+
+  it('expands the bracket until the sign changes', () => {
+    expect(findRoot((x) => x - 40)).toBeCloseTo(40, 6);
+    expect(findRoot((x) => Math.exp(-x) - 0.5)).toBeCloseTo(Math.LN2, 8);
+  });
+
+  it('returns the lower bound when it is the root', () => {
+    expect(findRoot((x) => x, { lo: 0 })).toBe(0);
+  });
+
+  it('returns null without a sign change or for non-finite values', () => {
+    expect(findRoot(() => 1)).toBeNull();
+    expect(findRoot(() => NaN)).toBeNull();
+  });
+});
+
+describe('solveRoot', () => {
+  it('reports a unique root as unambiguous', () => {
+    expect(solveRoot((x) => 3 - x)).toEqual({ root: expect.closeTo(3, 6), ambiguous: false });
+  });
+
+  it('flags more than one crossing in the bracket', () => {
+    expect(solveRoot((x) => (x - 0.3) * (x - 0.6) * (x - 1.5))).toEqual({ root: null, ambiguous: true });
+  });
+
+  it('flags a pair of crossings between same-signed ends', () => {
+    expect(solveRoot((x) => (x - 0.3) * (x - 0.7))).toEqual({ root: null, ambiguous: true });
+  });
+
+  it('is not ambiguous when there is no root at all', () => {
+    expect(solveRoot((x) => x * x + 1)).toEqual({ root: null, ambiguous: false });
+  });
+});
+
+describe('analyzeBreakeven', () => {
+  it('finds the final BTC price and hashprice that cover the total cost', () => {
+    const result = analyzeBreakeven(BASE);
+    expect(result.breakevenMonth).toBeNull();
+    // 0.036 BTC × price = $2,728.
+    expect(result.breakevenBtcPrice).toBeCloseTo(2728 / 0.036, 2);
+    // Output scales with hashprice: 0.036 × (h / 0.05) BTC at $50k = $2,728.
+    expect(result.breakevenHashprice).toBeCloseTo((0.05 * 2728) / 1800, 8);
+    expect(result.breakevenBtcPriceAmbiguous).toBe(false);
+    expect(result.breakevenHashpriceAmbiguous).toBe(false);
+  });
+
+  it('skips the hashprice for the halving model and handles empty projections', () => {
+    const empty = analyzeBreakeven({ ...BASE, tier: null });
+    expect(empty).toEqual({
+      breakevenMonth: null,
+      breakevenBtcPrice: null,
+      breakevenHashprice: null,
+      breakevenBtcPriceAmbiguous: false,
+      breakevenHashpriceAmbiguous: false,
+    });
+    const halving = analyzeBreakeven({
+      ...BASE,
+      revenueModel: 'halving',
+      network: { blockHeight: 900000, networkHashrateEh: 800, feeShare: 0 },
+    });
+    expect(halving.breakevenHashprice).toBeNull();
+    expect(halving.breakevenBtcPrice).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,118 @@
+// Daily BTC close history (Coinbase public candles), used by /api/btc-history.
+
+import { CACHE_TTL_SECONDS } from './btc-prices';
+import { getCache, loadWithLock } from './cache';
+import { providerTimeoutMs } from './price-providers';
+import { fetchJson } from './price-providers/http';
+
+export const HISTORY_WINDOWS = {
+  '1y': 365,
+  '2y': 730,
+  '4y': 1460,
+  max: null,
+};
+
+// First full day of BTC-USD trading on Coinbase Exchange.
+const COINBASE_BTC_USD_START = Date.UTC(2015, 6, 20);
+// Coinbase rejects candle requests spanning more than 300 buckets.
+const COINBASE_MAX_CANDLES = 300;
+const DAY_MS = 86400 * 1000;
+
+// Per-window cache entries in the shared price cache + in-flight coalescing (as in lib/btc-prices.js).
+const cacheKey = (window) => `btc-history:${window}`;
+const inFlight = new Map(); // window -> Promise
+
+function startOfUtcDay(ms) {
+  return Math.floor(ms / DAY_MS) * DAY_MS;
+}
+
+async function fetchCandlePage(startMs, endMs) {
+  const url =
+    `https://api.exchange.coinbase.com/products/BTC-USD/candles` +
+    `?granularity=86400&start=${encodeURIComponent(new Date(startMs).toISOString())}` +
+    `&end=${encodeURIComponent(new Date(endMs).toISOString())}`;
+
+  // Same per-request timeout as the Coinbase price provider, so a hung page can't stall the route.
+  const candles = await fetchJson(
+    url,
+    {
+      headers: { 'User-Agent': 'mining-calculator-vercel' },
+      signal: AbortSignal.timeout(providerTimeoutMs('coinbase')),
+      revalidate: CACHE_TTL_SECONDS,
+    },
+    'Coinbase candles'
+  );
+  if (!Array.isArray(candles)) {
+    throw new Error('Invalid candles payload from Coinbase');
+  }
+  return candles;
+}
+
+// Returns [{ date: 'YYYY-MM-DD', close }] ascending, one entry per day.
+// Pages are fetched sequentially to stay within Coinbase's public rate limits.
+export async function fetchDailyCloses(startMs, endMs) {
+  const byDay = new Map();
+  const pageMs = (COINBASE_MAX_CANDLES - 1) * DAY_MS;
+
+  for (let pageStart = startMs; pageStart < endMs; pageStart += pageMs + DAY_MS) {
+    const pageEnd = Math.min(endMs, pageStart + pageMs);
+    const candles = await fetchCandlePage(pageStart, pageEnd);
+    // Coinbase candles format: [[timeSec, low, high, open, close, volume], ...]
+    for (const c of candles) {
+      if (!Array.isArray(c) || c.length < 5) continue;
+      const [timeSec, , , , close] = c;
+      if (typeof timeSec !== 'number' || typeof close !== 'number' || close <= 0) continue;
+      byDay.set(new Date(timeSec * 1000).toISOString().slice(0, 10), close);
+    }
+  }
+
+  return [...byDay.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([date, close]) => ({ date, close }));
+}
+
+async function fetchHistory(window) {
+  const now = Date.now();
+  const endMs = startOfUtcDay(now);
+  const days = HISTORY_WINDOWS[window];
+  const startMs = days === null ? COINBASE_BTC_USD_START : Math.max(COINBASE_BTC_USD_START, endMs - days * DAY_MS);
+
+  const prices = await fetchDailyCloses(startMs, endMs);
+  if (prices.length < 2) {
+    throw new Error('Not enough candles returned from Coinbase for price history');
+  }
+  return {
+    window,
+    granularity: '1d',
+    source: 'coinbase',
+    start: prices[0].date,
+    end: prices[prices.length - 1].date,
+    prices,
+    fetchedAt: new Date(now).toISOString(),
+  };
+}
+
+// Resolves to { payload, cacheStatus }.
+export async function getBtcHistory(window) {
+  const isFresh = (entry) => Date.now() - entry.cachedAtMs < CACHE_TTL_SECONDS * 1000;
+  const cached = await getCache().get(cacheKey(window));
+  if (cached && isFresh(cached)) {
+    return { payload: cached.payload, cacheStatus: 'HIT' };
+  }
+
+  if (!inFlight.has(window)) {
+    inFlight.set(
+      window,
+      loadWithLock(
+        cacheKey(window),
+        async () => ({ payload: await fetchHistory(window), cachedAtMs: Date.now() }),
+        { ttlSeconds: CACHE_TTL_SECONDS, isFresh }
+      ).finally(() => {
+        inFlight.delete(window);
+      })
+    );
+  }
+
+  const { payload } = await inFlight.get(window);
+  return { payload, cacheStatus: 'MISS' };
+}
@@ -0,0 +1,65 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { fetchDailyCloses } from './btc-history';
+
+const DAY_MS = 86400 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+// Answers like Coinbase: one [timeSec, low, high, open, close, volume] candle per day in
+// [start, end], newest first.
+function candleFetch() {
+  return vi.fn(async (url) => {
+    const params = new URL(url).searchParams;
+    const start = Date.parse(params.get('start'));
+    const end = Date.parse(params.get('end'));
+    const candles = [];
+    for (let t = end; t >= start; t -= DAY_MS) {
+      candles.push([t / 1000, 1, 1, 1, 1000 + (t - START) / DAY_MS, 1]);
+    }
+    return Response.json(candles);
+  });
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.unstubAllEnvs();
+});
+
+describe('fetchDailyCloses', () => {
+  it('pages requests at Coinbase\'s 300-candle limit without gaps or repeats', async () => {
+    const fetch = candleFetch();
+    vi.stubGlobal('fetch', fetch);
+    const end = START + 650 * DAY_MS;
+    const closes = await fetchDailyCloses(START, end);
+
+    const pages = fetch.mock.calls.map(([url]) => {
+      const params = new URL(url).searchParams;
+      return (Date.parse(params.get('end')) - Date.parse(params.get('start'))) / DAY_MS + 1;
+    });
+    expect(pages).toEqual([300, 300, 51]);
+    expect(closes).toHaveLength(651);
+    expect(closes[0]).toEqual({ date: '2024-01-01', close: 1000 });
+    expect(closes[650]).toEqual({ date: new Date(end).toISOString().slice(0, 10), close: 1650 });
+    closes.slice(1).forEach((c, i) => expect(Date.parse(c.date) - Date.parse(closes[i].date)).toBe(DAY_MS));
+  });
+
+  it('fits a window of exactly 300 days in one request', async () => {
+    const fetch = candleFetch();
+    vi.stubGlobal('fetch', fetch);
+    expect(await fetchDailyCloses(START, START + 299 * DAY_MS)).toHaveLength(300);
+    expect(fetch).toHaveBeenCalledOnce();
+  });
+
+  it('gives up on a page that outlasts the Coinbase provider timeout', async () => {
+    vi.stubEnv('BTC_PROVIDER_TIMEOUT_MS_COINBASE', '20');
+    // Never answers; only the abort signal ends the request.
+    vi.stubGlobal('fetch', vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason));
+    })));
+    await expect(fetchDailyCloses(START, START + 10 * DAY_MS)).rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+
+  it('rejects an error response', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('busy', { status: 429, statusText: 'Too Many Requests' })));
+    await expect(fetchDailyCloses(START, START + DAY_MS)).rejects.toThrow('Coinbase candles error: 429 Too Many Requests');
+  });
+});
@@ -0,0 +1,120 @@
+// Shared BTC price fetching + cache, used by /api/btc-prices and other server routes.
+
+import { fetchSpotPrice, fetchHistoricalPrice, fetchFxRates } from './price-providers';
+import { DEFAULT_CURRENCY, FX_CURRENCIES } from './currency';
+import { getCache, loadWithLock } from './cache';
+
+// Cached through the PRICE_CACHE_BACKEND store (see lib/cache). The default memory
+// backend may reset between cold starts, so routes also set CDN-friendly Cache-Control headers.
+export const CACHE_TTL_SECONDS = Number(process.env.BTC_PRICE_CACHE_TTL_SECONDS || 900); // 15 min
+// After an upstream failure the last good payload is served for up to this long (stale-if-error).
+export const STALE_IF_ERROR_SECONDS = Number(process.env.BTC_PRICE_STALE_IF_ERROR_SECONDS || 86400); // 24 h
+const CACHE_KEY = 'btc-prices';
+let inFlight = null; // Promise resolving to { payload, cachedAtMs }
+
+// Background refresh backoff while serving stale data: 30s, 60s, 120s, ... capped at 15 min.
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 15 * 60 * 1000;
+let consecutiveFailures = 0;
+let retryTimer = null;
+
+async function fetchPrices() {
+  const now = new Date();
+  const twoYearsAgo = new Date(now);
+  twoYearsAgo.setFullYear(twoYearsAgo.getFullYear() - 2);
+
+  // Spot, historical and FX fall back through their provider lists independently.
+  // FX is optional: without it the payload still serves USD.
+  const options = { revalidate: CACHE_TTL_SECONDS };
+  const [spot, historical, fx] = await Promise.all([
+    fetchSpotPrice(options),
+    fetchHistoricalPrice(twoYearsAgo, options),
+    fetchFxRates(FX_CURRENCIES, options).catch(() => null),
+  ]);
+
+  return {
+    currentPriceUsd: Math.round(spot.price),
+    historicalPriceUsd: Math.round(historical.price),
+    historicalTargetDate: twoYearsAgo.toISOString(),
+    // Per 1 USD; also used to convert the historical price (today's rate).
+    fxRates: { [DEFAULT_CURRENCY]: 1, ...(fx?.price ?? {}) },
+    fetchedAt: now.toISOString(),
+    sources: {
+      currentPrice: spot.provider,
+      historicalPrice: historical.provider,
+      fxRates: fx?.provider ?? null,
+    },
+  };
+}
+
+function refresh() {
+  // Coalesce concurrent requests in this instance; loadWithLock does the same across instances.
+  if (!inFlight) {
+    inFlight = (async () => {
+      try {
+        const entry = await loadWithLock(
+          CACHE_KEY,
+          async () => ({ payload: await fetchPrices(), cachedAtMs: Date.now() }),
+          {
+            // Keep the entry around long enough to serve it stale after failures.
+            ttlSeconds: Math.max(CACHE_TTL_SECONDS, STALE_IF_ERROR_SECONDS),
+            isFresh: (e) => Date.now() - e.cachedAtMs < CACHE_TTL_SECONDS * 1000,
+          }
+        );
+        consecutiveFailures = 0;
+        return entry;
+      } catch (e) {
+        consecutiveFailures += 1;
+        throw e;
+      }
+    })().finally(() => {
+      inFlight = null;
+    });
+  }
+  return inFlight;
+}
+
+function withAge(payload, cachedAtMs, stale) {
+  return { ...payload, stale, ageSeconds: Math.max(0, Math.round((Date.now() - cachedAtMs) / 1000)) };
+}
+
+// Retries in the background until an upstream recovers. Timers are best-effort on
+// serverless (the instance may be frozen), but the next request will retry anyway.
+function scheduleRetry() {
+  if (retryTimer) return;
+  const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, consecutiveFailures - 1));
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    refresh().catch(scheduleRetry);
+  }, delay);
+  retryTimer.unref?.();
+}
+
+// Resolves to { payload, cacheStatus } where cacheStatus is 'HIT', 'MISS' or 'STALE'.
+// Every payload carries `stale` and `ageSeconds`. When upstreams fail, the last good
+// payload (up to STALE_IF_ERROR_SECONDS old) is returned as STALE and a background
+// refresh is scheduled; rejects only if there is nothing usable to fall back on.
+export async function getBtcPrices() {
+  const cached = await getCache().get(CACHE_KEY); // { payload, cachedAtMs }
+  const ageMs = cached ? Date.now() - cached.cachedAtMs : Infinity;
+
+  // Fresh cache hit
+  if (ageMs < CACHE_TTL_SECONDS * 1000) {
+    return { payload: withAge(cached.payload, cached.cachedAtMs, false), cacheStatus: 'HIT' };
+  }
+
+  const staleUsable = ageMs < STALE_IF_ERROR_SECONDS * 1000;
+  // Still backing off after a failure: don't hammer upstreams on every request.
+  if (retryTimer && staleUsable) {
+    return { payload: withAge(cached.payload, cached.cachedAtMs, true), cacheStatus: 'STALE' };
+  }
+
+  try {
+    const entry = await refresh();
+    return { payload: withAge(entry.payload, entry.cachedAtMs, false), cacheStatus: 'MISS' };
+  } catch (e) {
+    if (!staleUsable) throw e;
+    scheduleRetry();
+    return { payload: withAge(cached.payload, cached.cachedAtMs, true), cacheStatus: 'STALE' };
+  }
+}
@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+const providers = {
+  fetchSpotPrice: vi.fn(),
+  fetchHistoricalPrice: vi.fn(),
+  fetchFxRates: vi.fn(),
+};
+
+// The cache, in-flight promise and retry timer are module state, so each test loads
+// fresh copies with the providers mocked out.
+let getBtcPrices;
+
+function upstreamUp(price) {
+  providers.fetchSpotPrice.mockResolvedValue({ price, provider: 'coinbase' });
+  providers.fetchHistoricalPrice.mockResolvedValue({ price: 30000, provider: 'coinbase' });
+  providers.fetchFxRates.mockResolvedValue({ price: { EUR: 0.9 }, provider: 'coinbase' });
+}
+
+function upstreamDown() {
+  providers.fetchSpotPrice.mockRejectedValue(new Error('All spot providers failed'));
+  providers.fetchHistoricalPrice.mockRejectedValue(new Error('All historical providers failed'));
+  providers.fetchFxRates.mockRejectedValue(new Error('All fx providers failed'));
+}
+
+beforeEach(async () => {
+  vi.useFakeTimers();
+  vi.resetModules();
+  vi.stubEnv('PRICE_CACHE_BACKEND', 'memory');
+  vi.doMock('./price-providers', () => providers);
+  Object.values(providers).forEach((fn) => fn.mockReset());
+  ({ getBtcPrices } = await import('./btc-prices'));
+});
+
+afterEach(() => {
+  vi.doUnmock('./price-providers');
+  vi.unstubAllEnvs();
+  vi.useRealTimers();
+});
+
+describe('getBtcPrices', () => {
+  it('serves the last good price marked stale when a refresh fails', async () => {
+    upstreamUp(60000);
+    const fresh = await getBtcPrices();
+    expect(fresh.cacheStatus).toBe('MISS');
+    expect(fresh.payload).toMatchObject({ currentPriceUsd: 60000, stale: false, ageSeconds: 0 });
+    expect((await getBtcPrices()).cacheStatus).toBe('HIT');
+
+    // Past the 15 minute TTL with every provider down.
+    vi.advanceTimersByTime(16 * 60 * 1000);
+    upstreamDown();
+    const stale = await getBtcPrices();
+    expect(stale.cacheStatus).toBe('STALE');
+    expect(stale.payload).toMatchObject({ currentPriceUsd: 60000, stale: true, ageSeconds: 960 });
+  });
+
+  it('backs off longer after each failed retry and recovers in the background', async () => {
+    upstreamUp(60000);
+    await getBtcPrices();
+    vi.advanceTimersByTime(16 * 60 * 1000);
+    upstreamDown();
+    await getBtcPrices();
+    const attempts = () => providers.fetchSpotPrice.mock.calls.length;
+    expect(attempts()).toBe(2);
+
+    // Requests during the backoff get the stale price without hitting upstreams.
+    expect((await getBtcPrices()).cacheStatus).toBe('STALE');
+    expect(attempts()).toBe(2);
+
+    // Retries follow 30s, 60s, 120s after each failure.
+    for (const delay of [30000, 60000, 120000]) {
+      const before = attempts();
+      await vi.advanceTimersByTimeAsync(delay - 1);
+      expect(attempts()).toBe(before);
+      await vi.advanceTimersByTimeAsync(1);
+      expect(attempts()).toBe(before + 1);
+    }
+
+    // The next retry (after 240s) succeeds and the cache is fresh again.
+    upstreamUp(65000);
+    await vi.advanceTimersByTimeAsync(240000);
+    const recovered = await getBtcPrices();
+    expect(recovered.cacheStatus).toBe('HIT');
+    expect(recovered.payload).toMatchObject({ currentPriceUsd: 65000, stale: false });
+  });
+
+  it('rejects when there is no cached price to fall back on', async () => {
+    upstreamDown();
+    await expect(getBtcPrices()).rejects.toThrow('All spot providers failed');
+  });
+});
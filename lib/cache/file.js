@@ -0,0 +1,54 @@
+// JSON file cache for self-hosted deployments: survives restarts on a persistent disk.
+// All keys live in one small file; writes go through a temp file + rename so a crash
+// mid-write never leaves truncated JSON behind.
+
+import { promises as fs } from 'fs';
+import path from 'path';
+
+export function createFileCache(filePath) {
+  // Serialize writes from this process so concurrent sets don't drop each other's keys.
+  let writeQueue = Promise.resolve();
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (e) {
+      // Missing or corrupt file: start over rather than failing price requests.
+      if (e.code === 'ENOENT' || e instanceof SyntaxError) return {};
+      throw e;
+    }
+  }
+
+  return {
+    id: 'file',
+
+    async get(key) {
+      const hit = (await readAll())[key];
+      if (!hit || hit.expiresAtMs <= Date.now()) return null;
+      return hit.value;
+    },
+
+    set(key, value, ttlSeconds) {
+      writeQueue = writeQueue.then(async () => {
+        const now = Date.now();
+        const all = await readAll();
+        for (const k of Object.keys(all)) {
+          if (all[k].expiresAtMs <= now) delete all[k];
+        }
+        all[key] = { value, expiresAtMs: now + ttlSeconds * 1000 };
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        const tmp = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify(all));
+        await fs.rename(tmp, filePath);
+      });
+      return writeQueue;
+    },
+
+    // Self-hosted deployments usually run one process; `inFlight` coalesces within it.
+    async acquireLock() {
+      return true;
+    },
+
+    async releaseLock() {},
+  };
+}
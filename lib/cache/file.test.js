@@ -0,0 +1,53 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createFileCache } from './file';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'price-cache-'));
+});
+
+afterEach(async () => {
+  vi.useRealTimers();
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('createFileCache', () => {
+  it('persists entries across cache instances', async () => {
+    const filePath = path.join(dir, 'nested', 'cache.json');
+    await createFileCache(filePath).set('spot', { price: 60000 }, 60);
+    expect(await createFileCache(filePath).get('spot')).toEqual({ price: 60000 });
+    // The temp file has been renamed into place.
+    expect(await fs.readdir(path.dirname(filePath))).toEqual(['cache.json']);
+  });
+
+  it('keeps every key from concurrent writes', async () => {
+    const cache = createFileCache(path.join(dir, 'cache.json'));
+    await Promise.all([cache.set('a', 1, 60), cache.set('b', 2, 60), cache.set('c', 3, 60)]);
+    expect([await cache.get('a'), await cache.get('b'), await cache.get('c')]).toEqual([1, 2, 3]);
+  });
+
+  it('expires entries and prunes them on the next write', async () => {
+    const filePath = path.join(dir, 'cache.json');
+    const cache = createFileCache(filePath);
+    await cache.set('old', 1, 1);
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.now() + 2000);
+    expect(await cache.get('old')).toBeNull();
+    await cache.set('new', 2, 60);
+    expect(Object.keys(JSON.parse(await fs.readFile(filePath, 'utf8')))).toEqual(['new']);
+  });
+
+  it('treats a missing or corrupt file as empty', async () => {
+    const filePath = path.join(dir, 'cache.json');
+    const cache = createFileCache(filePath);
+    expect(await cache.get('spot')).toBeNull();
+    await fs.writeFile(filePath, '{"spot": {"val');
+    expect(await cache.get('spot')).toBeNull();
+    await cache.set('spot', 1, 60);
+    expect(await cache.get('spot')).toBe(1);
+  });
+});
@@ -0,0 +1,101 @@
+// Pluggable server-side cache for upstream price data.
+//
+// PRICE_CACHE_BACKEND selects the implementation:
+//   memory (default)  per-instance Map; resets on cold starts
+//   file              JSON file at PRICE_CACHE_FILE (default .cache/price-cache.json)
+//   redis             Redis over REST (Upstash / Vercel KV): PRICE_CACHE_REDIS_URL + PRICE_CACHE_REDIS_TOKEN
+//
+// Backends implement get(key), set(key, value, ttlSeconds), acquireLock(key, ttlMs) and
+// releaseLock(key, lock). acquireLock returns a truthy lock handle (e.g. a token) or false,
+// and releaseLock gets that handle back. Failures are logged and treated as a miss, so a
+// broken cache never takes price requests down with it.
+
+import path from 'path';
+import { createMemoryCache } from './memory';
+import { createFileCache } from './file';
+import { createRedisCache } from './redis';
+
+export const CACHE_BACKENDS = ['memory', 'file', 'redis'];
+
+// How long a refresh may hold the cross-instance lock, and how long other instances
+// wait for its result before fetching upstream themselves.
+const LOCK_TTL_MS = 30 * 1000;
+const LOCK_WAIT_MS = 5 * 1000;
+const LOCK_POLL_MS = 250;
+
+let cache = null;
+
+function createBackend() {
+  const backend = (process.env.PRICE_CACHE_BACKEND || 'memory').trim().toLowerCase();
+  switch (backend) {
+    case 'file':
+      return createFileCache(
+        process.env.PRICE_CACHE_FILE || path.join(process.cwd(), '.cache', 'price-cache.json')
+      );
+    case 'redis': {
+      const url = process.env.PRICE_CACHE_REDIS_URL || process.env.KV_REST_API_URL || process.env.UPSTASH_REDIS_REST_URL;
+      const token = process.env.PRICE_CACHE_REDIS_TOKEN || process.env.KV_REST_API_TOKEN || process.env.UPSTASH_REDIS_REST_TOKEN;
+      if (!url || !token) {
+        console.warn('PRICE_CACHE_BACKEND=redis needs PRICE_CACHE_REDIS_URL and PRICE_CACHE_REDIS_TOKEN; using memory cache');
+        return createMemoryCache();
+      }
+      return createRedisCache({ url, token, prefix: process.env.PRICE_CACHE_PREFIX || 'mining-calculator:' });
+    }
+    case 'memory':
+      return createMemoryCache();
+    default:
+      console.warn(`Unknown PRICE_CACHE_BACKEND "${backend}" (expected ${CACHE_BACKENDS.join(', ')}); using memory cache`);
+      return createMemoryCache();
+  }
+}
+
+function tolerant(backend) {
+  const warn = (op, key, e) => console.warn(`Price cache (${backend.id}) ${op} failed for "${key}": ${e?.message || e}`);
+  const guard = (op, fn, fallback) => async (key, ...args) => {
+    try {
+      return await fn(key, ...args);
+    } catch (e) {
+      warn(op, key, e);
+      return fallback;
+    }
+  };
+  return {
+    id: backend.id,
+    get: guard('get', backend.get, null),
+    set: guard('set', backend.set),
+    // If the lock can't be checked, proceed as the refresher rather than stalling.
+    acquireLock: guard('lock', backend.acquireLock, true),
+    releaseLock: guard('unlock', backend.releaseLock),
+  };
+}
+
+// Lazily created so env vars are read at request time, not at import.
+export function getCache() {
+  if (!cache) cache = tolerant(createBackend());
+  return cache;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs load() under the backend's lock for `key` and stores its result for ttlSeconds.
+// If another instance already holds the lock, waits briefly for it to publish an entry
+// accepted by isFresh(entry) instead of hitting upstream again. Callers still wrap this
+// in their own `inFlight` promise to coalesce requests within the instance.
+export async function loadWithLock(key, load, { ttlSeconds, isFresh }) {
+  const store = getCache();
+  const lock = await store.acquireLock(key, LOCK_TTL_MS);
+  if (!lock) {
+    for (const deadline = Date.now() + LOCK_WAIT_MS; Date.now() < deadline; ) {
+      await sleep(LOCK_POLL_MS);
+      const entry = await store.get(key);
+      if (entry && isFresh(entry)) return entry;
+    }
+  }
+  try {
+    const entry = await load();
+    await store.set(key, entry, ttlSeconds);
+    return entry;
+  } finally {
+    if (lock) await store.releaseLock(key, lock);
+  }
+}
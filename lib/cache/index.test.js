@@ -0,0 +1,64 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// getCache() memoizes its backend, so each test loads a fresh copy of the module.
+let cacheModule;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubEnv('PRICE_CACHE_BACKEND', 'memory');
+  cacheModule = await import('./index');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  vi.useRealTimers();
+});
+
+describe('getCache', () => {
+  it('falls back to memory when redis is not configured', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.resetModules();
+    vi.stubEnv('PRICE_CACHE_BACKEND', 'redis');
+    vi.stubEnv('PRICE_CACHE_REDIS_URL', '');
+    vi.stubEnv('KV_REST_API_URL', '');
+    vi.stubEnv('UPSTASH_REDIS_REST_URL', '');
+    const { getCache } = await import('./index');
+    expect(getCache().id).toBe('memory');
+    expect(getCache()).toBe(getCache());
+    expect(warn).toHaveBeenCalledOnce();
+  });
+});
+
+describe('loadWithLock', () => {
+  it('loads and stores the entry under the lock', async () => {
+    const load = vi.fn(async () => ({ price: 1 }));
+    const entry = await cacheModule.loadWithLock('spot', load, { ttlSeconds: 60, isFresh: () => true });
+    expect(entry).toEqual({ price: 1 });
+    expect(load).toHaveBeenCalledOnce();
+    expect(await cacheModule.getCache().get('spot')).toEqual({ price: 1 });
+  });
+
+  it('waits for another instance\'s fresh entry instead of loading', async () => {
+    vi.useFakeTimers();
+    const store = cacheModule.getCache();
+    vi.spyOn(store, 'acquireLock').mockResolvedValue(false);
+    const load = vi.fn();
+    const pending = cacheModule.loadWithLock('spot', load, { ttlSeconds: 60, isFresh: (e) => e.price === 2 });
+    await store.set('spot', { price: 2 }, 60);
+    await vi.advanceTimersByTimeAsync(250);
+    expect(await pending).toEqual({ price: 2 });
+    expect(load).not.toHaveBeenCalled();
+  });
+
+  it('releases the lock when the load fails', async () => {
+    const store = cacheModule.getCache();
+    const release = vi.spyOn(store, 'releaseLock');
+    await expect(
+      cacheModule.loadWithLock('spot', async () => {
+        throw new Error('upstream down');
+      }, { ttlSeconds: 60, isFresh: () => true })
+    ).rejects.toThrow('upstream down');
+    expect(release).toHaveBeenCalledWith('spot', true);
+  });
+});
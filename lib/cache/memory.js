@@ -0,0 +1,30 @@
+// In-process cache (the original behavior). Resets whenever the server instance does.
+
+export function createMemoryCache() {
+  const entries = new Map(); // key -> { value, expiresAtMs }
+
+  return {
+    id: 'memory',
+
+    async get(key) {
+      const hit = entries.get(key);
+      if (!hit) return null;
+      if (hit.expiresAtMs <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      return hit.value;
+    },
+
+    async set(key, value, ttlSeconds) {
+      entries.set(key, { value, expiresAtMs: Date.now() + ttlSeconds * 1000 });
+    },
+
+    // A single process needs no cross-instance lock; `inFlight` already coalesces.
+    async acquireLock() {
+      return true;
+    },
+
+    async releaseLock() {},
+  };
+}
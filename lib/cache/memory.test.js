@@ -0,0 +1,24 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createMemoryCache } from './memory';
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('createMemoryCache', () => {
+  it('keeps entries until their TTL runs out', async () => {
+    vi.useFakeTimers();
+    const cache = createMemoryCache();
+    await cache.set('spot', { price: 60000 }, 60);
+    expect(await cache.get('spot')).toEqual({ price: 60000 });
+    vi.advanceTimersByTime(60 * 1000);
+    expect(await cache.get('spot')).toBeNull();
+    expect(await cache.get('missing')).toBeNull();
+  });
+
+  it('always grants the lock', async () => {
+    const cache = createMemoryCache();
+    expect(await cache.acquireLock('spot', 1000)).toBe(true);
+    expect(await cache.acquireLock('spot', 1000)).toBe(true);
+  });
+});
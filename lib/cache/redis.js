@@ -0,0 +1,54 @@
+// Redis-compatible cache over the REST protocol used by Upstash and Vercel KV
+// (POST a command array, receive { result } or { error }). Needs no client library,
+// so it works from serverless functions without a persistent TCP connection.
+
+import { randomUUID } from 'crypto';
+
+// Deletes the lock only while it still holds our token, so a lock that expired and was
+// taken over by another instance is left alone.
+const RELEASE_LOCK_SCRIPT = "if redis.call('GET', KEYS[1]) == ARGV[1] then return redis.call('DEL', KEYS[1]) else return 0 end";
+
+export function createRedisCache({ url, token, prefix, timeoutMs = 2000 }) {
+  async function command(args) {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${token}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(args),
+      cache: 'no-store',
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const json = await res.json().catch(() => null);
+    if (!res.ok || json?.error) {
+      throw new Error(`Redis cache error: ${json?.error || `${res.status} ${res.statusText}`}`);
+    }
+    return json.result;
+  }
+
+  return {
+    id: 'redis',
+
+    async get(key) {
+      const raw = await command(['GET', prefix + key]);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(key, value, ttlSeconds) {
+      await command(['SET', prefix + key, JSON.stringify(value), 'EX', String(Math.max(1, Math.ceil(ttlSeconds)))]);
+    },
+
+    // SET NX PX: only one instance refreshes a key at a time across cold starts.
+    // The lock value is a per-acquisition token, returned as the lock handle.
+    async acquireLock(key, ttlMs) {
+      const token = randomUUID();
+      const result = await command(['SET', `${prefix}lock:${key}`, token, 'NX', 'PX', String(ttlMs)]);
+      return result === 'OK' ? token : false;
+    },
+
+    async releaseLock(key, token) {
+      await command(['EVAL', RELEASE_LOCK_SCRIPT, '1', `${prefix}lock:${key}`, String(token)]);
+    },
+  };
+}
@@ -0,0 +1,60 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createRedisCache } from './redis';
+
+let calls;
+let replies;
+
+// Answers each REST call with the next queued reply, recording the command it was sent.
+beforeEach(() => {
+  calls = [];
+  replies = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+    calls.push({ url, init, command: JSON.parse(init.body) });
+    const { status = 200, body } = replies.shift() ?? { body: { result: null } };
+    return new Response(JSON.stringify(body), { status });
+  }));
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+const cache = () => createRedisCache({ url: 'https://kv.example', token: 'secret', prefix: 'mc:' });
+
+describe('createRedisCache', () => {
+  it('stores JSON values under the prefix with a TTL', async () => {
+    await cache().set('spot', { price: 60000 }, 59.5);
+    expect(calls[0].url).toBe('https://kv.example');
+    expect(calls[0].init.headers.Authorization).toBe('Bearer secret');
+    expect(calls[0].command).toEqual(['SET', 'mc:spot', '{"price":60000}', 'EX', '60']);
+
+    replies.push({ body: { result: '{"price":60000}' } });
+    expect(await cache().get('spot')).toEqual({ price: 60000 });
+    expect(calls[1].command).toEqual(['GET', 'mc:spot']);
+    expect(await cache().get('missing')).toBeNull();
+  });
+
+  it('takes the lock with a token and releases it only with that token', async () => {
+    replies.push({ body: { result: 'OK' } });
+    const token = await cache().acquireLock('spot', 30000);
+    expect(token).toEqual(expect.any(String));
+    expect(calls[0].command).toEqual(['SET', 'mc:lock:spot', token, 'NX', 'PX', '30000']);
+
+    await cache().releaseLock('spot', token);
+    const [op, script, numKeys, key, arg] = calls[1].command;
+    expect([op, numKeys, key, arg]).toEqual(['EVAL', '1', 'mc:lock:spot', token]);
+    expect(script).toContain("redis.call('GET', KEYS[1]) == ARGV[1]");
+  });
+
+  it('reports a held lock as not acquired', async () => {
+    replies.push({ body: { result: null } });
+    expect(await cache().acquireLock('spot', 30000)).toBe(false);
+  });
+
+  it('throws on REST errors', async () => {
+    replies.push({ body: { error: 'WRONGPASS' } });
+    await expect(cache().get('spot')).rejects.toThrow('Redis cache error: WRONGPASS');
+    replies.push({ status: 500, body: null });
+    await expect(cache().get('spot')).rejects.toThrow('Redis cache error: 500');
+  });
+});
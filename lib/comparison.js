@@ -0,0 +1,33 @@
+// Tier × scenario comparison matrix built on projectMonthly().
+
+import { projectMonthly, summarizeProjection } from './projection';
+import { contractMonthsAllowed, resolveWattsPerTh } from './tiers';
+
+// baseInput is a projectMonthly() input without tier / finalMultiplier.
+// Returns { cells: { [tierIdx]: { [scenarioKey]: summary | null } }, best: { [scenarioKey]: tierIdx } }
+// where "best" is the tier with the highest final ROI under each scenario.
+// baseInput.wattsPerTh is the user's efficiency, if any; otherwise each tier uses its own
+// (see resolveWattsPerTh). Tiers not sold for baseInput.contractMonths get null cells.
+export function compareTiersAndScenarios({ tiers, scenarios, baseInput }) {
+  const cells = {};
+  const best = {};
+  const bestRoi = {};
+
+  tiers.forEach((tier, tierIdx) => {
+    cells[tierIdx] = {};
+    const offered = contractMonthsAllowed(tier, baseInput.contractMonths);
+    const wattsPerTh = resolveWattsPerTh(tier, baseInput.wattsPerTh);
+    Object.entries(scenarios).forEach(([key, scenario]) => {
+      const summary = offered
+        ? summarizeProjection(projectMonthly({ ...baseInput, tier, wattsPerTh, finalMultiplier: scenario.finalMultiplier }))
+        : null;
+      cells[tierIdx][key] = summary;
+      if (summary && (bestRoi[key] === undefined || summary.roi > bestRoi[key])) {
+        bestRoi[key] = summary.roi;
+        best[key] = tierIdx;
+      }
+    });
+  });
+
+  return { cells, best };
+}
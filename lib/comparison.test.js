@@ -0,0 +1,39 @@
+import { describe, expect, it } from 'vitest';
+import { compareTiersAndScenarios } from './comparison';
+import { firstBreakevenMonth, projectMonthly } from './projection';
+
+const BASE_INPUT = {
+  hashpriceUsd: 0.05,
+  currentBtcPrice: 50000,
+  difficultyModel: { type: 'flat', rate: 0 },
+  electricityCostKwh: 0.1,
+  wattsPerTh: null,
+  contractMonths: 12,
+};
+
+const TIERS = [
+  { name: 'Small', price: 1000, hashrate: 100, wattsPerTh: 20 },
+  { name: 'Large', price: 1500, hashrate: 200, wattsPerTh: 15 },
+  { name: 'Short', price: 500, hashrate: 50, maxContractMonths: 6 },
+];
+
+const SCENARIOS = { flat: { finalMultiplier: 1 }, up: { finalMultiplier: 2 } };
+
+describe('compareTiersAndScenarios', () => {
+  const { cells, best } = compareTiersAndScenarios({ tiers: TIERS, scenarios: SCENARIOS, baseInput: BASE_INPUT });
+
+  it('matches a direct projection of the same tier and scenario', () => {
+    const rows = projectMonthly({ ...BASE_INPUT, tier: TIERS[0], wattsPerTh: 20, finalMultiplier: 2 });
+    const last = rows[rows.length - 1];
+    expect(cells[0].up.portfolioValue).toBeCloseTo(last.portfolioValue, 9);
+    expect(cells[0].up.roi).toBeCloseTo(last.roi, 9);
+    expect(cells[0].up.totalCost).toBeCloseTo(last.totalCost, 9);
+    expect(cells[0].up.breakevenMonth).toBe(firstBreakevenMonth(rows));
+    expect(cells[0].up.breakevenMonth).not.toBeNull();
+  });
+
+  it('leaves tiers not sold for the contract length empty and picks the best ROI', () => {
+    expect(cells[2]).toEqual({ flat: null, up: null });
+    expect(best).toEqual({ flat: 1, up: 1 });
+  });
+});
@@ -0,0 +1,41 @@
+// Supported display/input currencies. BTC prices are fetched in USD and converted
+// with USD-based FX rates from the price provider layer (payload.fxRates).
+
+export const DEFAULT_CURRENCY = 'USD';
+
+export const CURRENCIES = {
+  USD: { label: 'US Dollar', locale: 'en-US' },
+  EUR: { label: 'Euro', locale: 'de-DE' },
+  GBP: { label: 'British Pound', locale: 'en-GB' },
+  AUD: { label: 'Australian Dollar', locale: 'en-AU' },
+};
+
+export const CURRENCY_CODES = Object.keys(CURRENCIES);
+
+// Currencies that need an FX rate (everything except the USD base).
+export const FX_CURRENCIES = CURRENCY_CODES.filter((c) => c !== DEFAULT_CURRENCY);
+
+export function isCurrency(code) {
+  return typeof code === 'string' && Object.hasOwn(CURRENCIES, code);
+}
+
+// Accepts any casing ("eur"); returns null for unsupported codes.
+export function normalizeCurrency(code) {
+  if (typeof code !== 'string') return null;
+  const upper = code.trim().toUpperCase();
+  return isCurrency(upper) ? upper : null;
+}
+
+export function currencySymbol(code) {
+  const part = new Intl.NumberFormat(CURRENCIES[code]?.locale ?? 'en-US', { style: 'currency', currency: code })
+    .formatToParts(0)
+    .find((p) => p.type === 'currency');
+  return part?.value ?? code;
+}
+
+// USD -> currency rate from a { USD: 1, EUR: 0.92, ... } map, or null when unavailable.
+export function fxRateFor(fxRates, code) {
+  if (code === DEFAULT_CURRENCY) return 1;
+  const rate = fxRates?.[code];
+  return Number.isFinite(rate) && rate > 0 ? rate : null;
+}
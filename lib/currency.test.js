@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { fxRateFor, normalizeCurrency } from './currency';
+import { localizeTier, tierPrice } from './tiers';
+
+const FX_RATES = { USD: 1, EUR: 0.92, GBP: 0.79 };
+const TIER = { name: 'Pro', price: 99, hashrate: 4, maintenanceFeeMonthly: 5 };
+
+describe('currencies', () => {
+  it('normalizes codes and rejects unsupported ones', () => {
+    expect(normalizeCurrency(' gbp ')).toBe('GBP');
+    expect(normalizeCurrency('JPY')).toBeNull();
+    expect(normalizeCurrency(42)).toBeNull();
+  });
+
+  it('looks up USD-based rates, with USD always 1', () => {
+    expect(fxRateFor(FX_RATES, 'EUR')).toBe(0.92);
+    expect(fxRateFor(null, 'USD')).toBe(1);
+    expect(fxRateFor(FX_RATES, 'AUD')).toBeNull();
+    expect(fxRateFor({ AUD: 0 }, 'AUD')).toBeNull();
+  });
+});
+
+describe('tier prices', () => {
+  it('converts a USD tier price at the given rate', () => {
+    expect(tierPrice(TIER, 'EUR', fxRateFor(FX_RATES, 'EUR'))).toBe(91);
+    expect(localizeTier(TIER, 'GBP', fxRateFor(FX_RATES, 'GBP'))).toMatchObject({ price: 78, maintenanceFeeMonthly: 3.95 });
+    expect(localizeTier(TIER, 'USD', null)).toMatchObject({ price: 99, maintenanceFeeMonthly: 5 });
+  });
+
+  it('prefers a fixed local price over conversion', () => {
+    expect(tierPrice({ ...TIER, prices: { EUR: 89 } }, 'EUR', 0.92)).toBe(89);
+  });
+
+  it('has no price when a conversion is needed but the rate is missing', () => {
+    const rate = fxRateFor(FX_RATES, 'AUD');
+    expect(tierPrice(TIER, 'AUD', rate)).toBeNull();
+    expect(localizeTier(TIER, 'AUD', rate)).toMatchObject({ price: null, maintenanceFeeMonthly: null });
+    // A fixed local price needs no rate.
+    expect(tierPrice({ ...TIER, prices: { AUD: 150 } }, 'AUD', rate)).toBe(150);
+  });
+});
@@ -0,0 +1,197 @@
+// Network difficulty growth models.
+//
+// A model describes the monthly difficulty growth rate for each contract month:
+//   { type: 'flat', rate }                                   constant growth, e.g. 0.04
+//   { type: 'decay', initialRate, floorRate, halfLifeMonths } growth decays toward a floor
+//   { type: 'piecewise', segments: [{ months, rate }], thereafterRate }
+//                                                            user schedule, e.g. 5% for 6 months, then 2%
+
+// Default difficulty growth assumption (monthly)
+export const DEFAULT_DIFFICULTY_GROWTH_MONTHLY = 0.04;
+
+export const DIFFICULTY_MODEL_TYPES = ['flat', 'decay', 'piecewise'];
+
+export const DEFAULT_DIFFICULTY_MODELS = {
+  flat: { type: 'flat', rate: DEFAULT_DIFFICULTY_GROWTH_MONTHLY },
+  decay: { type: 'decay', initialRate: 0.05, floorRate: 0.01, halfLifeMonths: 12 },
+  piecewise: { type: 'piecewise', segments: [{ months: 6, rate: 0.05 }], thereafterRate: 0.02 },
+};
+
+export const DIFFICULTY_MODEL_LABELS = {
+  flat: 'Flat rate',
+  decay: 'Decaying growth',
+  piecewise: 'Custom schedule',
+};
+
+// Growth rate applied between `month` and `month + 1` (1-indexed).
+export function monthlyDifficultyRate(model, month) {
+  switch (model?.type) {
+    case 'decay': {
+      const { initialRate, floorRate, halfLifeMonths } = model;
+      if (!(halfLifeMonths > 0)) return floorRate;
+      const decay = Math.pow(0.5, (month - 1) / halfLifeMonths);
+      return floorRate + (initialRate - floorRate) * decay;
+    }
+    case 'piecewise': {
+      let remaining = month;
+      for (const seg of model.segments || []) {
+        if (remaining <= seg.months) return seg.rate;
+        remaining -= seg.months;
+      }
+      return model.thereafterRate;
+    }
+    case 'flat':
+      return model.rate;
+    default:
+      return DEFAULT_DIFFICULTY_GROWTH_MONTHLY;
+  }
+}
+
+// Difficulty relative to today for each month 1..months. Month 1 mines at today's
+// difficulty, so factors[0] === 1; BTC earned scales with 1 / factor.
+export function difficultyFactors(model, months) {
+  const factors = [];
+  let factor = 1;
+  for (let month = 1; month <= months; month++) {
+    factors.push(factor);
+    factor *= 1 + monthlyDifficultyRate(model, month);
+  }
+  return factors;
+}
+
+// Same model with every growth rate multiplied by `factor` (used for sensitivity analysis).
+export function scaleDifficultyModel(model, factor) {
+  switch (model?.type) {
+    case 'decay':
+      return { ...model, initialRate: model.initialRate * factor, floorRate: model.floorRate * factor };
+    case 'piecewise':
+      return {
+        ...model,
+        segments: model.segments.map((seg) => ({ ...seg, rate: seg.rate * factor })),
+        thereafterRate: model.thereafterRate * factor,
+      };
+    case 'flat':
+      return { ...model, rate: model.rate * factor };
+    default:
+      return { type: 'flat', rate: DEFAULT_DIFFICULTY_GROWTH_MONTHLY * factor };
+  }
+}
+
+const pct = (rate) => `${(rate * 100).toFixed(1)}%`;
+
+// Short human-readable summary, used in results and the disclaimer.
+export function describeDifficultyModel(model) {
+  switch (model?.type) {
+    case 'decay':
+      return `from ${pct(model.initialRate)} per month, decaying toward ${pct(model.floorRate)} (half-life ${model.halfLifeMonths} months)`;
+    case 'piecewise': {
+      const parts = (model.segments || []).map((seg) => `${pct(seg.rate)} per month for ${seg.months} months`);
+      parts.push(`${parts.length ? 'then ' : ''}${pct(model.thereafterRate)} per month`);
+      return parts.join(', ');
+    }
+    case 'flat':
+      return `${pct(model.rate)} per month`;
+    default:
+      return `${pct(DEFAULT_DIFFICULTY_GROWTH_MONTHLY)} per month`;
+  }
+}
+
+function readRate(raw, field, errors) {
+  const n = typeof raw === 'number' ? raw : Number(raw);
+  if (raw === '' || raw === null || raw === undefined || !Number.isFinite(n)) {
+    errors.push({ field, message: 'must be a finite number' });
+    return undefined;
+  }
+  if (n <= -1) {
+    errors.push({ field, message: 'must be greater than -1' });
+    return undefined;
+  }
+  return n;
+}
+
+// Parses "0.05x6,0.02" (rate x months, ..., thereafter rate) into piecewise segments.
+export function parseDifficultySchedule(text) {
+  const parts = String(text).split(',').map((p) => p.trim()).filter(Boolean);
+  const segments = [];
+  let thereafterRate;
+  parts.forEach((part, idx) => {
+    const [rate, months] = part.split(/x/i).map((p) => p.trim());
+    if (months === undefined && idx === parts.length - 1) {
+      thereafterRate = rate;
+    } else {
+      segments.push({ rate, months });
+    }
+  });
+  return { type: 'piecewise', segments, thereafterRate };
+}
+
+// Inverse of parseDifficultySchedule().
+export function formatDifficultySchedule(model) {
+  const parts = (model.segments || []).map((seg) => `${seg.rate}x${seg.months}`);
+  parts.push(String(model.thereafterRate));
+  return parts.join(',');
+}
+
+// Returns { value, errors } with errors as [{ field, message }].
+export function validateDifficultyModel(raw, field = 'difficultyModel') {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || !DIFFICULTY_MODEL_TYPES.includes(raw.type)) {
+    errors.push({ field: `${field}.type`, message: `must be one of ${DIFFICULTY_MODEL_TYPES.join(', ')}` });
+    return { errors };
+  }
+
+  if (raw.type === 'flat') {
+    const rate = readRate(raw.rate, `${field}.rate`, errors);
+    return errors.length ? { errors } : { errors, value: { type: 'flat', rate } };
+  }
+
+  if (raw.type === 'decay') {
+    const initialRate = readRate(raw.initialRate, `${field}.initialRate`, errors);
+    const floorRate = readRate(raw.floorRate, `${field}.floorRate`, errors);
+    const halfLifeMonths = Number(raw.halfLifeMonths);
+    if (!Number.isFinite(halfLifeMonths) || halfLifeMonths <= 0) {
+      errors.push({ field: `${field}.halfLifeMonths`, message: 'must be greater than 0' });
+    }
+    return errors.length
+      ? { errors }
+      : { errors, value: { type: 'decay', initialRate, floorRate, halfLifeMonths } };
+  }
+
+  const segments = [];
+  if (!Array.isArray(raw.segments)) {
+    errors.push({ field: `${field}.segments`, message: 'must be an array' });
+  } else {
+    raw.segments.forEach((seg, idx) => {
+      const rate = readRate(seg?.rate, `${field}.segments[${idx}].rate`, errors);
+      const months = Number(seg?.months);
+      if (!Number.isInteger(months) || months <= 0) {
+        errors.push({ field: `${field}.segments[${idx}].months`, message: 'must be a positive integer' });
+        return;
+      }
+      if (rate !== undefined) segments.push({ months, rate });
+    });
+  }
+  const thereafterRate = readRate(raw.thereafterRate, `${field}.thereafterRate`, errors);
+  return errors.length
+    ? { errors }
+    : { errors, value: { type: 'piecewise', segments, thereafterRate } };
+}
+
+// Window for the observed difficulty trend offered as a flat growth rate.
+export const DIFFICULTY_TREND_MONTHS = 6;
+const MONTH_MS = 30 * 86400 * 1000;
+
+// Compound monthly growth between the first and last adjustments within the last
+// `months` of history ([{ time, difficulty }] ascending, time as ISO string).
+// Returns null when the window holds fewer than two adjustments.
+export function observedMonthlyDifficultyGrowth(history, months = DIFFICULTY_TREND_MONTHS) {
+  if (!Array.isArray(history) || history.length < 2) return null;
+  const last = history[history.length - 1];
+  const cutoff = Date.parse(last.time) - months * MONTH_MS;
+  const inWindow = history.filter((h) => Date.parse(h.time) >= cutoff);
+  if (inWindow.length < 2) return null;
+  const first = inWindow[0];
+  const elapsedMonths = (Date.parse(last.time) - Date.parse(first.time)) / MONTH_MS;
+  if (!(elapsedMonths > 0) || !(first.difficulty > 0)) return null;
+  return Math.pow(last.difficulty / first.difficulty, 1 / elapsedMonths) - 1;
+}
@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_DIFFICULTY_GROWTH_MONTHLY,
+  difficultyFactors,
+  formatDifficultySchedule,
+  monthlyDifficultyRate,
+  observedMonthlyDifficultyGrowth,
+  parseDifficultySchedule,
+  scaleDifficultyModel,
+  validateDifficultyModel,
+} from './difficulty';
+
+describe('monthlyDifficultyRate', () => {
+  it('uses a constant rate for the flat model', () => {
+    expect(monthlyDifficultyRate({ type: 'flat', rate: 0.03 }, 1)).toBe(0.03);
+    expect(monthlyDifficultyRate({ type: 'flat', rate: 0.03 }, 40)).toBe(0.03);
+  });
+
+  it('halves the excess over the floor every half-life', () => {
+    const model = { type: 'decay', initialRate: 0.05, floorRate: 0.01, halfLifeMonths: 12 };
+    expect(monthlyDifficultyRate(model, 1)).toBeCloseTo(0.05, 12);
+    expect(monthlyDifficultyRate(model, 13)).toBeCloseTo(0.03, 12);
+    expect(monthlyDifficultyRate(model, 25)).toBeCloseTo(0.02, 12);
+  });
+
+  it('walks the piecewise segments, then the thereafter rate', () => {
+    const model = { type: 'piecewise', segments: [{ months: 2, rate: 0.05 }, { months: 1, rate: 0.03 }], thereafterRate: 0.01 };
+    expect([1, 2, 3, 4, 10].map((m) => monthlyDifficultyRate(model, m))).toEqual([0.05, 0.05, 0.03, 0.01, 0.01]);
+  });
+
+  it('falls back to the default rate without a model', () => {
+    expect(monthlyDifficultyRate(null, 1)).toBe(DEFAULT_DIFFICULTY_GROWTH_MONTHLY);
+  });
+});
+
+describe('difficultyFactors', () => {
+  it('starts at today\'s difficulty and compounds', () => {
+    const factors = difficultyFactors({ type: 'flat', rate: 0.1 }, 3);
+    expect(factors[0]).toBe(1);
+    expect(factors[1]).toBeCloseTo(1.1, 12);
+    expect(factors[2]).toBeCloseTo(1.21, 12);
+  });
+});
+
+describe('scaleDifficultyModel', () => {
+  it('scales every rate of each model type', () => {
+    expect(scaleDifficultyModel({ type: 'flat', rate: 0.02 }, 2)).toEqual({ type: 'flat', rate: 0.04 });
+    expect(scaleDifficultyModel({ type: 'decay', initialRate: 0.04, floorRate: 0.01, halfLifeMonths: 6 }, 0.5))
+      .toEqual({ type: 'decay', initialRate: 0.02, floorRate: 0.005, halfLifeMonths: 6 });
+    expect(scaleDifficultyModel({ type: 'piecewise', segments: [{ months: 3, rate: 0.02 }], thereafterRate: 0.01 }, 2))
+      .toEqual({ type: 'piecewise', segments: [{ months: 3, rate: 0.04 }], thereafterRate: 0.02 });
+  });
+});
+
+describe('difficulty schedules', () => {
+  it('parses and formats "rate x months, ..., thereafter"', () => {
+    const parsed = parseDifficultySchedule('0.05x6, 0.03x3, 0.02');
+    expect(parsed).toEqual({
+      type: 'piecewise',
+      segments: [{ rate: '0.05', months: '6' }, { rate: '0.03', months: '3' }],
+      thereafterRate: '0.02',
+    });
+    const { value } = validateDifficultyModel(parsed);
+    expect(value).toEqual({
+      type: 'piecewise',
+      segments: [{ months: 6, rate: 0.05 }, { months: 3, rate: 0.03 }],
+      thereafterRate: 0.02,
+    });
+    expect(formatDifficultySchedule(value)).toBe('0.05x6,0.03x3,0.02');
+  });
+});
+
+describe('validateDifficultyModel', () => {
+  it('rejects unknown types and bad parameters with field paths', () => {
+    expect(validateDifficultyModel({ type: 'nope' }).errors[0].field).toBe('difficultyModel.type');
+    expect(validateDifficultyModel({ type: 'flat', rate: -1 }).errors).toEqual([
+      { field: 'difficultyModel.rate', message: 'must be greater than -1' },
+    ]);
+    const { errors, value } = validateDifficultyModel({ type: 'decay', initialRate: 0.05, floorRate: 'x', halfLifeMonths: 0 });
+    expect(value).toBeUndefined();
+    expect(errors.map((e) => e.field)).toEqual(['difficultyModel.floorRate', 'difficultyModel.halfLifeMonths']);
+  });
+});
+
+describe('observedMonthlyDifficultyGrowth', () => {
+  it('compounds growth over the trailing window', () => {
+    const day = 86400 * 1000;
+    const history = [0, 30, 60].map((d, i) => ({
+      time: new Date(Date.UTC(2024, 0, 1) + d * day).toISOString(),
+      difficulty: 100 * Math.pow(1.1, i),
+    }));
+    expect(observedMonthlyDifficultyGrowth(history)).toBeCloseTo(0.1, 9);
+    expect(observedMonthlyDifficultyGrowth(history.slice(0, 1))).toBeNull();
+  });
+});
@@ -0,0 +1,107 @@
+// CSV / JSON export of the monthly projection with an assumptions header.
+
+// `money` columns get the currency code appended to their label; `optional` columns are
+// dropped by dropEmptyColumns() when every row is zero in that column (or in the column
+// named by `optional`), e.g. when no pool fee is configured.
+const BASE_COLUMNS = [
+  { key: 'month', label: 'Month' },
+  { key: 'monthlyBtcGross', label: 'BTC Mined' },
+  { key: 'monthlyDowntimeBtc', label: 'Downtime Loss (BTC)', optional: true },
+  { key: 'monthlyPoolFeeBtc', label: 'Pool Fee (BTC)', optional: true },
+  { key: 'monthlyBtcNet', label: 'BTC Net', optional: 'monthlyPoolFeeBtc' },
+  { key: 'cumulativeBtc', label: 'Cumulative BTC' },
+  { key: 'monthlyBtcSold', label: 'BTC Sold', optional: true },
+  { key: 'realizedFiat', label: 'Realized from Sales', money: true, optional: true },
+  { key: 'btcPrice', label: 'BTC Price', money: true },
+  { key: 'hardwareValue', label: 'Hardware Resale Value', money: true, optional: true },
+  { key: 'portfolioValue', label: 'Portfolio Value', money: true },
+  // Buy-BTC benchmark (lib/benchmark.js); only present on the calculator's rows.
+  { key: 'hodlBtc', label: 'Buy-BTC Benchmark (BTC)', optional: true },
+  { key: 'hodlValue', label: 'Buy-BTC Benchmark Value', money: true, optional: true },
+  { key: 'monthlyElecCost', label: 'Electricity', money: true },
+  { key: 'monthlyMaintenanceCost', label: 'Hosting / Maintenance', money: true, optional: true },
+  { key: 'cumulativeElecCost', label: 'Cumulative Electricity', money: true },
+  { key: 'cumulativeMaintenanceCost', label: 'Cumulative Hosting / Maintenance', money: true, optional: true },
+  { key: 'totalCost', label: 'Total Cost', money: true },
+  { key: 'totalReturn', label: 'Total Return', money: true },
+  { key: 'roi', label: 'ROI (%)' },
+  // Tax (lib/tax.js); only present when a tax jurisdiction is selected.
+  { key: 'cumulativeTax', label: 'Cumulative Tax Paid', money: true, optional: 'afterTaxValue' },
+  { key: 'liquidationTax', label: 'Tax if Sold', money: true, optional: 'afterTaxValue' },
+  { key: 'afterTaxValue', label: 'After-Tax Value', money: true, optional: true },
+  { key: 'afterTaxRoi', label: 'After-Tax ROI (%)', optional: 'afterTaxValue' },
+];
+
+export function projectionColumns(currency = 'USD') {
+  return BASE_COLUMNS.map((c) => (c.money ? { ...c, label: `${c.label} (${currency})` } : c));
+}
+
+export const PROJECTION_COLUMNS = projectionColumns();
+
+// Lot ledger from computeTax(): acquisitions (mining income) and disposals, for an accountant.
+const LEDGER_BASE_COLUMNS = [
+  { key: 'period', label: 'Period' },
+  { key: 'month', label: 'Month' },
+  { key: 'type', label: 'Type' },
+  { key: 'lot', label: 'Lot' },
+  { key: 'btc', label: 'BTC' },
+  { key: 'btcPrice', label: 'BTC Price', money: true },
+  { key: 'costBasis', label: 'Cost Basis', money: true },
+  { key: 'proceeds', label: 'Proceeds', money: true },
+  { key: 'gain', label: 'Gain / Loss', money: true },
+  { key: 'holdingMonths', label: 'Held (months)' },
+  { key: 'term', label: 'Term' },
+  { key: 'tax', label: 'Tax', money: true },
+];
+
+export function ledgerColumns(currency = 'USD') {
+  return LEDGER_BASE_COLUMNS.map((c) => (c.money ? { ...c, label: `${c.label} (${currency})` } : c));
+}
+
+export function dropEmptyColumns(columns, rows) {
+  return columns.filter((c) => {
+    if (!c.optional) return true;
+    const key = typeof c.optional === 'string' ? c.optional : c.key;
+    return rows.some((row) => row[key]);
+  });
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return values.map(csvCell).join(',');
+}
+
+// assumptions is a flat { label: value } object; it is written as a two-column
+// block above the monthly table so the numbers can be audited later.
+export function projectionToCsv({ assumptions, rows, columns = PROJECTION_COLUMNS }) {
+  const lines = [csvLine(['Assumption', 'Value'])];
+  Object.entries(assumptions).forEach(([label, value]) => lines.push(csvLine([label, value])));
+  lines.push('');
+  lines.push(csvLine(columns.map((c) => c.label)));
+  rows.forEach((row) => lines.push(csvLine(columns.map((c) => row[c.key]))));
+  return `${lines.join('\n')}\n`;
+}
+
+// rowsKey names the row array, e.g. 'lots' for the tax ledger.
+export function projectionToJson({ assumptions, rows, columns = PROJECTION_COLUMNS, rowsKey = 'projections' }) {
+  const projections = rows.map((row) => Object.fromEntries(columns.map((c) => [c.key, row[c.key]])));
+  return JSON.stringify({ assumptions, [rowsKey]: projections }, null, 2);
+}
+
+// Browser-only: trigger a file download.
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
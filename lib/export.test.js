@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { dropEmptyColumns, projectionColumns, projectionToCsv, projectionToJson } from './export';
+
+const COLUMNS = [
+  { key: 'month', label: 'Month' },
+  { key: 'note', label: 'Note' },
+];
+
+describe('projectionToCsv', () => {
+  it('quotes cells with commas, quotes and newlines', () => {
+    const csv = projectionToCsv({
+      assumptions: { 'Tier, name': 'Pro "Max"', Blank: null },
+      rows: [{ month: 1, note: 'line one\nline two' }, { month: 2, note: 'plain' }],
+      columns: COLUMNS,
+    });
+    expect(csv).toBe([
+      'Assumption,Value',
+      '"Tier, name","Pro ""Max"""',
+      'Blank,',
+      '',
+      'Month,Note',
+      '1,"line one\nline two"',
+      '2,plain',
+      '',
+    ].join('\n'));
+  });
+});
+
+describe('projectionToJson', () => {
+  it('round-trips through JSON.parse with only the exported columns', () => {
+    const assumptions = { Currency: 'EUR', 'Contract length (months)': 12 };
+    const rows = [{ month: 1, note: 'a, "b"\nc', extra: true }];
+    expect(JSON.parse(projectionToJson({ assumptions, rows, columns: COLUMNS }))).toEqual({
+      assumptions,
+      projections: [{ month: 1, note: 'a, "b"\nc' }],
+    });
+    expect(Object.keys(JSON.parse(projectionToJson({ assumptions, rows, columns: COLUMNS, rowsKey: 'lots' })))).toEqual(['assumptions', 'lots']);
+  });
+});
+
+describe('columns', () => {
+  it('labels money columns with the currency and drops empty optional ones', () => {
+    const columns = projectionColumns('GBP');
+    expect(columns.find((c) => c.key === 'btcPrice').label).toBe('BTC Price (GBP)');
+    const kept = dropEmptyColumns(columns, [{ monthlyPoolFeeBtc: 0, monthlyBtcNet: 0.003 }]).map((c) => c.key);
+    expect(kept).toContain('month');
+    expect(kept).not.toContain('monthlyPoolFeeBtc');
+    expect(kept).not.toContain('monthlyBtcNet');
+  });
+});
@@ -0,0 +1,51 @@
+// Format helpers shared by the page and panels.
+
+import { CURRENCIES, DEFAULT_CURRENCY } from './currency';
+
+// Money in any supported currency, formatted with that currency's locale.
+export const formatCurrency = (val, currency = DEFAULT_CURRENCY, decimals = 0) => {
+  const n = typeof val === 'number' ? val : Number(val);
+  if (!Number.isFinite(n)) return '—';
+  return n.toLocaleString(CURRENCIES[currency]?.locale ?? 'en-US', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+  });
+};
+
+export const formatUsd = (val) => formatCurrency(val, 'USD');
+
+export const formatBtc = (val) => {
+  const n = typeof val === 'number' ? val : Number(val);
+  if (!Number.isFinite(n)) return '—';
+  return n.toFixed(8);
+};
+
+export const formatPercent = (val) => {
+  const n = typeof val === 'number' ? val : Number(val);
+  if (!Number.isFinite(n)) return '—';
+  return `${n >= 0 ? '+' : ''}${n.toFixed(1)}%`;
+};
+
+// Compact age such as "45s", "12m" or "3h".
+export const formatAge = (seconds) => {
+  const n = typeof seconds === 'number' ? seconds : Number(seconds);
+  if (!Number.isFinite(n) || n < 0) return '—';
+  if (n < 60) return `${Math.floor(n)}s`;
+  if (n < 3600) return `${Math.floor(n / 60)}m`;
+  return `${Math.floor(n / 3600)}h`;
+};
+
+// Short money for chart axes, e.g. "$12K" or "1,2 Mio. €".
+export const formatCurrencyCompact = (val, currency = DEFAULT_CURRENCY) => {
+  const n = typeof val === 'number' ? val : Number(val);
+  if (!Number.isFinite(n)) return '—';
+  return n.toLocaleString(CURRENCIES[currency]?.locale ?? 'en-US', {
+    style: 'currency',
+    currency,
+    notation: 'compact',
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 1,
+  });
+};
@@ -0,0 +1,90 @@
+// Derive the "historical" 24-month growth multiplier from a daily close series.
+// All methods return a multiplier on the same 24-month base as the other scenarios.
+
+import { SCENARIO_BASE_MONTHS } from './projection';
+
+const DAYS_PER_YEAR = 365;
+const BASE_DAYS = (SCENARIO_BASE_MONTHS / 12) * DAYS_PER_YEAR;
+
+// Lookback windows served by /api/btc-history.
+export const HISTORY_WINDOW_LABELS = {
+  '1y': '1yr',
+  '2y': '2yr',
+  '4y': '4yr',
+  max: 'max',
+};
+
+export const GROWTH_METHODS = {
+  window: 'Window start → today',
+  cagr: 'CAGR (trend fit)',
+  medianRolling: 'Median rolling return',
+};
+
+function daysBetween(a, b) {
+  return (Date.parse(b) - Date.parse(a)) / 86400000;
+}
+
+// Close-to-close ratio across the window, rescaled to 24 months.
+export function windowMultiplier(series) {
+  if (series.length < 2) return null;
+  const first = series[0];
+  const last = series[series.length - 1];
+  const days = daysBetween(first.date, last.date);
+  if (!(days > 0)) return null;
+  return Math.pow(last.close / first.close, BASE_DAYS / days);
+}
+
+// Compound growth from a least-squares fit of log(price) over time, so a single
+// spiky day at either end of the window doesn't dominate.
+export function cagrMultiplier(series) {
+  if (series.length < 2) return null;
+  const t0 = Date.parse(series[0].date);
+  const xs = series.map((p) => (Date.parse(p.date) - t0) / 86400000);
+  const ys = series.map((p) => Math.log(p.close));
+  const n = xs.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - meanX) * (ys[i] - meanY);
+    varX += (xs[i] - meanX) ** 2;
+  }
+  if (!(varX > 0)) return null;
+  const slopePerDay = cov / varX;
+  return Math.exp(slopePerDay * BASE_DAYS);
+}
+
+// Median of every rolling return within the window, compounded to 24 months.
+// Uses 1-year returns when the window allows at least two years, otherwise 90-day returns.
+export function medianRollingMultiplier(series) {
+  if (series.length < 2) return null;
+  const spanDays = daysBetween(series[0].date, series[series.length - 1].date);
+  const horizonDays = spanDays >= 2 * DAYS_PER_YEAR ? DAYS_PER_YEAR : 90;
+  if (spanDays < horizonDays) return null;
+
+  const closeByDay = new Map(series.map((p) => [p.date, p.close]));
+  const returns = [];
+  for (const p of series) {
+    const target = new Date(Date.parse(p.date) + horizonDays * 86400000).toISOString().slice(0, 10);
+    const future = closeByDay.get(target);
+    if (future) returns.push(future / p.close);
+  }
+  if (returns.length === 0) return null;
+
+  returns.sort((a, b) => a - b);
+  const mid = Math.floor(returns.length / 2);
+  const median = returns.length % 2 ? returns[mid] : (returns[mid - 1] + returns[mid]) / 2;
+  return Math.pow(median, BASE_DAYS / horizonDays);
+}
+
+export function historicalGrowthMultiplier(series, method) {
+  switch (method) {
+    case 'cagr':
+      return cagrMultiplier(series);
+    case 'medianRolling':
+      return medianRollingMultiplier(series);
+    default:
+      return windowMultiplier(series);
+  }
+}
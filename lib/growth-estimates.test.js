@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import {
+  cagrMultiplier,
+  historicalGrowthMultiplier,
+  medianRollingMultiplier,
+  windowMultiplier,
+} from './growth-estimates';
+
+// Daily closes doubling every 365 days: 4x over the 24-month scenario base.
+function doublingSeries(days) {
+  const start = Date.UTC(2022, 0, 1);
+  return Array.from({ length: days + 1 }, (_, d) => ({
+    date: new Date(start + d * 86400000).toISOString().slice(0, 10),
+    close: 100 * Math.pow(2, d / 365),
+  }));
+}
+
+describe('historical growth multipliers', () => {
+  it('agree on steady growth, rescaled to 24 months', () => {
+    const twoYears = doublingSeries(800);
+    expect(windowMultiplier(twoYears)).toBeCloseTo(4, 9);
+    expect(cagrMultiplier(twoYears)).toBeCloseTo(4, 9);
+    expect(medianRollingMultiplier(twoYears)).toBeCloseTo(4, 9);
+    // Under two years the rolling returns are 90-day ones.
+    expect(medianRollingMultiplier(doublingSeries(200))).toBeCloseTo(4, 9);
+  });
+
+  it('lets a trend fit discount a spike on the last day', () => {
+    const series = doublingSeries(365);
+    series[series.length - 1] = { ...series[series.length - 1], close: 400 };
+    expect(windowMultiplier(series)).toBeCloseTo(16, 9);
+    expect(cagrMultiplier(series)).toBeLessThan(5);
+  });
+
+  it('needs enough data', () => {
+    expect(windowMultiplier(doublingSeries(0))).toBeNull();
+    expect(cagrMultiplier([])).toBeNull();
+    expect(medianRollingMultiplier(doublingSeries(60))).toBeNull();
+  });
+
+  it('picks the method, defaulting to the window ratio', () => {
+    const series = doublingSeries(100);
+    expect(historicalGrowthMultiplier(series, 'cagr')).toBe(cagrMultiplier(series));
+    expect(historicalGrowthMultiplier(series, 'medianRolling')).toBe(medianRollingMultiplier(series));
+    expect(historicalGrowthMultiplier(series, 'window')).toBe(windowMultiplier(series));
+    expect(historicalGrowthMultiplier(series)).toBe(windowMultiplier(series));
+  });
+});
@@ -0,0 +1,83 @@
+// Bitcoin protocol schedule: block subsidy halvings and network-derived mining yield.
+
+export const HALVING_INTERVAL = 210000;
+export const INITIAL_SUBSIDY_BTC = 50;
+export const BLOCKS_PER_DAY = 144;
+
+// Reference point for estimating the current height without a network call:
+// the April 2024 halving (block 840,000).
+const REFERENCE_HEIGHT = 840000;
+const REFERENCE_TIME_MS = Date.UTC(2024, 3, 20, 0, 9, 27);
+const TARGET_BLOCK_MS = 10 * 60 * 1000;
+
+export const DEFAULT_NETWORK = {
+  networkHashrateEh: 800,
+  // Fees as a share of the total block reward (subsidy + fees).
+  feeShare: 0.03,
+};
+
+export function blockSubsidy(height) {
+  const epoch = Math.floor(height / HALVING_INTERVAL);
+  if (epoch >= 64) return 0;
+  return INITIAL_SUBSIDY_BTC / Math.pow(2, epoch);
+}
+
+export function nextHalvingHeight(height) {
+  return (Math.floor(height / HALVING_INTERVAL) + 1) * HALVING_INTERVAL;
+}
+
+// Assumes ~10 minute blocks since the reference halving.
+export function estimateBlockHeight(date = new Date()) {
+  const elapsed = date.getTime() - REFERENCE_TIME_MS;
+  return Math.max(0, REFERENCE_HEIGHT + Math.floor(elapsed / TARGET_BLOCK_MS));
+}
+
+export function estimateHeightDate(height, fromHeight, fromDate = new Date()) {
+  return new Date(fromDate.getTime() + (height - fromHeight) * TARGET_BLOCK_MS);
+}
+
+// Fees are held constant in BTC per block, so they don't halve with the subsidy.
+export function feeBtcPerBlock(height, feeShare) {
+  if (!(feeShare > 0) || feeShare >= 1) return 0;
+  const subsidy = blockSubsidy(height);
+  return (subsidy * feeShare) / (1 - feeShare);
+}
+
+// Total reward (subsidy + fees) over the blocks [startHeight, startHeight + blocks),
+// split at any halving boundary inside the range. halvingHeight is set when a halving
+// block falls inside the range.
+export function rewardOverBlocks(startHeight, blocks, feePerBlock) {
+  let reward = 0;
+  let height = startHeight;
+  const endHeight = startHeight + blocks;
+  while (height < endHeight) {
+    const span = Math.min(endHeight, nextHalvingHeight(height)) - height;
+    reward += span * (blockSubsidy(height) + feePerBlock);
+    height += span;
+  }
+  const firstHalving = nextHalvingHeight(Math.max(0, startHeight - 1));
+  const halvingHeight = startHeight > 0 && firstHalving < endHeight ? firstHalving : null;
+  return { reward, halvingHeight };
+}
+
+// BTC earned by 1 TH/s over a single day at today's difficulty.
+export function dailyBtcPerThFromNetwork({ blockHeight, networkHashrateEh, feeShare }) {
+  const networkTh = networkHashrateEh * 1e6;
+  if (!(networkTh > 0)) return null;
+  const reward = blockSubsidy(blockHeight) + feeBtcPerBlock(blockHeight, feeShare);
+  return (BLOCKS_PER_DAY * reward) / networkTh;
+}
+
+// Network hashrate implied by a difficulty at the 10-minute block target
+// (each difficulty unit is 2^32 expected hashes per block).
+export function networkHashrateEhFromDifficulty(difficulty) {
+  if (!(difficulty > 0)) return null;
+  return (difficulty * 2 ** 32) / (TARGET_BLOCK_MS / 1000) / 1e18;
+}
+
+// Inverse of feeBtcPerBlock: fee share of the total reward for an observed average fee.
+export function feeShareFromFees(height, feeBtcPerBlockObserved) {
+  const subsidy = blockSubsidy(height);
+  const total = subsidy + feeBtcPerBlockObserved;
+  return total > 0 ? feeBtcPerBlockObserved / total : 0;
+}
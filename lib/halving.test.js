@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import {
+  BLOCKS_PER_DAY,
+  HALVING_INTERVAL,
+  blockSubsidy,
+  dailyBtcPerThFromNetwork,
+  estimateBlockHeight,
+  feeBtcPerBlock,
+  feeShareFromFees,
+  networkHashrateEhFromDifficulty,
+  nextHalvingHeight,
+  rewardOverBlocks,
+} from './halving';
+
+describe('block subsidy schedule', () => {
+  it('halves every 210,000 blocks and ends after 64 halvings', () => {
+    expect(blockSubsidy(0)).toBe(50);
+    expect(blockSubsidy(839999)).toBe(6.25);
+    expect(blockSubsidy(840000)).toBe(3.125);
+    expect(blockSubsidy(64 * HALVING_INTERVAL)).toBe(0);
+    expect(nextHalvingHeight(840000)).toBe(1050000);
+    expect(nextHalvingHeight(1049999)).toBe(1050000);
+  });
+
+  it('estimates the height from the April 2024 halving', () => {
+    expect(estimateBlockHeight(new Date(Date.UTC(2024, 3, 20, 0, 9, 27)))).toBe(840000);
+    expect(estimateBlockHeight(new Date(Date.UTC(2024, 3, 21, 0, 9, 27)))).toBe(840000 + BLOCKS_PER_DAY);
+  });
+});
+
+describe('fees', () => {
+  it('converts a fee share to BTC per block and back', () => {
+    const fee = feeBtcPerBlock(840000, 0.2);
+    expect(fee).toBeCloseTo(3.125 * 0.25, 12);
+    expect(feeShareFromFees(840000, fee)).toBeCloseTo(0.2, 12);
+    expect(feeBtcPerBlock(840000, 0)).toBe(0);
+    expect(feeBtcPerBlock(840000, 1)).toBe(0);
+  });
+});
+
+describe('rewardOverBlocks', () => {
+  it('splits the reward at a halving inside the range', () => {
+    const { reward, halvingHeight } = rewardOverBlocks(1049990, 20, 0.1);
+    expect(reward).toBeCloseTo(10 * (3.125 + 0.1) + 10 * (1.5625 + 0.1), 12);
+    expect(halvingHeight).toBe(1050000);
+  });
+
+  it('reports no halving for a range inside one epoch', () => {
+    expect(rewardOverBlocks(900000, 100, 0)).toEqual({ reward: 312.5, halvingHeight: null });
+  });
+});
+
+describe('network-derived yield', () => {
+  it('splits the daily reward across the network hashrate', () => {
+    // 144 blocks × 3.125 BTC shared by 500 EH/s (5e8 TH/s).
+    expect(dailyBtcPerThFromNetwork({ blockHeight: 840000, networkHashrateEh: 500, feeShare: 0 }))
+      .toBeCloseTo((144 * 3.125) / 5e8, 18);
+    expect(dailyBtcPerThFromNetwork({ blockHeight: 840000, networkHashrateEh: 0, feeShare: 0 })).toBeNull();
+  });
+
+  it('derives hashrate from difficulty at the 10 minute target', () => {
+    expect(networkHashrateEhFromDifficulty(600 * 1e18 / 2 ** 32)).toBeCloseTo(1, 9);
+    expect(networkHashrateEhFromDifficulty(0)).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+// Hardware ownership: buying ASICs outright instead of a hashrate contract.
+// A purchase is turned into a tier-shaped object so it runs through the same projection,
+// with the equipment's depreciated resale value counted in the portfolio.
+
+// Indicative USD street prices; users can enter their own per-unit price.
+export const ASIC_MODELS = [
+  { id: 'antminer-s19-pro', name: 'Antminer S19 Pro', hashrate: 110, wattsPerTh: 29.5, listPrice: 1000 },
+  { id: 'antminer-s19-xp', name: 'Antminer S19 XP', hashrate: 141, wattsPerTh: 21.5, listPrice: 1900 },
+  { id: 'whatsminer-m60s', name: 'Whatsminer M60S', hashrate: 186, wattsPerTh: 18.5, listPrice: 3000 },
+  { id: 'antminer-s21', name: 'Antminer S21', hashrate: 200, wattsPerTh: 17.5, listPrice: 3400 },
+  { id: 'antminer-s21-pro', name: 'Antminer S21 Pro', hashrate: 234, wattsPerTh: 15, listPrice: 4900 },
+  { id: 'antminer-s21-hydro', name: 'Antminer S21 Hydro', hashrate: 335, wattsPerTh: 16, listPrice: 6300 },
+];
+
+export const DEFAULT_ASIC_MODEL = 'antminer-s21';
+
+export const DEPRECIATION_METHODS = {
+  decliningBalance: 'Declining balance',
+  straightLine: 'Straight-line',
+};
+
+// decliningBalance loses annualRate of its value each year; straightLine falls evenly to
+// the salvage value over usefulLifeMonths. Neither drops below salvageFraction.
+export const DEFAULT_DEPRECIATION = {
+  method: 'decliningBalance',
+  annualRate: 0.4,
+  usefulLifeMonths: 48,
+  salvageFraction: 0.05,
+};
+
+export const HARDWARE_COLOR = '#06b6d4';
+// Longest horizon offered by the calculator's slider in hardware mode.
+export const HARDWARE_MAX_MONTHS = 60;
+export const MAX_HARDWARE_UNITS = 10000;
+
+export function findAsicModel(id) {
+  return ASIC_MODELS.find((m) => m.id === id) || null;
+}
+
+// Fraction of the equipment cost the hardware could be resold for after `months`.
+export function residualFraction(depreciation, months) {
+  const { method, annualRate, usefulLifeMonths, salvageFraction = 0 } = depreciation;
+  const raw = method === 'straightLine'
+    ? 1 - (1 - salvageFraction) * (months / usefulLifeMonths)
+    : Math.pow(1 - annualRate, months / 12);
+  return Math.min(1, Math.max(salvageFraction, raw));
+}
+
+export function describeDepreciation(depreciation) {
+  const floor = `${Math.round(depreciation.salvageFraction * 100)}% floor`;
+  if (depreciation.method === 'straightLine') {
+    return `Straight-line over ${depreciation.usefulLifeMonths} months, ${floor}`;
+  }
+  return `Declining balance, ${Math.round(depreciation.annualRate * 100)}%/yr, ${floor}`;
+}
+
+// Same { value, errors } shape as validateDifficultyModel; missing fields take the defaults.
+export function validateDepreciation(raw, field = 'depreciation') {
+  const errors = [];
+  const spec = { ...DEFAULT_DEPRECIATION, ...raw };
+  if (!Object.hasOwn(DEPRECIATION_METHODS, spec.method)) {
+    errors.push({ field: `${field}.method`, message: `must be one of ${Object.keys(DEPRECIATION_METHODS).join(', ')}` });
+  }
+  const num = (key, valid, message) => {
+    const n = Number(spec[key]);
+    if (!Number.isFinite(n) || !valid(n)) errors.push({ field: `${field}.${key}`, message });
+    return n;
+  };
+  const value = {
+    method: spec.method,
+    annualRate: num('annualRate', (n) => n >= 0 && n < 1, 'must be at least 0 and below 1'),
+    usefulLifeMonths: num('usefulLifeMonths', (n) => n > 0, 'must be greater than 0'),
+    salvageFraction: num('salvageFraction', (n) => n >= 0 && n <= 1, 'must be between 0 and 1'),
+  };
+  return errors.length ? { errors } : { errors, value };
+}
+
+// Tier-shaped purchase for projectMonthly(). Amounts are in whatever currency unitPrice and
+// shippingCost are given in; only the equipment (not shipping) has a resale value.
+export function buildHardwareTier(model, { units = 1, unitPrice = model.listPrice, shippingCost = 0, depreciation = DEFAULT_DEPRECIATION } = {}) {
+  const equipmentCost = units * unitPrice;
+  return {
+    name: units > 1 ? `${units}× ${model.name}` : model.name,
+    price: equipmentCost + shippingCost,
+    hashrate: units * model.hashrate,
+    wattsPerTh: model.wattsPerTh,
+    color: HARDWARE_COLOR,
+    hardware: { modelId: model.id, units, unitPrice, shippingCost, equipmentCost, depreciation },
+  };
+}
+
+// Estimated resale value of a hardware tier at the end of `month` (0 for contracts).
+export function hardwareValueAtMonth(tier, month) {
+  if (!tier?.hardware) return 0;
+  return tier.hardware.equipmentCost * residualFraction(tier.hardware.depreciation, month);
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from 'vitest';
+import { buildHardwareTier, hardwareValueAtMonth, residualFraction } from './hardware';
+import { projectMonthly, summarizeProjection } from './projection';
+
+const MODEL = { id: 'test', name: 'Test Miner', hashrate: 100, wattsPerTh: 20, listPrice: 10000 };
+const STRAIGHT_LINE = { method: 'straightLine', annualRate: 0.4, usefulLifeMonths: 24, salvageFraction: 0.1 };
+
+describe('residualFraction', () => {
+  it('falls evenly to the salvage value over the useful life', () => {
+    expect(residualFraction(STRAIGHT_LINE, 0)).toBe(1);
+    expect(residualFraction(STRAIGHT_LINE, 12)).toBeCloseTo(0.55, 12);
+    expect(residualFraction(STRAIGHT_LINE, 18)).toBeCloseTo(0.325, 12);
+    expect(residualFraction(STRAIGHT_LINE, 24)).toBeCloseTo(0.1, 12);
+    expect(residualFraction(STRAIGHT_LINE, 36)).toBe(0.1);
+  });
+});
+
+describe('hardware tiers', () => {
+  const tier = buildHardwareTier(MODEL, { shippingCost: 500, depreciation: STRAIGHT_LINE });
+
+  it('values only the equipment, not shipping', () => {
+    expect(tier.price).toBe(10500);
+    expect(hardwareValueAtMonth(tier, 0)).toBe(10000);
+    expect(hardwareValueAtMonth(tier, 12)).toBeCloseTo(5500, 9);
+    expect(hardwareValueAtMonth(tier, 24)).toBeCloseTo(1000, 9);
+    expect(hardwareValueAtMonth({ name: 'Contract', price: 1000, hashrate: 100 }, 12)).toBe(0);
+  });
+
+  it('credits the resale value in the portfolio at the end', () => {
+    const rows = projectMonthly({
+      tier,
+      hashpriceUsd: 0.05,
+      currentBtcPrice: 50000,
+      difficultyModel: { type: 'flat', rate: 0 },
+      electricityCostKwh: 0.1,
+      wattsPerTh: MODEL.wattsPerTh,
+      contractMonths: 24,
+      finalMultiplier: 1,
+    });
+    const last = rows[rows.length - 1];
+    expect(last.hardwareValue).toBeCloseTo(1000, 9);
+    // 0.003 BTC a month for 24 months at a flat $50,000.
+    expect(last.portfolioValue).toBeCloseTo(0.072 * 50000 + 1000, 6);
+    expect(rows[11].hardwareValue).toBeCloseTo(hardwareValueAtMonth(tier, 12), 9);
+    expect(summarizeProjection(rows).hardwareValue).toBeCloseTo(1000, 9);
+  });
+});
@@ -0,0 +1,61 @@
+// Live hashprice ($/TH/day) derived from network difficulty, block subsidy, recent
+// fees and the BTC price. Server-only: used by /api/hashprice and /api/projection.
+
+import { getBtcPrices } from './btc-prices';
+import { getNetworkStats } from './network-stats';
+import {
+  blockSubsidy,
+  dailyBtcPerThFromNetwork,
+  feeShareFromFees,
+  networkHashrateEhFromDifficulty,
+} from './halving';
+import { DIFFICULTY_TREND_MONTHS, observedMonthlyDifficultyGrowth } from './difficulty';
+
+export function deriveHashprice(stats, btcPriceUsd) {
+  const network = {
+    blockHeight: stats.blockHeight,
+    networkHashrateEh: networkHashrateEhFromDifficulty(stats.difficulty),
+    feeShare: feeShareFromFees(stats.blockHeight, stats.avgFeeBtcPerBlock),
+  };
+  const dailyBtcPerTh = dailyBtcPerThFromNetwork(network);
+  return {
+    hashpriceUsd: dailyBtcPerTh !== null ? dailyBtcPerTh * btcPriceUsd : null,
+    dailyBtcPerTh,
+    network,
+  };
+}
+
+// Resolves to the /api/hashprice payload (USD). Rejects if either upstream fails.
+export async function getLiveHashprice() {
+  const [{ payload: stats, cacheStatus }, { payload: prices }] = await Promise.all([
+    getNetworkStats(),
+    getBtcPrices(),
+  ]);
+  const { hashpriceUsd, dailyBtcPerTh, network } = deriveHashprice(stats, prices.currentPriceUsd);
+  if (!Number.isFinite(hashpriceUsd) || hashpriceUsd <= 0) {
+    throw new Error('Unable to derive hashprice from network stats');
+  }
+
+  return {
+    payload: {
+      hashpriceUsd,
+      dailyBtcPerTh,
+      btcPriceUsd: prices.currentPriceUsd,
+      fxRates: prices.fxRates,
+      blockHeight: stats.blockHeight,
+      blockSubsidy: blockSubsidy(stats.blockHeight),
+      difficulty: stats.difficulty,
+      avgFeeBtcPerBlock: stats.avgFeeBtcPerBlock,
+      feeSampleBlocks: stats.feeSampleBlocks,
+      network,
+      difficultyTrend: {
+        months: DIFFICULTY_TREND_MONTHS,
+        monthlyRate: observedMonthlyDifficultyGrowth(stats.difficultyHistory),
+      },
+      difficultyHistory: stats.difficultyHistory,
+      source: stats.source,
+      fetchedAt: stats.fetchedAt,
+    },
+    cacheStatus,
+  };
+}
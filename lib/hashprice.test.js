@@ -0,0 +1,90 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { deriveHashprice } from './hashprice';
+
+// Difficulty for exactly 1 EH/s (1e6 TH/s) at the 10 minute block target.
+const ONE_EH_DIFFICULTY = (600 * 1e18) / 2 ** 32;
+
+describe('deriveHashprice', () => {
+  it('prices a TH/day from difficulty and the block subsidy', () => {
+    const { hashpriceUsd, dailyBtcPerTh, network } = deriveHashprice(
+      { blockHeight: 840000, difficulty: ONE_EH_DIFFICULTY, avgFeeBtcPerBlock: 0 },
+      60000
+    );
+    expect(network.networkHashrateEh).toBeCloseTo(1, 9);
+    // 144 blocks × 3.125 BTC shared by 1e6 TH.
+    expect(dailyBtcPerTh).toBeCloseTo((144 * 3.125) / 1e6, 15);
+    expect(hashpriceUsd).toBeCloseTo(27, 9);
+  });
+
+  it('adds fees and halves with the subsidy', () => {
+    const withFees = deriveHashprice({ blockHeight: 840000, difficulty: ONE_EH_DIFFICULTY, avgFeeBtcPerBlock: 0.78125 }, 60000);
+    expect(withFees.network.feeShare).toBeCloseTo(0.2, 12);
+    expect(withFees.hashpriceUsd).toBeCloseTo((144 * 3.90625 * 60000) / 1e6, 9);
+
+    const halved = deriveHashprice({ blockHeight: 1050000, difficulty: ONE_EH_DIFFICULTY, avgFeeBtcPerBlock: 0 }, 60000);
+    expect(halved.hashpriceUsd).toBeCloseTo(13.5, 9);
+  });
+
+  it('has no hashprice without a usable difficulty', () => {
+    expect(deriveHashprice({ blockHeight: 840000, difficulty: 0, avgFeeBtcPerBlock: 0 }, 60000).hashpriceUsd).toBeNull();
+  });
+});
+
+describe('getLiveHashprice', () => {
+  const getBtcPrices = vi.fn();
+  let getLiveHashprice;
+
+  // mempool.space responses: tip height, difficulty adjustments and 144-block reward stats.
+  function mempoolFetch() {
+    return vi.fn(async (url) => {
+      const path = new URL(url).pathname;
+      if (path.endsWith('/blocks/tip/height')) return Response.json(840100);
+      if (path.includes('/difficulty-adjustments/')) {
+        return Response.json([
+          [Date.UTC(2024, 5, 1) / 1000, 846000, ONE_EH_DIFFICULTY, 1.1],
+          [Date.UTC(2024, 4, 1) / 1000, 844000, ONE_EH_DIFFICULTY / 1.1, 1.02],
+        ]);
+      }
+      if (path.includes('/reward-stats/')) {
+        return Response.json({ startBlock: 839957, endBlock: 840100, totalReward: '0', totalFee: String(144 * 0.5 * 1e8) });
+      }
+      return new Response('not found', { status: 404, statusText: 'Not Found' });
+    });
+  }
+
+  beforeEach(async () => {
+    vi.resetModules();
+    vi.stubEnv('PRICE_CACHE_BACKEND', 'memory');
+    vi.stubEnv('MEMPOOL_API_URL', 'http://mempool.test/api/');
+    vi.doMock('./btc-prices', () => ({ CACHE_TTL_SECONDS: 900, getBtcPrices }));
+    getBtcPrices.mockResolvedValue({ payload: { currentPriceUsd: 60000, fxRates: { USD: 1 } } });
+    ({ getLiveHashprice } = await import('./hashprice'));
+  });
+
+  afterEach(() => {
+    vi.doUnmock('./btc-prices');
+    vi.unstubAllEnvs();
+    vi.unstubAllGlobals();
+  });
+
+  it('combines the network stats with the live BTC price', async () => {
+    vi.stubGlobal('fetch', mempoolFetch());
+    const { payload } = await getLiveHashprice();
+    expect(payload).toMatchObject({
+      blockHeight: 840100,
+      blockSubsidy: 3.125,
+      difficulty: ONE_EH_DIFFICULTY,
+      avgFeeBtcPerBlock: 0.5,
+      feeSampleBlocks: 144,
+      btcPriceUsd: 60000,
+      source: 'http://mempool.test/api',
+    });
+    expect(payload.hashpriceUsd).toBeCloseTo((144 * 3.625 * 60000) / 1e6, 9);
+    expect(payload.difficultyHistory.map((d) => d.height)).toEqual([844000, 846000]);
+  });
+
+  it('rejects when the mempool API fails', async () => {
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('down', { status: 503, statusText: 'Service Unavailable' })));
+    await expect(getLiveHashprice()).rejects.toThrow('503 Service Unavailable');
+  });
+});
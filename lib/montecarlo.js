@@ -0,0 +1,159 @@
+// Monte Carlo BTC price simulation (geometric Brownian motion) over a projection.
+//
+// BTC mined and costs don't depend on the price path, so a projection that holds its BTC
+// only needs the deterministic rows from projectMonthly() re-priced per path. Sales and
+// early termination do depend on it, and those projections are re-run on every path.
+
+import { projectMonthly } from './projection';
+
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+export const DEFAULT_MONTE_CARLO = {
+  paths: 2000,
+  drift: 0.3, // annualized, e.g. 0.3 = 30%/yr
+  volatility: 0.6, // annualized
+  seed: 42,
+};
+
+const MONTH_YEARS = 1 / 12;
+
+// Small seeded PRNG (mulberry32) so runs are reproducible.
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal via Box-Muller.
+function normal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Annualized GBM drift and volatility from evenly spaced prices.
+// With fewer than three prices volatility can't be estimated and is returned as null.
+export function estimateGbmParams(prices, intervalYears) {
+  const logReturns = [];
+  for (let i = 1; i < prices.length; i++) {
+    if (prices[i - 1] > 0 && prices[i] > 0) logReturns.push(Math.log(prices[i] / prices[i - 1]));
+  }
+  if (logReturns.length === 0 || !(intervalYears > 0)) return { drift: null, volatility: null };
+
+  const mean = logReturns.reduce((sum, r) => sum + r, 0) / logReturns.length;
+  let volatility = null;
+  if (logReturns.length > 1) {
+    const variance = logReturns.reduce((sum, r) => sum + (r - mean) ** 2, 0) / (logReturns.length - 1);
+    volatility = Math.sqrt(variance / intervalYears);
+  }
+  // E[log return] = (mu - sigma^2 / 2) dt, so add the variance term back for the drift.
+  const drift = mean / intervalYears + (volatility ? volatility ** 2 / 2 : 0);
+  return { drift, volatility };
+}
+
+export function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const idx = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// Whether a projection's sales or termination depend on the BTC price path.
+export function isPathDependent(input) {
+  const type = input?.sellStrategy?.type;
+  return Boolean(input?.stopWhenUnprofitable) || (Boolean(type) && type !== 'hold');
+}
+
+function bands(values) {
+  const sorted = Float64Array.from(values).sort();
+  const out = {};
+  PERCENTILES.forEach((p) => {
+    out[`p${p}`] = percentile(sorted, p);
+  });
+  return out;
+}
+
+// Incremental simulation so callers can spread the work across frames:
+//   const run = createMonteCarloRun({ ... });
+//   while (!run.done) run.step(500);
+//   run.result();
+// rows come from projectMonthly(input). Pass input when it may sell or stop early
+// (isPathDependent) so each path is re-projected on its own prices.
+export function createMonteCarloRun({ rows, input = null, currentBtcPrice, drift, volatility, paths, seed = DEFAULT_MONTE_CARLO.seed }) {
+  const months = rows.length;
+  const totalPaths = Math.max(1, Math.floor(paths));
+  const rng = createRng(seed);
+  const replay = isPathDependent(input);
+  // values[m][i] / costs[m][i] = portfolio value / total cost of path i at month m + 1
+  const values = rows.map(() => new Float64Array(totalPaths));
+  const costs = rows.map((row) => new Float64Array(totalPaths).fill(row.totalCost));
+  // Paths whose contract stopped early (replayed projections only).
+  let terminated = 0;
+  const pricePath = new Array(months);
+  const stepDrift = (drift - (volatility * volatility) / 2) * MONTH_YEARS;
+  const stepVol = volatility * Math.sqrt(MONTH_YEARS);
+  let completed = 0;
+
+  return {
+    totalPaths,
+    get completed() {
+      return completed;
+    },
+    get done() {
+      return completed >= totalPaths;
+    },
+    step(maxPaths) {
+      const end = Math.min(totalPaths, completed + maxPaths);
+      for (let i = completed; i < end; i++) {
+        let price = currentBtcPrice;
+        for (let m = 0; m < months; m++) {
+          price *= Math.exp(stepDrift + stepVol * normal(rng));
+          pricePath[m] = price;
+          if (!replay) values[m][i] = rows[m].cumulativeBtc * price + (rows[m].realizedFiat ?? 0) + (rows[m].hardwareValue ?? 0);
+        }
+        if (replay) {
+          const pathRows = projectMonthly({ ...input, btcPricePath: pricePath });
+          pathRows.forEach((row, m) => {
+            values[m][i] = row.portfolioValue;
+            costs[m][i] = row.totalCost;
+          });
+          if (pathRows.some((row) => !row.active)) terminated++;
+        }
+      }
+      completed = end;
+    },
+    result() {
+      if (months === 0) return null;
+      const monthly = rows.map((row, m) => {
+        const sample = values[m].subarray(0, completed);
+        const cost = costs[m].subarray(0, completed);
+        const roi = Float64Array.from(sample, (v, i) => ((v - cost[i]) / cost[i]) * 100);
+        return {
+          month: row.month,
+          // Varies by path only when early termination cuts the costs.
+          totalCost: bands(cost),
+          portfolioValue: bands(sample),
+          roi: bands(roi),
+        };
+      });
+      const last = values[months - 1].subarray(0, completed);
+      const finalCost = costs[months - 1];
+      let belowCost = 0;
+      for (let i = 0; i < last.length; i++) if (last[i] < finalCost[i]) belowCost++;
+      return {
+        paths: completed,
+        replayed: replay,
+        monthly,
+        probabilityBelowCost: completed > 0 ? belowCost / completed : null,
+        // Share of paths where the contract stopped early; null unless it can.
+        probabilityTerminated: input?.stopWhenUnprofitable && completed > 0 ? terminated / completed : null,
+      };
+    },
+  };
+}
@@ -0,0 +1,111 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createMonteCarloRun,
+  createRng,
+  estimateGbmParams,
+  isPathDependent,
+  percentile,
+} from './montecarlo';
+import { projectMonthly } from './projection';
+
+const BASE = {
+  tier: { name: 'Test', price: 1000, hashrate: 100 },
+  hashpriceUsd: 0.05,
+  currentBtcPrice: 50000,
+  difficultyModel: { type: 'flat', rate: 0 },
+  electricityCostKwh: 0.1,
+  wattsPerTh: 20,
+  contractMonths: 12,
+  finalMultiplier: 2,
+};
+
+// With zero volatility every path is the GBM drift curve, which matches the projection's
+// price curve when drift = ln(finalMultiplier) per year.
+function runAll(options) {
+  const run = createMonteCarloRun({ currentBtcPrice: BASE.currentBtcPrice, paths: 50, ...options });
+  while (!run.done) run.step(20);
+  return run.result();
+}
+
+describe('helpers', () => {
+  it('seeds a reproducible generator', () => {
+    const a = createRng(7);
+    const b = createRng(7);
+    const seq = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(seq);
+    seq.forEach((x) => expect(x >= 0 && x < 1).toBe(true));
+  });
+
+  it('interpolates percentiles', () => {
+    expect(percentile([1, 2, 3, 4, 5], 50)).toBe(3);
+    expect(percentile([0, 10], 25)).toBe(2.5);
+    expect(percentile([], 50)).toBeNull();
+  });
+
+  it('estimates drift and volatility from prices', () => {
+    const steady = estimateGbmParams([100, 110, 121, 133.1], 1);
+    expect(steady.drift).toBeCloseTo(Math.log(1.1), 9);
+    expect(steady.volatility).toBeCloseTo(0, 9);
+    expect(estimateGbmParams([100, 110], 1).volatility).toBeNull();
+    expect(estimateGbmParams([100], 1)).toEqual({ drift: null, volatility: null });
+  });
+
+  it('treats sales and early termination as path dependent', () => {
+    expect(isPathDependent(BASE)).toBe(false);
+    expect(isPathDependent({ ...BASE, sellStrategy: { type: 'hold' } })).toBe(false);
+    expect(isPathDependent({ ...BASE, sellStrategy: { type: 'percent', fraction: 0.5 } })).toBe(true);
+    expect(isPathDependent({ ...BASE, stopWhenUnprofitable: true })).toBe(true);
+  });
+});
+
+describe('createMonteCarloRun', () => {
+  it('re-prices held BTC along each path', () => {
+    const rows = projectMonthly(BASE);
+    const result = runAll({ rows, input: BASE, drift: Math.log(2), volatility: 0 });
+    const final = result.monthly[11];
+    expect(result.paths).toBe(50);
+    expect(result.replayed).toBe(false);
+    expect(final.portfolioValue.p5).toBeCloseTo(rows[11].portfolioValue, 6);
+    expect(final.portfolioValue.p95).toBeCloseTo(rows[11].portfolioValue, 6);
+    expect(final.totalCost.p50).toBeCloseTo(rows[11].totalCost, 9);
+    expect(result.probabilityBelowCost).toBe(0);
+    expect(result.probabilityTerminated).toBeNull();
+  });
+
+  it('spreads the bands with volatility', () => {
+    const rows = projectMonthly(BASE);
+    const { monthly, probabilityBelowCost } = runAll({ rows, input: BASE, drift: 0, volatility: 0.8, paths: 400 });
+    const { p5, p50, p95 } = monthly[11].portfolioValue;
+    expect(p5).toBeLessThan(p50);
+    expect(p50).toBeLessThan(p95);
+    expect(probabilityBelowCost).toBeGreaterThan(0);
+    expect(probabilityBelowCost).toBeLessThan(1);
+  });
+
+  it('re-runs a price-dependent sell strategy on each path', () => {
+    // Sell everything once BTC reaches $75k: only the projected price curve gets there.
+    const input = { ...BASE, sellStrategy: { type: 'target', price: 75000 } };
+    const rows = projectMonthly(input);
+    const onCurve = runAll({ rows, input, drift: Math.log(2), volatility: 0 });
+    expect(onCurve.replayed).toBe(true);
+    expect(onCurve.monthly[11].portfolioValue.p50).toBeCloseTo(rows[11].portfolioValue, 6);
+
+    // A flat path never hits the target, so nothing is sold: all BTC is held at $50k.
+    const flat = runAll({ rows, input, drift: 0, volatility: 0 });
+    expect(flat.monthly[11].portfolioValue.p50).toBeCloseTo(0.036 * 50000, 6);
+  });
+
+  it('stops contracts early on paths where mining turns unprofitable', () => {
+    const input = { ...BASE, stopWhenUnprofitable: true };
+    const rows = projectMonthly(input);
+    // $144 of power against 0.003 BTC a month: a falling path stops straight away.
+    const result = runAll({ rows, input, drift: -1, volatility: 0 });
+    expect(result.probabilityTerminated).toBe(1);
+    expect(result.monthly[11].totalCost.p50).toBe(1000);
+    expect(result.probabilityBelowCost).toBe(1);
+  });
+
+  it('has no result for an empty projection', () => {
+    expect(runAll({ rows: [], drift: 0, volatility: 0.5 })).toBeNull();
+  });
+});
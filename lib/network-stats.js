@@ -0,0 +1,101 @@
+// Bitcoin network stats (tip height, difficulty adjustments, recent fees) from a
+// mempool.space-compatible API, used by /api/hashprice.
+//
+// MEMPOOL_API_URL points at any server exposing the mempool.space REST API
+// (default https://mempool.space/api), e.g. a self-hosted mempool instance or a local stub.
+
+import { CACHE_TTL_SECONDS } from './btc-prices';
+import { getCache, loadWithLock } from './cache';
+import { fetchJson } from './price-providers/http';
+
+const CACHE_KEY = 'network-stats';
+// Blocks averaged for the per-block fee estimate (~1 day).
+export const FEE_SAMPLE_BLOCKS = 144;
+const DEFAULT_TIMEOUT_MS = 8000;
+
+let inFlight = null; // Promise resolving to { payload, cachedAtMs }
+
+function baseUrl() {
+  return (process.env.MEMPOOL_API_URL || 'https://mempool.space/api').replace(/\/+$/, '');
+}
+
+function timeoutMs() {
+  const n = Number(process.env.MEMPOOL_API_TIMEOUT_MS);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_TIMEOUT_MS;
+}
+
+function fetchMempool(path, label) {
+  return fetchJson(
+    `${baseUrl()}${path}`,
+    { signal: AbortSignal.timeout(timeoutMs()), revalidate: CACHE_TTL_SECONDS },
+    `mempool ${label}`
+  );
+}
+
+async function fetchNetworkStats() {
+  const [tipHeight, adjustments, rewardStats] = await Promise.all([
+    // Plain-text height, which parses as a JSON number.
+    fetchMempool('/blocks/tip/height', 'tip height'),
+    // [[timeSec, height, difficulty, adjustmentRatio], ...]
+    fetchMempool('/v1/mining/difficulty-adjustments/1y', 'difficulty adjustments'),
+    // { startBlock, endBlock, totalReward, totalFee, totalTx } with sat amounts as strings
+    fetchMempool(`/v1/mining/reward-stats/${FEE_SAMPLE_BLOCKS}`, 'reward stats'),
+  ]);
+
+  if (!Number.isInteger(tipHeight) || tipHeight <= 0) {
+    throw new Error('Invalid tip height from mempool API');
+  }
+  if (!Array.isArray(adjustments)) {
+    throw new Error('Invalid difficulty adjustments payload from mempool API');
+  }
+  const difficultyHistory = adjustments
+    .filter((a) => Array.isArray(a) && a.length >= 3 && Number(a[2]) > 0)
+    .map(([timeSec, height, difficulty, adjustment]) => ({
+      time: new Date(Number(timeSec) * 1000).toISOString(),
+      height: Number(height),
+      difficulty: Number(difficulty),
+      adjustment: Number.isFinite(Number(adjustment)) ? Number(adjustment) : null,
+    }))
+    .sort((a, b) => a.height - b.height);
+  if (difficultyHistory.length === 0) {
+    throw new Error('No difficulty adjustments returned from mempool API');
+  }
+
+  const sampledBlocks = Number(rewardStats?.endBlock) - Number(rewardStats?.startBlock) + 1;
+  const totalFeeSats = Number(rewardStats?.totalFee);
+  if (!(sampledBlocks > 0) || !Number.isFinite(totalFeeSats) || totalFeeSats < 0) {
+    throw new Error('Invalid reward stats payload from mempool API');
+  }
+
+  return {
+    source: baseUrl(),
+    blockHeight: tipHeight,
+    difficulty: difficultyHistory[difficultyHistory.length - 1].difficulty,
+    avgFeeBtcPerBlock: totalFeeSats / 1e8 / sampledBlocks,
+    feeSampleBlocks: sampledBlocks,
+    difficultyHistory,
+    fetchedAt: new Date().toISOString(),
+  };
+}
+
+// Resolves to { payload, cacheStatus } (same caching + coalescing as lib/btc-history.js).
+export async function getNetworkStats() {
+  const isFresh = (entry) => Date.now() - entry.cachedAtMs < CACHE_TTL_SECONDS * 1000;
+  const cached = await getCache().get(CACHE_KEY);
+  if (cached && isFresh(cached)) {
+    return { payload: cached.payload, cacheStatus: 'HIT' };
+  }
+
+  if (!inFlight) {
+    inFlight = loadWithLock(
+      CACHE_KEY,
+      async () => ({ payload: await fetchNetworkStats(), cachedAtMs: Date.now() }),
+      { ttlSeconds: CACHE_TTL_SECONDS, isFresh }
+    ).finally(() => {
+      inFlight = null;
+    });
+  }
+
+  const { payload } = await inFlight;
+  return { payload, cacheStatus: 'MISS' };
+}
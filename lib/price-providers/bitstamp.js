@@ -0,0 +1,30 @@
+import { fetchJson, assertPrice, pickClosest, HISTORICAL_WINDOW_DAYS } from './http';
+
+const BASE_URL = 'https://www.bitstamp.net/api/v2';
+
+export const bitstamp = {
+  id: 'bitstamp',
+  label: 'Bitstamp',
+
+  async fetchSpot(ctx) {
+    const json = await fetchJson(`${BASE_URL}/ticker/btcusd/`, ctx, 'Bitstamp ticker');
+    return assertPrice(json?.last, 'Invalid ticker payload from Bitstamp');
+  },
+
+  supportsHistorical() {
+    return true;
+  },
+
+  async fetchHistorical(targetDate, ctx) {
+    const startSec = Math.floor(targetDate.getTime() / 1000);
+    const json = await fetchJson(
+      `${BASE_URL}/ohlc/btcusd/?step=86400&limit=${HISTORICAL_WINDOW_DAYS}&start=${startSec}`,
+      ctx,
+      'Bitstamp OHLC'
+    );
+    // ohlc format: [{ timestamp: "sec", close: "price", ... }, ...] (strings)
+    const ohlc = Array.isArray(json?.data?.ohlc) ? json.data.ohlc : [];
+    const price = pickClosest(ohlc, startSec, (c) => Number(c?.timestamp), (c) => Number(c?.close));
+    return assertPrice(price, 'Unable to determine historical price from Bitstamp OHLC payload');
+  },
+};
@@ -0,0 +1,51 @@
+import { fetchJson, assertPrice, pickClosest, HISTORICAL_WINDOW_DAYS } from './http';
+
+const BASE_URL = 'https://api.exchange.coinbase.com';
+const RATES_URL = 'https://api.coinbase.com/v2/exchange-rates?currency=USD';
+const HEADERS = { 'User-Agent': 'mining-calculator-vercel' };
+
+export const coinbase = {
+  id: 'coinbase',
+  label: 'Coinbase',
+
+  async fetchSpot(ctx) {
+    const json = await fetchJson(`${BASE_URL}/products/BTC-USD/ticker`, { ...ctx, headers: HEADERS }, 'Coinbase ticker');
+    return assertPrice(json?.price, 'Invalid ticker payload from Coinbase');
+  },
+
+  supportsHistorical() {
+    return true;
+  },
+
+  async fetchHistorical(targetDate, ctx) {
+    const start = new Date(targetDate.getTime());
+    const end = new Date(targetDate.getTime() + HISTORICAL_WINDOW_DAYS * 86400 * 1000);
+    const candles = await fetchJson(
+      `${BASE_URL}/products/BTC-USD/candles` +
+        `?granularity=86400&start=${encodeURIComponent(start.toISOString())}&end=${encodeURIComponent(end.toISOString())}`,
+      { ...ctx, headers: HEADERS },
+      'Coinbase candles'
+    );
+    if (!Array.isArray(candles) || candles.length === 0) {
+      throw new Error('No candles returned from Coinbase for historical price');
+    }
+    // Coinbase candles format: [[timeSec, low, high, open, close, volume], ...]
+    const price = pickClosest(
+      candles.filter((c) => Array.isArray(c) && c.length >= 5),
+      Math.floor(targetDate.getTime() / 1000),
+      (c) => c[0],
+      (c) => c[4]
+    );
+    return assertPrice(price, 'Unable to determine historical price from Coinbase candles payload');
+  },
+
+  // Fiat rates per 1 USD: { data: { rates: { EUR: "0.92", ... } } } (strings).
+  async fetchFxRates(currencies, ctx) {
+    const json = await fetchJson(RATES_URL, { ...ctx, headers: HEADERS }, 'Coinbase exchange rates');
+    const rates = {};
+    for (const code of currencies) {
+      rates[code] = assertPrice(json?.data?.rates?.[code], `Missing ${code} rate from Coinbase`);
+    }
+    return rates;
+  },
+};
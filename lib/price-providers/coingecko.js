@@ -0,0 +1,63 @@
+import { fetchJson, assertPrice, pickClosest, HISTORICAL_WINDOW_DAYS } from './http';
+
+function config() {
+  const baseUrl = process.env.COINGECKO_BASE_URL || 'https://api.coingecko.com/api/v3';
+  const apiKey = process.env.COINGECKO_API_KEY;
+  const headers = {};
+  // CoinGecko uses this header for demo/pro keys depending on plan.
+  if (apiKey) headers['x-cg-demo-api-key'] = apiKey;
+  return { baseUrl, apiKey, headers };
+}
+
+export const coingecko = {
+  id: 'coingecko',
+  label: 'CoinGecko',
+
+  async fetchSpot(ctx) {
+    const { baseUrl, headers } = config();
+    const json = await fetchJson(
+      `${baseUrl}/simple/price?ids=bitcoin&vs_currencies=usd`,
+      { ...ctx, headers },
+      'CoinGecko current price'
+    );
+    return assertPrice(json?.bitcoin?.usd, 'Invalid current price payload from CoinGecko');
+  },
+
+  // CoinGecko public (no-key) returns 401 for /coins/* endpoints in some environments,
+  // so historical lookups are only attempted with an API key.
+  supportsHistorical() {
+    return Boolean(config().apiKey);
+  },
+
+  async fetchHistorical(targetDate, ctx) {
+    const { baseUrl, headers } = config();
+    const fromSec = Math.floor(targetDate.getTime() / 1000);
+    const toSec = fromSec + HISTORICAL_WINDOW_DAYS * 86400;
+    const json = await fetchJson(
+      `${baseUrl}/coins/bitcoin/market_chart/range?vs_currency=usd&from=${fromSec}&to=${toSec}`,
+      { ...ctx, headers },
+      'CoinGecko historical price'
+    );
+    // prices format: [[timestampMs, price], ...]
+    const prices = Array.isArray(json?.prices) ? json.prices : [];
+    const price = pickClosest(
+      prices.filter((e) => Array.isArray(e) && e.length >= 2),
+      targetDate.getTime(),
+      (e) => e[0],
+      (e) => e[1]
+    );
+    return assertPrice(price, 'Unable to determine historical price from CoinGecko payload');
+  },
+
+  // /exchange_rates quotes everything per 1 BTC, so USD -> X is rate(X) / rate(USD).
+  async fetchFxRates(currencies, ctx) {
+    const { baseUrl, headers } = config();
+    const json = await fetchJson(`${baseUrl}/exchange_rates`, { ...ctx, headers }, 'CoinGecko exchange rates');
+    const usd = assertPrice(json?.rates?.usd?.value, 'Missing USD rate from CoinGecko');
+    const rates = {};
+    for (const code of currencies) {
+      rates[code] = assertPrice(json?.rates?.[code.toLowerCase()]?.value, `Missing ${code} rate from CoinGecko`) / usd;
+    }
+    return rates;
+  },
+};
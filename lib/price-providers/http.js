@@ -0,0 +1,47 @@
+// Small fetch helper shared by price providers.
+
+// ctx = { signal, revalidate } as passed in by the provider runner.
+export async function fetchJson(url, { headers = {}, signal, revalidate } = {}, errorLabel = 'Price provider') {
+  const res = await fetch(url, {
+    headers,
+    signal,
+    // Let Next.js cache this fetch for a short time as an extra layer of protection.
+    ...(revalidate ? { next: { revalidate } } : {}),
+  });
+  if (!res.ok) {
+    const err = new Error(`${errorLabel} error: ${res.status} ${res.statusText}`);
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
+
+export function assertPrice(value, message) {
+  const n = typeof value === 'string' ? Number(value) : value;
+  if (typeof n !== 'number' || !Number.isFinite(n) || n <= 0) {
+    throw new Error(message);
+  }
+  return n;
+}
+
+// Closest entry to a target time; getTime/getValue pick fields from each entry.
+export function pickClosest(entries, target, getTime, getValue) {
+  let closest = null;
+  let closestDiff = Infinity;
+  for (const entry of entries) {
+    const time = getTime(entry);
+    const value = getValue(entry);
+    if (typeof time !== 'number' || !Number.isFinite(time) || typeof value !== 'number' || !Number.isFinite(value)) {
+      continue;
+    }
+    const diff = Math.abs(time - target);
+    if (diff < closestDiff) {
+      closestDiff = diff;
+      closest = value;
+    }
+  }
+  return closest;
+}
+
+// Search window after the target date for historical lookups (avoids empty responses).
+export const HISTORICAL_WINDOW_DAYS = 14;
@@ -0,0 +1,154 @@
+// BTC/USD price provider registry, ordering and fallback runner.
+//
+// Each provider exposes { id, label, fetchSpot(ctx), supportsHistorical(), fetchHistorical(date, ctx) }
+// and optionally fetchFxRates(currencies, ctx) for USD-based fiat rates.
+// Spot, historical and FX lookups walk their own ordered provider list independently,
+// so e.g. a CoinGecko rate limit on spot doesn't stop it serving the historical price.
+
+import { coingecko } from './coingecko';
+import { coinbase } from './coinbase';
+import { kraken } from './kraken';
+import { bitstamp } from './bitstamp';
+import { staticProvider } from './static';
+
+export const PRICE_PROVIDERS = {
+  [coingecko.id]: coingecko,
+  [coinbase.id]: coinbase,
+  [kraken.id]: kraken,
+  [bitstamp.id]: bitstamp,
+  [staticProvider.id]: staticProvider,
+};
+
+export const DEFAULT_SPOT_PROVIDERS = ['coingecko', 'coinbase', 'kraken', 'bitstamp'];
+export const DEFAULT_HISTORICAL_PROVIDERS = ['coingecko', 'coinbase', 'bitstamp'];
+export const DEFAULT_FX_PROVIDERS = ['coinbase', 'coingecko'];
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// Per-provider last success / last error, reported by /api/btc-prices/health.
+// Like the price cache this is per-instance and resets on cold starts.
+const health = new Map(); // id -> { spot: { lastSuccess, lastError }, historical: { ... }, fx: { ... } }
+
+// Comma-separated provider ids, e.g. BTC_SPOT_PROVIDERS="kraken,coinbase".
+// Unknown ids are ignored; an empty/invalid list falls back to the default order.
+function parseProviderList(raw, fallback) {
+  if (!raw) return fallback;
+  const ids = raw
+    .split(',')
+    .map((s) => s.trim().toLowerCase())
+    .filter((id) => Object.hasOwn(PRICE_PROVIDERS, id));
+  return ids.length > 0 ? [...new Set(ids)] : fallback;
+}
+
+export function spotProviderOrder() {
+  return parseProviderList(process.env.BTC_SPOT_PROVIDERS, DEFAULT_SPOT_PROVIDERS);
+}
+
+export function historicalProviderOrder() {
+  return parseProviderList(process.env.BTC_HISTORICAL_PROVIDERS, DEFAULT_HISTORICAL_PROVIDERS);
+}
+
+export function fxProviderOrder() {
+  return parseProviderList(process.env.BTC_FX_PROVIDERS, DEFAULT_FX_PROVIDERS);
+}
+
+const supportsFx = (provider) => typeof provider.fetchFxRates === 'function';
+
+// BTC_PROVIDER_TIMEOUT_MS_<ID> overrides BTC_PROVIDER_TIMEOUT_MS for a single provider.
+export function providerTimeoutMs(id) {
+  const specific = Number(process.env[`BTC_PROVIDER_TIMEOUT_MS_${id.toUpperCase()}`]);
+  if (Number.isFinite(specific) && specific > 0) return specific;
+  const shared = Number(process.env.BTC_PROVIDER_TIMEOUT_MS);
+  return Number.isFinite(shared) && shared > 0 ? shared : DEFAULT_TIMEOUT_MS;
+}
+
+function record(id, kind, outcome) {
+  const empty = () => ({ lastSuccess: null, lastError: null });
+  const entry = health.get(id) || { spot: empty(), historical: empty(), fx: empty() };
+  entry[kind] = { ...entry[kind], ...outcome };
+  health.set(id, entry);
+}
+
+async function withTimeout(id, run, revalidate) {
+  const timeoutMs = providerTimeoutMs(id);
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`${PRICE_PROVIDERS[id].label} timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([run({ signal: controller.signal, revalidate }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Tries each provider in order; resolves to { price, provider } from the first success
+// (`price` is whatever the provider returned, e.g. a rates map for FX).
+// Rejects with every provider's error message if all of them fail.
+async function firstSuccessful(kind, order, run, revalidate) {
+  const failures = [];
+  for (const id of order) {
+    const provider = PRICE_PROVIDERS[id];
+    try {
+      const price = await withTimeout(id, (ctx) => run(provider, ctx), revalidate);
+      record(id, kind, { lastSuccess: { at: new Date().toISOString(), price } });
+      return { price, provider: id };
+    } catch (e) {
+      const message = e?.message || String(e);
+      record(id, kind, { lastError: { at: new Date().toISOString(), message } });
+      failures.push(`${provider.label}: ${message}`);
+    }
+  }
+  throw new Error(`All ${kind} providers failed (${failures.join('; ') || 'none configured'})`);
+}
+
+export function fetchSpotPrice({ revalidate } = {}) {
+  return firstSuccessful('spot', spotProviderOrder(), (p, ctx) => p.fetchSpot(ctx), revalidate);
+}
+
+export function fetchHistoricalPrice(targetDate, { revalidate } = {}) {
+  const order = historicalProviderOrder().filter((id) => PRICE_PROVIDERS[id].supportsHistorical());
+  return firstSuccessful('historical', order, (p, ctx) => p.fetchHistorical(targetDate, ctx), revalidate);
+}
+
+// Resolves to { price: { EUR: 0.92, ... }, provider } with rates per 1 USD.
+export function fetchFxRates(currencies, { revalidate } = {}) {
+  const order = fxProviderOrder().filter((id) => supportsFx(PRICE_PROVIDERS[id]));
+  return firstSuccessful('fx', order, (p, ctx) => p.fetchFxRates(currencies, ctx), revalidate);
+}
+
+// Snapshot for the health route: every known provider with its configured position.
+export function providerHealth() {
+  const spotOrder = spotProviderOrder();
+  const historicalOrder = historicalProviderOrder();
+  const fxOrder = fxProviderOrder();
+  return Object.values(PRICE_PROVIDERS).map((p) => {
+    const entry = health.get(p.id);
+    const position = (order) => (order.includes(p.id) ? order.indexOf(p.id) + 1 : null);
+    return {
+      id: p.id,
+      label: p.label,
+      timeoutMs: providerTimeoutMs(p.id),
+      spot: {
+        position: position(spotOrder),
+        lastSuccess: entry?.spot.lastSuccess ?? null,
+        lastError: entry?.spot.lastError ?? null,
+      },
+      historical: {
+        position: position(historicalOrder),
+        supported: p.supportsHistorical(),
+        lastSuccess: entry?.historical.lastSuccess ?? null,
+        lastError: entry?.historical.lastError ?? null,
+      },
+      fx: {
+        position: position(fxOrder),
+        supported: supportsFx(p),
+        lastSuccess: entry?.fx.lastSuccess ?? null,
+        lastError: entry?.fx.lastError ?? null,
+      },
+    };
+  });
+}
@@ -0,0 +1,58 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Provider health is module state, so each test loads a fresh copy of the registry.
+let providers;
+
+beforeEach(async () => {
+  vi.resetModules();
+  vi.stubEnv('BTC_SPOT_PROVIDERS', 'kraken,coinbase');
+  providers = await import('./index');
+});
+
+afterEach(() => {
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+});
+
+const healthOf = (id) => providers.providerHealth().find((p) => p.id === id);
+
+describe('fetchSpotPrice', () => {
+  it('falls back to the next provider when the first one fails', async () => {
+    const { kraken, coinbase } = providers.PRICE_PROVIDERS;
+    vi.spyOn(kraken, 'fetchSpot').mockRejectedValue(new Error('Kraken error: 503 Service Unavailable'));
+    vi.spyOn(coinbase, 'fetchSpot').mockResolvedValue(61000);
+
+    expect(await providers.fetchSpotPrice()).toEqual({ price: 61000, provider: 'coinbase' });
+    expect(healthOf('kraken').spot).toMatchObject({
+      position: 1,
+      lastSuccess: null,
+      lastError: { message: 'Kraken error: 503 Service Unavailable' },
+    });
+    expect(healthOf('coinbase').spot).toMatchObject({ position: 2, lastSuccess: { price: 61000 }, lastError: null });
+    expect(healthOf('coingecko').spot).toEqual({ position: null, lastSuccess: null, lastError: null });
+  });
+
+  it('moves on when the first provider times out', async () => {
+    vi.stubEnv('BTC_PROVIDER_TIMEOUT_MS_KRAKEN', '20');
+    const { kraken, coinbase } = providers.PRICE_PROVIDERS;
+    let aborted = false;
+    vi.spyOn(kraken, 'fetchSpot').mockImplementation(({ signal }) => new Promise(() => {
+      signal.addEventListener('abort', () => {
+        aborted = true;
+      });
+    }));
+    vi.spyOn(coinbase, 'fetchSpot').mockResolvedValue(61000);
+
+    expect(await providers.fetchSpotPrice()).toEqual({ price: 61000, provider: 'coinbase' });
+    expect(aborted).toBe(true);
+    expect(healthOf('kraken')).toMatchObject({ timeoutMs: 20, spot: { lastError: { message: 'Kraken timed out after 20ms' } } });
+    expect(healthOf('coinbase').spot.lastSuccess.price).toBe(61000);
+  });
+
+  it('reports every provider\'s error when all of them fail', async () => {
+    const { kraken, coinbase } = providers.PRICE_PROVIDERS;
+    vi.spyOn(kraken, 'fetchSpot').mockRejectedValue(new Error('down'));
+    vi.spyOn(coinbase, 'fetchSpot').mockRejectedValue(new Error('also down'));
+    await expect(providers.fetchSpotPrice()).rejects.toThrow('All spot providers failed (Kraken: down; Coinbase: also down)');
+  });
+});
@@ -0,0 +1,24 @@
+import { fetchJson, assertPrice } from './http';
+
+const BASE_URL = 'https://api.kraken.com/0/public';
+
+export const kraken = {
+  id: 'kraken',
+  label: 'Kraken',
+
+  async fetchSpot(ctx) {
+    const json = await fetchJson(`${BASE_URL}/Ticker?pair=XBTUSD`, ctx, 'Kraken ticker');
+    if (Array.isArray(json?.error) && json.error.length > 0) {
+      throw new Error(`Kraken ticker error: ${json.error.join(', ')}`);
+    }
+    // result is keyed by Kraken's pair name (XXBTZUSD); c = [last trade price, lot volume]
+    const ticker = json?.result && Object.values(json.result)[0];
+    return assertPrice(ticker?.c?.[0], 'Invalid ticker payload from Kraken');
+  },
+
+  // Kraken's public OHLC endpoint only returns the most recent 720 candles, which
+  // doesn't reach back two years at daily granularity.
+  supportsHistorical() {
+    return false;
+  },
+};
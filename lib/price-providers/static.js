@@ -0,0 +1,49 @@
+import { assertPrice } from './http';
+
+// Fixed prices for offline development, tests and demos. Only used when listed in
+// BTC_SPOT_PROVIDERS / BTC_HISTORICAL_PROVIDERS.
+const FIXTURE_SPOT_USD = 100000;
+const FIXTURE_HISTORICAL_USD = 60000;
+// Per 1 USD. Override with BTC_STATIC_FX_RATES="EUR:0.9,GBP:0.8,AUD:1.5".
+const FIXTURE_FX_RATES = { EUR: 0.92, GBP: 0.79, AUD: 1.52 };
+
+function staticFxRates() {
+  const rates = { ...FIXTURE_FX_RATES };
+  for (const pair of (process.env.BTC_STATIC_FX_RATES || '').split(',')) {
+    const [code, value] = pair.split(':').map((s) => s.trim());
+    if (code && value) rates[code.toUpperCase()] = Number(value);
+  }
+  return rates;
+}
+
+export const staticProvider = {
+  id: 'static',
+  label: 'Static fixture',
+
+  async fetchSpot() {
+    return assertPrice(
+      Number(process.env.BTC_STATIC_SPOT_PRICE_USD || FIXTURE_SPOT_USD),
+      'Invalid BTC_STATIC_SPOT_PRICE_USD'
+    );
+  },
+
+  supportsHistorical() {
+    return true;
+  },
+
+  async fetchHistorical() {
+    return assertPrice(
+      Number(process.env.BTC_STATIC_HISTORICAL_PRICE_USD || FIXTURE_HISTORICAL_USD),
+      'Invalid BTC_STATIC_HISTORICAL_PRICE_USD'
+    );
+  },
+
+  async fetchFxRates(currencies) {
+    const rates = staticFxRates();
+    const result = {};
+    for (const code of currencies) {
+      result[code] = assertPrice(rates[code], `Invalid static ${code} FX rate`);
+    }
+    return result;
+  },
+};
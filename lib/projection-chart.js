@@ -0,0 +1,110 @@
+// Geometry for the projection chart: axis scales, markers and line paths in viewBox units.
+
+// Plot area in viewBox units; the SVG scales to the panel width.
+export const CHART_WIDTH = 960;
+export const CHART_HEIGHT = 320;
+export const CHART_MARGIN = { top: 20, bottom: 36, left: 72 };
+export const RIGHT_AXIS_WIDTH = 64;
+
+// Money series share the left axis; BTC held and the BTC price each get a right axis.
+// Optional series only appear when the rows carry them (benchmark, tax).
+export const CHART_SERIES = [
+  { key: 'portfolioValue', label: 'Portfolio value', color: '#10b981', axis: 'money' },
+  { key: 'totalCost', label: 'Total cost', color: '#ef4444', axis: 'money', dash: '6 4' },
+  { key: 'hodlValue', label: 'Buying BTC instead', color: '#3b82f6', axis: 'money', optional: true },
+  { key: 'afterTaxValue', label: 'After-tax value', color: '#a855f7', axis: 'money', optional: true },
+  { key: 'cumulativeBtc', label: 'BTC held', color: '#f7931a', axis: 'btc' },
+  { key: 'btcPrice', label: 'BTC price', color: '#eab308', axis: 'price', dash: '2 3' },
+];
+
+const MARKERS = [
+  { key: 'halving', label: 'Halving', color: '#f7931a' },
+  { key: 'breakeven', label: 'Breakeven', color: '#10b981' },
+];
+
+// Evenly spaced round ticks covering [min, max], e.g. 0, 500, 1000, 1500.
+export function niceTicks(min, max, count = 5) {
+  if (!(max > min)) return niceTicks(min, min + (Math.abs(min) || 1), count);
+  const raw = (max - min) / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const norm = raw / mag;
+  const step = (norm <= 1 ? 1 : norm <= 2 ? 2 : norm <= 5 ? 5 : 10) * mag;
+  const ticks = [];
+  for (let v = Math.floor(min / step) * step; v <= max + step * 1e-9; v += step) ticks.push(v);
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+}
+
+// Month labels: a round step giving at most ~12 ticks.
+export function monthTicks(months) {
+  const step = [1, 2, 3, 6, 12, 24].find((s) => months / s <= 12) ?? 24;
+  const ticks = [];
+  for (let m = step; m <= months; m += step) ticks.push(m);
+  if (ticks[0] !== 1) ticks.unshift(1);
+  return ticks;
+}
+
+// SVG path through [x, y] points; non-finite y values lift the pen, leaving a gap.
+export function linePath(points) {
+  let d = '';
+  let pen = false;
+  points.forEach(([x, y]) => {
+    if (!Number.isFinite(y)) {
+      pen = false;
+      return;
+    }
+    d += `${pen ? 'L' : 'M'}${x.toFixed(1)},${y.toFixed(1)}`;
+    pen = true;
+  });
+  return d;
+}
+
+// rows: the selected projection; series: the visible CHART_SERIES entries;
+// overlays: [{ key, label, color, rows }] scenarios drawn as portfolio-value lines.
+// Returns the x / y scales plus markers ({ key, label, color, month, x }, only for months
+// inside the projection), seriesPaths and overlayPaths ({ key, label, color, d }).
+export function layoutProjectionChart({ rows, series = [], overlays = [], halvingMonth = null, breakevenMonth = null }) {
+  const months = rows.length;
+  const plotH = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+
+  // Each axis is scaled once over everything it shows.
+  const valuesFor = (axis) => {
+    const values = [];
+    series.filter((s) => s.axis === axis).forEach((s) => rows.forEach((r) => values.push(r[s.key])));
+    if (axis === 'money') overlays.forEach((s) => s.rows.forEach((r) => values.push(r.portfolioValue)));
+    return values.filter(Number.isFinite);
+  };
+  const scale = (axis, fromZero) => {
+    const values = valuesFor(axis);
+    if (values.length === 0) return null;
+    const ticks = niceTicks(fromZero ? Math.min(0, ...values) : Math.min(...values), Math.max(...values));
+    const lo = ticks[0];
+    const hi = ticks[ticks.length - 1];
+    return { ticks, y: (v) => CHART_MARGIN.top + plotH - ((v - lo) / (hi - lo)) * plotH };
+  };
+  const scales = { money: scale('money', true), btc: scale('btc', true), price: scale('price', false) };
+
+  const rightAxes = ['btc', 'price'].filter((axis) => scales[axis]);
+  const plotW = CHART_WIDTH - CHART_MARGIN.left - 16 - RIGHT_AXIS_WIDTH * rightAxes.length;
+  const x = (month) => CHART_MARGIN.left + (months > 1 ? ((month - 1) / (months - 1)) * plotW : plotW / 2);
+
+  const markerMonths = { halving: halvingMonth, breakeven: breakevenMonth };
+  const markers = MARKERS
+    .filter((m) => markerMonths[m.key] && markerMonths[m.key] <= months)
+    .map((m) => ({ ...m, month: markerMonths[m.key], x: x(markerMonths[m.key]) }));
+
+  const seriesPaths = series.filter((s) => scales[s.axis]).map((s) => ({
+    ...s,
+    d: linePath(rows.map((r) => [x(r.month), scales[s.axis].y(r[s.key])])),
+  }));
+  const overlayPaths = scales.money
+    ? overlays.map(({ key, label, color, rows: overlayRows }) => ({
+      key,
+      label,
+      color,
+      d: linePath(overlayRows.map((r) => [x(r.month), scales.money.y(r.portfolioValue)])),
+    }))
+    : [];
+
+  return { months, plotW, plotH, x, rightAxes, scales, markers, seriesPaths, overlayPaths };
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { CHART_MARGIN, CHART_SERIES, layoutProjectionChart, linePath, monthTicks, niceTicks } from './projection-chart';
+
+const rowsFor = (months, value = (m) => m * 100) => Array.from({ length: months }, (_, i) => ({
+  month: i + 1,
+  portfolioValue: value(i + 1),
+  totalCost: 1000,
+  cumulativeBtc: (i + 1) * 0.001,
+  btcPrice: 50000,
+}));
+
+const series = (...keys) => CHART_SERIES.filter((s) => keys.includes(s.key));
+
+describe('niceTicks / monthTicks', () => {
+  it('covers the range with round steps', () => {
+    expect(niceTicks(0, 1234)).toEqual([0, 500, 1000, 1500]);
+    expect(niceTicks(5, 5)).toEqual([5, 6, 7, 8, 9, 10]);
+  });
+
+  it('always starts the month axis at 1', () => {
+    expect(monthTicks(6)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(monthTicks(60)).toEqual([1, 6, 12, 18, 24, 30, 36, 42, 48, 54, 60]);
+  });
+});
+
+describe('linePath', () => {
+  it('breaks the line at non-finite values', () => {
+    expect(linePath([[0, 1], [1, 2], [2, NaN], [3, 4], [4, 5]])).toBe('M0.0,1.0L1.0,2.0M3.0,4.0L4.0,5.0');
+  });
+});
+
+describe('layoutProjectionChart', () => {
+  it('places markers inside the projection and drops those past its end', () => {
+    const layout = layoutProjectionChart({ rows: rowsFor(24), series: series('portfolioValue'), halvingMonth: 13, breakevenMonth: 30 });
+    expect(layout.markers).toEqual([
+      { key: 'halving', label: 'Halving', color: '#f7931a', month: 13, x: layout.x(13) },
+    ]);
+    expect(layout.x(1)).toBe(CHART_MARGIN.left);
+    expect(layout.x(24)).toBe(CHART_MARGIN.left + layout.plotW);
+    expect(layout.markers[0].x).toBeCloseTo(CHART_MARGIN.left + (12 / 23) * layout.plotW);
+    expect(layoutProjectionChart({ rows: rowsFor(24), halvingMonth: null }).markers).toEqual([]);
+  });
+
+  it('scales overlay scenarios on the shared money axis', () => {
+    const rows = rowsFor(10);
+    const bull = { key: 'bull', label: 'Bull', color: '#fff', rows: rowsFor(10, (m) => m * 1000) };
+    const alone = layoutProjectionChart({ rows, series: series('portfolioValue') });
+    const layout = layoutProjectionChart({ rows, series: series('portfolioValue'), overlays: [bull] });
+
+    expect(alone.scales.money.ticks.at(-1)).toBe(1000);
+    expect(layout.scales.money.ticks.at(-1)).toBe(10000);
+    expect(layout.overlayPaths).toHaveLength(1);
+    expect(layout.overlayPaths[0]).toMatchObject({ key: 'bull', label: 'Bull', color: '#fff' });
+    expect(layout.overlayPaths[0].d).toBe(linePath(bull.rows.map((r) => [layout.x(r.month), layout.scales.money.y(r.portfolioValue)])));
+    // The top of the overlay sits at the top of the plot.
+    expect(layout.overlayPaths[0].d.endsWith(`,${CHART_MARGIN.top.toFixed(1)}`)).toBe(true);
+  });
+
+  it('gives each visible right-hand axis its own width', () => {
+    const rows = rowsFor(12);
+    const money = layoutProjectionChart({ rows, series: series('portfolioValue') });
+    const all = layoutProjectionChart({ rows, series: series('portfolioValue', 'cumulativeBtc', 'btcPrice') });
+    expect(money.rightAxes).toEqual([]);
+    expect(all.rightAxes).toEqual(['btc', 'price']);
+    expect(all.plotW).toBeLessThan(money.plotW);
+    expect(all.seriesPaths.map((s) => s.key)).toEqual(['portfolioValue', 'cumulativeBtc', 'btcPrice']);
+  });
+
+  it('centres a single month', () => {
+    const layout = layoutProjectionChart({ rows: rowsFor(1), series: series('portfolioValue'), halvingMonth: 1 });
+    expect(layout.markers[0].x).toBe(CHART_MARGIN.left + layout.plotW / 2);
+  });
+});
@@ -0,0 +1,356 @@
+// Parse + validate projection inputs from API requests (JSON body or query string).
+// Returns { value, errors } where errors is [{ field, message }] and value is only set when valid.
+
+import { DEFAULT_DIFFICULTY_GROWTH_MONTHLY, DEFAULT_OPERATING_COSTS, REVENUE_MODELS, SCENARIO_KEYS } from './projection';
+import { DEFAULT_NETWORK, estimateBlockHeight } from './halving';
+import { DEFAULT_DIFFICULTY_MODELS, parseDifficultySchedule, validateDifficultyModel } from './difficulty';
+import {
+  CUSTOM_PRICING,
+  DEFAULT_TIER_NAME,
+  DEFAULT_WATTS_PER_TH,
+  TIERS,
+  buildCustomTier,
+  clampContractMonths,
+  contractMonthsAllowed,
+  customHashrateAllowed,
+  findTier,
+  isTierAvailable,
+  resolveWattsPerTh,
+} from './tiers';
+import { CURRENCY_CODES, DEFAULT_CURRENCY, normalizeCurrency } from './currency';
+import {
+  ASIC_MODELS,
+  MAX_HARDWARE_UNITS,
+  buildHardwareTier,
+  findAsicModel,
+  validateDepreciation,
+} from './hardware';
+import { BENCHMARK_MODES } from './benchmark';
+import { DEFAULT_SELL_STRATEGIES, validateSellStrategy } from './sell-strategy';
+import { isTaxEnabled, validateTaxSettings } from './tax';
+
+// Same defaults as the calculator page. The tier default comes from the catalog.
+export const PROJECTION_DEFAULTS = {
+  tier: DEFAULT_TIER_NAME,
+  hashpriceUsd: 0.063,
+  electricityCostKwh: 0.05,
+  wattsPerTh: DEFAULT_WATTS_PER_TH,
+  contractMonths: 24,
+  scenario: 'historical',
+  revenueModel: 'hashprice',
+  difficultyGrowthMonthly: DEFAULT_DIFFICULTY_GROWTH_MONTHLY,
+  ...DEFAULT_OPERATING_COSTS,
+  benchmark: 'dca',
+};
+
+export const MIN_CONTRACT_MONTHS = 1;
+export const MAX_CONTRACT_MONTHS = 120;
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+// Accepts numbers or numeric strings (query params); returns undefined when absent.
+function readNumber(raw, field, errors, { min = -Infinity, max = Infinity, exclusiveMin = false, integer = false } = {}) {
+  if (isBlank(raw)) return undefined;
+  const n = typeof raw === 'number' ? raw : Number(raw);
+  if (!Number.isFinite(n)) {
+    errors.push({ field, message: 'must be a finite number' });
+    return undefined;
+  }
+  if (integer && !Number.isInteger(n)) {
+    errors.push({ field, message: 'must be an integer' });
+    return undefined;
+  }
+  if (exclusiveMin ? n <= min : n < min) {
+    errors.push({ field, message: `must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}` });
+    return undefined;
+  }
+  if (n > max) {
+    errors.push({ field, message: `must be at most ${max}` });
+    return undefined;
+  }
+  return n;
+}
+
+// true/false, or 'true'/'false'/'1'/'0' from a query string; returns undefined when absent.
+function readBoolean(raw, field, errors) {
+  if (isBlank(raw)) return undefined;
+  if (raw === true || raw === 'true' || raw === '1') return true;
+  if (raw === false || raw === 'false' || raw === '0') return false;
+  errors.push({ field, message: 'must be true or false' });
+  return undefined;
+}
+
+// difficultyModel may be a full model object (JSON body) or just its type (query string),
+// in which case the parameters come from flat query fields.
+function readDifficultyModel(raw, difficultyGrowthMonthly, errors) {
+  const spec = raw.difficultyModel;
+  if (isBlank(spec)) {
+    return { type: 'flat', rate: difficultyGrowthMonthly ?? PROJECTION_DEFAULTS.difficultyGrowthMonthly };
+  }
+
+  let candidate = spec;
+  if (typeof spec === 'string') {
+    const defaults = DEFAULT_DIFFICULTY_MODELS[spec];
+    if (spec === 'flat') {
+      candidate = { type: 'flat', rate: difficultyGrowthMonthly ?? defaults.rate };
+    } else if (spec === 'decay') {
+      candidate = {
+        type: 'decay',
+        initialRate: raw.difficultyInitialRate ?? defaults.initialRate,
+        floorRate: raw.difficultyFloorRate ?? defaults.floorRate,
+        halfLifeMonths: raw.difficultyHalfLifeMonths ?? defaults.halfLifeMonths,
+      };
+    } else if (spec === 'piecewise') {
+      candidate = isBlank(raw.difficultySchedule) ? defaults : parseDifficultySchedule(raw.difficultySchedule);
+    } else {
+      candidate = { type: spec };
+    }
+  }
+
+  const { value, errors: modelErrors } = validateDifficultyModel(candidate);
+  errors.push(...modelErrors);
+  return value;
+}
+
+// sellStrategy may be a full strategy object (JSON body) or just its type, with the
+// parameter in sellFraction / sellTargetPrice (query string).
+function readSellStrategy(raw, errors) {
+  const spec = raw.sellStrategy;
+  if (isBlank(spec)) return DEFAULT_SELL_STRATEGIES.hold;
+  let candidate = spec;
+  if (typeof spec === 'string') {
+    candidate = { ...DEFAULT_SELL_STRATEGIES[spec], type: spec };
+    if (spec === 'percent' && !isBlank(raw.sellFraction)) candidate.fraction = raw.sellFraction;
+    if (spec === 'target') candidate.price = raw.sellTargetPrice;
+  }
+  const { value, errors: strategyErrors } = validateSellStrategy(candidate);
+  errors.push(...strategyErrors);
+  return value;
+}
+
+// tax may be a full settings object (JSON body) or taxJurisdiction (a preset or 'custom') with
+// optional flat overrides: incomeTaxRate, shortTermTaxRate, longTermTaxRate, longTermMonths,
+// lotMethod and deductCosts. Returns null (no tax) when neither is given or every rate is zero.
+function readTax(raw, errors) {
+  let candidate;
+  if (raw.tax && typeof raw.tax === 'object') {
+    candidate = raw.tax;
+  } else if (!isBlank(raw.taxJurisdiction)) {
+    candidate = {
+      jurisdiction: String(raw.taxJurisdiction),
+      incomeRate: raw.incomeTaxRate,
+      shortTermRate: raw.shortTermTaxRate,
+      longTermRate: raw.longTermTaxRate,
+      longTermMonths: raw.longTermMonths,
+      lotMethod: raw.lotMethod,
+      deductCosts: readBoolean(raw.deductCosts, 'deductCosts', errors),
+    };
+    Object.keys(candidate).forEach((k) => isBlank(candidate[k]) && delete candidate[k]);
+  } else {
+    return null;
+  }
+  const { value, errors: taxErrors } = validateTaxSettings(candidate);
+  errors.push(...taxErrors);
+  return isTaxEnabled(value) ? value : null;
+}
+
+// Hardware mode: hardwareModel (an ASIC catalog id) with units, an optional per-unit
+// hardwarePrice (default: the model's USD list price), shippingCost and the depreciation curve.
+// Returns { spec, tier } or null when hardwareModel is absent or invalid.
+function readHardware(raw, errors) {
+  if (isBlank(raw.hardwareModel)) return null;
+  if (!isBlank(raw.tier) || !isBlank(raw.hashrate)) {
+    errors.push({ field: 'hardwareModel', message: 'cannot be combined with tier or hashrate' });
+  }
+  const model = findAsicModel(String(raw.hardwareModel));
+  if (!model) {
+    errors.push({ field: 'hardwareModel', message: `must be one of ${ASIC_MODELS.map((m) => m.id).join(', ')}` });
+  }
+  const units = readNumber(raw.units, 'units', errors, { min: 1, max: MAX_HARDWARE_UNITS, integer: true });
+  const unitPrice = readNumber(raw.hardwarePrice, 'hardwarePrice', errors, { min: 0 });
+  const shippingCost = readNumber(raw.shippingCost, 'shippingCost', errors, { min: 0 });
+  // Flat fields from a query string, or a depreciation object in a JSON body.
+  const depreciationSpec = raw.depreciation && typeof raw.depreciation === 'object'
+    ? raw.depreciation
+    : {
+      method: raw.depreciationMethod,
+      annualRate: raw.depreciationRate,
+      usefulLifeMonths: raw.usefulLifeMonths,
+      salvageFraction: raw.salvageFraction,
+    };
+  Object.keys(depreciationSpec).forEach((k) => isBlank(depreciationSpec[k]) && delete depreciationSpec[k]);
+  const { value: depreciation, errors: depreciationErrors } = validateDepreciation(depreciationSpec);
+  errors.push(...depreciationErrors);
+  if (!model || !depreciation) return null;
+
+  const spec = { model, units: units ?? 1, unitPrice, shippingCost: shippingCost ?? 0, depreciation };
+  return { spec, tier: buildHardwareTier(model, { ...spec, unitPrice: unitPrice ?? model.listPrice }) };
+}
+
+// catalog = { tiers, defaultTier, custom } from lib/tier-catalog.js (defaults to the bundled catalog).
+export function parseProjectionInput(raw, { tiers = TIERS, defaultTier = DEFAULT_TIER_NAME, custom = CUSTOM_PRICING } = {}) {
+  const errors = [];
+  const now = new Date();
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { errors: [{ field: null, message: 'request body must be a JSON object' }] };
+  }
+
+  // Tier: either a catalog tier (name or index) or a custom hashrate priced by an explicit total,
+  // or by a per-TH price (default: the catalog's custom pricing) less the volume discount.
+  const hashrate = readNumber(raw.hashrate, 'hashrate', errors, { min: 0, exclusiveMin: true });
+  const price = readNumber(raw.price, 'price', errors, { min: 0 });
+  const pricePerTh = readNumber(raw.pricePerTh, 'pricePerTh', errors, { min: 0, exclusiveMin: true });
+  const hardware = readHardware(raw, errors);
+  let tier = null;
+  if (hardware) {
+    tier = hardware.tier;
+  } else if (!isBlank(raw.hardwareModel)) {
+    // Already reported by readHardware().
+  } else if (!isBlank(raw.tier)) {
+    tier = findTier(raw.tier, tiers);
+    if (!tier) {
+      errors.push({
+        field: 'tier',
+        message: `unknown tier; expected one of ${tiers.filter((t) => isTierAvailable(t, now)).map((t) => t.name).join(', ')}`,
+      });
+    } else if (!isTierAvailable(tier, now)) {
+      errors.push({ field: 'tier', message: `${tier.name} is not currently available` });
+      tier = null;
+    }
+  } else if (hashrate !== undefined) {
+    if (!customHashrateAllowed(custom, hashrate)) {
+      errors.push({
+        field: 'hashrate',
+        message: `must be between ${custom.minHashrate ?? 0} and ${custom.maxHashrate ?? '∞'} TH/s for a custom purchase`,
+      });
+    }
+    tier = buildCustomTier(custom, { hashrate, pricePerTh, totalPrice: price });
+    if (!tier) {
+      errors.push({ field: 'price', message: 'price or pricePerTh is required when hashrate is given without a tier' });
+    }
+  } else {
+    const offered = tiers.filter((t) => isTierAvailable(t, now));
+    tier = findTier(defaultTier, offered) ?? offered[0] ?? null;
+    if (!tier) errors.push({ field: 'tier', message: 'no catalog tiers are currently available' });
+  }
+  // Allow overriding hashrate/price on top of a named tier.
+  if (tier && !isBlank(raw.tier)) {
+    tier = {
+      ...tier,
+      ...(hashrate !== undefined ? { hashrate } : {}),
+      ...(price !== undefined ? { price } : {}),
+    };
+  }
+
+  // Like btcPrice: a shared link's live hashprice is only a record, not a pinned value.
+  const hashpriceUsd = raw.hashpriceSource === 'live'
+    ? undefined
+    : readNumber(raw.hashpriceUsd, 'hashpriceUsd', errors, { min: 0 });
+  const electricityCostKwh = readNumber(raw.electricityCostKwh, 'electricityCostKwh', errors, { min: 0 });
+  const wattsPerTh = readNumber(raw.wattsPerTh, 'wattsPerTh', errors, { min: 0 });
+  const contractMonths = readNumber(raw.contractMonths, 'contractMonths', errors, {
+    min: MIN_CONTRACT_MONTHS,
+    max: MAX_CONTRACT_MONTHS,
+    integer: true,
+  });
+  const difficultyGrowthMonthly = readNumber(raw.difficultyGrowthMonthly, 'difficultyGrowthMonthly', errors, {
+    min: -1,
+    exclusiveMin: true,
+  });
+  const difficultyModel = readDifficultyModel(raw, difficultyGrowthMonthly, errors);
+  // Shared calculator links record the live price they were made with; only an override pins it.
+  const currentBtcPrice = raw.btcPriceSource === 'live'
+    ? undefined
+    : readNumber(raw.btcPrice, 'btcPrice', errors, { min: 0, exclusiveMin: true });
+  const scenarioMultiplier = readNumber(raw.scenarioMultiplier, 'scenarioMultiplier', errors, {
+    min: 0,
+    exclusiveMin: true,
+  });
+
+  const revenueModel = isBlank(raw.revenueModel) ? PROJECTION_DEFAULTS.revenueModel : String(raw.revenueModel);
+  if (!REVENUE_MODELS.includes(revenueModel)) {
+    errors.push({ field: 'revenueModel', message: `must be one of ${REVENUE_MODELS.join(', ')}` });
+  }
+  const blockHeight = readNumber(raw.blockHeight, 'blockHeight', errors, { min: 0, integer: true });
+  const networkHashrateEh = readNumber(raw.networkHashrateEh, 'networkHashrateEh', errors, {
+    min: 0,
+    exclusiveMin: true,
+  });
+  const feeShare = readNumber(raw.feeShare, 'feeShare', errors, { min: 0, max: 0.99 });
+  const poolFee = readNumber(raw.poolFee, 'poolFee', errors, { min: 0, max: 0.99 });
+  const uptime = readNumber(raw.uptime, 'uptime', errors, { min: 0, max: 1 });
+  const hostingFeePerThDay = readNumber(raw.hostingFeePerThDay, 'hostingFeePerThDay', errors, { min: 0 });
+  const hostingFeeMonthly = readNumber(raw.hostingFeeMonthly, 'hostingFeeMonthly', errors, { min: 0 });
+  const stopWhenUnprofitable = readBoolean(raw.stopWhenUnprofitable, 'stopWhenUnprofitable', errors);
+  const sellStrategy = readSellStrategy(raw, errors);
+  const tax = readTax(raw, errors);
+
+  // Money inputs (price, hardwarePrice, shippingCost, hashpriceUsd, electricityCostKwh, hosting fees, btcPrice,
+  // sellTargetPrice) are read in this currency.
+  const currency = isBlank(raw.currency) ? DEFAULT_CURRENCY : normalizeCurrency(String(raw.currency));
+  if (!currency) {
+    errors.push({ field: 'currency', message: `must be one of ${CURRENCY_CODES.join(', ')}` });
+  }
+
+  const benchmark = isBlank(raw.benchmark) ? PROJECTION_DEFAULTS.benchmark : String(raw.benchmark);
+  if (!Object.hasOwn(BENCHMARK_MODES, benchmark)) {
+    errors.push({ field: 'benchmark', message: `must be one of ${Object.keys(BENCHMARK_MODES).join(', ')}` });
+  }
+
+  const scenario = isBlank(raw.scenario) ? PROJECTION_DEFAULTS.scenario : String(raw.scenario);
+  if (scenarioMultiplier === undefined && !SCENARIO_KEYS.includes(scenario)) {
+    errors.push({ field: 'scenario', message: `must be one of ${SCENARIO_KEYS.join(', ')}` });
+  }
+
+  // The tier's contract limits apply to explicit lengths; the default length is clamped into them.
+  if (tier && contractMonths !== undefined && !contractMonthsAllowed(tier, contractMonths)) {
+    errors.push({
+      field: 'contractMonths',
+      message: `must be between ${tier.minContractMonths ?? MIN_CONTRACT_MONTHS} and ${tier.maxContractMonths ?? MAX_CONTRACT_MONTHS} for ${tier.name}`,
+    });
+  }
+
+  if (errors.length > 0) return { errors };
+
+  return {
+    errors,
+    value: {
+      currency,
+      tier,
+      // Set in hardware mode; the route rebuilds the tier once the list price is converted.
+      hardware: hardware?.spec ?? null,
+      // Catalog prices are USD and get converted unless the caller gave an explicit price.
+      tierPriceExplicit: price !== undefined || (Boolean(tier.custom) && pricePerTh !== undefined),
+      // Undefined means "use the live hashprice" (PROJECTION_DEFAULTS.hashpriceUsd if unavailable).
+      hashpriceUsd,
+      electricityCostKwh: electricityCostKwh ?? PROJECTION_DEFAULTS.electricityCostKwh,
+      // An explicit efficiency beats the tier's own.
+      wattsPerTh: resolveWattsPerTh(tier, wattsPerTh),
+      contractMonths: contractMonths ?? clampContractMonths(tier, PROJECTION_DEFAULTS.contractMonths),
+      difficultyModel,
+      revenueModel,
+      poolFee: poolFee ?? PROJECTION_DEFAULTS.poolFee,
+      uptime: uptime ?? PROJECTION_DEFAULTS.uptime,
+      hostingFeePerThDay: hostingFeePerThDay ?? PROJECTION_DEFAULTS.hostingFeePerThDay,
+      hostingFeeMonthly: hostingFeeMonthly ?? PROJECTION_DEFAULTS.hostingFeeMonthly,
+      stopWhenUnprofitable: stopWhenUnprofitable ?? PROJECTION_DEFAULTS.stopWhenUnprofitable,
+      benchmark,
+      sellStrategy,
+      tax,
+      network: revenueModel === 'halving'
+        ? {
+          blockHeight: blockHeight ?? estimateBlockHeight(),
+          networkHashrateEh: networkHashrateEh ?? DEFAULT_NETWORK.networkHashrateEh,
+          feeShare: feeShare ?? DEFAULT_NETWORK.feeShare,
+        }
+        : null,
+      scenario: scenarioMultiplier !== undefined ? 'custom' : scenario,
+      // 24-month base multiplier; only set for a custom scenario.
+      scenarioMultiplier: scenarioMultiplier ?? null,
+      // Undefined means "use the cached live price".
+      currentBtcPrice,
+    },
+  };
+}
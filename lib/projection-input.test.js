@@ -0,0 +1,146 @@
+import { describe, expect, it } from 'vitest';
+import { PROJECTION_DEFAULTS, parseProjectionInput } from './projection-input';
+import { TAX_PRESETS } from './tax';
+
+const CATALOG = {
+  tiers: [
+    { name: 'Small', price: 500, hashrate: 50, wattsPerTh: 25, minContractMonths: 6, maxContractMonths: 12 },
+    { name: 'Large', price: 2000, hashrate: 250 },
+    { name: 'Retired', price: 100, hashrate: 10, availableUntil: '2000-01-01' },
+  ],
+  defaultTier: 'Large',
+  custom: { pricePerTh: 10, minHashrate: 5, maxHashrate: 1000 },
+};
+
+const parse = (raw) => parseProjectionInput(raw, CATALOG);
+const fields = (raw) => parse(raw).errors.map((e) => e.field);
+
+describe('parseProjectionInput', () => {
+  it('fills in defaults from the catalog and PROJECTION_DEFAULTS', () => {
+    const { value, errors } = parse({});
+    expect(errors).toEqual([]);
+    expect(value).toMatchObject({
+      currency: 'USD',
+      tier: { name: 'Large' },
+      hashpriceUsd: undefined,
+      currentBtcPrice: undefined,
+      electricityCostKwh: PROJECTION_DEFAULTS.electricityCostKwh,
+      wattsPerTh: PROJECTION_DEFAULTS.wattsPerTh,
+      contractMonths: PROJECTION_DEFAULTS.contractMonths,
+      scenario: 'historical',
+      scenarioMultiplier: null,
+      sellStrategy: { type: 'hold' },
+      tax: null,
+    });
+  });
+
+  it('reads numbers and booleans from query-string values', () => {
+    const { value } = parse({ tier: 'small', contractMonths: '9', btcPrice: '65000', stopWhenUnprofitable: '1', scenarioMultiplier: '1.5' });
+    expect(value).toMatchObject({
+      tier: { name: 'Small' },
+      contractMonths: 9,
+      currentBtcPrice: 65000,
+      stopWhenUnprofitable: true,
+      scenario: 'custom',
+      scenarioMultiplier: 1.5,
+    });
+  });
+
+  it('accepts a currency in any case', () => {
+    expect(parse({ currency: 'eur' }).value.currency).toBe('EUR');
+  });
+
+  it('overrides a named tier\'s hashrate and price', () => {
+    expect(parse({ tier: 0, hashrate: 60, price: 600 }).value).toMatchObject({
+      tier: { name: 'Small', hashrate: 60, price: 600 },
+      tierPriceExplicit: true,
+    });
+  });
+
+  it('prices a custom hashrate from the catalog or an explicit price', () => {
+    expect(parse({ hashrate: 100 }).value.tier).toMatchObject({ hashrate: 100, price: 1000, custom: true });
+    expect(parse({ hashrate: 100, price: 800 }).value).toMatchObject({ tier: { price: 800 }, tierPriceExplicit: true });
+    expect(parse({ hashrate: 100, pricePerTh: 9 }).value).toMatchObject({ tier: { price: 900 }, tierPriceExplicit: true });
+    expect(fields({ hashrate: 2000 })).toEqual(['hashrate']);
+    expect(parseProjectionInput({ hashrate: 100 }, { ...CATALOG, custom: null }).errors).toEqual([
+      { field: 'price', message: 'price or pricePerTh is required when hashrate is given without a tier' },
+    ]);
+  });
+
+  it('gives an explicit efficiency precedence over the tier\'s', () => {
+    expect(parse({ tier: 'Small' }).value.wattsPerTh).toBe(25);
+    expect(parse({ tier: 'Small', wattsPerTh: 18 }).value.wattsPerTh).toBe(18);
+    expect(parse({ tier: 'Large' }).value.wattsPerTh).toBe(PROJECTION_DEFAULTS.wattsPerTh);
+  });
+
+  it('enforces the tier\'s contract lengths and clamps the default into them', () => {
+    expect(parse({ tier: 'Small' }).value.contractMonths).toBe(12);
+    expect(parse({ tier: 'Small', contractMonths: 24 }).errors).toEqual([
+      { field: 'contractMonths', message: 'must be between 6 and 12 for Small' },
+    ]);
+  });
+
+  it('ignores live prices recorded in a shared link', () => {
+    const { value } = parse({ btcPrice: 60000, btcPriceSource: 'live', hashpriceUsd: 0.05, hashpriceSource: 'live' });
+    expect(value.currentBtcPrice).toBeUndefined();
+    expect(value.hashpriceUsd).toBeUndefined();
+  });
+
+  it('reads a difficulty model from its type and flat query fields', () => {
+    expect(parse({ difficultyGrowthMonthly: '0.02' }).value.difficultyModel).toEqual({ type: 'flat', rate: 0.02 });
+    expect(parse({ difficultyModel: 'decay', difficultyHalfLifeMonths: '6' }).value.difficultyModel).toMatchObject({ type: 'decay', halfLifeMonths: 6 });
+    expect(parse({ difficultyModel: 'piecewise', difficultySchedule: '0.05x6,0.01' }).value.difficultyModel).toEqual({
+      type: 'piecewise',
+      segments: [{ months: 6, rate: 0.05 }],
+      thereafterRate: 0.01,
+    });
+    expect(parse({ difficultyModel: { type: 'flat', rate: -2 } }).errors[0].field).toBe('difficultyModel.rate');
+  });
+
+  it('applies tax presets and drops tax when every rate is zero', () => {
+    const { label, ...rates } = TAX_PRESETS.us;
+    expect(label).toBeTruthy();
+    expect(parse({ taxJurisdiction: 'us', lotMethod: 'hifo' }).value.tax).toMatchObject({ ...rates, jurisdiction: 'us', lotMethod: 'hifo' });
+    expect(parse({ taxJurisdiction: 'none' }).value.tax).toBeNull();
+  });
+
+  it('fills in the network for the halving revenue model', () => {
+    expect(parse({}).value.network).toBeNull();
+    const { network } = parse({ revenueModel: 'halving', blockHeight: 900000 }).value;
+    expect(network.blockHeight).toBe(900000);
+    expect(network.networkHashrateEh).toBeGreaterThan(0);
+  });
+
+  it('rejects unknown and unavailable tiers', () => {
+    expect(parse({ tier: 'Huge' }).errors[0].message).toBe('unknown tier; expected one of Small, Large');
+    expect(parse({ tier: 'Retired' }).errors).toEqual([{ field: 'tier', message: 'Retired is not currently available' }]);
+  });
+
+  it('reports every invalid field', () => {
+    expect(parse(null).errors).toEqual([{ field: null, message: 'request body must be a JSON object' }]);
+    expect(parse([]).errors[0].field).toBeNull();
+    expect(fields({
+      electricityCostKwh: -1,
+      contractMonths: 1.5,
+      btcPrice: 0,
+      poolFee: 1,
+      stopWhenUnprofitable: 'maybe',
+      sellStrategy: 'sometimes',
+      currency: 'XYZ',
+      revenueModel: 'luck',
+      benchmark: 'index',
+      scenario: 'moon',
+    })).toEqual([
+      'electricityCostKwh',
+      'contractMonths',
+      'btcPrice',
+      'revenueModel',
+      'poolFee',
+      'stopWhenUnprofitable',
+      'sellStrategy',
+      'currency',
+      'benchmark',
+      'scenario',
+    ]);
+  });
+});
@@ -0,0 +1,343 @@
+// Pure projection engine for fractional hashrate contracts.
+// Everything here is framework-free so it can be shared by the page, API routes and scripts.
+
+import { DEFAULT_DIFFICULTY_GROWTH_MONTHLY, difficultyFactors } from './difficulty';
+import { BLOCKS_PER_DAY, blockSubsidy, feeBtcPerBlock, rewardOverBlocks } from './halving';
+import { hardwareValueAtMonth } from './hardware';
+import { btcToSell } from './sell-strategy';
+
+export { DEFAULT_DIFFICULTY_GROWTH_MONTHLY };
+
+// All growth scenarios are defined as 24-month base multipliers.
+export const SCENARIO_BASE_MONTHS = 24;
+
+export const DAYS_PER_MONTH = 30;
+
+// Operating assumptions layered on the revenue model; these defaults change nothing.
+export const DEFAULT_OPERATING_COSTS = {
+  poolFee: 0,
+  uptime: 1,
+  hostingFeePerThDay: 0,
+  hostingFeeMonthly: 0,
+  stopWhenUnprofitable: false,
+};
+
+// 'hashprice' treats hashpriceUsd / currentBtcPrice as a fixed BTC-per-TH yield;
+// 'halving' derives it from block subsidy, fees and network hashrate (see lib/halving.js).
+export const REVENUE_MODELS = ['hashprice', 'halving'];
+
+// Base multipliers (defined for 24-month period). The historical scenario is
+// filled in from live price data, so it is null until prices load.
+export function buildBaseMultipliers(historicalMultiplier, historicalLabel = 'Historical 2yr') {
+  return {
+    bear: { label: 'Bear', base24m: 0.7, color: '#ef4444' },
+    flat: { label: 'Flat', base24m: 1.0, color: '#6b7280' },
+    base: { label: 'Base', base24m: 2.0, color: '#3b82f6' },
+    historical: {
+      label: historicalLabel,
+      base24m: historicalMultiplier ?? null,
+      color: '#f7931a',
+      isLive: true,
+    },
+    mega: { label: 'Mega', base24m: 10.0, color: '#a855f7' },
+  };
+}
+
+export const SCENARIO_KEYS = Object.keys(buildBaseMultipliers(null));
+
+// Scale 24-month base multipliers to the contract length.
+// Scenarios without valid data (e.g. live historical not loaded yet) are marked
+// unavailable rather than coerced to 0 / NaN.
+export function scaleGrowthScenarios(baseMultipliers, contractMonths) {
+  const scaled = {};
+  Object.entries(baseMultipliers).forEach(([key, val]) => {
+    const base24m = val.base24m;
+
+    if (!Number.isFinite(base24m) || base24m <= 0 || contractMonths <= 0) {
+      scaled[key] = {
+        ...val,
+        finalMultiplier: null,
+        shortLabel: val.label,
+        label: `${val.label} (unavailable)`,
+      };
+      return;
+    }
+
+    // Scale: adjusted = base ^ (contractMonths / 24)
+    const scaledMultiplier = Math.pow(base24m, contractMonths / SCENARIO_BASE_MONTHS);
+    const percentChange = ((scaledMultiplier - 1) * 100).toFixed(0);
+    const sign = scaledMultiplier >= 1 ? '+' : '';
+
+    scaled[key] = {
+      ...val,
+      finalMultiplier: scaledMultiplier,
+      shortLabel: val.label,
+      label: `${val.label} (${scaledMultiplier.toFixed(2)}x / ${sign}${percentChange}%)`,
+    };
+  });
+  return scaled;
+}
+
+// Electricity cost per TH per day
+export function elecCostPerThPerDay(wattsPerTh, electricityCostKwh) {
+  const kwhPerThPerDay = (wattsPerTh * 24) / 1000;
+  return kwhPerThPerDay * electricityCostKwh;
+}
+
+export function monthlyElecCost({ wattsPerTh, electricityCostKwh, hashrate }) {
+  return elecCostPerThPerDay(wattsPerTh, electricityCostKwh) * hashrate * DAYS_PER_MONTH;
+}
+
+// Returns one row per contract month, or [] when inputs are incomplete.
+//
+// input = {
+//   tier: { price, hashrate, maintenanceFeeMonthly?, hardware? }, // hardware: see lib/hardware.js
+//   hashpriceUsd,            // $/TH/day at today's difficulty
+//   currentBtcPrice,
+//   difficultyGrowthMonthly, // e.g. 0.04; used as a flat model when difficultyModel is absent
+//   difficultyModel,         // optional, see lib/difficulty.js
+//   electricityCostKwh,
+//   wattsPerTh,
+//   contractMonths,
+//   finalMultiplier,         // BTC price multiplier at contract end (already scaled)
+//   btcPricePath,            // optional BTC price per row (index month - 1) replacing the
+//                            // finalMultiplier curve, e.g. a simulated path (lib/montecarlo.js)
+//   startMonth,              // months from today until the contract starts (default 0)
+//   horizonMonths,           // month finalMultiplier applies to (default startMonth + contractMonths)
+//   revenueModel,            // 'hashprice' (default) or 'halving'
+//   network,                 // halving model only: { blockHeight, networkHashrateEh, feeShare }
+//   poolFee,                 // fraction of mined BTC kept by the pool, e.g. 0.02 (default 0)
+//   uptime,                  // fraction of the month the hardware hashes, e.g. 0.97 (default 1)
+//   hostingFeePerThDay,      // hosting/maintenance fee per TH per day (default 0)
+//   hostingFeeMonthly,       // flat hosting/maintenance fee per month (default 0)
+//   stopWhenUnprofitable,    // end the contract once daily revenue < daily costs (default false)
+//   sellStrategy,            // what happens to mined BTC, see lib/sell-strategy.js (default: hold)
+// }
+//
+// Once a contract stops, the remaining rows keep holding the mined BTC with no further
+// mining or costs (active: false), so every projection runs to contractMonths.
+// Row `month` counts from the contract's start; price, difficulty and block height follow
+// the calendar month (startMonth + month).
+export function projectMonthly(input) {
+  const {
+    tier,
+    hashpriceUsd,
+    currentBtcPrice,
+    difficultyGrowthMonthly = DEFAULT_DIFFICULTY_GROWTH_MONTHLY,
+    difficultyModel,
+    electricityCostKwh,
+    wattsPerTh,
+    contractMonths,
+    finalMultiplier,
+    btcPricePath,
+    startMonth = 0,
+    horizonMonths = startMonth + contractMonths,
+    revenueModel = 'hashprice',
+    network,
+    poolFee = 0,
+    uptime = 1,
+    hostingFeePerThDay = 0,
+    hostingFeeMonthly = 0,
+    stopWhenUnprofitable = false,
+    sellStrategy,
+  } = input || {};
+
+  const projections = [];
+  let cumulativeBtc = 0;
+  let cumulativeElecCost = 0;
+  let cumulativeMaintenanceCost = 0;
+  let cumulativePoolFeeValue = 0;
+  let cumulativeDowntimeValue = 0;
+  let cumulativeBtcSold = 0;
+  let realizedFiat = 0;
+  let terminated = false;
+
+  if (!tier || !Number.isFinite(tier.price) || !(Number.isFinite(tier.hashrate) && tier.hashrate > 0)) {
+    return projections;
+  }
+  // Absent means no fee; null means it couldn't be converted to the input currency.
+  const tierFeePerMonth = tier.maintenanceFeeMonthly === undefined ? 0 : tier.maintenanceFeeMonthly;
+  // The tier's included fee plus any hosting fee, both charged whether or not the hardware is up.
+  const maintenancePerMonth = tierFeePerMonth + hostingFeeMonthly + hostingFeePerThDay * tier.hashrate * DAYS_PER_MONTH;
+  if (!Number.isFinite(maintenancePerMonth) || maintenancePerMonth < 0) {
+    return projections;
+  }
+  if (!(poolFee >= 0 && poolFee < 1) || !(uptime >= 0 && uptime <= 1)) {
+    return projections;
+  }
+  if (!currentBtcPrice || !Number.isFinite(currentBtcPrice) || currentBtcPrice <= 0) {
+    return projections;
+  }
+  if (btcPricePath ? !(btcPricePath.length >= contractMonths) : !(Number.isFinite(finalMultiplier) && finalMultiplier > 0)) {
+    return projections;
+  }
+  if (!contractMonths || contractMonths <= 0) {
+    return projections;
+  }
+  if (!(Number.isInteger(startMonth) && startMonth >= 0) || !(horizonMonths > 0)) {
+    return projections;
+  }
+  const useHalving = revenueModel === 'halving';
+  if (
+    useHalving &&
+    !(Number.isFinite(network?.blockHeight) && network.blockHeight >= 0 && network.networkHashrateEh > 0)
+  ) {
+    return projections;
+  }
+
+  // Power is only drawn while the hardware is up.
+  const elecPerMonth = monthlyElecCost({ wattsPerTh, electricityCostKwh, hashrate: tier.hashrate }) * uptime;
+  const monthlyBtcGrowthRate = Math.pow(finalMultiplier, 1 / horizonMonths) - 1;
+  const difficulty = difficultyFactors(
+    difficultyModel || { type: 'flat', rate: difficultyGrowthMonthly },
+    startMonth + contractMonths
+  );
+
+  const blocksPerMonth = BLOCKS_PER_DAY * DAYS_PER_MONTH;
+  const feePerBlock = useHalving ? feeBtcPerBlock(network.blockHeight, network.feeShare) : 0;
+
+  for (let month = 1; month <= contractMonths; month++) {
+    const calendarMonth = startMonth + month;
+    // Difficulty adjustment reduces BTC earned over time
+    // If difficulty grows by 4%, your BTC earnings decrease by 1/1.04 = 3.85%
+    // More accurate than (1-0.04) which would be 4% decay
+    const difficultyFactor = difficulty[calendarMonth - 1];
+    const difficultyMultiplier = 1 / difficultyFactor;
+
+    // BTC the hashrate would earn this month at 100% uptime
+    let idealBtc;
+    let subsidy = null;
+    let halvingHeight = null;
+    if (useHalving) {
+      // Share of every block mined this month: 1 TH / network TH, with network
+      // hashrate growing in line with difficulty.
+      const startHeight = network.blockHeight + blocksPerMonth * (calendarMonth - 1);
+      const { reward, halvingHeight: h } = rewardOverBlocks(startHeight, blocksPerMonth, feePerBlock);
+      const networkTh = network.networkHashrateEh * 1e6 * difficultyFactor;
+      idealBtc = (reward / networkTh) * tier.hashrate;
+      subsidy = blockSubsidy(startHeight + blocksPerMonth - 1);
+      halvingHeight = h;
+    } else {
+      // hashpriceUsd / currentBtcPrice = BTC per TH per day at current difficulty
+      const dailyBtcPerTh = (hashpriceUsd / currentBtcPrice) * difficultyMultiplier;
+      idealBtc = dailyBtcPerTh * tier.hashrate * DAYS_PER_MONTH;
+    }
+
+    // BTC price appreciation over time
+    const btcPriceAtMonth = btcPricePath
+      ? btcPricePath[month - 1]
+      : currentBtcPrice * Math.pow(1 + monthlyBtcGrowthRate, calendarMonth);
+
+    // Gross = mined while up; the pool keeps its fee and pays out the rest.
+    let monthlyBtcGross = idealBtc * uptime;
+    let monthlyPoolFeeBtc = monthlyBtcGross * poolFee;
+    let monthlyBtcNet = monthlyBtcGross - monthlyPoolFeeBtc;
+    let monthlyDowntimeBtc = idealBtc - monthlyBtcGross;
+    let monthElecCost = elecPerMonth;
+    let monthMaintenanceCost = maintenancePerMonth;
+
+    // Early termination: daily payout worth less than daily costs (equivalently per month).
+    if (!terminated && stopWhenUnprofitable && monthlyBtcNet * btcPriceAtMonth < monthElecCost + monthMaintenanceCost) {
+      terminated = true;
+    }
+    if (terminated) {
+      monthlyBtcGross = 0;
+      monthlyPoolFeeBtc = 0;
+      monthlyBtcNet = 0;
+      monthlyDowntimeBtc = 0;
+      monthElecCost = 0;
+      monthMaintenanceCost = 0;
+    }
+
+    // Customer receives the net payout - electricity and fees are paid separately in fiat
+    // (Not deducted from BTC to avoid double-counting)
+    cumulativeBtc += monthlyBtcNet;
+
+    // Sales under the sell strategy turn held BTC into realized fiat at this month's price.
+    const monthlyBtcSold = btcToSell(sellStrategy, {
+      heldBtc: cumulativeBtc,
+      minedBtc: monthlyBtcNet,
+      price: btcPriceAtMonth,
+      costs: monthElecCost + monthMaintenanceCost,
+    });
+    const monthlySaleProceeds = monthlyBtcSold * btcPriceAtMonth;
+    cumulativeBtc -= monthlyBtcSold;
+    cumulativeBtcSold += monthlyBtcSold;
+    realizedFiat += monthlySaleProceeds;
+
+    cumulativeElecCost += monthElecCost;
+    cumulativeMaintenanceCost += monthMaintenanceCost;
+    // Revenue given up to pool fees and downtime, valued at this month's price.
+    cumulativePoolFeeValue += monthlyPoolFeeBtc * btcPriceAtMonth;
+    cumulativeDowntimeValue += monthlyDowntimeBtc * btcPriceAtMonth;
+
+    // Portfolio value = BTC still held × BTC price at that month, plus fiat realized from sales
+    // and the resale value of owned hardware (0 for contracts)
+    const hardwareValue = hardwareValueAtMonth(tier, month);
+    const portfolioValue = cumulativeBtc * btcPriceAtMonth + realizedFiat + hardwareValue;
+
+    // Total cost = upfront payment + cumulative electricity + cumulative hosting/maintenance
+    const totalCost = tier.price + cumulativeElecCost + cumulativeMaintenanceCost;
+
+    // ROI = (value - cost) / cost
+    const roi = ((portfolioValue - totalCost) / totalCost) * 100;
+
+    projections.push({
+      month,
+      active: !terminated,
+      monthlyBtcGross,
+      monthlyPoolFeeBtc,
+      monthlyBtcNet,
+      monthlyDowntimeBtc,
+      difficultyFactor,
+      blockSubsidy: subsidy,
+      halvingHeight,
+      cumulativeBtc,
+      monthlyBtcSold,
+      monthlySaleProceeds,
+      cumulativeBtcSold,
+      realizedFiat,
+      btcPrice: btcPriceAtMonth,
+      hardwareValue,
+      portfolioValue,
+      monthlyElecCost: monthElecCost,
+      monthlyMaintenanceCost: monthMaintenanceCost,
+      cumulativeElecCost,
+      cumulativeMaintenanceCost,
+      cumulativePoolFeeValue,
+      cumulativeDowntimeValue,
+      totalCost,
+      totalReturn: portfolioValue - totalCost,
+      roi,
+    });
+  }
+
+  return projections;
+}
+
+// First month whose portfolio value covers total cost, or null if it never does.
+export function firstBreakevenMonth(projections) {
+  const row = projections.find((p) => p.portfolioValue >= p.totalCost);
+  return row ? row.month : null;
+}
+
+// Headline numbers for the final month of a projection, or null for an empty projection.
+export function summarizeProjection(projections) {
+  const last = projections[projections.length - 1];
+  if (!last) return null;
+  return {
+    months: last.month,
+    cumulativeBtc: last.cumulativeBtc,
+    cumulativeBtcSold: last.cumulativeBtcSold,
+    realizedFiat: last.realizedFiat,
+    finalBtcPrice: last.btcPrice,
+    portfolioValue: last.portfolioValue,
+    totalCost: last.totalCost,
+    // Estimated resale value of owned hardware included in portfolioValue (0 for contracts).
+    hardwareValue: last.hardwareValue,
+    roi: last.roi,
+    breakevenMonth: firstBreakevenMonth(projections),
+    // First month without mining when the contract stopped early, else null.
+    terminatedMonth: projections.find((p) => !p.active)?.month ?? null,
+  };
+}
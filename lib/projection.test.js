@@ -0,0 +1,153 @@
+import { describe, expect, it } from 'vitest';
+import {
+  buildBaseMultipliers,
+  elecCostPerThPerDay,
+  firstBreakevenMonth,
+  monthlyElecCost,
+  projectMonthly,
+  scaleGrowthScenarios,
+  summarizeProjection,
+} from './projection';
+
+// 100 TH/s at $0.05/TH/day and $50k BTC mines 0.003 BTC a month at flat difficulty;
+// 20 W/TH at $0.10/kWh costs $144 a month.
+const BASE = {
+  tier: { name: 'Test', price: 1000, hashrate: 100 },
+  hashpriceUsd: 0.05,
+  currentBtcPrice: 50000,
+  difficultyGrowthMonthly: 0,
+  electricityCostKwh: 0.1,
+  wattsPerTh: 20,
+  contractMonths: 12,
+  finalMultiplier: 1,
+};
+
+describe('electricity cost', () => {
+  it('converts W/TH and $/kWh into a monthly cost', () => {
+    expect(elecCostPerThPerDay(20, 0.1)).toBeCloseTo(0.048, 12);
+    expect(monthlyElecCost({ wattsPerTh: 20, electricityCostKwh: 0.1, hashrate: 100 })).toBeCloseTo(144, 9);
+  });
+});
+
+describe('projectMonthly', () => {
+  it('matches hand-computed numbers at a flat price and difficulty', () => {
+    const rows = projectMonthly(BASE);
+    expect(rows).toHaveLength(12);
+    expect(rows[0].monthlyBtcGross).toBeCloseTo(0.003, 12);
+
+    const last = rows[11];
+    expect(last.cumulativeBtc).toBeCloseTo(0.036, 12);
+    expect(last.btcPrice).toBeCloseTo(50000, 6);
+    expect(last.portfolioValue).toBeCloseTo(1800, 6);
+    expect(last.cumulativeElecCost).toBeCloseTo(1728, 6);
+    expect(last.totalCost).toBeCloseTo(2728, 6);
+    expect(last.roi).toBeCloseTo(((1800 - 2728) / 2728) * 100, 9);
+  });
+
+  it('grows the price to the final multiplier and shrinks output with difficulty', () => {
+    const rows = projectMonthly({ ...BASE, finalMultiplier: 2, difficultyGrowthMonthly: 0.04 });
+    expect(rows[11].btcPrice).toBeCloseTo(100000, 6);
+    expect(rows[1].monthlyBtcGross).toBeCloseTo(0.003 / 1.04, 12);
+    expect(rows[11].monthlyBtcGross).toBeCloseTo(0.003 / Math.pow(1.04, 11), 12);
+    // Geometric series of the monthly output.
+    const minedBtc = (0.003 * (1 - Math.pow(1.04, -12))) / (1 - 1 / 1.04);
+    expect(rows[11].cumulativeBtc).toBeCloseTo(minedBtc, 12);
+    expect(rows[11].portfolioValue).toBeCloseTo(minedBtc * 100000, 6);
+  });
+
+  it('applies pool fee, uptime and hosting fees', () => {
+    const rows = projectMonthly({ ...BASE, poolFee: 0.02, uptime: 0.5, hostingFeeMonthly: 10, hostingFeePerThDay: 0.01 });
+    expect(rows[0].monthlyBtcGross).toBeCloseTo(0.0015, 12);
+    expect(rows[0].monthlyPoolFeeBtc).toBeCloseTo(0.00003, 12);
+    expect(rows[0].monthlyBtcNet).toBeCloseTo(0.00147, 12);
+    expect(rows[0].monthlyDowntimeBtc).toBeCloseTo(0.0015, 12);
+    // Power is only drawn while up; hosting is $10 flat + $0.01 × 100 TH × 30 days either way.
+    expect(rows[0].monthlyElecCost).toBeCloseTo(72, 9);
+    expect(rows[0].monthlyMaintenanceCost).toBeCloseTo(40, 9);
+  });
+
+  it('stops mining and costs once a month is unprofitable', () => {
+    // $129.60 of power a month: 0.003 BTC stops covering it once BTC falls below $43,200,
+    // which a price halving over the year reaches in month 3.
+    const rows = projectMonthly({ ...BASE, electricityCostKwh: 0.09, finalMultiplier: 0.5, stopWhenUnprofitable: true });
+    const stopped = rows.findIndex((r) => !r.active);
+    expect(stopped).toBe(2);
+    expect(summarizeProjection(rows).terminatedMonth).toBe(3);
+    expect(rows[11].totalCost).toBeCloseTo(1000 + 2 * 129.6, 9);
+    rows.slice(stopped).forEach((r) => {
+      expect(r.monthlyBtcNet).toBe(0);
+      expect(r.monthlyElecCost).toBe(0);
+    });
+    expect(rows[rows.length - 1].cumulativeBtc).toBeCloseTo(0.003 * stopped, 12);
+  });
+
+  it('follows an explicit BTC price path', () => {
+    const btcPricePath = Array.from({ length: 12 }, (_, i) => 40000 + i * 1000);
+    const rows = projectMonthly({ ...BASE, btcPricePath });
+    expect(rows.map((r) => r.btcPrice)).toEqual(btcPricePath);
+    expect(rows[11].portfolioValue).toBeCloseTo(0.036 * 51000, 6);
+  });
+
+  it('follows a difficulty model instead of the flat rate', () => {
+    const difficultyModel = { type: 'piecewise', segments: [{ months: 2, rate: 0.1 }], thereafterRate: 0 };
+    const rows = projectMonthly({ ...BASE, difficultyModel });
+    expect(rows.map((r) => r.difficultyFactor).slice(0, 4)).toEqual([1, 1.1, expect.closeTo(1.21, 12), expect.closeTo(1.21, 12)]);
+    expect(rows[3].monthlyBtcGross).toBeCloseTo(0.003 / 1.21, 12);
+  });
+
+  it('derives BTC from block rewards and network hashrate with the halving model', () => {
+    // Two months before the 2028 halving: month 1 earns 3.125 BTC blocks, month 3 straddles it.
+    const blockHeight = 1050000 - 2 * 4320 - 100;
+    const rows = projectMonthly({
+      ...BASE,
+      revenueModel: 'halving',
+      network: { blockHeight, networkHashrateEh: 500, feeShare: 0 },
+    });
+    expect(rows[0].monthlyBtcGross).toBeCloseTo((4320 * 3.125 * 100) / 5e8, 15);
+    expect(rows[0].blockSubsidy).toBe(3.125);
+    expect(rows[2].halvingHeight).toBe(1050000);
+    expect(rows[2].monthlyBtcGross).toBeCloseTo(((100 * 3.125 + 4220 * 1.5625) * 100) / 5e8, 15);
+    expect(rows[3].blockSubsidy).toBe(1.5625);
+    expect(projectMonthly({ ...BASE, revenueModel: 'halving', network: null })).toEqual([]);
+  });
+
+  it('returns no rows for incomplete inputs', () => {
+    expect(projectMonthly(null)).toEqual([]);
+    expect(projectMonthly({ ...BASE, currentBtcPrice: 0 })).toEqual([]);
+    expect(projectMonthly({ ...BASE, finalMultiplier: undefined })).toEqual([]);
+    expect(projectMonthly({ ...BASE, contractMonths: 0 })).toEqual([]);
+    expect(projectMonthly({ ...BASE, poolFee: 1 })).toEqual([]);
+    expect(projectMonthly({ ...BASE, btcPricePath: [50000] })).toEqual([]);
+  });
+});
+
+describe('summarizeProjection', () => {
+  it('reports the final row and the first breakeven month', () => {
+    // Free electricity: value reaches the $1000 price once 0.02 BTC is mined at $50k.
+    const rows = projectMonthly({ ...BASE, electricityCostKwh: 0 });
+    const summary = summarizeProjection(rows);
+    expect(summary).toMatchObject({ months: 12, breakevenMonth: 7, terminatedMonth: null, hardwareValue: 0, totalCost: 1000 });
+    expect(summary.cumulativeBtc).toBeCloseTo(0.036, 12);
+    expect(summary.portfolioValue).toBeCloseTo(1800, 6);
+    expect(summary.roi).toBeCloseTo(80, 9);
+    expect(firstBreakevenMonth(rows)).toBe(7);
+  });
+
+  it('is null for an empty projection', () => {
+    expect(summarizeProjection([])).toBeNull();
+  });
+});
+
+describe('scaleGrowthScenarios', () => {
+  it('scales the 24-month multipliers to the contract length', () => {
+    const scaled = scaleGrowthScenarios({ up: { label: 'Up', base24m: 4 }, none: { label: 'None', base24m: null } }, 12);
+    expect(scaled.up.finalMultiplier).toBeCloseTo(2, 9);
+    expect(scaled.up.label).toBe('Up (2.00x / +100%)');
+    expect(scaled.none).toMatchObject({ finalMultiplier: null, label: 'None (unavailable)' });
+  });
+
+  it('leaves the historical scenario unavailable until prices load', () => {
+    expect(scaleGrowthScenarios(buildBaseMultipliers(null), 12).historical.finalMultiplier).toBeNull();
+    expect(scaleGrowthScenarios(buildBaseMultipliers(4), 12).historical.finalMultiplier).toBeCloseTo(2, 9);
+  });
+});
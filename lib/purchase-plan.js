@@ -0,0 +1,203 @@
+// Purchase plans: several contracts bought over time (dollar-cost averaging) and/or
+// bought with mined BTC (auto-reinvest), projected together over one horizon.
+// Each contract is a projectMonthly() run offset by its start month, so overlapping
+// contracts see the same BTC price path, difficulty and halvings.
+
+import { firstBreakevenMonth, projectMonthly } from './projection';
+import { clampContractMonths, resolveWattsPerTh } from './tiers';
+
+// Upper bound on contracts in one plan, so a runaway reinvest rule stays cheap to project.
+export const MAX_PLAN_CONTRACTS = 200;
+
+// Cash purchases: `times` contracts of `tier`, the first at startMonth (0 = today) and then
+// every `everyMonths`. Returns [{ tier, startMonth, contractMonths }] sorted by start month,
+// dropping purchases that would start at or after the horizon.
+export function expandPurchaseSchedule(purchases, horizonMonths) {
+  const expanded = [];
+  purchases.forEach(({ tier, startMonth = 0, contractMonths, everyMonths = 0, times = 1 }) => {
+    if (!tier) return;
+    for (let i = 0; i < times; i++) {
+      const start = startMonth + i * everyMonths;
+      if (start >= horizonMonths || (i > 0 && !(everyMonths > 0))) break;
+      expanded.push({ tier, startMonth: start, contractMonths: clampContractMonths(tier, contractMonths) });
+    }
+  });
+  return expanded.sort((a, b) => a.startMonth - b.startMonth);
+}
+
+// input is a projectMonthly() input without tier / contractMonths; finalMultiplier applies
+// at the end of the horizon. input.wattsPerTh is the user's efficiency, if any; otherwise
+// each tier uses its own (see resolveWattsPerTh).
+//
+// plan = {
+//   horizonMonths,
+//   purchases,  // cash purchases, see expandPurchaseSchedule()
+//   reinvest,   // { tier, contractMonths } or null: at each month end, buy `tier` with held BTC
+//               // while the BTC is worth at least its price and the contract ends within the horizon
+// }
+//
+// Returns { rows, contracts, summary }, or null when the inputs can't be projected. Contracts
+// still running at the horizon are cut off there (their upfront price counts in full).
+export function projectPurchasePlan(input, { horizonMonths, purchases = [], reinvest = null }) {
+  const { currentBtcPrice, finalMultiplier } = input || {};
+  if (!(Number.isInteger(horizonMonths) && horizonMonths > 0)) return null;
+  if (!(currentBtcPrice > 0) || !(finalMultiplier > 0)) return null;
+
+  const monthlyBtcGrowthRate = Math.pow(finalMultiplier, 1 / horizonMonths) - 1;
+  const priceAt = (month) => currentBtcPrice * Math.pow(1 + monthlyBtcGrowthRate, month);
+
+  const contracts = [];
+  const addContract = (tier, startMonth, contractMonths, funding) => {
+    const months = Math.min(contractMonths, horizonMonths - startMonth);
+    // Plans hold every contract's BTC (no sell strategy) so reinvesting has BTC to spend.
+    const rows = projectMonthly({
+      ...input,
+      sellStrategy: null,
+      tier,
+      wattsPerTh: resolveWattsPerTh(tier, input.wattsPerTh),
+      contractMonths: months,
+      startMonth,
+      horizonMonths,
+    });
+    if (rows.length === 0) return false;
+    contracts.push({ id: contracts.length + 1, tier, startMonth, endMonth: startMonth + months, contractMonths, funding, rows });
+    return true;
+  };
+
+  expandPurchaseSchedule(purchases, horizonMonths)
+    .slice(0, MAX_PLAN_CONTRACTS)
+    .forEach((p) => addContract(p.tier, p.startMonth, p.contractMonths, 'cash'));
+
+  const reinvestTier = reinvest?.tier?.price > 0 ? reinvest.tier : null;
+  const reinvestMonths = reinvestTier ? clampContractMonths(reinvestTier, reinvest.contractMonths) : 0;
+  const rows = [];
+  let heldBtc = 0;
+  let btcReinvested = 0;
+  let cumulativeElecCost = 0;
+  let cumulativeMaintenanceCost = 0;
+
+  for (let month = 1; month <= horizonMonths; month++) {
+    const btcPrice = priceAt(month);
+    let activeContracts = 0;
+    let hashrate = 0;
+    let monthlyBtcGross = 0;
+    let monthlyPoolFeeBtc = 0;
+    let monthlyBtcNet = 0;
+    let monthlyElecCost = 0;
+    let monthlyMaintenanceCost = 0;
+    let hardwareValue = 0;
+
+    contracts.forEach((c) => {
+      if (c.startMonth >= month) return;
+      // Owned hardware keeps its last resale value once the holding period ends.
+      const row = c.rows[Math.min(month, c.endMonth) - c.startMonth - 1];
+      hardwareValue += row.hardwareValue;
+      if (month > c.endMonth) return;
+      if (row.active) {
+        activeContracts += 1;
+        hashrate += c.tier.hashrate;
+      }
+      monthlyBtcGross += row.monthlyBtcGross;
+      monthlyPoolFeeBtc += row.monthlyPoolFeeBtc;
+      monthlyBtcNet += row.monthlyBtcNet;
+      monthlyElecCost += row.monthlyElecCost;
+      monthlyMaintenanceCost += row.monthlyMaintenanceCost;
+    });
+
+    heldBtc += monthlyBtcNet;
+    cumulativeElecCost += monthlyElecCost;
+    cumulativeMaintenanceCost += monthlyMaintenanceCost;
+
+    // Reinvested contracts start at this month's end and are paid for in BTC at this month's price.
+    let monthlyReinvestedBtc = 0;
+    if (reinvestTier && month + reinvestMonths <= horizonMonths) {
+      while (heldBtc * btcPrice >= reinvestTier.price && contracts.length < MAX_PLAN_CONTRACTS) {
+        if (!addContract(reinvestTier, month, reinvestMonths, 'reinvest')) break;
+        const spent = reinvestTier.price / btcPrice;
+        heldBtc -= spent;
+        monthlyReinvestedBtc += spent;
+      }
+    }
+    btcReinvested += monthlyReinvestedBtc;
+
+    // Only cash purchases are new money; reinvested ones were paid for with mined BTC.
+    const cumulativeInvested = contracts
+      .filter((c) => c.funding === 'cash' && c.startMonth <= month)
+      .reduce((sum, c) => sum + c.tier.price, 0);
+    const portfolioValue = heldBtc * btcPrice + hardwareValue;
+    const totalCost = cumulativeInvested + cumulativeElecCost + cumulativeMaintenanceCost;
+
+    rows.push({
+      month,
+      activeContracts,
+      hashrate,
+      monthlyBtcGross,
+      monthlyPoolFeeBtc,
+      monthlyBtcNet,
+      monthlyReinvestedBtc,
+      cumulativeBtc: heldBtc,
+      btcPrice,
+      hardwareValue,
+      portfolioValue,
+      monthlyElecCost,
+      monthlyMaintenanceCost,
+      cumulativeElecCost,
+      cumulativeMaintenanceCost,
+      cumulativeInvested,
+      totalCost,
+      roi: totalCost > 0 ? ((portfolioValue - totalCost) / totalCost) * 100 : 0,
+    });
+  }
+
+  // Each contract's own result at the horizon: everything it mined valued at the final price,
+  // whether it was held or reinvested.
+  const finalPrice = priceAt(horizonMonths);
+  const contractResults = contracts.map((c) => {
+    const last = c.rows[c.rows.length - 1];
+    const value = last.cumulativeBtc * finalPrice + last.hardwareValue;
+    const cost = last.totalCost;
+    return {
+      id: c.id,
+      tierName: c.tier.name,
+      color: c.tier.color,
+      funding: c.funding,
+      startMonth: c.startMonth,
+      endMonth: c.endMonth,
+      contractMonths: c.contractMonths,
+      price: c.tier.price,
+      hashrate: c.tier.hashrate,
+      btcMined: last.cumulativeBtc,
+      cost,
+      value,
+      roi: ((value - cost) / cost) * 100,
+      terminatedMonth: c.rows.find((r) => !r.active)?.month ?? null,
+    };
+  });
+  const totalValue = contractResults.reduce((sum, c) => sum + c.value, 0);
+  contractResults.forEach((c) => {
+    c.valueShare = totalValue > 0 ? c.value / totalValue : 0;
+  });
+
+  const last = rows[rows.length - 1];
+  return {
+    rows,
+    contracts: contractResults,
+    summary: {
+      months: horizonMonths,
+      contracts: contracts.length,
+      cashContracts: contracts.filter((c) => c.funding === 'cash').length,
+      reinvestContracts: contracts.filter((c) => c.funding === 'reinvest').length,
+      peakHashrate: Math.max(0, ...rows.map((r) => r.hashrate)),
+      cumulativeBtc: last.cumulativeBtc,
+      btcReinvested,
+      finalBtcPrice: last.btcPrice,
+      portfolioValue: last.portfolioValue,
+      cashInvested: last.cumulativeInvested,
+      totalCost: last.totalCost,
+      // Blended across every contract: combined value against all cash put in.
+      roi: last.roi,
+      breakevenMonth: firstBreakevenMonth(rows.filter((r) => r.totalCost > 0)),
+      capped: contracts.length >= MAX_PLAN_CONTRACTS,
+    },
+  };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { expandPurchaseSchedule, projectPurchasePlan } from './purchase-plan';
+import { projectMonthly } from './projection';
+
+const TIER = { name: 'Test', price: 1000, hashrate: 100, wattsPerTh: 20 };
+
+// Free power so every month's BTC adds up cleanly; 0.003 BTC per contract-month.
+const INPUT = {
+  hashpriceUsd: 0.05,
+  currentBtcPrice: 50000,
+  difficultyModel: { type: 'flat', rate: 0 },
+  electricityCostKwh: 0,
+  finalMultiplier: 1,
+};
+
+describe('expandPurchaseSchedule', () => {
+  it('repeats purchases and drops those starting at or after the horizon', () => {
+    const schedule = expandPurchaseSchedule(
+      [
+        { tier: TIER, startMonth: 6, contractMonths: 6 },
+        { tier: TIER, startMonth: 0, contractMonths: 12, everyMonths: 4, times: 5 },
+      ],
+      12
+    );
+    expect(schedule.map((p) => p.startMonth)).toEqual([0, 4, 6, 8]);
+  });
+
+  it('clamps contract lengths to what the tier is sold for', () => {
+    const [p] = expandPurchaseSchedule([{ tier: { ...TIER, maxContractMonths: 6 }, contractMonths: 24 }], 12);
+    expect(p.contractMonths).toBe(6);
+  });
+});
+
+describe('projectPurchasePlan', () => {
+  it('matches a single projection for one cash purchase', () => {
+    const plan = projectPurchasePlan(INPUT, { horizonMonths: 12, purchases: [{ tier: TIER, contractMonths: 12 }] });
+    const single = projectMonthly({ ...INPUT, tier: TIER, wattsPerTh: 20, contractMonths: 12 });
+    expect(plan.summary.cumulativeBtc).toBeCloseTo(single[11].cumulativeBtc, 12);
+    expect(plan.summary.totalCost).toBe(1000);
+    expect(plan.summary).toMatchObject({ contracts: 1, cashContracts: 1, reinvestContracts: 0, breakevenMonth: 7 });
+  });
+
+  it('staggers contracts over the horizon', () => {
+    const plan = projectPurchasePlan(INPUT, {
+      horizonMonths: 12,
+      purchases: [{ tier: TIER, contractMonths: 6, everyMonths: 6, times: 2 }],
+    });
+    expect(plan.rows[5].activeContracts).toBe(1);
+    expect(plan.rows[6].activeContracts).toBe(1);
+    // The second contract is paid for when it starts, at the end of month 6.
+    expect(plan.rows[4].cumulativeInvested).toBe(1000);
+    expect(plan.rows[5].cumulativeInvested).toBe(2000);
+    expect(plan.summary.cumulativeBtc).toBeCloseTo(0.036, 12);
+  });
+
+  it('reinvests held BTC once it covers a contract', () => {
+    const cheap = { ...TIER, name: 'Cheap', price: 100 };
+    const plan = projectPurchasePlan(INPUT, {
+      horizonMonths: 12,
+      purchases: [{ tier: TIER, contractMonths: 12 }],
+      reinvest: { tier: cheap, contractMonths: 3 },
+    });
+    expect(plan.summary.reinvestContracts).toBeGreaterThan(0);
+    expect(plan.summary.btcReinvested).toBeCloseTo(plan.summary.reinvestContracts * (100 / 50000), 12);
+    // Reinvested contracts are paid in BTC, not new cash.
+    expect(plan.summary.cashInvested).toBe(1000);
+  });
+
+  it('gives the user\'s efficiency precedence over the tier\'s', () => {
+    const withPower = { ...INPUT, electricityCostKwh: 0.1 };
+    const own = projectPurchasePlan(withPower, { horizonMonths: 1, purchases: [{ tier: TIER, contractMonths: 1 }] });
+    const user = projectPurchasePlan({ ...withPower, wattsPerTh: 40 }, { horizonMonths: 1, purchases: [{ tier: TIER, contractMonths: 1 }] });
+    expect(own.rows[0].monthlyElecCost).toBeCloseTo(144, 9);
+    expect(user.rows[0].monthlyElecCost).toBeCloseTo(288, 9);
+  });
+
+  it('returns null for an invalid horizon or price', () => {
+    expect(projectPurchasePlan(INPUT, { horizonMonths: 0 })).toBeNull();
+    expect(projectPurchasePlan({ ...INPUT, currentBtcPrice: 0 }, { horizonMonths: 12 })).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+// What happens to mined BTC: held to the end, or sold along the way for fiat.
+//
+// A strategy is one of:
+//   { type: 'hold' }                     keep every satoshi (default)
+//   { type: 'coverCosts' }               each month, sell enough BTC to pay that month's electricity + hosting
+//   { type: 'percent', fraction }        each month, sell this fraction of the BTC mined that month, e.g. 0.5
+//   { type: 'target', price }            sell everything held in any month the BTC price is at or above `price`
+
+export const SELL_STRATEGY_TYPES = ['hold', 'coverCosts', 'percent', 'target'];
+
+export const SELL_STRATEGY_LABELS = {
+  hold: 'Hold all',
+  coverCosts: 'Sell to cover costs',
+  percent: 'Sell % monthly',
+  target: 'Sell at target price',
+};
+
+export const DEFAULT_SELL_STRATEGIES = {
+  hold: { type: 'hold' },
+  coverCosts: { type: 'coverCosts' },
+  percent: { type: 'percent', fraction: 0.5 },
+  target: { type: 'target', price: 150000 },
+};
+
+// BTC to sell at the end of a month. heldBtc already includes this month's minedBtc;
+// costs is the month's electricity + hosting in fiat.
+export function btcToSell(strategy, { heldBtc, minedBtc, price, costs }) {
+  let btc = 0;
+  switch (strategy?.type) {
+    case 'coverCosts':
+      btc = costs / price;
+      break;
+    case 'percent':
+      btc = minedBtc * strategy.fraction;
+      break;
+    case 'target':
+      btc = price >= strategy.price ? heldBtc : 0;
+      break;
+    default:
+      return 0;
+  }
+  return Math.min(heldBtc, Math.max(0, btc));
+}
+
+// Same { value, errors } shape as validateDifficultyModel.
+export function validateSellStrategy(strategy, field = 'sellStrategy') {
+  const errors = [];
+  if (!strategy || !SELL_STRATEGY_TYPES.includes(strategy.type)) {
+    return { errors: [{ field, message: `must be one of ${SELL_STRATEGY_TYPES.join(', ')}` }] };
+  }
+  if (strategy.type === 'percent') {
+    const fraction = Number(strategy.fraction);
+    if (!Number.isFinite(fraction) || fraction < 0 || fraction > 1) {
+      errors.push({ field: 'sellFraction', message: 'must be between 0 and 1' });
+    }
+    return errors.length ? { errors } : { errors, value: { type: 'percent', fraction } };
+  }
+  if (strategy.type === 'target') {
+    const price = Number(strategy.price);
+    if (!Number.isFinite(price) || price <= 0) {
+      errors.push({ field: 'sellTargetPrice', message: 'must be greater than 0' });
+    }
+    return errors.length ? { errors } : { errors, value: { type: 'target', price } };
+  }
+  return { errors, value: { type: strategy.type } };
+}
+
+export function describeSellStrategy(strategy) {
+  switch (strategy?.type) {
+    case 'coverCosts':
+      return 'Sell BTC monthly to cover electricity + hosting';
+    case 'percent':
+      return `Sell ${Math.round(strategy.fraction * 1000) / 10}% of each month's BTC`;
+    case 'target':
+      return `Sell all BTC while the price is at or above ${strategy.price}`;
+    default:
+      return 'Hold all mined BTC';
+  }
+}
@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { btcToSell, describeSellStrategy, validateSellStrategy } from './sell-strategy';
+
+const MONTH = { heldBtc: 1, minedBtc: 0.1, price: 50000, costs: 1000 };
+
+describe('btcToSell', () => {
+  it('holds by default', () => {
+    expect(btcToSell(null, MONTH)).toBe(0);
+    expect(btcToSell({ type: 'hold' }, MONTH)).toBe(0);
+  });
+
+  it('sells enough to cover the month\'s costs', () => {
+    expect(btcToSell({ type: 'coverCosts' }, MONTH)).toBeCloseTo(0.02, 12);
+  });
+
+  it('sells a share of the month\'s BTC', () => {
+    expect(btcToSell({ type: 'percent', fraction: 0.25 }, MONTH)).toBeCloseTo(0.025, 12);
+  });
+
+  it('sells everything held at or above the target price', () => {
+    expect(btcToSell({ type: 'target', price: 50000 }, MONTH)).toBe(1);
+    expect(btcToSell({ type: 'target', price: 50001 }, MONTH)).toBe(0);
+  });
+
+  it('never sells more than is held', () => {
+    expect(btcToSell({ type: 'coverCosts' }, { ...MONTH, heldBtc: 0.01 })).toBe(0.01);
+  });
+});
+
+describe('validateSellStrategy', () => {
+  it('normalizes parameters from strings', () => {
+    expect(validateSellStrategy({ type: 'percent', fraction: '0.5' }).value).toEqual({ type: 'percent', fraction: 0.5 });
+    expect(validateSellStrategy({ type: 'target', price: '90000' }).value).toEqual({ type: 'target', price: 90000 });
+    expect(validateSellStrategy({ type: 'coverCosts', price: 1 }).value).toEqual({ type: 'coverCosts' });
+  });
+
+  it('reports invalid strategies by field', () => {
+    expect(validateSellStrategy({ type: 'dump' }).errors[0].field).toBe('sellStrategy');
+    expect(validateSellStrategy({ type: 'percent', fraction: 2 }).errors).toEqual([
+      { field: 'sellFraction', message: 'must be between 0 and 1' },
+    ]);
+    expect(validateSellStrategy({ type: 'target' }).errors[0].field).toBe('sellTargetPrice');
+  });
+
+  it('describes each strategy', () => {
+    expect(describeSellStrategy({ type: 'percent', fraction: 0.125 })).toBe("Sell 12.5% of each month's BTC");
+    expect(describeSellStrategy(undefined)).toBe('Hold all mined BTC');
+  });
+});
@@ -0,0 +1,96 @@
+// Sensitivity analysis: how final ROI moves when each input is perturbed.
+
+import { projectMonthly, summarizeProjection } from './projection';
+import { DEFAULT_DIFFICULTY_GROWTH_MONTHLY, scaleDifficultyModel } from './difficulty';
+
+// Each input knows how to apply a relative change (factor = 1.2 means +20%)
+// to a projectMonthly() input.
+export const SENSITIVITY_INPUTS = [
+  {
+    key: 'currentBtcPrice',
+    label: 'BTC price',
+    // Hashprice is fiat per TH/day, so it moves with the price; otherwise the BTC mined
+    // per day (hashprice / price) would shrink by the same factor and cancel the change out.
+    apply: (input, factor) => ({
+      ...input,
+      currentBtcPrice: input.currentBtcPrice * factor,
+      hashpriceUsd: input.hashpriceUsd * factor,
+    }),
+  },
+  {
+    key: 'hashpriceUsd',
+    label: 'Hashprice',
+    apply: (input, factor) => ({ ...input, hashpriceUsd: input.hashpriceUsd * factor }),
+  },
+  {
+    key: 'electricityCostKwh',
+    label: 'Electricity cost',
+    apply: (input, factor) => ({ ...input, electricityCostKwh: input.electricityCostKwh * factor }),
+  },
+  {
+    key: 'wattsPerTh',
+    label: 'Efficiency (W/TH)',
+    apply: (input, factor) => ({ ...input, wattsPerTh: input.wattsPerTh * factor }),
+  },
+  {
+    key: 'difficultyGrowth',
+    label: 'Difficulty growth',
+    apply: (input, factor) => ({
+      ...input,
+      difficultyModel: scaleDifficultyModel(
+        // Same fallback as projectMonthly().
+        input.difficultyModel || { type: 'flat', rate: input.difficultyGrowthMonthly ?? DEFAULT_DIFFICULTY_GROWTH_MONTHLY },
+        factor
+      ),
+    }),
+  },
+  {
+    key: 'finalMultiplier',
+    label: 'Scenario multiplier',
+    apply: (input, factor) => ({ ...input, finalMultiplier: input.finalMultiplier * factor }),
+  },
+];
+
+export function findSensitivityInput(key) {
+  return SENSITIVITY_INPUTS.find((s) => s.key === key) || null;
+}
+
+function finalRoi(input) {
+  return summarizeProjection(projectMonthly(input))?.roi ?? null;
+}
+
+// Returns rows sorted by ROI swing (largest first):
+//   [{ key, label, lowRoi, highRoi, swing }]
+// lowRoi/highRoi are the ROI at -downPct / +upPct of the input, not the min/max ROI.
+export function tornadoAnalysis(input, { downPct = 20, upPct = 20 } = {}) {
+  const baseRoi = finalRoi(input);
+  if (baseRoi === null) return { baseRoi: null, rows: [] };
+
+  const rows = SENSITIVITY_INPUTS.map(({ key, label, apply }) => {
+    const lowRoi = finalRoi(apply(input, 1 - downPct / 100));
+    const highRoi = finalRoi(apply(input, 1 + upPct / 100));
+    const swing = lowRoi !== null && highRoi !== null ? Math.abs(highRoi - lowRoi) : 0;
+    return { key, label, lowRoi, highRoi, swing };
+  });
+  rows.sort((a, b) => b.swing - a.swing);
+  return { baseRoi, rows };
+}
+
+// Evenly spaced percentage steps from -rangePct to +rangePct, e.g. (-20, -10, 0, 10, 20).
+export function percentSteps(rangePct, count) {
+  if (count <= 1) return [0];
+  return Array.from({ length: count }, (_, i) => -rangePct + (2 * rangePct * i) / (count - 1));
+}
+
+// ROI grid for two inputs perturbed together: grid[yIdx][xIdx].
+export function sensitivityHeatmap(input, xKey, yKey, { rangePct = 30, steps = 7 } = {}) {
+  const x = findSensitivityInput(xKey);
+  const y = findSensitivityInput(yKey);
+  const pcts = percentSteps(rangePct, steps);
+  if (!x || !y) return { xSteps: pcts, ySteps: pcts, grid: [] };
+
+  const grid = pcts.map((yPct) => pcts.map((xPct) => (
+    finalRoi(x.apply(y.apply(input, 1 + yPct / 100), 1 + xPct / 100))
+  )));
+  return { xSteps: pcts, ySteps: pcts, grid };
+}
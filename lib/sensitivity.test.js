@@ -0,0 +1,55 @@
+import { describe, expect, it } from 'vitest';
+import { findSensitivityInput, percentSteps, sensitivityHeatmap, tornadoAnalysis } from './sensitivity';
+import { projectMonthly, summarizeProjection } from './projection';
+
+const BASE = {
+  tier: { name: 'Test', price: 1000, hashrate: 100 },
+  hashpriceUsd: 0.05,
+  currentBtcPrice: 50000,
+  difficultyModel: { type: 'flat', rate: 0.02 },
+  electricityCostKwh: 0.1,
+  wattsPerTh: 20,
+  contractMonths: 12,
+  finalMultiplier: 1.5,
+};
+
+describe('sensitivity inputs', () => {
+  it('keeps the BTC mined per day when the BTC price moves', () => {
+    const moved = findSensitivityInput('currentBtcPrice').apply(BASE, 1.2);
+    expect(moved.currentBtcPrice).toBeCloseTo(60000, 9);
+    const before = projectMonthly(BASE);
+    const after = projectMonthly(moved);
+    after.forEach((row, i) => expect(row.monthlyBtcNet).toBeCloseTo(before[i].monthlyBtcNet, 15));
+    expect(after[11].portfolioValue).toBeCloseTo(before[11].portfolioValue * 1.2, 6);
+  });
+
+  it('ranks the tornado rows by ROI swing', () => {
+    const { baseRoi, rows } = tornadoAnalysis(BASE);
+    expect(baseRoi).toBeCloseTo(summarizeProjection(projectMonthly(BASE)).roi, 9);
+    expect(rows).toHaveLength(6);
+    rows.slice(1).forEach((row, i) => expect(row.swing).toBeLessThanOrEqual(rows[i].swing));
+  });
+});
+
+describe('sensitivityHeatmap', () => {
+  it('builds a steps × steps grid centred on the unperturbed ROI', () => {
+    const { xSteps, ySteps, grid } = sensitivityHeatmap(BASE, 'currentBtcPrice', 'electricityCostKwh', { rangePct: 30, steps: 7 });
+    expect(xSteps).toEqual(percentSteps(30, 7));
+    expect(ySteps).toEqual(xSteps);
+    expect(grid).toHaveLength(7);
+    grid.forEach((row) => expect(row).toHaveLength(7));
+    expect(xSteps[3]).toBe(0);
+    expect(grid[3][3]).toBeCloseTo(summarizeProjection(projectMonthly(BASE)).roi, 9);
+    // A higher BTC price (x) raises ROI; dearer power (y) lowers it.
+    expect(grid[3][6]).toBeGreaterThan(grid[3][3]);
+    expect(grid[6][3]).toBeLessThan(grid[3][3]);
+  });
+
+  it('has an empty grid for an unknown input', () => {
+    expect(sensitivityHeatmap(BASE, 'moonPhase', 'hashpriceUsd', { steps: 3 })).toEqual({
+      xSteps: [-30, 0, 30],
+      ySteps: [-30, 0, 30],
+      grid: [],
+    });
+  });
+});
@@ -0,0 +1,263 @@
+// Shareable calculator state encoded in the URL query string.
+// Parameter names match /api/projection so a shared link's query can be replayed against the API.
+
+import { SCENARIO_KEYS, REVENUE_MODELS, DEFAULT_OPERATING_COSTS } from './projection';
+import {
+  formatDifficultySchedule,
+  parseDifficultySchedule,
+  validateDifficultyModel,
+} from './difficulty';
+import { GROWTH_METHODS, HISTORY_WINDOW_LABELS } from './growth-estimates';
+import { DEFAULT_CURRENCY, normalizeCurrency } from './currency';
+import { findAsicModel, validateDepreciation } from './hardware';
+import { BENCHMARK_MODES } from './benchmark';
+import { validateSellStrategy } from './sell-strategy';
+import { isTaxEnabled, validateTaxSettings } from './tax';
+
+export const BTC_PRICE_SOURCES = ['live', 'override'];
+
+// state = { currency, tierName, custom, hashpriceUsd, hashpriceSource, electricityCostKwh, wattsPerTh, contractMonths, scenario,
+//           currentBtcPrice, btcPriceSource, historyWindow, historyMethod,
+//           difficultyModel, revenueModel, network, operatingCosts, benchmark, sellStrategy, tax }
+// custom = { hashrate, totalPrice?, pricePerTh? } replaces tierName for a custom hashrate purchase.
+// hardware = { modelId, units, unitPrice?, shippingCost, depreciation } replaces both for owned ASICs.
+export function encodeCalculatorState(state) {
+  const params = new URLSearchParams();
+  // Money values below are in this currency.
+  if (state.currency && state.currency !== DEFAULT_CURRENCY) params.set('currency', state.currency);
+  if (state.hardware) {
+    const { modelId, units, unitPrice, shippingCost, depreciation } = state.hardware;
+    params.set('hardwareModel', modelId);
+    params.set('units', String(units));
+    // No hardwarePrice means the model's list price.
+    if (Number.isFinite(unitPrice)) params.set('hardwarePrice', String(unitPrice));
+    if (shippingCost > 0) params.set('shippingCost', String(shippingCost));
+    params.set('depreciationMethod', depreciation.method);
+    if (depreciation.method === 'straightLine') {
+      params.set('usefulLifeMonths', String(depreciation.usefulLifeMonths));
+    } else {
+      params.set('depreciationRate', String(depreciation.annualRate));
+    }
+    params.set('salvageFraction', String(depreciation.salvageFraction));
+  } else if (state.custom) {
+    // Same parameters as a custom /api/projection request; neither price means catalog pricing.
+    params.set('hashrate', String(state.custom.hashrate));
+    if (Number.isFinite(state.custom.totalPrice)) {
+      params.set('price', String(state.custom.totalPrice));
+    } else if (Number.isFinite(state.custom.pricePerTh)) {
+      params.set('pricePerTh', String(state.custom.pricePerTh));
+    }
+  } else {
+    params.set('tier', state.tierName);
+  }
+  params.set('hashpriceUsd', String(state.hashpriceUsd));
+  // Same live/override rule as the BTC price below.
+  if (state.hashpriceSource) params.set('hashpriceSource', state.hashpriceSource);
+  params.set('electricityCostKwh', String(state.electricityCostKwh));
+  // Unset means the tier's own efficiency.
+  if (Number.isFinite(state.wattsPerTh)) params.set('wattsPerTh', String(state.wattsPerTh));
+  params.set('contractMonths', String(state.contractMonths));
+  params.set('scenario', state.scenario);
+
+  // The price is always recorded so the link documents what was used; only an
+  // override is restored as a fixed price.
+  if (Number.isFinite(state.currentBtcPrice)) params.set('btcPrice', String(state.currentBtcPrice));
+  params.set('btcPriceSource', state.btcPriceSource);
+  if (state.historyWindow) params.set('historyWindow', state.historyWindow);
+  if (state.historyMethod) params.set('historyMethod', state.historyMethod);
+
+  const model = state.difficultyModel;
+  if (model) {
+    params.set('difficultyModel', model.type);
+    if (model.type === 'flat') {
+      params.set('difficultyGrowthMonthly', String(model.rate));
+    } else if (model.type === 'decay') {
+      params.set('difficultyInitialRate', String(model.initialRate));
+      params.set('difficultyFloorRate', String(model.floorRate));
+      params.set('difficultyHalfLifeMonths', String(model.halfLifeMonths));
+    } else if (model.type === 'piecewise') {
+      params.set('difficultySchedule', formatDifficultySchedule(model));
+    }
+  }
+
+  // Only non-default operating costs, to keep links short.
+  Object.entries(state.operatingCosts || {}).forEach(([key, value]) => {
+    if (Object.hasOwn(DEFAULT_OPERATING_COSTS, key) && value !== DEFAULT_OPERATING_COSTS[key]) {
+      params.set(key, String(value));
+    }
+  });
+
+  if (state.benchmark && state.benchmark !== 'dca') params.set('benchmark', state.benchmark);
+  const sell = state.sellStrategy;
+  if (sell && sell.type !== 'hold') {
+    params.set('sellStrategy', sell.type);
+    if (sell.type === 'percent') params.set('sellFraction', String(sell.fraction));
+    if (sell.type === 'target') params.set('sellTargetPrice', String(sell.price));
+  }
+  const tax = state.tax;
+  if (isTaxEnabled(tax)) {
+    params.set('taxJurisdiction', tax.jurisdiction);
+    // A preset's name implies its rates.
+    if (tax.jurisdiction === 'custom') {
+      params.set('incomeTaxRate', String(tax.incomeRate));
+      params.set('shortTermTaxRate', String(tax.shortTermRate));
+      params.set('longTermTaxRate', String(tax.longTermRate));
+      params.set('longTermMonths', String(tax.longTermMonths));
+    }
+    if (tax.lotMethod !== 'fifo') params.set('lotMethod', tax.lotMethod);
+    if (!tax.deductCosts) params.set('deductCosts', 'false');
+  }
+
+  if (state.revenueModel === 'halving' && state.network) {
+    params.set('revenueModel', 'halving');
+    params.set('blockHeight', String(state.network.blockHeight));
+    params.set('networkHashrateEh', String(state.network.networkHashrateEh));
+    params.set('feeShare', String(state.network.feeShare));
+  }
+
+  return params.toString();
+}
+
+function readPositive(params, key) {
+  if (!params.has(key)) return undefined;
+  const n = Number(params.get(key));
+  return Number.isFinite(n) && n >= 0 ? n : undefined;
+}
+
+// Lenient: unknown or invalid parameters are dropped so a damaged link still restores what it can.
+// Returns only the fields present in the query.
+export function decodeCalculatorState(search) {
+  const params = new URLSearchParams(search);
+  const state = {};
+
+  const currency = normalizeCurrency(params.get('currency'));
+  if (currency) state.currency = currency;
+
+  // The catalog can change between sharing and opening, so the name is resolved by the page.
+  const tierName = params.get('tier')?.trim();
+  const hardwareModel = findAsicModel(params.get('hardwareModel'));
+  if (hardwareModel) {
+    const units = readPositive(params, 'units');
+    const hardware = { modelId: hardwareModel.id, units: Number.isInteger(units) && units >= 1 ? units : 1 };
+    const unitPrice = readPositive(params, 'hardwarePrice');
+    if (unitPrice !== undefined) hardware.unitPrice = unitPrice;
+    const shippingCost = readPositive(params, 'shippingCost');
+    if (shippingCost !== undefined) hardware.shippingCost = shippingCost;
+    const depreciation = {
+      method: params.get('depreciationMethod') ?? undefined,
+      annualRate: readPositive(params, 'depreciationRate'),
+      usefulLifeMonths: readPositive(params, 'usefulLifeMonths'),
+      salvageFraction: readPositive(params, 'salvageFraction'),
+    };
+    Object.keys(depreciation).forEach((k) => depreciation[k] === undefined && delete depreciation[k]);
+    const { value } = validateDepreciation(depreciation);
+    if (value) hardware.depreciation = value;
+    state.hardware = hardware;
+  } else if (tierName) {
+    state.tierName = tierName.slice(0, 100);
+  } else if (readPositive(params, 'hashrate') > 0) {
+    state.custom = { hashrate: readPositive(params, 'hashrate') };
+    const totalPrice = readPositive(params, 'price');
+    const pricePerTh = readPositive(params, 'pricePerTh');
+    if (totalPrice !== undefined) state.custom.totalPrice = totalPrice;
+    else if (pricePerTh > 0) state.custom.pricePerTh = pricePerTh;
+  }
+  ['hashpriceUsd', 'electricityCostKwh', 'wattsPerTh'].forEach((key) => {
+    const n = readPositive(params, key);
+    if (n !== undefined) state[key] = n;
+  });
+  if (BTC_PRICE_SOURCES.includes(params.get('hashpriceSource'))) {
+    state.hashpriceSource = params.get('hashpriceSource');
+  } else if (state.hashpriceUsd !== undefined) {
+    state.hashpriceSource = 'override';
+  }
+  const months = readPositive(params, 'contractMonths');
+  if (Number.isInteger(months) && months > 0) state.contractMonths = months;
+  if (SCENARIO_KEYS.includes(params.get('scenario'))) state.scenario = params.get('scenario');
+
+  const btcPrice = readPositive(params, 'btcPrice');
+  if (btcPrice > 0) state.currentBtcPrice = btcPrice;
+  if (BTC_PRICE_SOURCES.includes(params.get('btcPriceSource'))) {
+    state.btcPriceSource = params.get('btcPriceSource');
+  } else if (state.currentBtcPrice !== undefined) {
+    // An explicit price without a source is treated as an override.
+    state.btcPriceSource = 'override';
+  }
+
+  if (Object.hasOwn(HISTORY_WINDOW_LABELS, params.get('historyWindow') ?? '')) {
+    state.historyWindow = params.get('historyWindow');
+  }
+  if (Object.hasOwn(GROWTH_METHODS, params.get('historyMethod') ?? '')) {
+    state.historyMethod = params.get('historyMethod');
+  }
+
+  const type = params.get('difficultyModel');
+  let candidate = null;
+  if (type === 'flat') {
+    candidate = { type, rate: params.get('difficultyGrowthMonthly') };
+  } else if (type === 'decay') {
+    candidate = {
+      type,
+      initialRate: params.get('difficultyInitialRate'),
+      floorRate: params.get('difficultyFloorRate'),
+      halfLifeMonths: params.get('difficultyHalfLifeMonths'),
+    };
+  } else if (type === 'piecewise' && params.has('difficultySchedule')) {
+    candidate = parseDifficultySchedule(params.get('difficultySchedule'));
+  }
+  if (candidate) {
+    const { value } = validateDifficultyModel(candidate);
+    if (value) state.difficultyModel = value;
+  }
+
+  const operatingCosts = {};
+  ['poolFee', 'uptime', 'hostingFeePerThDay', 'hostingFeeMonthly'].forEach((key) => {
+    const n = readPositive(params, key);
+    if (n !== undefined) operatingCosts[key] = n;
+  });
+  if (operatingCosts.poolFee >= 1) delete operatingCosts.poolFee;
+  if (operatingCosts.uptime > 1) delete operatingCosts.uptime;
+  if (params.has('stopWhenUnprofitable')) {
+    operatingCosts.stopWhenUnprofitable = ['true', '1'].includes(params.get('stopWhenUnprofitable'));
+  }
+  if (Object.keys(operatingCosts).length > 0) state.operatingCosts = operatingCosts;
+
+  if (Object.hasOwn(BENCHMARK_MODES, params.get('benchmark') ?? '')) state.benchmark = params.get('benchmark');
+  if (params.has('sellStrategy')) {
+    const { value } = validateSellStrategy({
+      type: params.get('sellStrategy'),
+      fraction: params.get('sellFraction'),
+      price: params.get('sellTargetPrice'),
+    });
+    if (value) state.sellStrategy = value;
+  }
+  if (params.has('taxJurisdiction')) {
+    const raw = {
+      jurisdiction: params.get('taxJurisdiction'),
+      incomeRate: params.get('incomeTaxRate') ?? undefined,
+      shortTermRate: params.get('shortTermTaxRate') ?? undefined,
+      longTermRate: params.get('longTermTaxRate') ?? undefined,
+      longTermMonths: params.get('longTermMonths') ?? undefined,
+      lotMethod: params.get('lotMethod') ?? undefined,
+      deductCosts: params.has('deductCosts') ? ['true', '1'].includes(params.get('deductCosts')) : undefined,
+    };
+    const { value } = validateTaxSettings(raw);
+    if (value) state.tax = value;
+  }
+
+  const revenueModel = params.get('revenueModel');
+  if (REVENUE_MODELS.includes(revenueModel)) {
+    state.revenueModel = revenueModel;
+    if (revenueModel === 'halving') {
+      const network = {
+        blockHeight: readPositive(params, 'blockHeight'),
+        networkHashrateEh: readPositive(params, 'networkHashrateEh'),
+        feeShare: readPositive(params, 'feeShare'),
+      };
+      Object.keys(network).forEach((k) => network[k] === undefined && delete network[k]);
+      state.network = network;
+    }
+  }
+
+  return state;
+}
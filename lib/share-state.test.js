@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { decodeCalculatorState, encodeCalculatorState } from './share-state';
+import { applyTaxPreset, DEFAULT_TAX_SETTINGS } from './tax';
+
+const STATE = {
+  currency: 'EUR',
+  tierName: 'Enterprise',
+  hashpriceUsd: 0.045,
+  hashpriceSource: 'override',
+  electricityCostKwh: 0.08,
+  wattsPerTh: 21.5,
+  contractMonths: 18,
+  scenario: 'base',
+  currentBtcPrice: 61000,
+  btcPriceSource: 'override',
+  historyWindow: '4y',
+  historyMethod: 'cagr',
+  difficultyModel: { type: 'piecewise', segments: [{ months: 6, rate: 0.05 }], thereafterRate: 0.02 },
+  revenueModel: 'halving',
+  network: { blockHeight: 900000, networkHashrateEh: 750, feeShare: 0.04 },
+  operatingCosts: { poolFee: 0.02, uptime: 0.95, hostingFeePerThDay: 0, hostingFeeMonthly: 5, stopWhenUnprofitable: true },
+  benchmark: 'lump',
+  sellStrategy: { type: 'target', price: 120000 },
+  tax: { ...applyTaxPreset(DEFAULT_TAX_SETTINGS, 'us'), lotMethod: 'hifo' },
+};
+
+describe('calculator share links', () => {
+  it('round-trips the calculator state', () => {
+    const decoded = decodeCalculatorState(encodeCalculatorState(STATE));
+    expect(decoded).toEqual({
+      ...STATE,
+      // Only non-default operating costs are encoded.
+      operatingCosts: { poolFee: 0.02, uptime: 0.95, hostingFeeMonthly: 5, stopWhenUnprofitable: true },
+    });
+  });
+
+  it('round-trips each difficulty model', () => {
+    [
+      { type: 'flat', rate: 0.03 },
+      { type: 'decay', initialRate: 0.05, floorRate: 0.01, halfLifeMonths: 12 },
+    ].forEach((difficultyModel) => {
+      expect(decodeCalculatorState(encodeCalculatorState({ ...STATE, difficultyModel })).difficultyModel).toEqual(difficultyModel);
+    });
+  });
+
+  it('round-trips custom tax rates, custom purchases and owned hardware', () => {
+    const tax = { jurisdiction: 'custom', incomeRate: 0.3, shortTermRate: 0.3, longTermRate: 0.1, longTermMonths: 24, lotMethod: 'lifo', deductCosts: false };
+    const custom = decodeCalculatorState(encodeCalculatorState({ ...STATE, tierName: null, custom: { hashrate: 50, pricePerTh: 20 }, tax }));
+    expect(custom.custom).toEqual({ hashrate: 50, pricePerTh: 20 });
+    expect(custom.tierName).toBeUndefined();
+    expect(custom.tax).toEqual(tax);
+
+    const hardware = {
+      modelId: 'antminer-s21',
+      units: 3,
+      unitPrice: 3000,
+      shippingCost: 150,
+      depreciation: { method: 'straightLine', annualRate: 0.4, usefulLifeMonths: 36, salvageFraction: 0.1 },
+    };
+    const owned = decodeCalculatorState(encodeCalculatorState({ ...STATE, hardware }));
+    expect(owned.hardware).toEqual(hardware);
+  });
+
+  it('leaves out a tier-default efficiency and untaxed settings', () => {
+    const query = encodeCalculatorState({ ...STATE, wattsPerTh: null, tax: DEFAULT_TAX_SETTINGS, sellStrategy: { type: 'hold' } });
+    const params = new URLSearchParams(query);
+    expect(params.has('wattsPerTh')).toBe(false);
+    expect(params.has('taxJurisdiction')).toBe(false);
+    expect(params.has('sellStrategy')).toBe(false);
+  });
+
+  it('drops invalid parameters from a damaged link', () => {
+    const decoded = decodeCalculatorState(
+      'tier=Starter&contractMonths=1.5&scenario=moon&poolFee=1&difficultyModel=flat&difficultyGrowthMonthly=abc&sellStrategy=percent&sellFraction=3&btcPrice=70000'
+    );
+    expect(decoded).toEqual({ tierName: 'Starter', currentBtcPrice: 70000, btcPriceSource: 'override' });
+  });
+});
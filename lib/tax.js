@@ -0,0 +1,274 @@
+// Tax on mined BTC: income at fair value when it is received, then capital gains or losses
+// when it is sold. Each month's mined BTC is one lot whose cost basis is that month's price;
+// sales consume lots in FIFO / LIFO / HIFO order.
+//
+// Rates are illustrative single marginal rates, not advice. Not modeled: brackets and
+// allowances, self-employment / social taxes, depreciation of the upfront price, and tax
+// on hardware resale.
+
+// Gains on lots held longer than longTermMonths are taxed at longTermRate.
+export const TAX_PRESETS = {
+  none: { label: 'No tax', incomeRate: 0, shortTermRate: 0, longTermRate: 0, longTermMonths: 12 },
+  us: { label: 'United States', incomeRate: 0.24, shortTermRate: 0.24, longTermRate: 0.15, longTermMonths: 12 },
+  uk: { label: 'United Kingdom', incomeRate: 0.4, shortTermRate: 0.24, longTermRate: 0.24, longTermMonths: 12 },
+  // Private disposals held over a year are tax-free.
+  de: { label: 'Germany', incomeRate: 0.42, shortTermRate: 0.42, longTermRate: 0, longTermMonths: 12 },
+  // 50% CGT discount after a year.
+  au: { label: 'Australia', incomeRate: 0.325, shortTermRate: 0.325, longTermRate: 0.1625, longTermMonths: 12 },
+};
+
+export const LOT_METHODS = {
+  fifo: 'FIFO',
+  lifo: 'LIFO',
+  hifo: 'HIFO',
+};
+
+// jurisdiction is a TAX_PRESETS key, or 'custom' once a rate has been edited.
+// deductCosts: electricity + hosting reduce that month's taxable mining income (not below zero).
+export const DEFAULT_TAX_SETTINGS = {
+  jurisdiction: 'none',
+  ...rateFields(TAX_PRESETS.none),
+  lotMethod: 'fifo',
+  deductCosts: true,
+};
+
+const RATE_FIELDS = ['incomeRate', 'shortTermRate', 'longTermRate'];
+
+function rateFields({ incomeRate, shortTermRate, longTermRate, longTermMonths }) {
+  return { incomeRate, shortTermRate, longTermRate, longTermMonths };
+}
+
+// Settings with a preset's rates, keeping the lot method and deduction choice.
+export function applyTaxPreset(settings, jurisdiction) {
+  const preset = TAX_PRESETS[jurisdiction];
+  return preset ? { ...settings, jurisdiction, ...rateFields(preset) } : settings;
+}
+
+export function isTaxEnabled(settings) {
+  return Boolean(settings) && RATE_FIELDS.some((f) => settings[f] > 0);
+}
+
+// Same { value, errors } shape as validateDifficultyModel.
+export function validateTaxSettings(raw, field = 'tax') {
+  if (!raw || typeof raw !== 'object') {
+    return { errors: [{ field, message: 'must be an object' }] };
+  }
+  const errors = [];
+  const jurisdiction = raw.jurisdiction ?? 'custom';
+  if (jurisdiction !== 'custom' && !Object.hasOwn(TAX_PRESETS, jurisdiction)) {
+    errors.push({ field: 'taxJurisdiction', message: `must be one of ${[...Object.keys(TAX_PRESETS), 'custom'].join(', ')}` });
+  }
+  const base = { ...DEFAULT_TAX_SETTINGS, ...rateFields(TAX_PRESETS[jurisdiction] ?? TAX_PRESETS.none) };
+  const value = { jurisdiction };
+
+  RATE_FIELDS.forEach((key) => {
+    const n = raw[key] === undefined ? base[key] : Number(raw[key]);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+      errors.push({ field: key, message: 'must be between 0 and 1' });
+    }
+    value[key] = n;
+  });
+  const longTermMonths = raw.longTermMonths === undefined ? base.longTermMonths : Number(raw.longTermMonths);
+  if (!Number.isInteger(longTermMonths) || longTermMonths < 0) {
+    errors.push({ field: 'longTermMonths', message: 'must be a non-negative integer' });
+  }
+  value.longTermMonths = longTermMonths;
+
+  value.lotMethod = raw.lotMethod ?? base.lotMethod;
+  if (!Object.hasOwn(LOT_METHODS, value.lotMethod)) {
+    errors.push({ field: 'lotMethod', message: `must be one of ${Object.keys(LOT_METHODS).join(', ')}` });
+  }
+  value.deductCosts = raw.deductCosts ?? base.deductCosts;
+  if (typeof value.deductCosts !== 'boolean') {
+    errors.push({ field: 'deductCosts', message: 'must be true or false' });
+  }
+
+  // A preset whose rates were overridden is reported as custom.
+  const preset = TAX_PRESETS[jurisdiction];
+  if (preset && ['longTermMonths', ...RATE_FIELDS].some((k) => value[k] !== preset[k])) value.jurisdiction = 'custom';
+  return errors.length ? { errors } : { errors, value };
+}
+
+export function describeTaxSettings(settings) {
+  if (!isTaxEnabled(settings)) return 'No tax';
+  const pct = (r) => `${Math.round(r * 1000) / 10}%`;
+  const name = TAX_PRESETS[settings.jurisdiction]?.label ?? 'Custom';
+  return `${name}: income ${pct(settings.incomeRate)}, gains ${pct(settings.shortTermRate)} / ${pct(settings.longTermRate)}`
+    + ` after ${settings.longTermMonths}mo, ${LOT_METHODS[settings.lotMethod]}`;
+}
+
+// 'YYYY-MM' of the month `month` months after startDate, for ledger rows.
+export function ledgerPeriod(startDate, month) {
+  if (!startDate) return '';
+  const d = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + month, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+// Next lot to sell from, by method. Ties go to the oldest lot.
+function pickLot(open, lotMethod) {
+  if (lotMethod === 'lifo') return open[open.length - 1];
+  if (lotMethod === 'hifo') return open.reduce((best, lot) => (lot.costBasis > best.costBasis ? lot : best));
+  return open[0];
+}
+
+// rows from projectMonthly(); settings as DEFAULT_TAX_SETTINGS. Taxes are paid in fiat as they
+// fall due, not out of the BTC held. Returns { rows, ledger, openLots, summary }:
+//   rows:    per month { month, incomeValue, taxableIncome, incomeTax, realizedGain,
+//            capitalGainsTax, taxPaid, cumulativeTax, unrealizedGain, liquidationTax,
+//            afterTaxValue, afterTaxRoi }, where afterTaxValue is the portfolio after taxes paid
+//            and the tax due if every BTC still held were sold that month
+//   ledger:  acquisitions and disposals, one row per lot touched
+//   openLots: lots still (partly) held at the end, with their unrealized gain at the final price
+export function computeTax(rows, settings = DEFAULT_TAX_SETTINGS, { startDate = null } = {}) {
+  const { incomeRate, shortTermRate, longTermRate, longTermMonths, lotMethod, deductCosts } = settings;
+  const rateFor = (holdingMonths) => (holdingMonths > longTermMonths ? longTermRate : shortTermRate);
+  const term = (holdingMonths) => (holdingMonths > longTermMonths ? 'long' : 'short');
+
+  const open = [];
+  const ledger = [];
+  const taxRows = [];
+  // Capital losses, kept as the tax they would save, offset later gains (never income).
+  let lossCarry = 0;
+  let cumulativeTax = 0;
+  let cumulativeIncomeTax = 0;
+  let cumulativeCapitalGainsTax = 0;
+  let cumulativeIncome = 0;
+  let cumulativeRealizedGain = 0;
+
+  rows.forEach((row) => {
+    const { month, btcPrice } = row;
+    const period = ledgerPeriod(startDate, month);
+
+    const incomeValue = row.monthlyBtcNet * btcPrice;
+    const costs = row.monthlyElecCost + row.monthlyMaintenanceCost;
+    const taxableIncome = Math.max(0, incomeValue - (deductCosts ? costs : 0));
+    const incomeTax = taxableIncome * incomeRate;
+    if (row.monthlyBtcNet > 0) {
+      const lot = { id: month, month, btc: row.monthlyBtcNet, remaining: row.monthlyBtcNet, costBasis: btcPrice };
+      open.push(lot);
+      ledger.push({
+        type: 'acquire',
+        lot: lot.id,
+        month,
+        period,
+        btc: lot.btc,
+        btcPrice,
+        costBasis: incomeValue,
+        proceeds: null,
+        gain: null,
+        holdingMonths: null,
+        term: null,
+        tax: incomeTax,
+      });
+    }
+
+    // This month's lot is already open, so a same-month sale can draw on it.
+    let toSell = row.monthlyBtcSold ?? 0;
+    let realizedGain = 0;
+    let gainsTax = 0;
+    while (toSell > 1e-12 && open.length > 0) {
+      const lot = pickLot(open, lotMethod);
+      const btc = Math.min(lot.remaining, toSell);
+      const holdingMonths = month - lot.month;
+      const gain = btc * (btcPrice - lot.costBasis);
+      const tax = gain * rateFor(holdingMonths);
+      ledger.push({
+        type: 'dispose',
+        lot: lot.id,
+        month,
+        period,
+        btc,
+        btcPrice,
+        costBasis: btc * lot.costBasis,
+        proceeds: btc * btcPrice,
+        gain,
+        holdingMonths,
+        term: term(holdingMonths),
+        tax,
+      });
+      realizedGain += gain;
+      gainsTax += tax;
+      lot.remaining -= btc;
+      toSell -= btc;
+      if (lot.remaining <= 1e-12) open.splice(open.indexOf(lot), 1);
+    }
+    let capitalGainsTax = 0;
+    if (gainsTax < 0) {
+      lossCarry -= gainsTax;
+    } else {
+      const offset = Math.min(lossCarry, gainsTax);
+      lossCarry -= offset;
+      capitalGainsTax = gainsTax - offset;
+    }
+
+    const taxPaid = incomeTax + capitalGainsTax;
+    cumulativeTax += taxPaid;
+    cumulativeIncomeTax += incomeTax;
+    cumulativeCapitalGainsTax += capitalGainsTax;
+    cumulativeIncome += incomeValue;
+    cumulativeRealizedGain += realizedGain;
+
+    let unrealizedGain = 0;
+    let unrealizedTax = 0;
+    open.forEach((lot) => {
+      const gain = lot.remaining * (btcPrice - lot.costBasis);
+      unrealizedGain += gain;
+      unrealizedTax += gain * rateFor(month - lot.month);
+    });
+    const liquidationTax = Math.max(0, unrealizedTax - lossCarry);
+    const afterTaxValue = row.portfolioValue - cumulativeTax - liquidationTax;
+
+    taxRows.push({
+      month,
+      incomeValue,
+      taxableIncome,
+      incomeTax,
+      realizedGain,
+      capitalGainsTax,
+      taxPaid,
+      cumulativeTax,
+      unrealizedGain,
+      liquidationTax,
+      afterTaxValue,
+      afterTaxRoi: row.totalCost > 0 ? ((afterTaxValue - row.totalCost) / row.totalCost) * 100 : 0,
+    });
+  });
+
+  const lastRow = rows[rows.length - 1];
+  const last = taxRows[taxRows.length - 1];
+  const openLots = open.map((lot) => {
+    const holdingMonths = lastRow.month - lot.month;
+    return {
+      lot: lot.id,
+      month: lot.month,
+      period: ledgerPeriod(startDate, lot.month),
+      btc: lot.remaining,
+      costBasis: lot.remaining * lot.costBasis,
+      value: lot.remaining * lastRow.btcPrice,
+      unrealizedGain: lot.remaining * (lastRow.btcPrice - lot.costBasis),
+      holdingMonths,
+      term: term(holdingMonths),
+    };
+  });
+
+  return {
+    rows: taxRows,
+    ledger,
+    openLots,
+    summary: last
+      ? {
+        income: cumulativeIncome,
+        incomeTax: cumulativeIncomeTax,
+        realizedGain: cumulativeRealizedGain,
+        capitalGainsTax: cumulativeCapitalGainsTax,
+        taxPaid: last.cumulativeTax,
+        unrealizedGain: last.unrealizedGain,
+        liquidationTax: last.liquidationTax,
+        afterTaxValue: last.afterTaxValue,
+        afterTaxRoi: last.afterTaxRoi,
+        // Unused losses, as the tax they would still save.
+        lossCarryForward: lossCarry,
+      }
+      : null,
+  };
+}
@@ -0,0 +1,115 @@
+import { describe, expect, it } from 'vitest';
+import {
+  DEFAULT_TAX_SETTINGS,
+  TAX_PRESETS,
+  applyTaxPreset,
+  computeTax,
+  isTaxEnabled,
+  ledgerPeriod,
+  validateTaxSettings,
+} from './tax';
+
+// 1 BTC mined each month at $100, $300 and $200; 1 BTC sold in month 3.
+function rows() {
+  const prices = [100, 300, 200];
+  let held = 0;
+  return prices.map((btcPrice, i) => {
+    const monthlyBtcSold = i === 2 ? 1 : 0;
+    held += 1 - monthlyBtcSold;
+    return {
+      month: i + 1,
+      btcPrice,
+      monthlyBtcNet: 1,
+      monthlyBtcSold,
+      monthlyElecCost: 10,
+      monthlyMaintenanceCost: 0,
+      portfolioValue: held * btcPrice + (monthlyBtcSold ? 200 : 0),
+      totalCost: 1000,
+    };
+  });
+}
+
+const SETTINGS = {
+  ...DEFAULT_TAX_SETTINGS,
+  jurisdiction: 'custom',
+  incomeRate: 0.1,
+  shortTermRate: 0.5,
+  longTermRate: 0.5,
+  longTermMonths: 12,
+  deductCosts: false,
+};
+
+describe('computeTax', () => {
+  it('taxes mined BTC as income at its value when received', () => {
+    const { summary, ledger } = computeTax(rows(), SETTINGS);
+    expect(summary.income).toBe(600);
+    expect(summary.incomeTax).toBeCloseTo(60, 9);
+    expect(ledger.filter((e) => e.type === 'acquire').map((e) => e.costBasis)).toEqual([100, 300, 200]);
+  });
+
+  it('deducts running costs from taxable income when asked', () => {
+    const { summary } = computeTax(rows(), { ...SETTINGS, deductCosts: true });
+    expect(summary.incomeTax).toBeCloseTo(0.1 * (600 - 30), 9);
+  });
+
+  it('sells the oldest lot first with FIFO', () => {
+    const { summary, ledger, openLots } = computeTax(rows(), { ...SETTINGS, lotMethod: 'fifo' });
+    const sale = ledger.find((e) => e.type === 'dispose');
+    expect(sale).toMatchObject({ lot: 1, btc: 1, costBasis: 100, proceeds: 200, gain: 100, holdingMonths: 2, term: 'short' });
+    expect(summary.capitalGainsTax).toBeCloseTo(50, 9);
+    expect(openLots.map((l) => l.lot)).toEqual([2, 3]);
+  });
+
+  it('sells the newest lot first with LIFO', () => {
+    const { summary, ledger } = computeTax(rows(), { ...SETTINGS, lotMethod: 'lifo' });
+    expect(ledger.find((e) => e.type === 'dispose')).toMatchObject({ lot: 3, gain: 0 });
+    expect(summary.capitalGainsTax).toBe(0);
+  });
+
+  it('sells the highest-basis lot first with HIFO and carries the loss forward', () => {
+    const { summary, ledger, rows: taxRows } = computeTax(rows(), { ...SETTINGS, lotMethod: 'hifo' });
+    expect(ledger.find((e) => e.type === 'dispose')).toMatchObject({ lot: 2, gain: -100 });
+    expect(summary.capitalGainsTax).toBe(0);
+    // The $50 loss credit would cover the tax on the $100 unrealized gain still held;
+    // it stays unused until a sale realizes a gain.
+    expect(summary.unrealizedGain).toBeCloseTo(100, 9);
+    expect(summary.liquidationTax).toBe(0);
+    expect(summary.lossCarryForward).toBeCloseTo(50, 9);
+    expect(taxRows[2].afterTaxValue).toBeCloseTo(rows()[2].portfolioValue - 60, 9);
+  });
+
+  it('uses the long-term rate past the holding period', () => {
+    const { ledger } = computeTax(rows(), { ...SETTINGS, longTermRate: 0, longTermMonths: 1 });
+    expect(ledger.find((e) => e.type === 'dispose')).toMatchObject({ term: 'long', tax: 0 });
+  });
+
+  it('leaves value untouched with no tax', () => {
+    const { rows: taxRows } = computeTax(rows(), DEFAULT_TAX_SETTINGS);
+    taxRows.forEach((r, i) => expect(r.afterTaxValue).toBe(rows()[i].portfolioValue));
+  });
+});
+
+describe('tax settings', () => {
+  it('applies presets and detects when tax is enabled', () => {
+    const us = applyTaxPreset(DEFAULT_TAX_SETTINGS, 'us');
+    expect(us).toMatchObject({ jurisdiction: 'us', incomeRate: TAX_PRESETS.us.incomeRate, lotMethod: 'fifo' });
+    expect(isTaxEnabled(us)).toBe(true);
+    expect(isTaxEnabled(DEFAULT_TAX_SETTINGS)).toBe(false);
+    expect(applyTaxPreset(us, 'nowhere')).toBe(us);
+  });
+
+  it('validates settings and reports an edited preset as custom', () => {
+    const { label, ...ukRates } = TAX_PRESETS.uk;
+    expect(label).toBe('United Kingdom');
+    expect(validateTaxSettings({ jurisdiction: 'uk' }).value).toEqual({ ...ukRates, jurisdiction: 'uk', lotMethod: 'fifo', deductCosts: true });
+    expect(validateTaxSettings({ jurisdiction: 'uk', incomeRate: 0.2 }).value.jurisdiction).toBe('custom');
+    const { errors, value } = validateTaxSettings({ jurisdiction: 'xx', incomeRate: 2, lotMethod: 'avg' });
+    expect(value).toBeUndefined();
+    expect(errors.map((e) => e.field)).toEqual(['taxJurisdiction', 'incomeRate', 'lotMethod']);
+  });
+
+  it('formats ledger periods from the start date', () => {
+    expect(ledgerPeriod(new Date(Date.UTC(2024, 10, 15)), 3)).toBe('2025-02');
+    expect(ledgerPeriod(null, 3)).toBe('');
+  });
+});
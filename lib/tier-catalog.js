@@ -0,0 +1,47 @@
+// Server-side tier catalog loader, used by /api/tiers and /api/projection.
+//
+// TIER_CATALOG_FILE points at the catalog JSON (default config/tiers.json, relative to the
+// app root). The file is re-read whenever its mtime changes, so catalog edits go live
+// without a rebuild. An unreadable or invalid file keeps serving the last good catalog
+// (or the bundled one) and reports the problem in `error`.
+
+import { readFile, stat } from 'node:fs/promises';
+import path from 'node:path';
+import { CUSTOM_PRICING, DEFAULT_TIER_NAME, TIERS, parseTierCatalog } from './tiers';
+
+const DEFAULT_CATALOG_FILE = 'config/tiers.json';
+
+let loaded = null; // { file, mtimeMs, catalog }
+
+function catalogFile() {
+  return process.env.TIER_CATALOG_FILE || DEFAULT_CATALOG_FILE;
+}
+
+// Resolves to { defaultTier, tiers, custom, source, updatedAt, error }; never rejects.
+export async function getTierCatalog() {
+  const file = catalogFile();
+  try {
+    const { mtimeMs } = await stat(path.resolve(process.cwd(), file));
+    if (loaded?.file === file && loaded.mtimeMs === mtimeMs) return loaded.catalog;
+
+    const text = await readFile(path.resolve(process.cwd(), file), 'utf8');
+    const { value, errors } = parseTierCatalog(JSON.parse(text));
+    if (!value) {
+      throw new Error(errors.map((e) => `${e.field} ${e.message}`).join('; '));
+    }
+    const catalog = { ...value, source: file, updatedAt: new Date(mtimeMs).toISOString(), error: null };
+    loaded = { file, mtimeMs, catalog };
+    return catalog;
+  } catch (e) {
+    const message = `Invalid tier catalog ${file}: ${e?.message || String(e)}`;
+    console.error(message);
+    const fallback = loaded?.catalog ?? {
+      defaultTier: DEFAULT_TIER_NAME,
+      tiers: TIERS,
+      custom: CUSTOM_PRICING,
+      source: 'bundled',
+      updatedAt: null,
+    };
+    return { ...fallback, error: message };
+  }
+}
@@ -0,0 +1,295 @@
+// Tier catalog: definitions, validation and lookups.
+//
+// The catalog lives in config/tiers.json (or TIER_CATALOG_FILE, see lib/tier-catalog.js) and
+// is served by /api/tiers. The copy bundled here is what the page renders before that loads.
+
+import bundledCatalog from '../config/tiers.json';
+import { CURRENCY_CODES } from './currency';
+
+const DEFAULT_TIER_COLOR = '#94a3b8';
+const DEFAULT_CUSTOM_COLOR = '#14b8a6';
+export const CUSTOM_TIER_NAME = 'Custom';
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Numeric catalog field; returns undefined (and records an error) when invalid.
+function readCatalogNumber(raw, key, field, errors, { min = 0, exclusiveMin = false, max = Infinity, integer = false, optional = true } = {}) {
+  if (raw[key] === undefined || raw[key] === null) {
+    if (!optional) errors.push({ field: `${field}.${key}`, message: 'is required' });
+    return undefined;
+  }
+  const n = raw[key];
+  const ok = typeof n === 'number' && Number.isFinite(n) && (exclusiveMin ? n > min : n >= min) && n <= max
+    && (!integer || Number.isInteger(n));
+  if (!ok) {
+    const bound = `${exclusiveMin ? 'greater than' : 'at least'} ${min}${max < Infinity ? ` and at most ${max}` : ''}`;
+    errors.push({ field: `${field}.${key}`, message: `must be ${integer ? 'an integer' : 'a number'} ${bound}` });
+  }
+  return ok ? n : undefined;
+}
+
+function checkContractRange(value, field, errors) {
+  if (value.minContractMonths > value.maxContractMonths) {
+    errors.push({ field: `${field}.maxContractMonths`, message: 'must be at least minContractMonths' });
+  }
+}
+
+// Drop unset optional fields so tiers stay compact in API responses and share state.
+function compact(obj) {
+  Object.keys(obj).forEach((k) => obj[k] === undefined && delete obj[k]);
+  return obj;
+}
+
+// Optional per-tier fields and what they mean:
+//   prices                 fixed local prices, e.g. { EUR: 45 } (see tierPrice)
+//   wattsPerTh             efficiency of the hardware behind the tier
+//   maintenanceFeeMonthly  monthly maintenance fee included with the tier (USD)
+//   minContractMonths / maxContractMonths  contract lengths the tier is sold for
+//   availableFrom / availableUntil         YYYY-MM-DD, both inclusive (UTC)
+function readTier(raw, field, errors) {
+  const before = errors.length;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push({ field, message: 'must be an object' });
+    return null;
+  }
+
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) errors.push({ field: `${field}.name`, message: 'must be a non-empty string' });
+  const num = (key, opts) => readCatalogNumber(raw, key, field, errors, opts);
+  const date = (key) => {
+    if (raw[key] === undefined || raw[key] === null) return undefined;
+    if (typeof raw[key] !== 'string' || !DATE_RE.test(raw[key]) || Number.isNaN(Date.parse(raw[key]))) {
+      errors.push({ field: `${field}.${key}`, message: 'must be a YYYY-MM-DD date' });
+      return undefined;
+    }
+    return raw[key];
+  };
+
+  const tier = {
+    name,
+    price: num('price', { optional: false }),
+    hashrate: num('hashrate', { exclusiveMin: true, optional: false }),
+    color: typeof raw.color === 'string' && raw.color ? raw.color : DEFAULT_TIER_COLOR,
+    wattsPerTh: num('wattsPerTh', { exclusiveMin: true }),
+    maintenanceFeeMonthly: num('maintenanceFeeMonthly') ?? 0,
+    minContractMonths: num('minContractMonths', { min: 1, integer: true }),
+    maxContractMonths: num('maxContractMonths', { min: 1, integer: true }),
+    availableFrom: date('availableFrom'),
+    availableUntil: date('availableUntil'),
+  };
+  checkContractRange(tier, field, errors);
+  if (tier.availableFrom > tier.availableUntil) {
+    errors.push({ field: `${field}.availableUntil`, message: 'must not be before availableFrom' });
+  }
+  if (raw.prices !== undefined) {
+    if (!raw.prices || typeof raw.prices !== 'object' || Array.isArray(raw.prices)) {
+      errors.push({ field: `${field}.prices`, message: 'must be an object of currency code to price' });
+    } else {
+      Object.entries(raw.prices).forEach(([code, value]) => {
+        if (!CURRENCY_CODES.includes(code) || typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+          errors.push({ field: `${field}.prices.${code}`, message: `must be a price in one of ${CURRENCY_CODES.join(', ')}` });
+        }
+      });
+      tier.prices = raw.prices;
+    }
+  }
+  if (errors.length > before) return null;
+  return compact(tier);
+}
+
+// Custom hashrate pricing: a USD list price per TH/s, discounted by the highest volume
+// bracket the whole order reaches, e.g. volumeDiscounts: [{ minHashrate: 10, discount: 0.04 }].
+function readCustomPricing(raw, field, errors) {
+  const before = errors.length;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    errors.push({ field, message: 'must be an object' });
+    return null;
+  }
+  const num = (key, opts) => readCatalogNumber(raw, key, field, errors, opts);
+  const custom = {
+    pricePerTh: num('pricePerTh', { exclusiveMin: true, optional: false }),
+    color: typeof raw.color === 'string' && raw.color ? raw.color : DEFAULT_CUSTOM_COLOR,
+    minHashrate: num('minHashrate', { exclusiveMin: true }),
+    maxHashrate: num('maxHashrate', { exclusiveMin: true }),
+    wattsPerTh: num('wattsPerTh', { exclusiveMin: true }),
+    minContractMonths: num('minContractMonths', { min: 1, integer: true }),
+    maxContractMonths: num('maxContractMonths', { min: 1, integer: true }),
+    volumeDiscounts: [],
+  };
+  if (custom.minHashrate > custom.maxHashrate) {
+    errors.push({ field: `${field}.maxHashrate`, message: 'must be at least minHashrate' });
+  }
+  checkContractRange(custom, field, errors);
+  if (raw.volumeDiscounts !== undefined) {
+    if (!Array.isArray(raw.volumeDiscounts)) {
+      errors.push({ field: `${field}.volumeDiscounts`, message: 'must be an array' });
+    } else {
+      raw.volumeDiscounts.forEach((bracket, idx) => {
+        const bracketField = `${field}.volumeDiscounts[${idx}]`;
+        if (!bracket || typeof bracket !== 'object') {
+          errors.push({ field: bracketField, message: 'must be an object' });
+          return;
+        }
+        const minHashrate = readCatalogNumber(bracket, 'minHashrate', bracketField, errors, { exclusiveMin: true, optional: false });
+        const discount = readCatalogNumber(bracket, 'discount', bracketField, errors, { max: 0.99, optional: false });
+        if (minHashrate !== undefined && discount !== undefined) custom.volumeDiscounts.push({ minHashrate, discount });
+      });
+      custom.volumeDiscounts.sort((a, b) => a.minHashrate - b.minHashrate);
+    }
+  }
+  if (errors.length > before) return null;
+  return compact(custom);
+}
+
+// Validates a catalog ({ defaultTier, tiers: [...], custom? }); same { value, errors } shape as
+// validateDifficultyModel. defaultTier falls back to the first tier; custom is null when absent.
+export function parseTierCatalog(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.tiers) || raw.tiers.length === 0) {
+    return { errors: [{ field: 'tiers', message: 'must be a non-empty array' }] };
+  }
+
+  const tiers = [];
+  const seen = new Set();
+  raw.tiers.forEach((entry, idx) => {
+    const tier = readTier(entry, `tiers[${idx}]`, errors);
+    if (!tier) return;
+    const key = tier.name.toLowerCase();
+    if (key === CUSTOM_TIER_NAME.toLowerCase()) {
+      errors.push({ field: `tiers[${idx}].name`, message: `"${CUSTOM_TIER_NAME}" is reserved for custom hashrate` });
+      return;
+    }
+    if (seen.has(key)) {
+      errors.push({ field: `tiers[${idx}].name`, message: `duplicate tier name "${tier.name}"` });
+      return;
+    }
+    seen.add(key);
+    tiers.push(tier);
+  });
+  const custom = raw.custom === undefined ? null : readCustomPricing(raw.custom, 'custom', errors);
+  if (errors.length > 0) return { errors };
+
+  let defaultTier = tiers[0].name;
+  if (raw.defaultTier !== undefined) {
+    const match = tiers.find((t) => t.name.toLowerCase() === String(raw.defaultTier).trim().toLowerCase());
+    if (!match) return { errors: [{ field: 'defaultTier', message: 'must name one of the tiers' }] };
+    defaultTier = match.name;
+  }
+  return { errors, value: { defaultTier, tiers, custom } };
+}
+
+// Fails at build time if the checked-in catalog is invalid.
+const bundled = parseTierCatalog(bundledCatalog);
+if (!bundled.value) {
+  throw new Error(`Invalid config/tiers.json: ${bundled.errors.map((e) => `${e.field} ${e.message}`).join('; ')}`);
+}
+
+export const TIERS = bundled.value.tiers;
+export const DEFAULT_TIER_NAME = bundled.value.defaultTier;
+export const CUSTOM_PRICING = bundled.value.custom;
+
+function todayUtc(now) {
+  return now.toISOString().slice(0, 10);
+}
+
+export function isTierAvailable(tier, now = new Date()) {
+  const today = todayUtc(now);
+  return (!tier.availableFrom || tier.availableFrom <= today) && (!tier.availableUntil || today <= tier.availableUntil);
+}
+
+export function availableTiers(tiers, now = new Date()) {
+  return tiers.filter((t) => isTierAvailable(t, now));
+}
+
+export function findTier(nameOrIndex, tiers = TIERS) {
+  if (typeof nameOrIndex === 'number') return tiers[nameOrIndex] || null;
+  if (typeof nameOrIndex !== 'string') return null;
+  const key = nameOrIndex.trim().toLowerCase();
+  if (/^\d+$/.test(key)) return tiers[Number(key)] || null;
+  return tiers.find((t) => t.name.toLowerCase() === key) || null;
+}
+
+export function contractMonthsAllowed(tier, months) {
+  return (!tier.minContractMonths || months >= tier.minContractMonths)
+    && (!tier.maxContractMonths || months <= tier.maxContractMonths);
+}
+
+export function clampContractMonths(tier, months) {
+  return Math.min(tier.maxContractMonths ?? months, Math.max(tier.minContractMonths ?? months, months));
+}
+
+// Efficiency used for a tier: an explicit user value, else the tier's own, else the
+// S19 Pro fallback. The page, the API and the comparison / plan helpers all use this.
+export const DEFAULT_WATTS_PER_TH = 29.5;
+
+export function resolveWattsPerTh(tier, wattsPerTh) {
+  return wattsPerTh ?? tier?.wattsPerTh ?? DEFAULT_WATTS_PER_TH;
+}
+
+// Catalog prices are USD. A tier may list fixed local prices (`prices: { EUR: 45 }`);
+// otherwise the USD price is converted at fxRate and rounded to whole units.
+// Returns null when a conversion is needed but no rate is available.
+export function tierPrice(tier, currency, fxRate) {
+  if (currency === 'USD') return tier.price;
+  if (Number.isFinite(tier.prices?.[currency])) return tier.prices[currency];
+  return Number.isFinite(fxRate) && fxRate > 0 ? Math.round(tier.price * fxRate) : null;
+}
+
+// The maintenance fee is converted at fxRate (to the cent) like other USD amounts.
+export function localizeTier(tier, currency, fxRate) {
+  const fee = tier.maintenanceFeeMonthly ?? 0;
+  let maintenanceFeeMonthly = fee;
+  if (currency !== 'USD' && fee > 0) {
+    maintenanceFeeMonthly = Number.isFinite(fxRate) && fxRate > 0 ? Math.round(fee * fxRate * 100) / 100 : null;
+  }
+  const localized = { ...tier, price: tierPrice(tier, currency, fxRate), maintenanceFeeMonthly };
+  if (tier.custom && localized.price !== null) localized.pricePerTh = localized.price / tier.hashrate;
+  return localized;
+}
+
+// Discount of the highest bracket the hashrate reaches (0 below the first one).
+export function volumeDiscount(custom, hashrate) {
+  let discount = 0;
+  (custom?.volumeDiscounts || []).forEach((b) => {
+    if (hashrate >= b.minHashrate) discount = b.discount;
+  });
+  return discount;
+}
+
+export function customHashrateAllowed(custom, hashrate) {
+  return (!custom?.minHashrate || hashrate >= custom.minHashrate) && (!custom?.maxHashrate || hashrate <= custom.maxHashrate);
+}
+
+// Builds a tier for a custom hashrate purchase, priced either by an explicit total or by
+// a per-TH list price (default: the catalog's) less the volume discount. Amounts are in
+// whatever currency pricePerTh / totalPrice are given in. Returns null when neither
+// price is available.
+export function buildCustomTier(custom, { hashrate, pricePerTh, totalPrice }) {
+  const listPerTh = pricePerTh ?? custom?.pricePerTh;
+  let price = totalPrice;
+  let discount = 0;
+  if (price === undefined || price === null) {
+    if (!Number.isFinite(listPerTh)) return null;
+    discount = volumeDiscount(custom, hashrate);
+    price = Math.round(hashrate * listPerTh * (1 - discount) * 100) / 100;
+  }
+  return compact({
+    name: CUSTOM_TIER_NAME,
+    custom: true,
+    price,
+    hashrate,
+    color: custom?.color ?? DEFAULT_CUSTOM_COLOR,
+    pricePerTh: hashrate > 0 ? price / hashrate : undefined,
+    volumeDiscount: discount,
+    wattsPerTh: custom?.wattsPerTh,
+    minContractMonths: custom?.minContractMonths,
+    maxContractMonths: custom?.maxContractMonths,
+  });
+}
+
+// Custom list price per TH in the given currency (cents), or null without a rate.
+export function localizeCustomPricing(custom, currency, fxRate) {
+  if (!custom) return null;
+  if (currency === 'USD') return custom;
+  if (!Number.isFinite(fxRate) || fxRate <= 0) return { ...custom, pricePerTh: null };
+  return { ...custom, pricePerTh: Math.round(custom.pricePerTh * fxRate * 100) / 100 };
+}
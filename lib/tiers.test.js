@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_WATTS_PER_TH, buildCustomTier, parseTierCatalog, resolveWattsPerTh, volumeDiscount } from './tiers';
+
+const fields = (raw) => (parseTierCatalog(raw).errors || []).map((e) => e.field);
+
+describe('parseTierCatalog', () => {
+  it('fills in defaults for a minimal catalog', () => {
+    const { value, errors } = parseTierCatalog({ tiers: [{ name: ' Basic ', price: 10, hashrate: 1 }] });
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      defaultTier: 'Basic',
+      tiers: [{ name: 'Basic', price: 10, hashrate: 1, color: '#94a3b8', maintenanceFeeMonthly: 0 }],
+      custom: null,
+    });
+  });
+
+  it('rejects a catalog without tiers', () => {
+    expect(parseTierCatalog({ tiers: [] })).toEqual({ errors: [{ field: 'tiers', message: 'must be a non-empty array' }] });
+    expect(parseTierCatalog(null).value).toBeUndefined();
+  });
+
+  it('reports every invalid tier field and returns no catalog', () => {
+    const result = parseTierCatalog({
+      tiers: [
+        { name: '', price: -1, hashrate: 0 },
+        { name: 'Pro', price: 10, hashrate: 1, minContractMonths: 12, maxContractMonths: 6, availableFrom: '2025-13-01' },
+        { name: 'pro', price: 10, hashrate: 1 },
+        { name: 'Custom', price: 10, hashrate: 1 },
+        { name: 'Local', price: 10, hashrate: 1, prices: { JPY: 1000 } },
+      ],
+    });
+    expect(result.value).toBeUndefined();
+    expect(result.errors.map((e) => e.field)).toEqual([
+      'tiers[0].name',
+      'tiers[0].price',
+      'tiers[0].hashrate',
+      'tiers[1].availableFrom',
+      'tiers[1].maxContractMonths',
+      'tiers[3].name',
+      'tiers[4].prices.JPY',
+    ]);
+    expect(result.errors[5].message).toBe('"Custom" is reserved for custom hashrate');
+  });
+
+  it('rejects a default tier that is not in the catalog and bad custom pricing', () => {
+    expect(fields({ defaultTier: 'Gold', tiers: [{ name: 'Basic', price: 10, hashrate: 1 }] })).toEqual(['defaultTier']);
+    expect(fields({
+      tiers: [{ name: 'Basic', price: 10, hashrate: 1 }],
+      custom: { pricePerTh: 0, minHashrate: 10, maxHashrate: 5, volumeDiscounts: [{ minHashrate: 10, discount: 1 }] },
+    })).toEqual(['custom.pricePerTh', 'custom.maxHashrate', 'custom.volumeDiscounts[0].discount']);
+  });
+});
+
+describe('resolveWattsPerTh', () => {
+  it('lets a user-entered efficiency override the tier\'s', () => {
+    expect(resolveWattsPerTh({ wattsPerTh: 25 }, 18)).toBe(18);
+    expect(resolveWattsPerTh({ wattsPerTh: 25 }, null)).toBe(25);
+    expect(resolveWattsPerTh({}, undefined)).toBe(DEFAULT_WATTS_PER_TH);
+  });
+});
+
+describe('buildCustomTier', () => {
+  const CUSTOM = { pricePerTh: 25, color: '#14b8a6', wattsPerTh: 18, maxContractMonths: 24 };
+
+  it('prices from the catalog list price by default', () => {
+    expect(buildCustomTier(CUSTOM, { hashrate: 4 })).toEqual({
+      name: 'Custom',
+      custom: true,
+      price: 100,
+      hashrate: 4,
+      color: '#14b8a6',
+      pricePerTh: 25,
+      volumeDiscount: 0,
+      wattsPerTh: 18,
+      maxContractMonths: 24,
+    });
+  });
+
+  it('lets an explicit per-TH price or total override the catalog', () => {
+    expect(buildCustomTier(CUSTOM, { hashrate: 4, pricePerTh: 20 })).toMatchObject({ price: 80, pricePerTh: 20 });
+    expect(buildCustomTier(CUSTOM, { hashrate: 4, pricePerTh: 20, totalPrice: 90 })).toMatchObject({ price: 90, pricePerTh: 22.5 });
+    // Without a catalog, only an explicit price works.
+    expect(buildCustomTier(null, { hashrate: 4, totalPrice: 90 })).toMatchObject({ price: 90, color: '#14b8a6' });
+    expect(buildCustomTier(null, { hashrate: 4 })).toBeNull();
+  });
+});
+
+describe('volume discounts', () => {
+  // Brackets out of order on purpose: the parser sorts them.
+  const { custom } = parseTierCatalog({
+    tiers: [{ name: 'Basic', price: 10, hashrate: 1 }],
+    custom: {
+      pricePerTh: 25,
+      volumeDiscounts: [
+        { minHashrate: 100, discount: 0.12 },
+        { minHashrate: 10, discount: 0.04 },
+        { minHashrate: 50, discount: 0.08 },
+      ],
+    },
+  }).value;
+
+  it('applies the highest bracket reached, starting exactly at each break point', () => {
+    [
+      [9.99, 0],
+      [10, 0.04],
+      [10.01, 0.04],
+      [49.99, 0.04],
+      [50, 0.08],
+      [50.01, 0.08],
+      [99.99, 0.08],
+      [100, 0.12],
+      [100.01, 0.12],
+    ].forEach(([hashrate, discount]) => {
+      expect(volumeDiscount(custom, hashrate)).toBe(discount);
+      const tier = buildCustomTier(custom, { hashrate });
+      expect(tier.volumeDiscount).toBe(discount);
+      expect(tier.price).toBeCloseTo(Math.round(hashrate * 25 * (1 - discount) * 100) / 100, 9);
+    });
+  });
+
+  it('prices the break points to the cent', () => {
+    expect(buildCustomTier(custom, { hashrate: 10 }).price).toBe(240);
+    expect(buildCustomTier(custom, { hashrate: 50 }).price).toBe(1150);
+    expect(buildCustomTier(custom, { hashrate: 100 }).price).toBe(2200);
+  });
+
+  it('discounts an explicit per-TH price but not an explicit total', () => {
+    expect(buildCustomTier(custom, { hashrate: 50, pricePerTh: 20 })).toMatchObject({ price: 920, volumeDiscount: 0.08 });
+    expect(buildCustomTier(custom, { hashrate: 50, totalPrice: 1000 })).toMatchObject({ price: 1000, volumeDiscount: 0 });
+  });
+});
@@ -0,0 +1,13 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  resolve: {
+    // Same '@/' alias as jsconfig.json, for the route handlers under app/.
+    alias: { '@': fileURLToPath(new URL('.', import.meta.url)) },
+  },
+  test: {
+    include: ['lib/**/*.test.js', 'app/**/*.test.js'],
+    environment: 'node',
+  },
+});